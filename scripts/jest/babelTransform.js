@@ -0,0 +1,38 @@
+/**
+ * Jest Babel Transform
+ * The react-scripts transform, plus import.meta, which Vite understands but
+ * Jest's CommonJS modules do not: import.meta.env reads process.env (so
+ * tests can set VITE_* variables) and import.meta.url is the file's URL.
+ */
+
+const { pathToFileURL } = require("node:url");
+const babelJest = require("babel-jest").default;
+
+const importMeta = ({ types: t }) => ({
+  visitor: {
+    MetaProperty(path, state) {
+      if (path.node.meta.name !== "import") return;
+      path.replaceWith(
+        t.objectExpression([
+          t.objectProperty(
+            t.identifier("env"),
+            t.memberExpression(t.identifier("process"), t.identifier("env"))
+          ),
+          t.objectProperty(
+            t.identifier("url"),
+            t.stringLiteral(pathToFileURL(state.filename).href)
+          ),
+        ])
+      );
+    },
+  },
+});
+
+module.exports = babelJest.createTransformer({
+  presets: [
+    [require.resolve("babel-preset-react-app"), { runtime: "automatic" }],
+  ],
+  plugins: [importMeta],
+  babelrc: false,
+  configFile: false,
+});
@@ -0,0 +1,606 @@
+/**
+ * Mock LangChain Server
+ * Offline stand-in for the LangChain backend. POST /query maps the question
+ * to SQL (canned questions and keyword rules), runs it with SQLite (sql.js)
+ * against an in-memory shipments/lanes database built from the seeded demo
+ * scenarios, and answers with the real rows.
+ *
+ * Usage:
+ *   npm run mock:server                 # http://localhost:3001
+ *   SCENARIO=lane-outage SEED=7 SIZE=400 npm run mock:server
+ *   LATENCY_MS=2000 ERROR_RATE=0.2 ERROR_KIND=mixed npm run mock:server
+ *
+ * Tables:
+ *   shipments(shipment_id, ticket_id, lane, truck_id, start_time, end_time,
+ *             load_type, gross_quantity, flow_rate, load_time_minutes, status)
+ *   lanes(lane, status, down_since)
+ *
+ * Questions starting with SELECT or WITH are run as they are. Follow-ups
+ * ("now only for lane 3", "break that down by month") refine the SQL of the
+ * last turn in the request's `conversation` context. The database is
+ * read-only; SQL errors come back as backend errors.
+ *
+ * Failures: ERROR_RATE (0-1) fails that share of queries with ERROR_KIND
+ * (server, backend, sql, timeout, malformed, empty or mixed). A single query
+ * can be failed with ?fail=<kind> or by adding "#fail:<kind>" to the
+ * question. Every query waits LATENCY_MS plus up to LATENCY_JITTER_MS.
+ *
+ * Like the streaming stub, streamed requests get NDJSON or SSE events, and
+ * page_size is honoured (PAGING=cursor|page|off). CONTRACT=legacy answers
+ * with the pre-1.0 {"sql query", "data"} body.
+ */
+
+import http from "node:http";
+import initSqlJs from "sql.js";
+import {
+  DEFAULT_MOCK_OPTIONS,
+  LANES,
+  createRandom,
+  generateScenarioData,
+  getMockScenario,
+} from "../src/services/mockData.js";
+import { CONTRACT_VERSION } from "../src/services/responseContract.js";
+
+const PORT = Number(process.env.PORT) || 3001;
+const SCENARIO = getMockScenario(process.env.SCENARIO || "normal-day");
+const SEED = Number(process.env.SEED) || DEFAULT_MOCK_OPTIONS.seed;
+const SIZE = Number(process.env.SIZE) || DEFAULT_MOCK_OPTIONS.size;
+const SPAN_HOURS =
+  Number(process.env.SPAN_HOURS) || DEFAULT_MOCK_OPTIONS.spanHours;
+const LATENCY_MS = Number(process.env.LATENCY_MS ?? 400);
+const LATENCY_JITTER_MS = Number(process.env.LATENCY_JITTER_MS ?? 600);
+const ERROR_RATE = Number(process.env.ERROR_RATE) || 0;
+const ERROR_KIND = process.env.ERROR_KIND || "server";
+const TIMEOUT_DELAY_MS = Number(process.env.TIMEOUT_DELAY_MS) || 120000;
+const PAGING = process.env.PAGING || "cursor";
+const CONTRACT = process.env.CONTRACT || CONTRACT_VERSION;
+const CHUNK_SIZE = 50;
+
+const FAILURE_KINDS = [
+  "server",
+  "backend",
+  "sql",
+  "timeout",
+  "malformed",
+  "empty",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Failures are drawn from a seeded generator, so a run can be replayed
+const random = createRandom(SEED);
+
+// ==================== DATABASE ====================
+
+const createDatabase = async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  const rows = generateScenarioData({
+    scenario: SCENARIO.id,
+    seed: SEED,
+    size: SIZE,
+    spanHours: SPAN_HOURS,
+  });
+
+  db.run(`
+    CREATE TABLE shipments (
+      shipment_id TEXT PRIMARY KEY,
+      ticket_id TEXT,
+      lane TEXT,
+      truck_id TEXT,
+      start_time TEXT,
+      end_time TEXT,
+      load_type TEXT,
+      gross_quantity INTEGER,
+      flow_rate REAL,
+      load_time_minutes INTEGER,
+      status TEXT
+    );
+    CREATE TABLE lanes (
+      lane TEXT PRIMARY KEY,
+      status TEXT,
+      down_since TEXT
+    );
+  `);
+
+  const insertShipment = db.prepare(
+    "INSERT INTO shipments VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+  );
+  rows.forEach((row) => insertShipment.run(Object.values(row)));
+  insertShipment.free();
+
+  const end = Math.floor(Date.now() / 3600000) * 3600000;
+  const outageStart =
+    end - SPAN_HOURS * 3600000 * (1 - (SCENARIO.outage?.from ?? 0));
+  const insertLane = db.prepare("INSERT INTO lanes VALUES (?, ?, ?)");
+  LANES.forEach((lane) => {
+    const down = SCENARIO.outage?.lane === lane;
+    insertLane.run([
+      lane,
+      down ? "Down" : "Open",
+      down ? new Date(outageStart).toISOString() : null,
+    ]);
+  });
+  insertLane.free();
+
+  db.run("PRAGMA query_only = ON");
+  return { db, rowCount: rows.length };
+};
+
+/**
+ * Runs a read-only query and returns the rows as objects
+ */
+const runSql = (db, sql, params = []) => {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) rows.push(statement.getAsObject());
+    return rows;
+  } finally {
+    statement.free();
+  }
+};
+
+const stripSemicolon = (sql) => sql.trim().replace(/;\s*$/, "");
+
+/**
+ * Runs the question's SQL, paged like the streaming stub when the request
+ * carries page_size
+ */
+const executeQuery = (db, sql, body) => {
+  const pageSize = Number(body.page_size);
+  if (PAGING === "off" || !pageSize) {
+    return { rows: runSql(db, sql), paging: {} };
+  }
+
+  const inner = stripSemicolon(sql);
+  const [{ total }] = runSql(db, `SELECT COUNT(*) AS total FROM (${inner})`);
+  const offset =
+    PAGING === "page"
+      ? (Math.max(1, Number(body.page) || 1) - 1) * pageSize
+      : Number(body.cursor) || 0;
+  const end = offset + pageSize;
+  const hasMore = end < total;
+
+  return {
+    rows: runSql(db, `SELECT * FROM (${inner}) LIMIT ? OFFSET ?`, [
+      pageSize,
+      offset,
+    ]),
+    paging: {
+      total_count: total,
+      has_more: hasMore,
+      ...(PAGING === "page"
+        ? { page: offset / pageSize + 1 }
+        : { next_cursor: hasMore ? String(end) : null }),
+    },
+  };
+};
+
+// ==================== QUESTIONS ====================
+
+const minutesOnSite =
+  "ROUND((julianday(end_time) - julianday(start_time)) * 1440)";
+
+/**
+ * Question rules, checked in order. Each has a canned example question
+ * (listed by GET /questions) and a keyword pattern for free-form questions.
+ */
+const QUESTION_RULES = [
+  {
+    id: "connection-test",
+    example: "Test connection - return a simple response",
+    pattern: /test connection/,
+    sql: "SELECT 'ok' AS status, COUNT(*) AS shipments FROM shipments",
+  },
+  {
+    id: "all-shipments",
+    example: "Show me all terminal lane operations and shipment data",
+    pattern: /overview|all .*(shipment|operation)|lane operations|everything/,
+    sql: "SELECT * FROM shipments ORDER BY start_time",
+  },
+  {
+    id: "stuck-trucks",
+    example: "Which trucks are stuck or delayed?",
+    pattern: /stuck|delay|breakdown|broke|held|late\b|longest/,
+    sql: `SELECT shipment_id, truck_id, lane, start_time, end_time, status, ${minutesOnSite} AS minutes_on_site FROM shipments WHERE status <> 'Completed' OR ${minutesOnSite} > 120 ORDER BY minutes_on_site DESC`,
+  },
+  {
+    id: "current-queue",
+    example: "How many trucks are queued or loading right now?",
+    pattern: /queue|in progress|on site|right now|current/,
+    sql: "SELECT lane, status, COUNT(*) AS trucks FROM shipments WHERE status <> 'Completed' GROUP BY lane, status ORDER BY lane, status",
+  },
+  {
+    id: "flow-rate-trend",
+    example: "How has the flow rate changed over time?",
+    pattern: /(flow|pump).*(trend|time|hour|degrad|drop)|(trend|hourly).*flow/,
+    sql: "SELECT strftime('%Y-%m-%d %H:00', start_time) AS hour, ROUND(AVG(flow_rate), 2) AS avg_flow_rate, ROUND(MIN(flow_rate), 2) AS min_flow_rate FROM shipments GROUP BY hour ORDER BY hour",
+  },
+  {
+    id: "hourly-arrivals",
+    example: "Show me hourly truck arrivals",
+    pattern: /hour|trend|over time|peak|timeline|per day|daily/,
+    sql: "SELECT strftime('%Y-%m-%d %H:00', start_time) AS hour, COUNT(*) AS arrivals, ROUND(AVG(load_time_minutes), 1) AS avg_load_minutes, SUM(gross_quantity) AS total_quantity FROM shipments GROUP BY hour ORDER BY hour",
+  },
+  {
+    id: "flow-rate-by-lane",
+    example: "What is the average flow rate per lane?",
+    pattern: /flow|rate|pump/,
+    sql: "SELECT lane, ROUND(AVG(flow_rate), 2) AS avg_flow_rate, ROUND(MIN(flow_rate), 2) AS min_flow_rate, ROUND(MAX(flow_rate), 2) AS max_flow_rate FROM shipments GROUP BY lane ORDER BY lane",
+  },
+  {
+    id: "load-types",
+    example: "Break down shipments by load type",
+    pattern: /load type|product|cargo|commodit|liquid|bulk|container/,
+    sql: "SELECT load_type, COUNT(*) AS shipments, SUM(gross_quantity) AS total_quantity, ROUND(AVG(flow_rate), 2) AS avg_flow_rate FROM shipments GROUP BY load_type ORDER BY shipments DESC",
+  },
+  {
+    id: "quantity-by-lane",
+    example: "What is the total quantity loaded per lane?",
+    pattern: /quantity|volume|throughput|total|tonnage/,
+    sql: "SELECT lane, COUNT(*) AS shipments, SUM(gross_quantity) AS total_quantity FROM shipments GROUP BY lane ORDER BY total_quantity DESC",
+  },
+  {
+    id: "busiest-trucks",
+    example: "Which trucks visit most often?",
+    pattern: /truck|driver|carrier|vehicle/,
+    sql: "SELECT truck_id, COUNT(*) AS visits, SUM(gross_quantity) AS total_quantity, MAX(start_time) AS last_visit FROM shipments GROUP BY truck_id ORDER BY visits DESC, truck_id LIMIT 10",
+  },
+  {
+    id: "lane-status",
+    example: "Show the status and utilization of each lane",
+    pattern: /lane|bay|dock|utili[sz]ation|capacity/,
+    sql: `SELECT l.lane, l.status, l.down_since, COUNT(s.shipment_id) AS shipments, ROUND(SUM(s.load_time_minutes) * 100.0 / (${SPAN_HOURS} * 60), 1) AS utilization_pct FROM lanes l LEFT JOIN shipments s ON s.lane = l.lane GROUP BY l.lane ORDER BY l.lane`,
+  },
+  {
+    id: "load-times",
+    example: "What is the average load time per lane?",
+    pattern:
+      /load time|loading time|turnaround|average|kpi|performance|efficien/,
+    sql: "SELECT lane, COUNT(*) AS shipments, ROUND(AVG(load_time_minutes), 1) AS avg_load_minutes, MAX(load_time_minutes) AS max_load_minutes FROM shipments GROUP BY lane ORDER BY lane",
+  },
+];
+
+const FALLBACK_SQL =
+  "SELECT * FROM shipments ORDER BY start_time DESC LIMIT 100";
+
+// ==================== FOLLOW-UPS ====================
+
+const FOLLOW_UP =
+  /^(now|only|just|and|but|then|what about|how about|same)\b|\b(that|those|these|them)\b/;
+
+const GROUPINGS = [
+  {
+    pattern: /by (the )?month|monthly/,
+    column: "start_time",
+    alias: "month",
+    expression: "strftime('%Y-%m', start_time)",
+  },
+  {
+    pattern: /by (the )?day|daily/,
+    column: "start_time",
+    alias: "day",
+    expression: "date(start_time)",
+  },
+  {
+    pattern: /by (the )?hour|hourly/,
+    column: "start_time",
+    alias: "hour",
+    expression: "strftime('%Y-%m-%d %H:00', start_time)",
+  },
+  {
+    pattern: /by (the )?lane/,
+    column: "lane",
+    alias: "lane",
+    expression: "lane",
+  },
+  {
+    pattern: /by (the )?(load type|product)/,
+    column: "load_type",
+    alias: "load_type",
+    expression: "load_type",
+  },
+  {
+    pattern: /by (the )?status/,
+    column: "status",
+    alias: "status",
+    expression: "status",
+  },
+  {
+    pattern: /by (the )?truck/,
+    column: "truck_id",
+    alias: "truck_id",
+    expression: "truck_id",
+  },
+];
+
+const FILTER_COLUMNS = ["lane", "load_type", "status", "truck_id"];
+
+/**
+ * Finds a value of a filterable column mentioned in the question, e.g.
+ * "lane 3", "LANE03", "liquid" or "queued"
+ */
+const readFilter = (text, filterValues) => {
+  const laneNumber = text.match(/\blane\s*0?(\d)\b/);
+  if (laneNumber) return { column: "lane", value: `LANE0${laneNumber[1]}` };
+
+  for (const column of FILTER_COLUMNS) {
+    const value = filterValues[column].find((candidate) =>
+      new RegExp(`\\b${candidate.toLowerCase()}\\b`).test(text)
+    );
+    if (value) return { column, value };
+  }
+  return null;
+};
+
+/**
+ * Rewrites the previous turn's SQL for follow-ups such as "now only for
+ * lane 3" or "break that down by month", when its columns allow it
+ */
+const followUpSql = (text, context, filterValues) => {
+  const previous = context?.turns?.[context.turns.length - 1];
+  if (!previous?.sql_query || !FOLLOW_UP.test(text)) return null;
+
+  const columns = (previous.columns || []).map((column) => column.name);
+  const base = stripSemicolon(previous.sql_query);
+  const filter = readFilter(text, filterValues);
+  const where =
+    filter && columns.includes(filter.column)
+      ? ` WHERE ${filter.column} = '${filter.value}'`
+      : "";
+  const grouping = GROUPINGS.find(
+    ({ pattern, column }) => pattern.test(text) && columns.includes(column)
+  );
+
+  if (grouping) {
+    const quantity = columns.includes("gross_quantity")
+      ? ", SUM(gross_quantity) AS total_quantity"
+      : "";
+    return `SELECT ${grouping.expression} AS ${grouping.alias}, COUNT(*) AS shipments${quantity} FROM (${base})${where} GROUP BY ${grouping.alias} ORDER BY ${grouping.alias}`;
+  }
+  return where ? `SELECT * FROM (${base})${where}` : null;
+};
+
+/**
+ * Picks the SQL for a question: raw SELECT/WITH statements pass through,
+ * follow-ups refine the previous turn's SQL, otherwise the first matching
+ * rule wins and recent shipments are the fallback
+ */
+const questionToSql = (question, context, filterValues) => {
+  if (/^\s*(select|with)\b/i.test(question)) {
+    return { rule: "raw-sql", sql: stripSemicolon(question) };
+  }
+
+  const text = question.toLowerCase();
+  const followUp = followUpSql(text, context, filterValues);
+  if (followUp) return { rule: "follow-up", sql: followUp };
+
+  const rule = QUESTION_RULES.find(({ pattern }) => pattern.test(text));
+  return rule
+    ? { rule: rule.id, sql: rule.sql }
+    : { rule: "fallback", sql: FALLBACK_SQL };
+};
+
+// ==================== FAILURES ====================
+
+/**
+ * Reads "#fail:<kind>" from the question, returning the question without it
+ */
+const readFailTag = (question) => {
+  const match = question.match(/#fail:(\w+)/);
+  return {
+    question: question.replace(/#fail:\w+/, "").trim(),
+    failure: match ? match[1] : null,
+  };
+};
+
+const pickFailure = (requested) => {
+  const kind =
+    requested || (ERROR_RATE > 0 && random() < ERROR_RATE ? ERROR_KIND : null);
+  if (kind !== "mixed") return kind;
+  return FAILURE_KINDS[Math.floor(random() * FAILURE_KINDS.length)];
+};
+
+// ==================== HTTP ====================
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Accept, Authorization, X-API-Key, X-Contract-Version",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+};
+
+const pickFormat = (req, url) => {
+  const requested = url.searchParams.get("format") || process.env.STREAM_FORMAT;
+  if (requested) return requested;
+
+  const accept = req.headers.accept || "";
+  if (accept.includes("text/event-stream")) return "sse";
+  if (accept.includes("ndjson")) return "ndjson";
+  return "json";
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const buildResponse = (sql, rows, paging, error = null) =>
+  CONTRACT === "legacy"
+    ? error
+      ? { "sql query": sql, data: null, detail: error }
+      : { "sql query": sql, data: rows }
+    : {
+        contract_version: CONTRACT,
+        sql_query: sql,
+        data: rows,
+        error,
+        ...paging,
+      };
+
+const streamResult = async (req, res, format, sql, rows, paging) => {
+  let closed = false;
+  req.on("close", () => (closed = true));
+
+  res.writeHead(200, {
+    ...corsHeaders,
+    "Content-Type":
+      format === "sse" ? "text/event-stream" : "application/x-ndjson",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event) => {
+    if (format === "sse") {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } else {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  send({ type: "sql", sql });
+  send({ type: "progress", stage: "executing", message: "Running query" });
+
+  for (let i = 0; i < rows.length && !closed; i += CHUNK_SIZE) {
+    send({ type: "rows", rows: rows.slice(i, i + CHUNK_SIZE) });
+    await sleep(50);
+  }
+
+  if (!closed) {
+    send({ type: "done", rowCount: rows.length, ...paging });
+    res.end();
+  }
+};
+
+const handleQuery = async (db, filterValues, req, res, url) => {
+  const body = await readBody(req);
+  const { question, failure: taggedFailure } = readFailTag(
+    String(body.question || "")
+  );
+  const failure = pickFailure(url.searchParams.get("fail") || taggedFailure);
+  const { rule, sql } = questionToSql(
+    question,
+    body.conversation,
+    filterValues
+  );
+
+  console.log(
+    `[mock] ${rule}${failure ? ` (fail: ${failure})` : ""}: ${question}`
+  );
+
+  await sleep(LATENCY_MS + random() * LATENCY_JITTER_MS);
+
+  switch (failure) {
+    case "server":
+      sendJson(res, 503, { error: "Simulated server failure" });
+      return;
+    case "backend":
+      sendJson(
+        res,
+        200,
+        buildResponse(
+          null,
+          null,
+          {},
+          "Simulated LLM failure: could not generate SQL for this question"
+        )
+      );
+      return;
+    case "timeout":
+      await sleep(TIMEOUT_DELAY_MS);
+      if (!res.destroyed) sendJson(res, 504, { error: "Simulated timeout" });
+      return;
+    case "malformed":
+      // A 200 that is not JSON, like a proxy's error page
+      res.writeHead(200, { ...corsHeaders, "Content-Type": "text/html" });
+      res.end(
+        "<html><body><h1>Service temporarily unavailable</h1></body></html>"
+      );
+      return;
+    default:
+  }
+
+  const querySql =
+    failure === "sql" ? "SELECT missing_column FROM shipments" : sql;
+
+  let result;
+  try {
+    result =
+      failure === "empty"
+        ? { rows: [], paging: {} }
+        : executeQuery(db, querySql, body);
+  } catch (error) {
+    sendJson(res, 200, buildResponse(querySql, null, {}, error.message));
+    return;
+  }
+
+  const format = pickFormat(req, url);
+  if (body.stream && format !== "json") {
+    await streamResult(req, res, format, sql, result.rows, result.paging);
+    return;
+  }
+
+  sendJson(res, 200, buildResponse(sql, result.rows, result.paging));
+};
+
+const { db, rowCount } = await createDatabase();
+const filterValues = Object.fromEntries(
+  FILTER_COLUMNS.map((column) => [
+    column,
+    runSql(db, `SELECT DISTINCT ${column} AS value FROM shipments`).map(
+      (row) => row.value
+    ),
+  ])
+);
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/health") {
+    sendJson(res, 200, { status: "ok", scenario: SCENARIO.id, rows: rowCount });
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/questions") {
+    sendJson(
+      res,
+      200,
+      QUESTION_RULES.map(({ id, example, sql }) => ({ id, example, sql }))
+    );
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/query") {
+    await handleQuery(db, filterValues, req, res, url);
+    return;
+  }
+
+  sendJson(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock LangChain server listening on http://localhost:${PORT} (${SCENARIO.name}, seed ${SEED}, ${rowCount} shipments)`
+  );
+});
@@ -0,0 +1,188 @@
+/**
+ * Streaming Stub Server
+ * Minimal stand-in for the LangChain backend that streams POST /query
+ * responses, for exercising the streaming client without a real backend.
+ *
+ * Usage:
+ *   npm run stub:stream                 # NDJSON on http://localhost:3001
+ *   PORT=4000 CHUNK_DELAY=500 npm run stub:stream
+ *
+ * The format follows the request's Accept header (text/event-stream wins
+ * over application/x-ndjson); STREAM_FORMAT=sse|ndjson|json or
+ * ?format=... overrides it. FAIL_MIDSTREAM=true (or ?fail=midstream)
+ * emits an error event halfway through the rows.
+ *
+ * Requests with page_size are paged: PAGING=cursor (default) answers with
+ * next_cursor, PAGING=page with page numbers, PAGING=off ignores page_size.
+ * ROW_COUNT=5000 makes paging visible with the default page size.
+ */
+
+import http from "node:http";
+
+const PORT = Number(process.env.PORT) || 3001;
+const CHUNK_DELAY = Number(process.env.CHUNK_DELAY) || 250;
+const ROW_COUNT = Number(process.env.ROW_COUNT) || 120;
+const CHUNK_SIZE = 20;
+const PAGING = process.env.PAGING || "cursor";
+
+const SQL =
+  "SELECT shipment_id, bay_code, gross_quantity, flow_rate, exit_time FROM shipments ORDER BY exit_time DESC";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const buildRows = () => {
+  const bays = ["A1", "A2", "B1", "B2", "C1"];
+  const start = Date.UTC(2024, 0, 1);
+
+  return Array.from({ length: ROW_COUNT }, (_, i) => ({
+    shipment_id: `S${1000 + i}`,
+    bay_code: bays[i % bays.length],
+    gross_quantity: 10 + ((i * 37) % 90),
+    flow_rate: Number((10 + ((i * 13) % 50) + (i % 7) / 10).toFixed(2)),
+    exit_time: new Date(start + i * 45 * 60 * 1000).toISOString(),
+  }));
+};
+
+/**
+ * Slices the requested page out of all rows and describes it with the
+ * contract 1.1 paging fields
+ */
+const pageRows = (rows, body) => {
+  const pageSize = Number(body.page_size);
+  if (PAGING === "off" || !pageSize) return { rows, paging: {} };
+
+  const offset =
+    PAGING === "page"
+      ? (Math.max(1, Number(body.page) || 1) - 1) * pageSize
+      : Number(body.cursor) || 0;
+  const end = offset + pageSize;
+  const hasMore = end < rows.length;
+
+  return {
+    rows: rows.slice(offset, end),
+    paging: {
+      total_count: rows.length,
+      has_more: hasMore,
+      ...(PAGING === "page"
+        ? { page: offset / pageSize + 1 }
+        : { next_cursor: hasMore ? String(end) : null }),
+    },
+  };
+};
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+const pickFormat = (req, url) => {
+  const requested = url.searchParams.get("format") || process.env.STREAM_FORMAT;
+  if (requested) return requested;
+
+  const accept = req.headers.accept || "";
+  if (accept.includes("text/event-stream")) return "sse";
+  if (accept.includes("ndjson")) return "ndjson";
+  return "json";
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const streamQuery = async (req, res, format, body, failMidstream) => {
+  const { rows, paging } = pageRows(buildRows(), body);
+  let closed = false;
+  req.on("close", () => (closed = true));
+
+  res.writeHead(200, {
+    ...corsHeaders,
+    "Content-Type":
+      format === "sse" ? "text/event-stream" : "application/x-ndjson",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event) => {
+    if (format === "sse") {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } else {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  send({ type: "progress", stage: "generating-sql", message: "Thinking" });
+  await sleep(CHUNK_DELAY);
+  send({ type: "sql", sql: SQL });
+  send({ type: "progress", stage: "executing", message: "Running query" });
+  await sleep(CHUNK_DELAY);
+
+  for (let i = 0; i < rows.length && !closed; i += CHUNK_SIZE) {
+    if (failMidstream && i >= rows.length / 2) {
+      send({ type: "error", message: "Simulated failure mid-stream" });
+      res.end();
+      return;
+    }
+    send({ type: "rows", rows: rows.slice(i, i + CHUNK_SIZE) });
+    await sleep(CHUNK_DELAY);
+  }
+
+  if (!closed) {
+    send({ type: "done", rowCount: rows.length, ...paging });
+    res.end();
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/health") {
+    res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ status: "ok" }));
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/query") {
+    const body = await readBody(req);
+    const format = pickFormat(req, url);
+    console.log(`[stub] ${format} query: ${body.question}`);
+
+    if (format === "json" || !body.stream) {
+      res.writeHead(200, {
+        ...corsHeaders,
+        "Content-Type": "application/json",
+      });
+      const { rows, paging } = pageRows(buildRows(), body);
+      res.end(JSON.stringify({ "sql query": SQL, data: rows, ...paging }));
+      return;
+    }
+
+    const failMidstream =
+      url.searchParams.get("fail") === "midstream" ||
+      process.env.FAIL_MIDSTREAM === "true";
+    await streamQuery(req, res, format, body, failMidstream);
+    return;
+  }
+
+  res.writeHead(404, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify({ error: "Not found" }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Streaming stub server listening on http://localhost:${PORT}`);
+});
@@ -1,33 +1,109 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import "./App.css";
 import Header from "./components/Header.jsx";
+import DemoModeBanner from "./components/DemoModeBanner.jsx";
+import LoginScreen from "./components/LoginScreen.jsx";
+import CommandPalette from "./components/CommandPalette.jsx";
+import ShortcutCheatSheet from "./components/ShortcutCheatSheet.jsx";
+import LiveAnnouncer from "./components/LiveAnnouncer.jsx";
+import { useConnection } from "./hooks/useConnection.js";
+import { useDataMode } from "./hooks/useDataMode.js";
+import { useAuth } from "./hooks/useAuth.js";
+import { useRoute } from "./hooks/useRoute.js";
+import { useAppCommands } from "./hooks/useAppCommands.js";
+import { useLocale } from "./hooks/useLocale.js";
+import { requiresLogin } from "./services/authService.js";
+import { PAGES, navigateTo } from "./services/router.js";
+import { handleShortcut } from "./services/commands.js";
 import Dashboard from "./pages/Dashboard.jsx";
 import AIChat from "./pages/AIChat.jsx";
 import Analytics from "./pages/Analytics.jsx";
 import TrafficControlTower from "./pages/TrafficControlTower.jsx";
+import NotFound from "./pages/NotFound.jsx";
+
+const APP_TITLE = "ShipmentIQ Analytics";
+
+// Moves the focus to the page heading, so screen readers start reading the
+// new page and keyboard users continue from its top
+const focusPageHeading = () => {
+  const heading = document.querySelector("main h1");
+  if (!heading) return;
+  heading.setAttribute("tabindex", "-1");
+  heading.focus();
+};
 
 const App = () => {
-  const [activeTab, setActiveTab] = useState("Dashboard");
+  const { page, params } = useRoute();
+  const { activeProfile } = useConnection();
+  const { isDemo } = useDataMode();
+  const { language, t } = useLocale();
+  const [overlay, setOverlay] = useState(null); // "palette" or "shortcuts"
+  const firstPageRef = useRef(true);
+  useAuth();
+
+  useAppCommands({
+    openPalette: () =>
+      setOverlay((current) => (current === "palette" ? null : "palette")),
+    openShortcuts: () => setOverlay("shortcuts"),
+  });
+
+  useEffect(() => {
+    window.addEventListener("keydown", handleShortcut);
+    return () => window.removeEventListener("keydown", handleShortcut);
+  }, []);
+
+  useEffect(() => {
+    const title =
+      page === PAGES.NOT_FOUND ? t("app.notFoundTitle") : t(`page.${page}`);
+    document.title = `${title} · ${APP_TITLE}`;
+  }, [page, language, t]);
+
+  useEffect(() => {
+    // The first page keeps the browser's initial focus
+    if (firstPageRef.current) {
+      firstPageRef.current = false;
+      return;
+    }
+    focusPageHeading();
+  }, [page]);
+
+  // Demo data never reaches the backend, so it needs no sign-in
+  const needsLogin = !isDemo && requiresLogin(activeProfile);
+
+  const openInAnalytics = (question) => {
+    navigateTo(PAGES.ANALYTICS, { q: question });
+  };
 
   const renderCurrentPage = () => {
-    switch (activeTab) {
-      case "Dashboard":
-        return <Dashboard />;
-      case "AI Chat":
+    switch (page) {
+      case PAGES.DASHBOARD:
+        return <Dashboard onOpenInAnalytics={openInAnalytics} />;
+      case PAGES.CHAT:
         return <AIChat />;
-      case "Analytics":
-        return <Analytics />;
-      case "Traffic Control":
-        return <TrafficControlTower />;
+      case PAGES.ANALYTICS:
+        return <Analytics question={params.q} view={params.view} />;
+      case PAGES.TRAFFIC:
+        return <TrafficControlTower tab={params.tab} lane={params.lane} />;
       default:
-        return <Dashboard />;
+        return <NotFound path={params.path} />;
     }
   };
 
   return (
     <div className="app">
-      <Header activeTab={activeTab} onTabChange={setActiveTab} />
-      {renderCurrentPage()}
+      <button type="button" className="skip-link" onClick={focusPageHeading}>
+        {t("app.skipLink")}
+      </button>
+      <Header activePage={page} />
+      <DemoModeBanner />
+      {needsLogin ? <LoginScreen /> : renderCurrentPage()}
+      {overlay === "palette" && (
+        <CommandPalette onClose={() => setOverlay(null)} />
+      )}
+      {overlay === "shortcuts" && (
+        <ShortcutCheatSheet onClose={() => setOverlay(null)} />
+      )}
+      <LiveAnnouncer />
     </div>
   );
 };
@@ -1,63 +1,336 @@
-import React, { useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  streamDataFromLangChain,
+  formatAPIError,
+} from "../services/apiService.js";
+import { QUERY_ERROR_TYPES } from "../services/responseContract.js";
+import { invalidateQueryCache } from "../services/queryCache.js";
+import { announce } from "../services/announcer.js";
+import {
+  DATASET_SLOTS,
+  completeQuery,
+  failQuery,
+  startQuery,
+  updateQuery,
+} from "../services/dataStore.js";
+import { useDataset } from "../hooks/useDataset.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { DATASET_KINDS, runSlashCommand } from "../utils/slashCommands.js";
+import {
+  describeSchema,
+  generateQuerySuggestions,
+  getQueryCompletions,
+} from "../utils/querySuggestions.js";
+import { summarizeResult } from "../utils/resultSummary.js";
+import { describeStreamStage } from "../utils/streamParsing.js";
+import { downloadFile } from "../utils/download.js";
+import SlashCommandInput from "./SlashCommandInput.jsx";
+import ChatResult from "./ChatResult.jsx";
+import CacheBadge from "./CacheBadge.jsx";
+import ResponseWarnings from "./ResponseWarnings.jsx";
 
-const AIAssistant = () => {
+const SLOT = DATASET_SLOTS.ASSISTANT;
+const NO_ROWS = [];
+
+// The answer card for the assistant slot's query and dataset
+const describeAnswer = (query, dataset) => {
+  if (query?.status === "loading") {
+    return {
+      question: query.question,
+      status: "streaming",
+      stage: query.stage,
+      rowCount: dataset?.data.length || 0,
+    };
+  }
+  if (query?.status === "error" || query?.status === "cancelled") {
+    return {
+      question: query.question,
+      status: query.status,
+      text: query.error,
+      sqlQuery: dataset?.sqlQuery,
+      retryable: query.status === "cancelled" || Boolean(query.retryQuestion),
+    };
+  }
+  if (!dataset) return null;
+
+  return {
+    question: dataset.question,
+    status: "done",
+    text: dataset.text || summarizeResult(dataset.data, dataset.pagination),
+    data: dataset.data,
+    sqlQuery: dataset.sqlQuery,
+    chart: dataset.chart ?? null,
+    command: Boolean(dataset.command),
+    cachedAt: dataset.cachedAt,
+    isDemo: dataset.source === "demo",
+    warnings: dataset.warnings,
+    contractVersion: dataset.contractVersion,
+  };
+};
+
+const AIAssistant = ({ onOpenInAnalytics }) => {
+  const { t } = useLocale();
   const [inputValue, setInputValue] = useState("");
+  // Output of /describe, /help, /export and invalid commands; not kept
+  const [commandResult, setCommandResult] = useState(null);
+  const controllerRef = useRef(null);
+  // The latest answer, kept in the store so it survives tab switches
+  const { dataset: answerSet, query } = useDataset(SLOT);
+  // The Dashboard loads the overview for its metrics
+  const { dataset: overview } = useDataset(DATASET_SLOTS.OVERVIEW);
+
+  // Suggestions, autocomplete and slash commands work on the latest answer,
+  // or on the overview until there is one
+  const working = answerSet?.data.length ? answerSet : overview;
+  const rows = working?.data || NO_ROWS;
+  const workingSource = working?.source || "live";
+
+  // Stop a running answer when leaving
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const schema = useMemo(() => describeSchema(rows), [rows]);
+  const suggestions = useMemo(() => generateQuerySuggestions(rows), [rows]);
+  const completeQuestion = useCallback(
+    (value) => getQueryCompletions(value, schema),
+    [schema]
+  );
 
-  const suggestions = [
-    "Show me total shipments by year",
-    "Create a pie chart of product distribution",
-    "Bar chart of flow rates by bay code",
-    "Show shipment trends over time",
-    "Analyze top performing products",
-    "Display monthly shipment volumes",
-  ];
-
-  const handleAskAI = () => {
-    if (inputValue.trim()) {
-      alert(`AI Query: ${inputValue}`);
-      setInputValue("");
+  const answer = useMemo(
+    () => commandResult || describeAnswer(query, answerSet),
+    [commandResult, query, answerSet]
+  );
+
+  const askQuestion = async (question, { bypassCache = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setCommandResult(null);
+    const queryId = startQuery(SLOT, question);
+
+    const result = await streamDataFromLangChain(question, {
+      signal: controller.signal,
+      bypassCache,
+      onUpdate: (partial) =>
+        updateQuery(SLOT, {
+          queryId,
+          stage: partial.stage,
+          data: partial.data,
+          sqlQuery: partial.sqlQuery,
+        }),
+    });
+    if (controllerRef.current === controller) controllerRef.current = null;
+
+    if (result.success) {
+      completeQuery(SLOT, result, { queryId });
+      announce(
+        t("chat.answerReady", {
+          summary: summarizeResult(result.data, result.pagination),
+        })
+      );
+    } else if (result.cancelled) {
+      failQuery(SLOT, {
+        queryId,
+        cancelled: true,
+        error: t("chat.cancelled", { count: result.data.length }),
+      });
+    } else {
+      const error = formatAPIError(result.error);
+      failQuery(SLOT, {
+        queryId,
+        error,
+        retryQuestion:
+          result.error?.type !== QUERY_ERROR_TYPES.EMPTY ? question : null,
+      });
+      announce(error, { assertive: true });
     }
   };
 
-  const handleSuggestionClick = (suggestion) => {
-    setInputValue(suggestion);
+  // Forgets every cached answer to the question, not just the one shown,
+  // so a later ask in another context is not served stale rows either
+  const refreshAnswer = async (question) => {
+    await invalidateQueryCache(question);
+    askQuestion(question, { bypassCache: true });
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter") {
-      handleAskAI();
+  const runCommand = async (input) => {
+    const outcome = await runSlashCommand(input, working);
+    if (!outcome.success) {
+      setCommandResult({
+        question: input,
+        command: true,
+        status: "error",
+        text: outcome.error,
+      });
+      return;
+    }
+
+    if (outcome.kind === "export") {
+      const { content, filename, type } = outcome.file;
+      downloadFile(content, filename, type);
     }
+    // Filtered, ranked and charted rows become the next command's input
+    if (DATASET_KINDS.includes(outcome.kind)) {
+      setCommandResult(null);
+      completeQuery(
+        SLOT,
+        {
+          userQuestion: input,
+          data: outcome.data,
+          sqlQuery: outcome.sql || "",
+          source: workingSource,
+        },
+        {
+          extra: {
+            command: true,
+            text: outcome.text,
+            chart: outcome.chart ?? null,
+          },
+        }
+      );
+      return;
+    }
+    setCommandResult({
+      question: input,
+      command: true,
+      status: "done",
+      text: outcome.text,
+      data: outcome.data || null,
+      chart: outcome.chart ?? null,
+      isDemo: workingSource === "demo",
+    });
   };
 
+  const handleAskAI = (value) => {
+    const text = value.trim();
+    if (!text) return;
+
+    if (text.startsWith("/")) runCommand(text);
+    else askQuestion(text);
+    setInputValue("");
+  };
+
+  const handleSuggestionClick = (suggestion) => {
+    setInputValue(suggestion);
+  };
+
+  const canRetry = Boolean(answer?.retryable);
+
   return (
     <div className="ai-assistant">
-      <h2>AI Assistant</h2>
-
-      <div className="ai-input-container">
-        <input
-          type="text"
-          className="ai-input"
-          placeholder="Ask me anything about your shipment data..."
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          onKeyPress={handleKeyPress}
-        />
-        <button className="ask-button" onClick={handleAskAI}>
-          Ask AI
+      <h2>{t("assistant.title")}</h2>
+
+      <SlashCommandInput
+        className="ai-input-container"
+        inputClassName="ai-input"
+        placeholder={t("assistant.placeholder")}
+        placement="below"
+        value={inputValue}
+        onChange={setInputValue}
+        onSubmit={handleAskAI}
+        data={rows}
+        getTextCompletions={completeQuestion}
+      >
+        <button className="ask-button" onClick={() => handleAskAI(inputValue)}>
+          {t("analytics.ask")}
         </button>
-      </div>
+      </SlashCommandInput>
+
+      {answer && (
+        <div className={`assistant-answer ${answer.status}`}>
+          <div className="assistant-answer-header">
+            <h3>{answer.question}</h3>
+            {answer.status === "streaming" && (
+              <button
+                className="cancel-query-btn"
+                onClick={() => controllerRef.current?.abort()}
+              >
+                {t("common.cancel")}
+              </button>
+            )}
+          </div>
+
+          {answer.status === "streaming" ? (
+            <p className="streaming-stage">
+              {describeStreamStage(answer.stage)}
+              {answer.rowCount > 0 &&
+                ` · ${t("records.count", { count: answer.rowCount })}`}
+            </p>
+          ) : (
+            <p>{answer.text}</p>
+          )}
+
+          {answer.status === "done" && (
+            <ChatResult
+              data={answer.data}
+              sqlQuery={answer.sqlQuery}
+              question={answer.question}
+              isDemo={answer.isDemo}
+              chart={answer.chart}
+            />
+          )}
+
+          {answer.sqlQuery && (
+            <details className="message-sql-block">
+              <summary>{t("chat.generatedSql")}</summary>
+              <code className="message-sql">{answer.sqlQuery}</code>
+            </details>
+          )}
+
+          <div className="assistant-answer-footer">
+            {answer.cachedAt && (
+              <CacheBadge
+                cachedAt={answer.cachedAt}
+                onRefresh={() => refreshAnswer(answer.question)}
+              />
+            )}
+            {answer.isDemo && (
+              <span className="api-badge demo">{t("chat.demoBadge")}</span>
+            )}
+            {canRetry && (
+              <button
+                className="settings-button"
+                onClick={() => askQuestion(answer.question)}
+              >
+                {t("common.retry")}
+              </button>
+            )}
+            {answer.status === "done" &&
+              !answer.command &&
+              onOpenInAnalytics && (
+                <button
+                  className="open-in-analytics"
+                  onClick={() => onOpenInAnalytics(answer.question)}
+                >
+                  {t("assistant.openInAnalytics")}
+                </button>
+              )}
+          </div>
+          <ResponseWarnings
+            warnings={answer.warnings}
+            contractVersion={answer.contractVersion}
+          />
+        </div>
+      )}
 
       <div className="query-suggestions">
-        <p>Try these queries:</p>
+        <p>{t("assistant.suggestions")}</p>
         <div className="suggestion-tags">
-          {suggestions.map((suggestion, index) => (
-            <div
-              key={index}
+          {suggestions.map((suggestion) => (
+            <button
+              type="button"
+              key={suggestion}
               className="suggestion-tag"
               onClick={() => handleSuggestionClick(suggestion)}
             >
               {suggestion}
-            </div>
+            </button>
           ))}
         </div>
       </div>
@@ -0,0 +1,153 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { streamDataFromLangChain } from "../services/apiService.js";
+import {
+  DATASET_SLOTS,
+  clearSlot,
+  loadDataset,
+} from "../services/dataStore.js";
+import {
+  buildCacheKey,
+  getCachedResult,
+  setCachedResult,
+} from "../services/queryCache.js";
+import { runLocalQuery } from "../services/sqlEngine.js";
+import AIAssistant from "./AIAssistant.jsx";
+
+jest.mock("../services/apiService.js", () => ({
+  streamDataFromLangChain: jest.fn(),
+  formatAPIError: (error) => error?.message || "",
+}));
+jest.mock("../services/sqlEngine.js", () => ({
+  ...jest.requireActual("../services/sqlEngine.js"),
+  runLocalQuery: jest.fn(),
+}));
+// Charts need a canvas; the answer's text is what these tests read
+jest.mock("./ChatResult.jsx", () => () => null);
+
+const ROWS = [
+  { lane: "A", teu: 12 },
+  { lane: "B", teu: 7 },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clearSlot(DATASET_SLOTS.ASSISTANT);
+  loadDataset(DATASET_SLOTS.OVERVIEW, {
+    question: "Overview",
+    data: ROWS,
+    sqlQuery: "SELECT lane, teu FROM shipments",
+    pagination: null,
+  });
+});
+
+const submit = (text) => {
+  const input = screen.getByRole("combobox");
+  fireEvent.change(input, { target: { value: text } });
+  fireEvent.click(screen.getByRole("button", { name: "Ask AI" }));
+};
+
+describe("AIAssistant /sql", () => {
+  it("runs the query in the browser and does not ask it as a question", async () => {
+    runLocalQuery.mockResolvedValue({
+      success: true,
+      data: [{ lane: "A", teu: 12 }],
+      columns: ["lane", "teu"],
+      elapsedMs: 3,
+    });
+    render(<AIAssistant />);
+
+    submit("/sql SELECT * FROM shipments WHERE teu > 10");
+
+    expect(await screen.findByText(/run in the browser/)).toBeTruthy();
+    expect(runLocalQuery).toHaveBeenCalledWith(
+      "SELECT * FROM shipments WHERE teu > 10",
+      { shipments: ROWS, dataset: ROWS }
+    );
+    expect(streamDataFromLangChain).not.toHaveBeenCalled();
+  });
+
+  it("shows the engine's error without falling back to a question", async () => {
+    runLocalQuery.mockResolvedValue({
+      success: false,
+      error: "no such table: berths",
+    });
+    render(<AIAssistant />);
+
+    submit("/sql SELECT * FROM berths");
+
+    expect(await screen.findByText("no such table: berths")).toBeTruthy();
+    expect(streamDataFromLangChain).not.toHaveBeenCalled();
+  });
+});
+
+describe("AIAssistant questions", () => {
+  it("suggests questions about the loaded fields", () => {
+    render(<AIAssistant />);
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Bar chart of total teu by lane" })
+    );
+
+    expect(screen.getByRole("combobox").value).toBe(
+      "Bar chart of total teu by lane"
+    );
+  });
+
+  it("completes field names while typing", () => {
+    render(<AIAssistant />);
+
+    fireEvent.change(screen.getByRole("combobox"), {
+      target: { value: "Average te" },
+    });
+
+    expect(screen.getByRole("option", { name: /teu/ })).toBeTruthy();
+  });
+
+  it("asks the question and shows a summary of the answer", async () => {
+    streamDataFromLangChain.mockResolvedValue({
+      success: true,
+      userQuestion: "Which lane moves the most teu?",
+      data: [{ lane: "B", teu: 30 }],
+      sqlQuery: "SELECT lane, SUM(teu) AS teu FROM shipments GROUP BY lane",
+      pagination: null,
+      source: "live",
+      warnings: [],
+    });
+    render(<AIAssistant />);
+
+    submit("Which lane moves the most teu?");
+
+    expect(await screen.findByText(/Found 1 record/)).toBeTruthy();
+    expect(streamDataFromLangChain).toHaveBeenCalledWith(
+      "Which lane moves the most teu?",
+      expect.objectContaining({ bypassCache: false })
+    );
+  });
+
+  it("forgets the question's cached answers when refreshed", async () => {
+    const question = "Which lane moves the most teu?";
+    const key = buildCacheKey("prod", question);
+    setCachedResult(key, { data: ROWS, userQuestion: question });
+    const answer = {
+      success: true,
+      userQuestion: question,
+      data: ROWS,
+      pagination: null,
+    };
+    streamDataFromLangChain
+      .mockResolvedValueOnce({ ...answer, fromCache: true, cachedAt: 1 })
+      .mockResolvedValueOnce({ ...answer, data: [{ lane: "B", teu: 30 }] });
+    render(<AIAssistant />);
+    submit(question);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Refresh" }));
+
+    expect(await screen.findByText(/Found 1 record/)).toBeTruthy();
+    expect(screen.queryByRole("button", { name: "Refresh" })).toBeNull();
+    expect(streamDataFromLangChain).toHaveBeenLastCalledWith(
+      question,
+      expect.objectContaining({ bypassCache: true })
+    );
+    expect(await getCachedResult(key)).toBeNull();
+  });
+});
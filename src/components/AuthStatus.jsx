@@ -0,0 +1,42 @@
+import React from "react";
+import { useConnection } from "../hooks/useConnection.js";
+import { useAuth } from "../hooks/useAuth.js";
+import { useLocale } from "../hooks/useLocale.js";
+import {
+  AUTH_MODES,
+  getSession,
+  isAuthRequired,
+  logout,
+} from "../services/authService.js";
+
+const AuthStatus = () => {
+  const { t } = useLocale();
+  const { activeProfile } = useConnection();
+  useAuth();
+
+  if (!isAuthRequired(activeProfile)) return null;
+
+  const session = getSession(activeProfile);
+  if (!session) return null;
+
+  const label =
+    session.mode === AUTH_MODES.API_KEY
+      ? t("login.apiKey")
+      : session.user || t("auth.signedIn");
+
+  return (
+    <div className="auth-status">
+      <span
+        className="auth-user"
+        title={t("auth.signedInTo", { name: activeProfile.name })}
+      >
+        👤 {label}
+      </span>
+      <button className="auth-logout" onClick={() => logout(activeProfile.id)}>
+        {t("auth.logout")}
+      </button>
+    </div>
+  );
+};
+
+export default AuthStatus;
@@ -0,0 +1,428 @@
+import React, { useState } from "react";
+import { useConnection } from "../hooks/useConnection.js";
+import { useLocale } from "../hooks/useLocale.js";
+import {
+  setActiveBackend,
+  updateBackendProfile,
+  resetBackendProfiles,
+  checkBackendHealth,
+} from "../services/connectionManager.js";
+import {
+  getQueryCacheInfo,
+  configureQueryCache,
+  invalidateQueryCache,
+} from "../services/queryCache.js";
+import {
+  getRetryPolicy,
+  configureRetryPolicy,
+} from "../services/resilience.js";
+import {
+  getPageSize,
+  configurePageSize,
+  MIN_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} from "../services/pagination.js";
+import { AUTH_MODES } from "../services/authService.js";
+import {
+  getContextSettings,
+  configureContext,
+  MAX_CONTEXT_TURNS,
+  MIN_TOKEN_BUDGET,
+  MAX_TOKEN_BUDGET,
+} from "../services/conversationContext.js";
+
+const ProfileEditor = ({ profile, isActive, health }) => {
+  const { t } = useLocale();
+  const [draft, setDraft] = useState({
+    name: profile.name,
+    baseUrl: profile.baseUrl,
+    timeout: profile.timeout,
+    authMode: profile.authMode || AUTH_MODES.NONE,
+    apiKeyHeader: profile.apiKeyHeader || "X-API-Key",
+    loginPath: profile.loginPath || "/auth/login",
+  });
+
+  const isDirty =
+    draft.name !== profile.name ||
+    draft.baseUrl !== profile.baseUrl ||
+    Number(draft.timeout) !== profile.timeout ||
+    draft.authMode !== profile.authMode ||
+    draft.apiKeyHeader !== profile.apiKeyHeader ||
+    draft.loginPath !== profile.loginPath;
+
+  const handleSave = () => {
+    updateBackendProfile(profile.id, {
+      name: draft.name.trim() || profile.name,
+      baseUrl: draft.baseUrl.trim(),
+      timeout: Number(draft.timeout) || profile.timeout,
+      authMode: draft.authMode,
+      apiKeyHeader: draft.apiKeyHeader.trim() || "X-API-Key",
+      loginPath: draft.loginPath.trim() || "/auth/login",
+    });
+  };
+
+  return (
+    <div className={`backend-profile ${isActive ? "active" : ""}`}>
+      <div className="backend-profile-header">
+        <label className="backend-profile-select">
+          <input
+            type="radio"
+            name="active-backend"
+            checked={isActive}
+            onChange={() => setActiveBackend(profile.id)}
+          />
+          <span>{profile.name}</span>
+        </label>
+        <span className={`health-dot ${health?.status || "unknown"}`}></span>
+        <span className="backend-profile-health">
+          {t(`backend.status.${health?.status || "unknown"}`)}
+          {health?.latencyMs != null &&
+            ` · ${t("backend.latency", { ms: health.latencyMs })}`}
+        </span>
+      </div>
+
+      {profile.kind === "mock" ? (
+        <p className="backend-profile-note">{t("backend.mockNote")}</p>
+      ) : (
+        <div className="backend-profile-fields">
+          <label>
+            {t("backend.name")}
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+          </label>
+          <label>
+            {t("backend.baseUrl")}
+            <input
+              type="url"
+              placeholder="https://your-backend.example.com"
+              value={draft.baseUrl}
+              onChange={(e) => setDraft({ ...draft, baseUrl: e.target.value })}
+            />
+          </label>
+          <label>
+            {t("backend.timeout")}
+            <input
+              type="number"
+              min="1000"
+              step="1000"
+              value={draft.timeout}
+              onChange={(e) => setDraft({ ...draft, timeout: e.target.value })}
+            />
+          </label>
+          <label>
+            {t("backend.auth")}
+            <select
+              value={draft.authMode}
+              onChange={(e) => setDraft({ ...draft, authMode: e.target.value })}
+            >
+              <option value={AUTH_MODES.NONE}>{t("backend.auth.none")}</option>
+              <option value={AUTH_MODES.BEARER}>
+                {t("backend.auth.bearer")}
+              </option>
+              <option value={AUTH_MODES.API_KEY}>{t("login.apiKey")}</option>
+            </select>
+          </label>
+          {draft.authMode === AUTH_MODES.BEARER && (
+            <label>
+              {t("backend.loginPath")}
+              <input
+                type="text"
+                value={draft.loginPath}
+                onChange={(e) =>
+                  setDraft({ ...draft, loginPath: e.target.value })
+                }
+              />
+            </label>
+          )}
+          {draft.authMode === AUTH_MODES.API_KEY && (
+            <label>
+              {t("backend.apiKeyHeader")}
+              <input
+                type="text"
+                value={draft.apiKeyHeader}
+                onChange={(e) =>
+                  setDraft({ ...draft, apiKeyHeader: e.target.value })
+                }
+              />
+            </label>
+          )}
+        </div>
+      )}
+
+      <div className="backend-profile-actions">
+        {profile.kind !== "mock" && (
+          <button
+            className="settings-button primary"
+            onClick={handleSave}
+            disabled={!isDirty}
+          >
+            {t("backend.save")}
+          </button>
+        )}
+        <button
+          className="settings-button"
+          onClick={() => checkBackendHealth(profile.id)}
+          disabled={health?.status === "checking"}
+        >
+          {health?.status === "checking"
+            ? t("backend.checking")
+            : t("backend.test")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const QueryCacheSettings = () => {
+  const { t } = useLocale();
+  const [cacheInfo, setCacheInfo] = useState(getQueryCacheInfo());
+
+  const applyChanges = (changes) => {
+    configureQueryCache(changes);
+    setCacheInfo(getQueryCacheInfo());
+  };
+
+  const handleClear = async () => {
+    await invalidateQueryCache();
+    setCacheInfo(getQueryCacheInfo());
+  };
+
+  return (
+    <div className="backend-profile">
+      <div className="backend-profile-header">
+        <span className="backend-profile-select">
+          {t("backend.cache.title")}
+        </span>
+        <span className="backend-profile-health">
+          {t("backend.cache.entries", { count: cacheInfo.entries })}
+        </span>
+      </div>
+      <div className="backend-profile-fields">
+        <label>
+          {t("backend.cache.ttl")}
+          <input
+            type="number"
+            min="0"
+            value={Math.round(cacheInfo.ttlMs / 60000)}
+            onChange={(e) =>
+              applyChanges({
+                ttlMs: Math.max(0, Number(e.target.value)) * 60000,
+              })
+            }
+          />
+        </label>
+        <label className="settings-checkbox">
+          <input
+            type="checkbox"
+            checked={cacheInfo.persist}
+            onChange={(e) => applyChanges({ persist: e.target.checked })}
+          />
+          {t("backend.cache.persist")}
+        </label>
+      </div>
+      <div className="backend-profile-actions">
+        <button className="settings-button" onClick={handleClear}>
+          {t("backend.cache.clear")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const RetrySettings = () => {
+  const { t } = useLocale();
+  const [policy, setPolicy] = useState(getRetryPolicy());
+
+  const applyChanges = (changes) => {
+    configureRetryPolicy(changes);
+    setPolicy(getRetryPolicy());
+  };
+
+  return (
+    <div className="backend-profile">
+      <div className="backend-profile-header">
+        <span className="backend-profile-select">
+          {t("backend.retry.title")}
+        </span>
+        <span className="backend-profile-health">
+          {t("backend.retry.pauses", { count: policy.failureThreshold })}
+        </span>
+      </div>
+      <div className="backend-profile-fields">
+        <label>
+          {t("backend.retry.count")}
+          <input
+            type="number"
+            min="0"
+            max="10"
+            value={policy.maxRetries}
+            onChange={(e) =>
+              applyChanges({
+                maxRetries: Math.min(10, Math.max(0, Number(e.target.value))),
+              })
+            }
+          />
+        </label>
+        <label>
+          {t("backend.retry.delay")}
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={policy.baseDelayMs}
+            onChange={(e) =>
+              applyChanges({ baseDelayMs: Math.max(0, Number(e.target.value)) })
+            }
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+const PagingSettings = () => {
+  const { t } = useLocale();
+  const [pageSize, setPageSize] = useState(getPageSize());
+
+  const applyPageSize = () => {
+    configurePageSize(Number(pageSize));
+    setPageSize(getPageSize());
+  };
+
+  return (
+    <div className="backend-profile">
+      <div className="backend-profile-header">
+        <span className="backend-profile-select">
+          {t("backend.paging.title")}
+        </span>
+        <span className="backend-profile-health">
+          {t("backend.paging.note")}
+        </span>
+      </div>
+      <div className="backend-profile-fields">
+        <label>
+          {t("backend.paging.size", { min: MIN_PAGE_SIZE, max: MAX_PAGE_SIZE })}
+          <input
+            type="number"
+            min={MIN_PAGE_SIZE}
+            max={MAX_PAGE_SIZE}
+            step="50"
+            value={pageSize}
+            onChange={(e) => setPageSize(e.target.value)}
+            onBlur={applyPageSize}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+const ConversationSettings = () => {
+  const { t } = useLocale();
+  const [form, setForm] = useState(getContextSettings());
+
+  const applySettings = () => {
+    configureContext({
+      maxTurns: Number(form.maxTurns),
+      tokenBudget: Number(form.tokenBudget),
+    });
+    setForm(getContextSettings());
+  };
+
+  return (
+    <div className="backend-profile">
+      <div className="backend-profile-header">
+        <span className="backend-profile-select">
+          {t("backend.context.title")}
+        </span>
+        <span className="backend-profile-health">
+          {t("backend.context.note")}
+        </span>
+      </div>
+      <div className="backend-profile-fields">
+        <label>
+          {t("backend.context.turns")}
+          <input
+            type="number"
+            min="0"
+            max={MAX_CONTEXT_TURNS}
+            value={form.maxTurns}
+            onChange={(e) => setForm({ ...form, maxTurns: e.target.value })}
+            onBlur={applySettings}
+          />
+        </label>
+        <label>
+          {t("backend.context.budget", {
+            min: MIN_TOKEN_BUDGET,
+            max: MAX_TOKEN_BUDGET,
+          })}
+          <input
+            type="number"
+            min={MIN_TOKEN_BUDGET}
+            max={MAX_TOKEN_BUDGET}
+            step="100"
+            value={form.tokenBudget}
+            onChange={(e) => setForm({ ...form, tokenBudget: e.target.value })}
+            onBlur={applySettings}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+const BackendSettings = ({ onClose }) => {
+  const { t } = useLocale();
+  const { profiles, activeId, health } = useConnection();
+  const visibleProfiles = profiles.filter((p) => p.enabled !== false);
+  // The file name keeps its code style, wherever the language puts it
+  const [beforeFile, afterFile] = t("backend.description").split("{file}");
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <div className="settings-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2>{t("backend.title")}</h2>
+          <button
+            className="settings-close"
+            onClick={onClose}
+            aria-label={t("backend.close")}
+          >
+            ✕
+          </button>
+        </div>
+        <p className="settings-description">
+          {beforeFile}
+          <code>.env</code>
+          {afterFile}
+        </p>
+
+        {visibleProfiles.map((profile) => (
+          <ProfileEditor
+            key={`${profile.id}-${profile.baseUrl}-${profile.name}`}
+            profile={profile}
+            isActive={profile.id === activeId}
+            health={health[profile.id]}
+          />
+        ))}
+
+        <QueryCacheSettings />
+        <RetrySettings />
+        <PagingSettings />
+
+        <ConversationSettings />
+
+        <div className="settings-footer">
+          <button className="settings-button" onClick={resetBackendProfiles}>
+            {t("backend.reset")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackendSettings;
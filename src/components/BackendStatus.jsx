@@ -0,0 +1,38 @@
+import React, { useEffect } from "react";
+import { useConnection } from "../hooks/useConnection.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { checkBackendHealth } from "../services/connectionManager.js";
+
+const HEALTH_POLL_INTERVAL = 60000; // 1 minute
+
+const BackendStatus = ({ onOpenSettings }) => {
+  const { t } = useLocale();
+  const { activeId, activeProfile, health } = useConnection();
+  const activeHealth = health[activeId];
+  const status = activeHealth?.status || "unknown";
+
+  useEffect(() => {
+    checkBackendHealth(activeId);
+    const interval = setInterval(
+      () => checkBackendHealth(activeId),
+      HEALTH_POLL_INTERVAL
+    );
+    return () => clearInterval(interval);
+  }, [activeId, activeProfile.baseUrl]);
+
+  return (
+    <button
+      className="backend-status"
+      onClick={onOpenSettings}
+      title={activeHealth?.message || t("backend.statusTitle")}
+    >
+      <span className={`health-dot ${status}`}></span>
+      <span className="backend-status-name">{activeProfile.name}</span>
+      <span className="backend-status-label">
+        {t(`backend.status.${status}`)}
+      </span>
+    </button>
+  );
+};
+
+export default BackendStatus;
@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from "react";
+import { formatCacheAge } from "../services/queryCache.js";
+import { formatDateTime } from "../services/i18n.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+const AGE_REFRESH_INTERVAL = 15000; // 15 seconds
+
+const CacheBadge = ({ cachedAt, onRefresh }) => {
+  const [, setTick] = useState(0);
+  const { t } = useLocale();
+
+  // Keep the displayed age current while the badge is on screen
+  useEffect(() => {
+    const interval = setInterval(
+      () => setTick((tick) => tick + 1),
+      AGE_REFRESH_INTERVAL
+    );
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!cachedAt) return null;
+
+  return (
+    <span
+      className="cache-badge"
+      title={t("cache.cachedAt", { time: formatDateTime(cachedAt) })}
+    >
+      {t("cache.badge", { age: formatCacheAge(cachedAt) })}
+      {onRefresh && (
+        <button className="cache-refresh" onClick={onRefresh}>
+          {t("common.refresh")}
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default CacheBadge;
@@ -0,0 +1,58 @@
+import React, { useMemo } from "react";
+import { generateEmbeddedChart } from "../utils/chartGeneration.js";
+import VegaChart from "./VegaChart.jsx";
+import ResultTable from "./ResultTable.jsx";
+import DemoWatermark from "./DemoWatermark.jsx";
+import { useLocale } from "../hooks/useLocale.js";
+
+const CHART_HEIGHT = 240;
+
+/**
+ * Chart and table for the rows of an AI Chat answer. Answers restored from
+ * a saved thread may only hold the first rows (snapshotOf is the full count).
+ * chart holds explicit chart choices (from /chart), or false for table only.
+ */
+const ChatResult = ({
+  data,
+  sqlQuery,
+  question,
+  isDemo,
+  snapshotOf = null,
+  chart = null,
+}) => {
+  const { t } = useLocale();
+  const spec = useMemo(
+    () =>
+      chart === false
+        ? null
+        : generateEmbeddedChart(
+            data,
+            sqlQuery,
+            question,
+            CHART_HEIGHT,
+            chart || {}
+          ),
+    [data, sqlQuery, question, chart]
+  );
+
+  if (!data?.length) return null;
+
+  return (
+    <div className="chat-result">
+      {spec && (
+        <div className={`chat-chart ${isDemo ? "watermarked" : ""}`}>
+          <VegaChart spec={spec} />
+          {isDemo && <DemoWatermark />}
+        </div>
+      )}
+      {snapshotOf && (
+        <span className="chat-snapshot-note">
+          {t("chatResult.snapshot", { count: data.length, total: snapshotOf })}
+        </span>
+      )}
+      <ResultTable rows={data} />
+    </div>
+  );
+};
+
+export default ChatResult;
@@ -0,0 +1,188 @@
+import React, { useRef, useState } from "react";
+import { useChatThreads } from "../hooks/useChatThreads.js";
+import {
+  createThread,
+  deleteThread,
+  exportThreads,
+  importThreads,
+  renameThread,
+  searchThreads,
+  setActiveThread,
+} from "../services/chatThreads.js";
+import { downloadFile, toFilename } from "../utils/download.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatDate } from "../services/i18n.js";
+
+const countQuestions = (thread) =>
+  thread.messages.filter((m) => m.sender === "user").length;
+
+const ChatThreadSidebar = () => {
+  const { t } = useLocale();
+  const { threads, activeId, saveError } = useChatThreads();
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // { id, title }
+  const [importStatus, setImportStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const visibleThreads = searchThreads(
+    [...threads].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+    query
+  );
+
+  const commitRename = () => {
+    if (editing) renameThread(editing.id, editing.title);
+    setEditing(null);
+  };
+
+  const handleDelete = (thread) => {
+    if (window.confirm(t("threads.confirmDelete", { title: thread.title }))) {
+      deleteThread(thread.id);
+    }
+  };
+
+  const handleExport = (threadIds, title) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      exportThreads(threadIds),
+      `${toFilename(title, "chat")}-${date}.json`,
+      "application/json"
+    );
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+
+    const result = importThreads(await file.text());
+    setImportStatus(
+      result.success
+        ? {
+            ok: true,
+            text: t("threads.imported", { count: result.imported }),
+          }
+        : { ok: false, text: result.error }
+    );
+  };
+
+  const activeThread = threads.find((thread) => thread.id === activeId);
+
+  return (
+    <aside className="chat-sidebar">
+      <button className="chat-new-thread" onClick={createThread}>
+        {t("threads.new")}
+      </button>
+
+      <input
+        type="search"
+        className="chat-thread-search"
+        placeholder={t("threads.search")}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      <ul className="chat-thread-list">
+        {visibleThreads.map((thread) => (
+          <li
+            key={thread.id}
+            className={`chat-thread ${thread.id === activeId ? "active" : ""}`}
+          >
+            {editing?.id === thread.id ? (
+              <input
+                className="chat-thread-rename"
+                value={editing.title}
+                onChange={(e) =>
+                  setEditing({ ...editing, title: e.target.value })
+                }
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") commitRename();
+                  if (e.key === "Escape") setEditing(null);
+                }}
+                autoFocus
+              />
+            ) : (
+              <button
+                className="chat-thread-title"
+                onClick={() => setActiveThread(thread.id)}
+                onDoubleClick={() =>
+                  setEditing({ id: thread.id, title: thread.title })
+                }
+                title={thread.title}
+              >
+                {thread.title}
+                <span className="chat-thread-meta">
+                  {formatDate(thread.updatedAt)} ·{" "}
+                  {t("threads.questions", { count: countQuestions(thread) })}
+                </span>
+              </button>
+            )}
+            <div className="chat-thread-actions">
+              <button
+                title={t("threads.rename")}
+                aria-label={t("threads.renameLabel", { title: thread.title })}
+                onClick={() =>
+                  setEditing({ id: thread.id, title: thread.title })
+                }
+              >
+                ✎
+              </button>
+              <button
+                title={t("threads.delete")}
+                aria-label={t("threads.deleteLabel", { title: thread.title })}
+                onClick={() => handleDelete(thread)}
+              >
+                🗑
+              </button>
+            </div>
+          </li>
+        ))}
+        {visibleThreads.length === 0 && (
+          <li className="chat-thread-empty">
+            {t("threads.noMatch", { query })}
+          </li>
+        )}
+      </ul>
+
+      <div className="chat-sidebar-footer">
+        <button
+          className="settings-button"
+          onClick={() => handleExport([activeId], activeThread.title)}
+        >
+          {t("threads.export")}
+        </button>
+        <button
+          className="settings-button"
+          onClick={() => handleExport(null, "shipmentiq-chats")}
+        >
+          {t("threads.exportAll")}
+        </button>
+        <button
+          className="settings-button"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          {t("threads.import")}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleImport}
+        />
+        {importStatus && (
+          <span
+            className={`chat-import-status ${importStatus.ok ? "" : "error"}`}
+          >
+            {importStatus.text}
+          </span>
+        )}
+        {saveError && (
+          <span className="chat-import-status error">{saveError}</span>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default ChatThreadSidebar;
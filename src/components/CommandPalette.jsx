@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useCommandList } from "../hooks/useCommands.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatShortcut, searchCommands } from "../services/commands.js";
+import ShortcutKeys from "./ShortcutKeys.jsx";
+
+/**
+ * Ctrl/Cmd+K palette: type to search the registered commands, ↑/↓ to pick
+ * one, Enter to run it, Esc to close
+ */
+const CommandPalette = ({ onClose }) => {
+  const { t } = useLocale();
+  const commands = useCommandList();
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(
+    () => searchCommands(commands, query),
+    [commands, query]
+  );
+  const active = Math.min(selected, Math.max(results.length - 1, 0));
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${active}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSelected((active + step + results.length) % (results.length || 1));
+    } else if (e.key === "Enter" && results[active]) {
+      e.preventDefault();
+      runCommand(results[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="palette-overlay" onClick={onClose}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.label")}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          className="palette-input"
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={t("palette.placeholder")}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={
+            results[active] ? `palette-${results[active].id}` : undefined
+          }
+        />
+        <ul
+          id="palette-results"
+          className="palette-results"
+          role="listbox"
+          ref={listRef}
+        >
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`palette-${command.id}`}
+              data-index={index}
+              role="option"
+              aria-selected={index === active}
+              className={`palette-item ${index === active ? "active" : ""}`}
+              onMouseEnter={() => setSelected(index)}
+              onClick={() => runCommand(command)}
+            >
+              <span className="palette-group">{command.group}</span>
+              <span className="palette-title">{command.title}</span>
+              {command.shortcut && (
+                <ShortcutKeys steps={formatShortcut(command.shortcut)} />
+              )}
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="palette-empty">{t("palette.empty")}</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
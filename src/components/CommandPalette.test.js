@@ -0,0 +1,87 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { useAppCommands } from "../hooks/useAppCommands.js";
+import { PAGES, getRoute, navigate } from "../services/router.js";
+import { getThemePreference, setThemePreference } from "../services/theme.js";
+import CommandPalette from "./CommandPalette.jsx";
+
+let onClose;
+let openShortcuts;
+
+// The palette lists whatever is registered; here the app-wide commands
+const Palette = () => {
+  useAppCommands({ openPalette: () => {}, openShortcuts });
+  return <CommandPalette onClose={onClose} />;
+};
+
+const search = (text) =>
+  fireEvent.change(screen.getByRole("combobox"), { target: { value: text } });
+
+const press = (key) => fireEvent.keyDown(screen.getByRole("combobox"), { key });
+
+beforeAll(() => {
+  // jsdom does not lay out, so it has no scrolling
+  Element.prototype.scrollIntoView = () => {};
+});
+
+beforeEach(() => {
+  onClose = jest.fn();
+  openShortcuts = jest.fn();
+});
+
+afterEach(() => {
+  navigate("/", { replace: true });
+  setThemePreference("system");
+});
+
+describe("CommandPalette", () => {
+  it("runs the highlighted command with Enter and closes", () => {
+    render(<Palette />);
+
+    search("traffic congestion");
+    expect(screen.getAllByRole("option")).toHaveLength(1);
+    press("Enter");
+
+    expect(onClose).toHaveBeenCalled();
+    expect(getRoute()).toEqual({
+      page: PAGES.TRAFFIC,
+      params: { tab: "congestion", lane: null },
+    });
+  });
+
+  it("moves the highlight with the arrow keys", () => {
+    render(<Palette />);
+
+    search("theme");
+    const [first, second] = screen.getAllByRole("option");
+    expect(first.getAttribute("aria-selected")).toBe("true");
+
+    press("ArrowDown");
+    expect(second.getAttribute("aria-selected")).toBe("true");
+    press("ArrowUp");
+    press("ArrowUp");
+    expect(
+      screen.getAllByRole("option").at(-1).getAttribute("aria-selected")
+    ).toBe("true");
+  });
+
+  it("switches the theme when a theme command is clicked", () => {
+    render(<Palette />);
+
+    search("high contrast");
+    fireEvent.click(screen.getByRole("option", { name: /Use High contrast/ }));
+
+    expect(getThemePreference()).toBe("high-contrast");
+  });
+
+  it("says when nothing matches and closes with Escape", () => {
+    render(<Palette />);
+
+    search("berth schedule");
+    expect(screen.queryAllByRole("option")).toHaveLength(0);
+    expect(screen.getByText("No matching commands")).toBeTruthy();
+
+    press("Escape");
+    expect(onClose).toHaveBeenCalled();
+    expect(openShortcuts).not.toHaveBeenCalled();
+  });
+});
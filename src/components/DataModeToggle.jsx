@@ -0,0 +1,21 @@
+import React from "react";
+import { useDataMode } from "../hooks/useDataMode.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { setDemoMode } from "../services/dataMode.js";
+
+const DataModeToggle = () => {
+  const { isDemo } = useDataMode();
+  const { t } = useLocale();
+
+  return (
+    <button
+      className={`data-mode-toggle ${isDemo ? "demo" : "live"}`}
+      onClick={() => setDemoMode(!isDemo)}
+      title={t(isDemo ? "dataMode.demoTitle" : "dataMode.liveTitle")}
+    >
+      {t(isDemo ? "dataMode.demo" : "dataMode.live")}
+    </button>
+  );
+};
+
+export default DataModeToggle;
@@ -0,0 +1,24 @@
+import React from "react";
+import { useDataMode } from "../hooks/useDataMode.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { setDemoMode } from "../services/dataMode.js";
+import DemoScenarioPicker from "./DemoScenarioPicker.jsx";
+
+const DemoModeBanner = () => {
+  const { isDemo } = useDataMode();
+  const { t } = useLocale();
+
+  if (!isDemo) return null;
+
+  return (
+    <div className="demo-mode-banner" role="status">
+      <span>
+        🧪 <strong>{t("demo.bannerTitle")}</strong> {t("demo.bannerText")}
+      </span>
+      <DemoScenarioPicker />
+      <button onClick={() => setDemoMode(false)}>{t("demo.backToLive")}</button>
+    </div>
+  );
+};
+
+export default DemoModeBanner;
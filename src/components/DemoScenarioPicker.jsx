@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from "react";
+import { useDataMode } from "../hooks/useDataMode.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { getScenarioLink, setMockSettings } from "../services/dataMode.js";
+import { MOCK_SCENARIOS, getMockScenario } from "../services/mockData.js";
+
+const SPAN_OPTIONS = [6, 12, 24, 48, 168];
+const STATUS_DURATION = 2500; // 2.5 seconds
+
+const DemoScenarioPicker = () => {
+  const { t } = useLocale();
+  const { mockSettings } = useDataMode();
+  const [status, setStatus] = useState(null);
+  const scenario = getMockScenario(mockSettings.scenario);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), STATUS_DURATION);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  // The link pins the end time and time zone, so it gives these rows later
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getScenarioLink());
+      setStatus(t("demo.linkCopied"));
+    } catch (error) {
+      setStatus(t("actions.copyFailed"));
+    }
+  };
+
+  return (
+    <div className="demo-scenario-picker">
+      <label title={t(`demo.scenarios.${scenario.id}.description`)}>
+        {t("demo.scenario")}
+        <select
+          value={scenario.id}
+          onChange={(e) => setMockSettings({ scenario: e.target.value })}
+        >
+          {MOCK_SCENARIOS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {t(`demo.scenarios.${option.id}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("demo.trucks")}
+        <input
+          type="number"
+          min="0"
+          max="5000"
+          step="10"
+          value={mockSettings.size}
+          onChange={(e) =>
+            setMockSettings({
+              size: Math.min(5000, Math.max(0, Number(e.target.value))),
+            })
+          }
+        />
+      </label>
+      <label>
+        {t("demo.span")}
+        <select
+          value={mockSettings.spanHours}
+          onChange={(e) =>
+            setMockSettings({ spanHours: Number(e.target.value) })
+          }
+        >
+          {SPAN_OPTIONS.map((hours) => (
+            <option key={hours} value={hours}>
+              {hours < 48
+                ? t("demo.spanHours", { count: hours })
+                : t("demo.spanDays", { count: hours / 24 })}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label title={t("demo.seedTitle")}>
+        {t("demo.seed")}
+        <input
+          type="number"
+          value={mockSettings.seed}
+          onChange={(e) => setMockSettings({ seed: Number(e.target.value) })}
+        />
+      </label>
+      <button
+        type="button"
+        onClick={handleCopyLink}
+        title={t("demo.linkTitle")}
+      >
+        {status || t("demo.copyLink")}
+      </button>
+    </div>
+  );
+};
+
+export default DemoScenarioPicker;
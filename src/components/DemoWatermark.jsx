@@ -0,0 +1,13 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+
+const DemoWatermark = ({ label }) => {
+  const { t } = useLocale();
+  return (
+    <div className="demo-watermark" aria-hidden="true">
+      <span>{label || t("demo.watermark")}</span>
+    </div>
+  );
+};
+
+export default DemoWatermark;
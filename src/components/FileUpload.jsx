@@ -0,0 +1,184 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  ACCEPTED_FILES,
+  convertUpload,
+  discardUpload,
+  readUploadedFile,
+} from "../services/fileUpload.js";
+import { announce } from "../services/announcer.js";
+import { useLocale } from "../hooks/useLocale.js";
+import UploadPreview from "./UploadPreview.jsx";
+
+// Only drags that carry files, not text or links dragged around the page
+const hasFiles = (e) =>
+  Array.from(e.dataTransfer?.types || []).includes("Files");
+
+/**
+ * Upload bar for CSV, TSV, JSON and Excel files: a file picker, and a drop
+ * target covering the whole page while a file is dragged over it. A file
+ * is previewed before it is used; onLoad(upload, data) receives the
+ * converted rows and returns { success, error }, so a page can refuse data
+ * it cannot show.
+ */
+const FileUpload = ({ onLoad }) => {
+  const { t } = useLocale();
+  const [file, setFile] = useState(null);
+  const [upload, setUpload] = useState(null);
+  const [status, setStatus] = useState(null); // "reading" | "converting"
+  const [error, setError] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef(null);
+  const uploadRef = useRef(null);
+  const readFileRef = useRef(null);
+  uploadRef.current = upload;
+
+  const readFile = async (next, options = {}) => {
+    discardUpload(uploadRef.current);
+    setUpload(null);
+    setStatus("reading");
+    setError(null);
+    setNotes([]);
+
+    const result = await readUploadedFile(next, options);
+    setStatus(null);
+    if (!result.success) {
+      setError(result.error);
+      announce(result.error, { assertive: true });
+      return;
+    }
+    setFile(next);
+    setUpload(result.upload);
+  };
+  readFileRef.current = readFile;
+
+  // Settings left as detected are passed along, so changing one keeps the rest
+  const reread = (changes) =>
+    readFile(file, {
+      format: upload.format,
+      encoding: upload.encoding,
+      delimiter: upload.delimiter,
+      hasHeader: upload.hasHeader,
+      ...changes,
+    });
+
+  const cancel = () => {
+    discardUpload(upload);
+    setUpload(null);
+    setFile(null);
+  };
+
+  const confirm = async (columns) => {
+    setStatus("converting");
+    const converted = await convertUpload(upload, columns);
+    setStatus(null);
+    const result = converted.success
+      ? onLoad(upload, converted.data)
+      : converted;
+    if (!result.success) {
+      setError(result.error);
+      announce(result.error, { assertive: true });
+      return;
+    }
+
+    announce(
+      t("upload.loaded", {
+        name: upload.name,
+        records: t("records.count", { count: converted.data.length }),
+      })
+    );
+    setNotes(converted.warnings);
+    cancel();
+  };
+
+  // Files dropped anywhere on the page are read, not opened by the browser
+  useEffect(() => {
+    const handleDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDragging(true);
+    };
+    const handleDragLeave = (e) => {
+      if (!e.relatedTarget) setDragging(false);
+    };
+    const handleDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDragging(false);
+      const dropped = e.dataTransfer.files[0];
+      if (dropped) readFileRef.current(dropped);
+    };
+
+    document.addEventListener("dragover", handleDragOver);
+    document.addEventListener("dragleave", handleDragLeave);
+    document.addEventListener("drop", handleDrop);
+    return () => {
+      document.removeEventListener("dragover", handleDragOver);
+      document.removeEventListener("dragleave", handleDragLeave);
+      document.removeEventListener("drop", handleDrop);
+    };
+  }, []);
+
+  // Free the parsed rows when leaving the page with a preview open
+  useEffect(() => () => discardUpload(uploadRef.current), []);
+
+  return (
+    <section className="file-upload" aria-label={t("upload.label")}>
+      {upload ? (
+        <UploadPreview
+          key={upload.id}
+          upload={upload}
+          busy={status !== null}
+          onReread={reread}
+          onConfirm={confirm}
+          onCancel={cancel}
+        />
+      ) : (
+        <div className="upload-bar">
+          <span>
+            {status === "reading" ? t("upload.reading") : t("upload.prompt")}
+          </span>
+          <button
+            type="button"
+            className="settings-button"
+            onClick={() => inputRef.current.click()}
+            disabled={status !== null}
+          >
+            {t("upload.choose")}
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ACCEPTED_FILES}
+            hidden
+            onChange={(e) => {
+              const chosen = e.target.files[0];
+              // The same file can be chosen again after a change
+              e.target.value = "";
+              if (chosen) readFile(chosen);
+            }}
+          />
+        </div>
+      )}
+      {error && (
+        <div className="command-validation invalid" role="alert">
+          {error}
+        </div>
+      )}
+      {notes.length > 0 && (
+        <ul className="upload-notes">
+          {notes.map((note) => (
+            <li key={note}>{note}</li>
+          ))}
+        </ul>
+      )}
+      {dragging && (
+        <div className="drop-overlay" aria-hidden="true">
+          {t("upload.dropHere")}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default FileUpload;
@@ -1,23 +1,43 @@
-import React from "react";
+import React, { useState } from "react";
+import BackendStatus from "./BackendStatus.jsx";
+import BackendSettings from "./BackendSettings.jsx";
+import DataModeToggle from "./DataModeToggle.jsx";
+import AuthStatus from "./AuthStatus.jsx";
+import RouteLink from "./RouteLink.jsx";
+import ThemeToggle from "./ThemeToggle.jsx";
+import LanguageSwitcher from "./LanguageSwitcher.jsx";
+import { useLocale } from "../hooks/useLocale.js";
+import { PAGES, buildPath } from "../services/router.js";
 
-const Header = ({ activeTab, onTabChange }) => {
-  const navItems = ["Dashboard", "AI Chat", "Analytics", "Traffic Control"];
+const NAV_ITEMS = [PAGES.DASHBOARD, PAGES.CHAT, PAGES.ANALYTICS, PAGES.TRAFFIC];
+
+const Header = ({ activePage }) => {
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const { t } = useLocale();
 
   return (
     <header className="header">
       <h1>ShipmentIQ Analytics</h1>
-      <nav className="header-nav">
-        {navItems.map((item) => (
-          <div
-            key={item}
-            className={`nav-item ${activeTab === item ? "active" : ""}`}
-            onClick={() => onTabChange(item)}
+      <nav className="header-nav" aria-label={t("nav.label")}>
+        {NAV_ITEMS.map((page) => (
+          <RouteLink
+            key={page}
+            to={buildPath(page)}
+            className={`nav-item ${activePage === page ? "active" : ""}`}
+            aria-current={activePage === page ? "page" : undefined}
           >
-            {item}
-          </div>
+            {t(`page.${page}`)}
+          </RouteLink>
         ))}
-        <div className="theme-toggle">🌙</div>
+        <BackendStatus onOpenSettings={() => setSettingsOpen(true)} />
+        <DataModeToggle />
+        <AuthStatus />
+        <ThemeToggle />
+        <LanguageSwitcher />
       </nav>
+      {settingsOpen && (
+        <BackendSettings onClose={() => setSettingsOpen(false)} />
+      )}
     </header>
   );
 };
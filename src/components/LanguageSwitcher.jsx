@@ -0,0 +1,53 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import {
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  getTimeZones,
+  setLanguage,
+  setTimeZone,
+} from "../services/i18n.js";
+
+const COMPUTER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Picks the interface language and the time zone dates and hours are shown
+ * in; the empty time zone option follows the computer
+ */
+const LanguageSwitcher = () => {
+  const { language, timeZone, t } = useLocale();
+
+  return (
+    <div className="language-switcher">
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        aria-label={t("locale.language")}
+        title={t("locale.language")}
+      >
+        {LANGUAGES.map((id) => (
+          <option key={id} value={id} lang={id}>
+            {LANGUAGE_NAMES[id]}
+          </option>
+        ))}
+      </select>
+      <select
+        value={timeZone || ""}
+        onChange={(e) => setTimeZone(e.target.value || null)}
+        aria-label={t("locale.timeZone")}
+        title={t("locale.timeZone")}
+      >
+        <option value="">
+          {t("locale.computerTimeZone", { zone: COMPUTER_TIME_ZONE })}
+        </option>
+        {getTimeZones().map((zone) => (
+          <option key={zone} value={zone}>
+            {zone}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,29 @@
+import React, { useSyncExternalStore } from "react";
+import {
+  getAnnouncements,
+  subscribeToAnnouncements,
+} from "../services/announcer.js";
+
+/**
+ * Visually hidden live regions that read out announce() messages. Rendered
+ * once, near the root, so the regions exist before the first message.
+ */
+const LiveAnnouncer = () => {
+  const { polite, assertive } = useSyncExternalStore(
+    subscribeToAnnouncements,
+    getAnnouncements
+  );
+
+  return (
+    <>
+      <div className="sr-only" role="status" aria-live="polite">
+        {polite && <span key={polite.id}>{polite.text}</span>}
+      </div>
+      <div className="sr-only" role="alert" aria-live="assertive">
+        {assertive && <span key={assertive.id}>{assertive.text}</span>}
+      </div>
+    </>
+  );
+};
+
+export default LiveAnnouncer;
@@ -0,0 +1,34 @@
+import { act, render, screen } from "@testing-library/react";
+import { announce } from "../services/announcer.js";
+import LiveAnnouncer from "./LiveAnnouncer.jsx";
+
+describe("LiveAnnouncer", () => {
+  it("reads results politely and errors assertively", () => {
+    render(<LiveAnnouncer />);
+
+    act(() => announce("Found 12 records"));
+    act(() => announce("Backend unreachable", { assertive: true }));
+
+    expect(screen.getByRole("status").textContent).toBe("Found 12 records");
+    expect(screen.getByRole("alert").textContent).toBe("Backend unreachable");
+  });
+
+  it("renders a repeated message again so it is read out again", () => {
+    render(<LiveAnnouncer />);
+
+    act(() => announce("Found 12 records"));
+    const first = screen.getByText("Found 12 records");
+    act(() => announce("Found 12 records"));
+
+    expect(screen.getByText("Found 12 records")).not.toBe(first);
+  });
+
+  it("ignores empty messages", () => {
+    render(<LiveAnnouncer />);
+    act(() => announce("Lane 3 congested"));
+
+    act(() => announce(""));
+
+    expect(screen.getByRole("status").textContent).toBe("Lane 3 congested");
+  });
+});
@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import { useConnection } from "../hooks/useConnection.js";
+import { useAuth } from "../hooks/useAuth.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { setActiveBackend } from "../services/connectionManager.js";
+import { setDemoMode } from "../services/dataMode.js";
+import {
+  AUTH_MODES,
+  loginWithPassword,
+  loginWithToken,
+  loginWithApiKey,
+} from "../services/authService.js";
+
+const LoginScreen = () => {
+  const { t } = useLocale();
+  const { profiles, activeProfile } = useConnection();
+  const { expired } = useAuth();
+  const [form, setForm] = useState({
+    username: "",
+    password: "",
+    token: "",
+    apiKey: "",
+  });
+  const [useToken, setUseToken] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isApiKey = activeProfile.authMode === AUTH_MODES.API_KEY;
+  const otherProfiles = profiles.filter(
+    (p) => p.enabled !== false && p.id !== activeProfile.id
+  );
+
+  const updateField = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (isApiKey) {
+      loginWithApiKey(activeProfile, form.apiKey);
+      return;
+    }
+
+    if (useToken) {
+      loginWithToken(activeProfile, form.token);
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await loginWithPassword(activeProfile, {
+      username: form.username.trim(),
+      password: form.password,
+    });
+    setSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error.message);
+      setForm((prev) => ({ ...prev, password: "" }));
+    }
+  };
+
+  const canSubmit = isApiKey
+    ? form.apiKey.trim()
+    : useToken
+    ? form.token.trim()
+    : form.username.trim() && form.password;
+
+  return (
+    <main className="main-content">
+      <div className="login-card">
+        <h1 className="dashboard-title">{t("login.title")}</h1>
+        <p className="dashboard-subtitle">
+          {t(isApiKey ? "login.needsApiKey" : "login.needsSignIn", {
+            name: activeProfile.name,
+          })}
+        </p>
+
+        {expired[activeProfile.id] && (
+          <div className="login-notice">{expired[activeProfile.id]}</div>
+        )}
+
+        <form className="login-form" onSubmit={handleSubmit}>
+          {isApiKey ? (
+            <label>
+              {t("login.apiKey")}
+              <input
+                type="password"
+                autoComplete="off"
+                value={form.apiKey}
+                onChange={updateField("apiKey")}
+                autoFocus
+              />
+            </label>
+          ) : useToken ? (
+            <label>
+              {t("login.token")}
+              <input
+                type="password"
+                autoComplete="off"
+                value={form.token}
+                onChange={updateField("token")}
+                autoFocus
+              />
+            </label>
+          ) : (
+            <>
+              <label>
+                {t("login.username")}
+                <input
+                  type="text"
+                  autoComplete="username"
+                  value={form.username}
+                  onChange={updateField("username")}
+                  autoFocus
+                />
+              </label>
+              <label>
+                {t("login.password")}
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={form.password}
+                  onChange={updateField("password")}
+                />
+              </label>
+            </>
+          )}
+
+          {error && <div className="login-error">{error}</div>}
+
+          <button
+            type="submit"
+            className="settings-button primary"
+            disabled={!canSubmit || submitting}
+          >
+            {submitting
+              ? t("login.signingIn")
+              : isApiKey
+              ? t("login.connect")
+              : t("login.title")}
+          </button>
+
+          {!isApiKey && (
+            <button
+              type="button"
+              className="login-link"
+              onClick={() => setUseToken(!useToken)}
+            >
+              {useToken ? t("login.usePassword") : t("login.useToken")}
+            </button>
+          )}
+        </form>
+
+        <p className="login-storage-note">{t("login.storageNote")}</p>
+
+        <div className="login-alternatives">
+          {otherProfiles.length > 0 && (
+            <label>
+              {t("login.otherBackend")}
+              <select
+                value=""
+                onChange={(e) => setActiveBackend(e.target.value)}
+              >
+                <option value="" disabled>
+                  {t("login.choose")}
+                </option>
+                {otherProfiles.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <button className="settings-button" onClick={() => setDemoMode(true)}>
+            {t("login.useDemo")}
+          </button>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default LoginScreen;
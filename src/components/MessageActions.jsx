@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { useDashboardPins } from "../hooks/useDashboardPins.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { pinResult, unpinResult } from "../services/dashboardPins.js";
+import { downloadFile, toCsv, toFilename } from "../utils/download.js";
+
+const STATUS_DURATION = 2500; // 2.5 seconds
+
+/**
+ * Actions on an AI Chat answer: rerun it, copy or download its SQL,
+ * download its rows as CSV and pin its chart or table to the Dashboard.
+ * Command results cannot be rerun, so they get no onRerun.
+ */
+const MessageActions = ({ message, onRerun }) => {
+  const { t } = useLocale();
+  const pins = useDashboardPins();
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), STATUS_DURATION);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const filename = toFilename(message.question, "query");
+  const rows = message.data || [];
+
+  const handleCopySql = async () => {
+    try {
+      await navigator.clipboard.writeText(message.sqlQuery);
+      setStatus(t("actions.sqlCopied"));
+    } catch (error) {
+      setStatus(t("actions.copyFailed"));
+    }
+  };
+
+  const handleDownloadSql = () => {
+    downloadFile(
+      `-- ${message.question}\n${message.sqlQuery.trim()}\n`,
+      `${filename}.sql`,
+      "application/sql"
+    );
+  };
+
+  const handleDownloadCsv = () => {
+    downloadFile(toCsv(rows), `${filename}.csv`, "text/csv");
+  };
+
+  const handlePin = (view) => {
+    const pinned = pins.find(
+      (pin) => pin.messageId === message.id && pin.view === view
+    );
+    if (pinned) {
+      unpinResult(pinned.id);
+      setStatus(t(`actions.unpinned.${view}`));
+      return;
+    }
+
+    const result = pinResult(message, view);
+    setStatus(result.success ? t(`actions.pinned.${view}`) : result.error);
+  };
+
+  const isPinned = (view) =>
+    pins.some((pin) => pin.messageId === message.id && pin.view === view);
+
+  return (
+    <div className="message-actions">
+      {onRerun && (
+        <button onClick={onRerun} title={t("actions.rerunTitle")}>
+          {t("actions.rerun")}
+        </button>
+      )}
+      {message.sqlQuery && (
+        <>
+          <button onClick={handleCopySql}>{t("actions.copySql")}</button>
+          <button onClick={handleDownloadSql}>
+            {t("actions.downloadSql")}
+          </button>
+        </>
+      )}
+      {rows.length > 0 && (
+        <button
+          onClick={handleDownloadCsv}
+          title={
+            message.snapshotTruncated
+              ? t("actions.snapshotOnly", { count: rows.length })
+              : undefined
+          }
+        >
+          {t("actions.downloadCsv")}
+        </button>
+      )}
+      {rows.length > 1 && message.chart !== false && (
+        <button
+          className={isPinned("chart") ? "pinned" : ""}
+          onClick={() => handlePin("chart")}
+        >
+          📌{" "}
+          {isPinned("chart") ? t("actions.unpinChart") : t("actions.pinChart")}
+        </button>
+      )}
+      {rows.length > 0 && (
+        <button
+          className={isPinned("table") ? "pinned" : ""}
+          onClick={() => handlePin("table")}
+        >
+          📌{" "}
+          {isPinned("table") ? t("actions.unpinTable") : t("actions.pinTable")}
+        </button>
+      )}
+      {status && <span className="message-action-status">{status}</span>}
+    </div>
+  );
+};
+
+export default MessageActions;
@@ -1,10 +1,39 @@
 import React from "react";
+import DemoWatermark from "./DemoWatermark.jsx";
+import { useLocale } from "../hooks/useLocale.js";
 
-const MetricCard = ({ label, value, color = "default" }) => {
+/**
+ * A Dashboard metric. status is "loading" (no value yet or refreshing),
+ * "stale" (an older value) or "error" (no value could be loaded); note
+ * explains the value on hover.
+ */
+const MetricCard = ({
+  label,
+  value,
+  color = "default",
+  isDemo = false,
+  status = null,
+  note = null,
+}) => {
+  const { t } = useLocale();
   return (
-    <div className="metric-card">
-      <div className="metric-label">{label}</div>
+    <div
+      className={`metric-card ${isDemo ? "watermarked" : ""} ${
+        status ? `metric-${status}` : ""
+      }`}
+      title={note || undefined}
+      aria-busy={status === "loading"}
+    >
+      <div className="metric-label">
+        {label}
+        {status && (
+          <span className={`metric-status ${status}`}>
+            {t(`metric.status.${status}`)}
+          </span>
+        )}
+      </div>
       <div className={`metric-value ${color}`}>{value}</div>
+      {isDemo && <DemoWatermark label={t("demo.watermarkShort")} />}
     </div>
   );
 };
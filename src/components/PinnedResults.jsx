@@ -0,0 +1,81 @@
+import React, { useMemo } from "react";
+import { useDashboardPins } from "../hooks/useDashboardPins.js";
+import { unpinResult } from "../services/dashboardPins.js";
+import { generateEmbeddedChart } from "../utils/chartGeneration.js";
+import VegaChart from "./VegaChart.jsx";
+import ResultTable from "./ResultTable.jsx";
+import DemoWatermark from "./DemoWatermark.jsx";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatDateTime } from "../services/i18n.js";
+
+const CHART_HEIGHT = 200;
+const TABLE_PAGE_SIZE = 5;
+
+const PinnedResult = ({ pin }) => {
+  const { t } = useLocale();
+  const spec = useMemo(
+    () =>
+      pin.view === "chart"
+        ? generateEmbeddedChart(
+            pin.data,
+            pin.sqlQuery,
+            pin.title,
+            CHART_HEIGHT,
+            pin.chart || {}
+          )
+        : null,
+    [pin]
+  );
+
+  return (
+    <div className={`pinned-card ${pin.isDemo ? "watermarked" : ""}`}>
+      <div className="pinned-card-header">
+        <h3 title={pin.sqlQuery}>{pin.title}</h3>
+        <button
+          className="pinned-card-remove"
+          onClick={() => unpinResult(pin.id)}
+          title={t("pins.remove")}
+          aria-label={t("pins.removeLabel", { title: pin.title })}
+        >
+          ✕
+        </button>
+      </div>
+      {spec ? (
+        <VegaChart spec={spec} />
+      ) : (
+        <ResultTable rows={pin.data} pageSize={TABLE_PAGE_SIZE} />
+      )}
+      <span className="pinned-card-meta">
+        {t("pins.meta", {
+          time: formatDateTime(pin.pinnedAt),
+          records: t("records.count", { count: pin.rowCount }),
+        })}
+        {pin.data.length < pin.rowCount &&
+          ` ${t("pins.firstKept", { count: pin.data.length })}`}
+      </span>
+      {pin.isDemo && <DemoWatermark />}
+    </div>
+  );
+};
+
+/**
+ * Charts and tables pinned from AI Chat answers
+ */
+const PinnedResults = () => {
+  const { t } = useLocale();
+  const pins = useDashboardPins();
+  if (!pins.length) return null;
+
+  return (
+    <section className="pinned-results">
+      <h2>{t("pins.title")}</h2>
+      <div className="pinned-grid">
+        {pins.map((pin) => (
+          <PinnedResult key={pin.id} pin={pin} />
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default PinnedResults;
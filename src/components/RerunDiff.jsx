@@ -0,0 +1,39 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatMessageTime } from "../services/chatThreads.js";
+import { describeCountChange, formatChange } from "../utils/resultSummary.js";
+
+const RerunDiff = ({ rerun }) => {
+  const { t } = useLocale();
+  if (!rerun) return null;
+
+  const { diff, rerunAt, previousAt } = rerun;
+  const changed = diff.count !== diff.previousCount || diff.changes.length > 0;
+
+  return (
+    <div className={`rerun-diff ${changed ? "changed" : ""}`}>
+      <span
+        title={t("rerun.previous", { time: formatMessageTime(previousAt) })}
+      >
+        {t("rerun.summary", {
+          time: formatMessageTime(rerunAt),
+          change: describeCountChange(diff),
+        })}
+      </span>
+      {diff.changes.length > 0 && (
+        <ul>
+          {diff.changes.map((change) => (
+            <li key={change.category}>
+              {diff.measure} · {formatChange(change)}
+            </li>
+          ))}
+          {diff.unlistedChanges > 0 && (
+            <li>{t("rerun.moreChanges", { count: diff.unlistedChanges })}</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RerunDiff;
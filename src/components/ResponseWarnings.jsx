@@ -0,0 +1,26 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+
+const ResponseWarnings = ({ warnings, contractVersion }) => {
+  const { t } = useLocale();
+  if (!warnings?.length) return null;
+
+  return (
+    <details className="response-warnings">
+      <summary>
+        {t("warnings.notes", { count: warnings.length })} ·{" "}
+        {contractVersion
+          ? t("warnings.contract", { version: contractVersion })
+          : t("warnings.legacy")}
+      </summary>
+      <ul>
+        {/* Codes can repeat, so the index keeps the keys unique */}
+        {warnings.map((warning, index) => (
+          <li key={`${index}-${warning.code}`}>{warning.message}</li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default ResponseWarnings;
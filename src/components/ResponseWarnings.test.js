@@ -0,0 +1,36 @@
+import { render, screen } from "@testing-library/react";
+import ResponseWarnings from "./ResponseWarnings.jsx";
+
+describe("ResponseWarnings", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("lists warnings that share a code without key clashes", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    render(
+      <ResponseWarnings
+        contractVersion="1.1"
+        warnings={[
+          {
+            code: "numeric-text",
+            message: "Converted text to numbers in: teu",
+          },
+          { code: "numeric-text", message: "Converted text to numbers in: kg" },
+        ]}
+      />
+    );
+
+    expect(screen.getAllByRole("listitem")).toHaveLength(2);
+    expect(screen.getByText(/contract v1\.1/)).toBeTruthy();
+    const keyWarnings = error.mock.calls.filter(([message]) =>
+      String(message).includes("same key")
+    );
+    expect(keyWarnings).toEqual([]);
+  });
+
+  it("renders nothing without warnings", () => {
+    render(<ResponseWarnings warnings={[]} />);
+    expect(screen.queryByRole("group")).toBeNull();
+    expect(screen.queryByRole("listitem")).toBeNull();
+  });
+});
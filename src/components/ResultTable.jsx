@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatNumber } from "../services/i18n.js";
+
+const DEFAULT_PAGE_SIZE = 10;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "number") return formatNumber(value);
+  return String(value);
+};
+
+const ResultTable = ({ rows, pageSize = DEFAULT_PAGE_SIZE }) => {
+  const { t } = useLocale();
+  const [page, setPage] = useState(0);
+
+  // A new result starts on its first page
+  useEffect(() => setPage(0), [rows]);
+
+  if (!rows?.length) return null;
+
+  const columns = Object.keys(rows[0]);
+  const pageCount = Math.ceil(rows.length / pageSize);
+  const start = page * pageSize;
+  const visibleRows = rows.slice(start, start + pageSize);
+
+  return (
+    <div className="result-table">
+      <div className="result-table-scroll">
+        <table>
+          <thead>
+            <tr>
+              {columns.map((column) => (
+                <th key={column}>{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row, index) => (
+              <tr key={start + index}>
+                {columns.map((column) => (
+                  <td key={column}>{formatCell(row[column])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="result-table-pager">
+          <button onClick={() => setPage(page - 1)} disabled={page === 0}>
+            {t("table.previous")}
+          </button>
+          <span>
+            {t("table.rows", {
+              first: start + 1,
+              last: Math.min(start + pageSize, rows.length),
+              total: rows.length,
+            })}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount - 1}
+          >
+            {t("table.next")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultTable;
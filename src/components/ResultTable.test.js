@@ -0,0 +1,45 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import ResultTable from "./ResultTable.jsx";
+
+const rows = Array.from({ length: 25 }, (_, i) => ({
+  lane: `LANE0${(i % 4) + 1}`,
+  teu: i === 0 ? null : 1000 + i,
+}));
+
+describe("ResultTable", () => {
+  it("shows one page of rows with formatted cells", () => {
+    render(<ResultTable rows={rows} />);
+
+    expect(screen.getAllByRole("row")).toHaveLength(11);
+    expect(screen.getByText("—")).toBeTruthy();
+    expect(screen.getByText("1,001")).toBeTruthy();
+    expect(screen.getByText("Rows 1–10 of 25")).toBeTruthy();
+  });
+
+  it("pages through the rows", () => {
+    render(<ResultTable rows={rows} />);
+    const previous = screen.getByRole("button", { name: "‹ Prev" });
+    const next = screen.getByRole("button", { name: "Next ›" });
+
+    expect(previous.disabled).toBe(true);
+    fireEvent.click(next);
+    fireEvent.click(next);
+
+    expect(screen.getByText("Rows 21–25 of 25")).toBeTruthy();
+    expect(next.disabled).toBe(true);
+  });
+
+  it("starts a new result on its first page", () => {
+    const { rerender } = render(<ResultTable rows={rows} />);
+    fireEvent.click(screen.getByRole("button", { name: "Next ›" }));
+
+    rerender(<ResultTable rows={rows.slice(0, 15)} />);
+
+    expect(screen.getByText("Rows 1–10 of 15")).toBeTruthy();
+  });
+
+  it("leaves out the pager for a single page", () => {
+    render(<ResultTable rows={rows.slice(0, 3)} />);
+    expect(screen.queryByRole("button")).toBeNull();
+  });
+});
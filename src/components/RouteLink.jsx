@@ -0,0 +1,31 @@
+import React from "react";
+import { navigate } from "../services/router.js";
+
+/**
+ * Link to a route in the app. Plain clicks navigate without reloading;
+ * modified and middle clicks keep the browser's behaviour (new tab, copy).
+ */
+const RouteLink = ({ to, children, ...props }) => {
+  const handleClick = (e) => {
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a {...props} href={to} onClick={handleClick}>
+      {children}
+    </a>
+  );
+};
+
+export default RouteLink;
@@ -0,0 +1,62 @@
+import React from "react";
+import { useCommandList } from "../hooks/useCommands.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatShortcut } from "../services/commands.js";
+import ShortcutKeys from "./ShortcutKeys.jsx";
+
+/**
+ * Overlay listing the keyboard shortcuts available on the current page,
+ * grouped like the command palette
+ */
+const ShortcutCheatSheet = ({ onClose }) => {
+  const { t } = useLocale();
+  const commands = useCommandList().filter((command) => command.shortcut);
+  const groups = [...new Set(commands.map((command) => command.group))];
+
+  return (
+    <div className="palette-overlay" onClick={onClose}>
+      <div
+        className="shortcut-sheet"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-sheet-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") onClose();
+        }}
+      >
+        <div className="settings-header">
+          <h2 id="shortcut-sheet-title">{t("shortcuts.title")}</h2>
+          <button
+            className="settings-close"
+            onClick={onClose}
+            aria-label={t("shortcuts.close")}
+            autoFocus
+          >
+            ✕
+          </button>
+        </div>
+        {groups.map((group) => (
+          <section key={group} className="shortcut-group">
+            <h3>{group}</h3>
+            <dl>
+              {commands
+                .filter((command) => command.group === group)
+                .map((command) => (
+                  <div key={command.id} className="shortcut-row">
+                    <dt>{command.title}</dt>
+                    <dd>
+                      <ShortcutKeys steps={formatShortcut(command.shortcut)} />
+                    </dd>
+                  </div>
+                ))}
+            </dl>
+          </section>
+        ))}
+        <p className="settings-description">{t("shortcuts.typingNote")}</p>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutCheatSheet;
@@ -0,0 +1,25 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * Renders a formatted shortcut as key caps, e.g. [["G"], ["D"]] as G then D
+ */
+const ShortcutKeys = ({ steps }) => {
+  const { t } = useLocale();
+  return (
+    <span className="shortcut-keys">
+      {steps.map((keys, stepIndex) => (
+        <React.Fragment key={stepIndex}>
+          {stepIndex > 0 && (
+            <span className="shortcut-then">{t("shortcuts.then")}</span>
+          )}
+          {keys.map((key) => (
+            <kbd key={key}>{key}</kbd>
+          ))}
+        </React.Fragment>
+      ))}
+    </span>
+  );
+};
+
+export default ShortcutKeys;
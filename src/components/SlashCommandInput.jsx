@@ -0,0 +1,179 @@
+import React, { useEffect, useId, useMemo, useState } from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import {
+  describeSlashCommand,
+  getCompletions,
+  validateCommand,
+} from "../utils/slashCommands.js";
+
+const NO_ROWS = [];
+
+/**
+ * Text input that also takes slash commands. While a command is typed it
+ * shows the command's usage, inline validation and completions for the
+ * word being typed (Tab or Enter accepts, arrows move, Escape hides).
+ * getTextCompletions(value) can complete plain questions too; there Enter
+ * only accepts a completion picked with the arrows.
+ * Children (usually the submit button) are rendered next to the input.
+ */
+const SlashCommandInput = ({
+  value,
+  onChange,
+  onSubmit,
+  data = NO_ROWS,
+  className,
+  inputClassName,
+  placeholder,
+  placement = "above",
+  getTextCompletions,
+  children,
+}) => {
+  const { t } = useLocale();
+  const [highlighted, setHighlighted] = useState(0);
+  const [navigated, setNavigated] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+  const listId = useId();
+
+  const isCommand = value.trimStart().startsWith("/");
+  const completions = useMemo(() => {
+    if (isCommand) return getCompletions(value, data);
+    return getTextCompletions ? getTextCompletions(value) : [];
+  }, [isCommand, value, data, getTextCompletions]);
+  const validation = useMemo(
+    () => (isCommand ? validateCommand(value, data) : null),
+    [isCommand, value, data]
+  );
+
+  useEffect(() => {
+    setHighlighted(0);
+    setNavigated(false);
+    setDismissed(false);
+  }, [value]);
+
+  const open = !dismissed && (isCommand || completions.length > 0);
+
+  const accept = (completion) => onChange(completion.input);
+
+  const handleKeyDown = (e) => {
+    if (open && completions.length) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        // In plain text the first arrow press only picks an end of the list
+        setHighlighted((index) =>
+          isCommand || navigated
+            ? (index + step + completions.length) % completions.length
+            : step > 0
+            ? 0
+            : completions.length - 1
+        );
+        setNavigated(true);
+        return;
+      }
+      // Enter runs a complete command and completes an unfinished one
+      const enterAccepts = isCommand
+        ? validation?.error && validation.incomplete
+        : navigated;
+      if (e.key === "Tab" || (e.key === "Enter" && enterAccepts)) {
+        e.preventDefault();
+        accept(completions[highlighted]);
+        return;
+      }
+    }
+    if (e.key === "Escape") {
+      setDismissed(true);
+      return;
+    }
+    if (e.key === "Enter") onSubmit(value);
+  };
+
+  const describeState = () => {
+    if (!validation) return null;
+    if (validation.error) {
+      return (
+        <span
+          className={`command-validation ${
+            validation.incomplete ? "incomplete" : "invalid"
+          }`}
+        >
+          {validation.error}
+        </span>
+      );
+    }
+    return (
+      <span className="command-validation valid">
+        {t("commands.pressEnter")}
+      </span>
+    );
+  };
+
+  return (
+    <div className={`command-input-host ${className || ""}`}>
+      <input
+        type="text"
+        className={inputClassName}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        data-query-input
+        role="combobox"
+        aria-autocomplete="list"
+        aria-controls={listId}
+        aria-expanded={open && completions.length > 0}
+      />
+      {children}
+
+      {open && (
+        <div className={`command-popover ${placement}`}>
+          {isCommand && (
+            <div className="command-help">
+              {validation?.command ? (
+                <>
+                  <code>{validation.command.usage}</code>
+                  <span>{describeSlashCommand(validation.command)}</span>
+                </>
+              ) : (
+                <span>{t("commands.intro")}</span>
+              )}
+            </div>
+          )}
+          {describeState()}
+          {completions.length > 0 && (
+            <ul id={listId} className="command-suggestions" role="listbox">
+              {completions.map((completion, index) => (
+                <li
+                  key={completion.input}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  className={
+                    index === highlighted && (isCommand || navigated)
+                      ? "highlighted"
+                      : ""
+                  }
+                  onMouseDown={(e) => {
+                    // Keep focus in the input
+                    e.preventDefault();
+                    accept(completion);
+                  }}
+                  onMouseEnter={() => setHighlighted(index)}
+                >
+                  <span className="command-suggestion-label">
+                    {completion.label}
+                  </span>
+                  {completion.detail && (
+                    <span className="command-suggestion-detail">
+                      {completion.detail}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlashCommandInput;
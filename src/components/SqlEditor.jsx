@@ -0,0 +1,72 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { tokenizeSql } from "../utils/sqlText.js";
+
+/**
+ * SQL text with highlighting and line numbers. When editable, a
+ * transparent textarea lies over the highlighted text, so typing,
+ * selecting and undo work as in any text field.
+ */
+const SqlEditor = ({
+  value,
+  onChange,
+  onRun,
+  readOnly = false,
+  inputRef,
+  placeholder,
+}) => {
+  const { t } = useLocale();
+  const lineCount = value.split("\n").length;
+  const highlighted = (
+    <pre className="sql-highlight" aria-hidden={!readOnly}>
+      {tokenizeSql(value).map((token, i) =>
+        token.type === "space" ? (
+          token.text
+        ) : (
+          <span key={i} className={`sql-token-${token.type}`}>
+            {token.text}
+          </span>
+        )
+      )}
+      {/* Keeps a trailing empty line as tall as the textarea's */}
+      {"\n"}
+    </pre>
+  );
+
+  return (
+    <div className="sql-editor-scroll">
+      <div className="sql-editor">
+        <div className="sql-gutter" aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, i) => (
+            <div key={i}>{i + 1}</div>
+          ))}
+        </div>
+        <div className="sql-editor-body">
+          {highlighted}
+          {!readOnly && (
+            <textarea
+              ref={inputRef}
+              className="sql-input"
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              onKeyDown={(e) => {
+                if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+                  e.preventDefault();
+                  onRun();
+                }
+              }}
+              placeholder={placeholder}
+              wrap="off"
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+              aria-label={t("sql.editorLabel")}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SqlEditor;
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { useSqlHistory } from "../hooks/useSqlHistory.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { clearSqlHistory } from "../services/sqlHistory.js";
+import { formatDateTime } from "../services/i18n.js";
+import { diffLines } from "../utils/sqlText.js";
+
+const DIFF_PREFIX = { same: "  ", removed: "- ", added: "+ " };
+
+const firstLine = (sql) => sql.split("\n").find((line) => line.trim()) || "";
+
+/**
+ * Earlier SQL statements, newest first. Each can be opened in the editor
+ * or compared with the statement recorded before it.
+ */
+const SqlHistory = ({ onOpen }) => {
+  const { t } = useLocale();
+  const history = useSqlHistory();
+  const [diffId, setDiffId] = useState(null);
+
+  if (!history.length) {
+    return (
+      <div className="sql-history">
+        <p className="sql-schema-empty">{t("sqlHistory.empty")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sql-history">
+      <div className="sql-history-header">
+        <h4>{t("sqlHistory.title")}</h4>
+        <button className="settings-button" onClick={clearSqlHistory}>
+          {t("sqlHistory.clear")}
+        </button>
+      </div>
+      <ol>
+        {history.map((entry, i) => {
+          const previous = history[i + 1];
+          const showDiff = diffId === entry.id && previous;
+          return (
+            <li key={entry.id} className="sql-history-entry">
+              <div className="sql-history-row">
+                <span className={`sql-history-source ${entry.source}`}>
+                  {entry.source === "local"
+                    ? t("sqlHistory.local")
+                    : t("sqlHistory.ai")}
+                </span>
+                <code className="sql-history-preview">
+                  {firstLine(entry.sql)}
+                </code>
+                <span className="sql-history-meta">
+                  {formatDateTime(entry.ranAt)}
+                  {entry.rowCount !== null &&
+                    ` · ${t("sqlHistory.rows", { count: entry.rowCount })}`}
+                  {entry.elapsedMs !== null &&
+                    ` · ${t("sqlHistory.ms", { ms: entry.elapsedMs })}`}
+                </span>
+                <button
+                  className="settings-button"
+                  onClick={() => onOpen(entry.sql)}
+                >
+                  {t("sqlHistory.open")}
+                </button>
+                {previous && (
+                  <button
+                    className="settings-button"
+                    onClick={() => setDiffId(showDiff ? null : entry.id)}
+                    aria-expanded={Boolean(showDiff)}
+                  >
+                    {showDiff
+                      ? t("sqlHistory.hideChanges")
+                      : t("sqlHistory.changes")}
+                  </button>
+                )}
+              </div>
+              {entry.question && (
+                <div className="sql-history-question">{entry.question}</div>
+              )}
+              {showDiff && (
+                <pre
+                  className="sql-diff"
+                  aria-label={t("sqlHistory.diffLabel")}
+                >
+                  {diffLines(previous.sql, entry.sql).map((line, n) => (
+                    <div key={n} className={`sql-diff-${line.type}`}>
+                      {DIFF_PREFIX[line.type]}
+                      {line.text}
+                    </div>
+                  ))}
+                </pre>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default SqlHistory;
@@ -0,0 +1,183 @@
+import React, { useEffect, useRef, useState } from "react";
+import SqlEditor from "./SqlEditor.jsx";
+import SqlHistory from "./SqlHistory.jsx";
+import SqlSchema from "./SqlSchema.jsx";
+import { useSqlHistory } from "../hooks/useSqlHistory.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { getTableSchemas } from "../services/sqlEngine.js";
+import { formatSql } from "../utils/sqlText.js";
+
+const STATUS_DURATION = 2500; // 2.5 seconds
+
+/**
+ * The dataset's SQL as an editor. Run locally sends the edited query to
+ * onRun, which runs it in the browser on the tables in the schema list.
+ * While a query streams in, the SQL is shown read-only.
+ */
+const SqlPanel = ({
+  sql,
+  tables,
+  readOnly,
+  running,
+  error,
+  localRun,
+  onRun,
+  onReset,
+}) => {
+  const { t } = useLocale();
+  const history = useSqlHistory();
+  const [draft, setDraft] = useState(sql);
+  const [status, setStatus] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const inputRef = useRef(null);
+  const edited = draft !== sql;
+  const schemas = getTableSchemas(tables);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), STATUS_DURATION);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const run = () => {
+    if (!running && draft.trim()) onRun(draft);
+  };
+
+  const handleFormat = () => {
+    const result = formatSql(draft);
+    if (!result.success) {
+      setStatus(result.error);
+      return;
+    }
+    setDraft(result.sql);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(readOnly ? sql : draft);
+      setStatus(t("actions.sqlCopied"));
+    } catch (copyError) {
+      setStatus(t("sql.copyFailed"));
+    }
+  };
+
+  // Replaces the selection with text and puts the caret after it
+  const insertText = (text) => {
+    const input = inputRef.current;
+    if (!input) return;
+    const start = input.selectionStart;
+    const end = input.selectionEnd;
+    setDraft(draft.slice(0, start) + text + draft.slice(end));
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const openFromHistory = (text) => {
+    setDraft(text);
+    setShowHistory(false);
+    requestAnimationFrame(() => inputRef.current?.focus());
+  };
+
+  return (
+    <div className="sql-query-section">
+      <div className="sql-header">
+        <h3>{localRun ? t("sql.title") : t("sql.generatedTitle")}</h3>
+        <span className={`sql-badge ${localRun ? "local" : ""}`}>
+          {localRun
+            ? t("sql.badge.edited")
+            : sql
+            ? t("sql.badge.generated")
+            : t("sql.badge.local")}
+        </span>
+        <div className="sql-toolbar">
+          {!readOnly && (
+            <button
+              className="settings-button"
+              onClick={handleFormat}
+              disabled={!draft.trim()}
+            >
+              {t("sql.format")}
+            </button>
+          )}
+          <button
+            className="settings-button"
+            onClick={handleCopy}
+            disabled={!(readOnly ? sql : draft).trim()}
+          >
+            {t("sql.copy")}
+          </button>
+          {!readOnly && (
+            <button
+              className="settings-button"
+              onClick={() => setShowHistory((open) => !open)}
+              aria-expanded={showHistory}
+            >
+              {t("sql.history", { count: history.length })}
+            </button>
+          )}
+        </div>
+      </div>
+      {status && (
+        <div className="sql-status" role="status">
+          {status}
+        </div>
+      )}
+      {!readOnly && showHistory && <SqlHistory onOpen={openFromHistory} />}
+      <div className="sql-workspace">
+        {!readOnly && (
+          <SqlSchema
+            schemas={schemas}
+            onInsert={insertText}
+            disabled={running}
+          />
+        )}
+        <SqlEditor
+          value={readOnly ? sql : draft}
+          onChange={setDraft}
+          onRun={run}
+          readOnly={readOnly}
+          inputRef={inputRef}
+          placeholder={`SELECT * FROM ${
+            schemas[0]?.name || "dataset"
+          } LIMIT 100`}
+        />
+      </div>
+      {!readOnly && (
+        <div className="sql-actions">
+          <button
+            className="query-btn"
+            onClick={run}
+            disabled={running || !draft.trim()}
+            title="Ctrl/Cmd+Enter"
+          >
+            {running ? t("sql.running") : t("sql.run")}
+          </button>
+          {edited && (
+            <button className="settings-button" onClick={() => setDraft(sql)}>
+              {t("sql.discard")}
+            </button>
+          )}
+          {localRun && (
+            <button className="settings-button" onClick={onReset}>
+              {t("sql.reset")}
+            </button>
+          )}
+          {localRun && !edited && (
+            <span className="sql-status">
+              {t("sql.ranIn", { ms: localRun.elapsedMs })}
+            </span>
+          )}
+        </div>
+      )}
+      {error && (
+        <div className="command-validation invalid" role="alert">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SqlPanel;
@@ -0,0 +1,128 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { clearSqlHistory, recordSql } from "../services/sqlHistory.js";
+import SqlPanel from "./SqlPanel.jsx";
+
+const SQL = "SELECT lane, teu FROM shipments";
+const TABLES = {
+  shipments: [
+    { lane: "A", teu: 12 },
+    { lane: "B", teu: 7 },
+  ],
+};
+
+let onRun;
+let onReset;
+
+const renderPanel = (props = {}) =>
+  render(
+    <SqlPanel
+      sql={SQL}
+      tables={TABLES}
+      onRun={onRun}
+      onReset={onReset}
+      {...props}
+    />
+  );
+
+const editor = () => screen.getByRole("textbox", { name: "SQL query" });
+
+const edit = (text) => fireEvent.change(editor(), { target: { value: text } });
+
+beforeEach(() => {
+  onRun = jest.fn();
+  onReset = jest.fn();
+});
+
+afterEach(() => {
+  clearSqlHistory();
+});
+
+describe("SqlPanel", () => {
+  it("runs the edited SQL from the button and with Ctrl+Enter", () => {
+    renderPanel();
+    expect(editor().value).toBe(SQL);
+
+    edit(`${SQL} WHERE teu > 10`);
+    fireEvent.click(screen.getByRole("button", { name: "Run locally" }));
+    fireEvent.keyDown(editor(), { key: "Enter", ctrlKey: true });
+
+    expect(onRun).toHaveBeenCalledTimes(2);
+    expect(onRun).toHaveBeenCalledWith(`${SQL} WHERE teu > 10`);
+  });
+
+  it("does not run empty SQL or while a query is running", () => {
+    const { rerender } = renderPanel();
+    edit("  ");
+    expect(screen.getByRole("button", { name: "Run locally" }).disabled).toBe(
+      true
+    );
+
+    rerender(<SqlPanel sql={SQL} tables={TABLES} onRun={onRun} running />);
+    fireEvent.keyDown(editor(), { key: "Enter", metaKey: true });
+    expect(screen.getByRole("button", { name: "Running..." }).disabled).toBe(
+      true
+    );
+    expect(onRun).not.toHaveBeenCalled();
+  });
+
+  it("discards edits and goes back to the original result", () => {
+    renderPanel({ localRun: { elapsedMs: 4 } });
+    expect(screen.getByText("Ran in the browser in 4 ms")).toBeTruthy();
+
+    edit("SELECT 1");
+    fireEvent.click(screen.getByRole("button", { name: "Discard edits" }));
+    expect(editor().value).toBe(SQL);
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Back to the original result" })
+    );
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  it("formats the SQL and reports SQL it cannot read", () => {
+    renderPanel();
+
+    edit("select lane,sum(teu) from shipments group by lane");
+    fireEvent.click(screen.getByRole("button", { name: "Format" }));
+    expect(editor().value).toBe(
+      "SELECT\n  lane,\n  sum(teu)\nFROM\n  shipments\nGROUP BY\n  lane"
+    );
+
+    edit("SELECT (lane FROM shipments");
+    fireEvent.click(screen.getByRole("button", { name: "Format" }));
+    expect(screen.getByRole("status").textContent).toMatch(
+      /^Could not format the SQL/
+    );
+    expect(editor().value).toBe("SELECT (lane FROM shipments");
+  });
+
+  it("inserts a column name at the cursor", () => {
+    renderPanel();
+    edit("SELECT  FROM shipments");
+    editor().setSelectionRange(7, 7);
+
+    fireEvent.click(screen.getByTitle("Insert teu"));
+
+    expect(editor().value).toBe("SELECT teu FROM shipments");
+    expect(screen.getByText("2 records")).toBeTruthy();
+  });
+
+  it("opens earlier SQL from the history", () => {
+    recordSql({ sql: "SELECT COUNT(*) FROM shipments", source: "local" });
+    renderPanel();
+
+    fireEvent.click(screen.getByRole("button", { name: "History (1)" }));
+    fireEvent.click(screen.getByRole("button", { name: "Open" }));
+
+    expect(editor().value).toBe("SELECT COUNT(*) FROM shipments");
+  });
+
+  it("shows streaming SQL read-only", () => {
+    renderPanel({ readOnly: true, error: "no such column: nope" });
+
+    expect(screen.queryByRole("textbox")).toBeNull();
+    expect(screen.queryByRole("button", { name: "Run locally" })).toBeNull();
+    expect(screen.getByText("shipments")).toBeTruthy();
+    expect(screen.getByRole("alert").textContent).toBe("no such column: nope");
+  });
+});
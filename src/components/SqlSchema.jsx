@@ -0,0 +1,56 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatRecordCount } from "../services/pagination.js";
+import { toIdentifier } from "../utils/sqlText.js";
+
+/**
+ * Tables the SQL can read, with their columns and inferred types. Clicking
+ * a table or column name inserts it into the editor at the cursor.
+ */
+const SqlSchema = ({ schemas, onInsert, disabled }) => {
+  const { t } = useLocale();
+  return (
+    <aside className="sql-schema" aria-labelledby="sql-schema-title">
+      <h4 id="sql-schema-title">{t("sql.tables")}</h4>
+      {schemas.length === 0 && (
+        <p className="sql-schema-empty">{t("sql.noTables")}</p>
+      )}
+      {schemas.map((table) => (
+        <div key={table.name} className="sql-schema-table">
+          <div className="sql-schema-heading">
+            <button
+              type="button"
+              className="sql-schema-name"
+              onClick={() => onInsert(toIdentifier(table.name))}
+              disabled={disabled}
+              title={t("sql.insert", { name: table.name })}
+            >
+              {table.name}
+            </button>
+            <span className="sql-schema-count">
+              {formatRecordCount(table.rowCount)}
+            </span>
+          </div>
+          <ul>
+            {table.columns.map((column) => (
+              <li key={column.name}>
+                <button
+                  type="button"
+                  className="sql-schema-column"
+                  onClick={() => onInsert(toIdentifier(column.name))}
+                  disabled={disabled}
+                  title={t("sql.insert", { name: column.name })}
+                >
+                  <span>{column.name}</span>
+                  <span className="sql-schema-type">{column.type}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </aside>
+  );
+};
+
+export default SqlSchema;
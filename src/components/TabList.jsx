@@ -0,0 +1,79 @@
+import React, { useRef } from "react";
+
+/**
+ * Tabs with WAI-ARIA tablist semantics. Only the selected tab is in the tab
+ * order; ←/→, Home and End move between tabs and select them. The panel
+ * the tabs control needs id `${idPrefix}-panel` and
+ * aria-labelledby={tabId(idPrefix, selected)}.
+ * @param {Object[]} tabs - { id, label }
+ */
+const TabList = ({
+  tabs,
+  selected,
+  onSelect,
+  idPrefix,
+  label,
+  className = "",
+  tabClassName = "",
+}) => {
+  const listRef = useRef(null);
+
+  const moveTo = (index) => {
+    const tab = tabs[(index + tabs.length) % tabs.length];
+    onSelect(tab.id);
+    listRef.current?.querySelector(`#${tabId(idPrefix, tab.id)}`)?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    const index = tabs.findIndex((tab) => tab.id === selected);
+    const moves = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      Home: 0,
+      End: tabs.length - 1,
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      moveTo(moves[e.key]);
+    }
+  };
+
+  return (
+    <div
+      className={className}
+      role="tablist"
+      aria-label={label}
+      ref={listRef}
+      onKeyDown={handleKeyDown}
+    >
+      {tabs.map((tab) => {
+        const isSelected = tab.id === selected;
+        return (
+          <button
+            key={tab.id}
+            type="button"
+            id={tabId(idPrefix, tab.id)}
+            className={`${tabClassName} ${isSelected ? "active" : ""}`}
+            role="tab"
+            aria-selected={isSelected}
+            aria-controls={`${idPrefix}-panel`}
+            tabIndex={isSelected ? 0 : -1}
+            onClick={() => onSelect(tab.id)}
+          >
+            {tab.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Returns the element id of a tab, for the panel's aria-labelledby
+ * @param {string} idPrefix - TabList idPrefix
+ * @param {string} id - Tab id
+ * @returns {string}
+ */
+export const tabId = (idPrefix, id) => `${idPrefix}-tab-${id}`;
+
+export default TabList;
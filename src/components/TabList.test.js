@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import TabList from "./TabList.jsx";
+
+const TABS = [
+  { id: "overview", label: "Lane Overview" },
+  { id: "congestion", label: "Congestion Monitor" },
+  { id: "performance", label: "Performance Scores" },
+];
+
+const Tabs = () => {
+  const [selected, setSelected] = useState("overview");
+  return (
+    <TabList
+      tabs={TABS}
+      selected={selected}
+      onSelect={setSelected}
+      idPrefix="traffic"
+      label="Traffic views"
+    />
+  );
+};
+
+const selectedTab = () => screen.getByRole("tab", { selected: true });
+
+describe("TabList", () => {
+  it("keeps only the selected tab in the tab order", () => {
+    render(<Tabs />);
+
+    expect(screen.getByRole("tablist", { name: "Traffic views" })).toBeTruthy();
+    expect(
+      screen.getAllByRole("tab").map((tab) => tab.getAttribute("tabindex"))
+    ).toEqual(["0", "-1", "-1"]);
+    expect(selectedTab().id).toBe("traffic-tab-overview");
+    expect(selectedTab().getAttribute("aria-controls")).toBe("traffic-panel");
+  });
+
+  it("moves, selects and focuses with the arrow keys, Home and End", () => {
+    render(<Tabs />);
+    const tablist = screen.getByRole("tablist");
+
+    fireEvent.keyDown(tablist, { key: "ArrowRight" });
+    expect(selectedTab().textContent).toBe("Congestion Monitor");
+    expect(selectedTab().matches(":focus")).toBe(true);
+
+    fireEvent.keyDown(tablist, { key: "End" });
+    expect(selectedTab().textContent).toBe("Performance Scores");
+
+    fireEvent.keyDown(tablist, { key: "ArrowRight" });
+    expect(selectedTab().textContent).toBe("Lane Overview");
+
+    fireEvent.keyDown(tablist, { key: "ArrowLeft" });
+    expect(selectedTab().textContent).toBe("Performance Scores");
+
+    fireEvent.keyDown(tablist, { key: "Home" });
+    expect(selectedTab().textContent).toBe("Lane Overview");
+    expect(selectedTab().matches(":focus")).toBe(true);
+  });
+
+  it("selects a tab on click", () => {
+    render(<Tabs />);
+
+    fireEvent.click(screen.getByRole("tab", { name: "Performance Scores" }));
+
+    expect(selectedTab().getAttribute("tabindex")).toBe("0");
+    expect(selectedTab().textContent).toBe("Performance Scores");
+  });
+});
@@ -0,0 +1,38 @@
+import React from "react";
+import { useTheme } from "../hooks/useTheme.js";
+import { useLocale } from "../hooks/useLocale.js";
+import {
+  THEME_LABELS,
+  THEME_PREFERENCES,
+  setThemePreference,
+} from "../services/theme.js";
+
+/**
+ * Cycles the colour theme: system, light, dark, high contrast
+ */
+const ThemeToggle = () => {
+  const { preference } = useTheme();
+  const { t } = useLocale();
+  const next =
+    THEME_PREFERENCES[
+      (THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length
+    ];
+  const title = t("theme.toggle", {
+    current: t(`theme.${preference}`),
+    next: t(`theme.${next}`),
+  });
+
+  return (
+    <button
+      type="button"
+      className="theme-toggle"
+      onClick={() => setThemePreference(next)}
+      title={title}
+      aria-label={title}
+    >
+      {THEME_LABELS[preference].icon}
+    </button>
+  );
+};
+
+export default ThemeToggle;
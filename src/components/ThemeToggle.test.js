@@ -0,0 +1,30 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { setThemePreference } from "../services/theme.js";
+import ThemeToggle from "./ThemeToggle.jsx";
+
+afterEach(() => {
+  setThemePreference("system");
+});
+
+describe("ThemeToggle", () => {
+  it("cycles through the themes and says which one comes next", () => {
+    render(<ThemeToggle />);
+
+    const button = screen.getByRole("button", {
+      name: "Theme: System. Click for Light.",
+    });
+    fireEvent.click(button);
+    fireEvent.click(button);
+
+    expect(button.getAttribute("aria-label")).toBe(
+      "Theme: Dark. Click for High contrast."
+    );
+    expect(document.documentElement.dataset.theme).toBe("dark");
+
+    fireEvent.click(button);
+    fireEvent.click(button);
+    expect(button.getAttribute("aria-label")).toBe(
+      "Theme: System. Click for Light."
+    );
+  });
+});
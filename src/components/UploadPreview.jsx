@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { useLocale } from "../hooks/useLocale.js";
+
+const DELIMITER_LABELS = {
+  ",": "upload.delimiter.comma",
+  ";": "upload.delimiter.semicolon",
+  "\t": "upload.delimiter.tab",
+  "|": "upload.delimiter.pipe",
+};
+
+const ENCODING_LABELS = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+  "windows-1252": "Windows-1252 (Western European)",
+};
+
+const COLUMN_TYPES = ["string", "number", "date", "boolean"];
+
+// JSON records name their own fields
+const HEADERLESS_FORMATS = ["json", "ndjson"];
+
+/**
+ * First rows of an uploaded file with its detected settings and column
+ * types. Changing the encoding, delimiter or header row reads the file
+ * again through onReread; the column types go to onConfirm.
+ */
+const UploadPreview = ({ upload, busy, onReread, onConfirm, onCancel }) => {
+  const { t } = useLocale();
+  const [types, setTypes] = useState(() =>
+    upload.columns.map((column) => column.type)
+  );
+
+  const setType = (index, type) =>
+    setTypes((current) => current.map((old, i) => (i === index ? type : old)));
+
+  return (
+    <div
+      className="upload-preview"
+      role="region"
+      aria-labelledby="upload-preview-title"
+    >
+      <div className="upload-preview-header">
+        <h3 id="upload-preview-title">
+          {t("upload.previewTitle", { name: upload.name })}
+        </h3>
+        <span className="upload-summary">
+          {t("upload.summary", {
+            format: upload.format.toUpperCase(),
+            records: t("records.count", { count: upload.rowCount }),
+            columns: t("upload.columns", { count: upload.columns.length }),
+          })}
+        </span>
+      </div>
+
+      <div className="upload-settings">
+        {upload.encoding && (
+          <label>
+            {t("upload.encoding")}
+            <select
+              value={upload.encoding}
+              onChange={(e) => onReread({ encoding: e.target.value })}
+              disabled={busy}
+            >
+              {Object.entries(ENCODING_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {upload.delimiter && (
+          <label>
+            {t("upload.delimiter")}
+            <select
+              value={upload.delimiter}
+              onChange={(e) => onReread({ delimiter: e.target.value })}
+              disabled={busy}
+            >
+              {Object.entries(DELIMITER_LABELS).map(([value, key]) => (
+                <option key={value} value={value}>
+                  {t(key)}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {!HEADERLESS_FORMATS.includes(upload.format) && (
+          <label>
+            <input
+              type="checkbox"
+              checked={upload.hasHeader}
+              onChange={(e) => onReread({ hasHeader: e.target.checked })}
+              disabled={busy}
+            />
+            {t("upload.hasHeader")}
+          </label>
+        )}
+      </div>
+
+      {upload.warnings.length > 0 && (
+        <ul className="upload-notes">
+          {upload.warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="upload-table-wrapper">
+        <table className="upload-table">
+          <caption className="sr-only">
+            {t("upload.previewCaption", { count: upload.preview.length })}
+          </caption>
+          <thead>
+            <tr>
+              {upload.columns.map((column, i) => (
+                <th key={column.name} scope="col">
+                  <span className="upload-column-name">{column.name}</span>
+                  <select
+                    value={types[i]}
+                    onChange={(e) => setType(i, e.target.value)}
+                    aria-label={t("upload.columnType", {
+                      column: column.name,
+                    })}
+                    disabled={busy}
+                  >
+                    {COLUMN_TYPES.map((type) => (
+                      <option key={type} value={type}>
+                        {t(`upload.type.${type}`)}
+                      </option>
+                    ))}
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {upload.preview.map((row, r) => (
+              <tr key={r}>
+                {row.map((cell, i) => (
+                  <td key={i}>{cell}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="upload-actions">
+        <button
+          className="query-btn"
+          onClick={() =>
+            onConfirm(
+              upload.columns.map((column, i) => ({
+                name: column.name,
+                type: types[i],
+              }))
+            )
+          }
+          disabled={busy}
+        >
+          {busy ? t("upload.converting") : t("upload.use")}
+        </button>
+        <button className="settings-button" onClick={onCancel} disabled={busy}>
+          {t("upload.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPreview;
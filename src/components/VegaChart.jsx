@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from "react";
+import vegaEmbed from "vega-embed";
+import { getChartConfig } from "../utils/chartGeneration.js";
+import { useTheme } from "../hooks/useTheme.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { getVegaLocale } from "../services/i18n.js";
+
+/**
+ * Renders a Vega-Lite spec in the current theme and language and tears the
+ * view down when the spec, theme or language changes or the component
+ * unmounts
+ */
+const VegaChart = ({ spec, className = "vega-chart" }) => {
+  const containerRef = useRef(null);
+  const { theme } = useTheme();
+  const { language } = useLocale();
+
+  useEffect(() => {
+    if (!spec || !containerRef.current) return undefined;
+
+    let embedded = null;
+    let disposed = false;
+    const locale = getVegaLocale();
+
+    vegaEmbed(containerRef.current, spec, {
+      actions: false,
+      tooltip: true,
+      renderer: "svg",
+      config: getChartConfig(theme),
+      formatLocale: locale.number,
+      timeFormatLocale: locale.time,
+    })
+      .then((result) => {
+        if (disposed) result.finalize();
+        else embedded = result;
+      })
+      .catch((error) => console.error("Error rendering chart:", error));
+
+    return () => {
+      disposed = true;
+      embedded?.finalize();
+    };
+  }, [spec, theme, language]);
+
+  return <div ref={containerRef} className={className} />;
+};
+
+export default VegaChart;
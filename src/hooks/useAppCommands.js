@@ -0,0 +1,133 @@
+import { useCommands } from "./useCommands.js";
+import { useRoute } from "./useRoute.js";
+import { useTheme } from "./useTheme.js";
+import { useRecentQuestions } from "./useDataset.js";
+import { useChatThreads } from "./useChatThreads.js";
+import { useDashboardPins } from "./useDashboardPins.js";
+import { useLocale } from "./useLocale.js";
+import {
+  ANALYTICS_VIEWS,
+  PAGES,
+  TRAFFIC_TABS,
+  navigateTo,
+} from "../services/router.js";
+import { THEME_PREFERENCES, setThemePreference } from "../services/theme.js";
+import { setActiveThread } from "../services/chatThreads.js";
+
+const MAX_RECENT = 10;
+
+const PAGE_COMMANDS = [
+  { page: PAGES.DASHBOARD, shortcut: "g d" },
+  { page: PAGES.CHAT, shortcut: "g c" },
+  { page: PAGES.ANALYTICS, shortcut: "g a" },
+  { page: PAGES.TRAFFIC, shortcut: "g t" },
+];
+
+/**
+ * Registers the commands available on every page: navigation, recent
+ * questions, saved threads and pins, themes, the palette and the cheat sheet
+ * @param {Object} actions - { openPalette, openShortcuts }
+ */
+export const useAppCommands = ({ openPalette, openShortcuts }) => {
+  const { t } = useLocale();
+  const { page, params } = useRoute();
+  const { theme } = useTheme();
+  const recent = useRecentQuestions();
+  const { threads } = useChatThreads();
+  const pins = useDashboardPins();
+
+  // Keep the question on screen when only the view changes
+  const analyticsQuestion = page === PAGES.ANALYTICS ? params.q : null;
+
+  useCommands("app", [
+    {
+      id: "palette",
+      group: t("commands.group.general"),
+      title: t("commands.palette"),
+      shortcut: "mod+k",
+      run: openPalette,
+    },
+    {
+      id: "shortcuts",
+      group: t("commands.group.general"),
+      title: t("commands.shortcuts"),
+      shortcut: "?",
+      run: openShortcuts,
+    },
+    {
+      id: "focus-query",
+      group: t("commands.group.general"),
+      title: t("commands.focusQuery"),
+      shortcut: "/",
+      run: () => document.querySelector("[data-query-input]")?.focus(),
+    },
+    ...PAGE_COMMANDS.map(({ page: target, shortcut }) => ({
+      id: `go-${target}`,
+      group: t("commands.group.navigation"),
+      title: t("commands.goTo", { page: t(`page.${target}`) }),
+      shortcut,
+      run: () => navigateTo(target),
+    })),
+    ...TRAFFIC_TABS.map((tab) => ({
+      id: `traffic-${tab}`,
+      group: t("commands.group.navigation"),
+      title: t("commands.trafficTab", {
+        page: t("page.traffic"),
+        tab: t(`traffic.tab.${tab}`),
+      }),
+      keywords: ["tab"],
+      run: () =>
+        navigateTo(PAGES.TRAFFIC, {
+          tab,
+          lane: page === PAGES.TRAFFIC ? params.lane : null,
+        }),
+    })),
+    ...ANALYTICS_VIEWS.map((view) => ({
+      id: `analytics-${view}`,
+      group: t("page.analytics"),
+      title: t("commands.analyticsView", {
+        view: t(`analytics.view.${view}`),
+      }),
+      keywords: ["switch", "chart"],
+      run: () => navigateTo(PAGES.ANALYTICS, { q: analyticsQuestion, view }),
+    })),
+    {
+      id: "theme-toggle",
+      group: t("commands.group.theme"),
+      title:
+        theme === "light" ? t("commands.darkTheme") : t("commands.lightTheme"),
+      keywords: ["toggle", "dark mode"],
+      run: () => setThemePreference(theme === "light" ? "dark" : "light"),
+    },
+    ...THEME_PREFERENCES.map((preference) => ({
+      id: `theme-${preference}`,
+      group: t("commands.group.theme"),
+      title: t("commands.useTheme", { theme: t(`theme.${preference}`) }),
+      run: () => setThemePreference(preference),
+    })),
+    ...recent.slice(0, MAX_RECENT).map(({ question }, index) => ({
+      id: `recent-${index}`,
+      group: t("commands.group.recent"),
+      title: question,
+      keywords: ["rerun", "history"],
+      run: () => navigateTo(PAGES.ANALYTICS, { q: question }),
+    })),
+    ...threads.map((thread) => ({
+      id: `thread-${thread.id}`,
+      group: t("commands.group.threads"),
+      title: thread.title,
+      keywords: ["open", "saved", "conversation"],
+      run: () => {
+        setActiveThread(thread.id);
+        navigateTo(PAGES.CHAT);
+      },
+    })),
+    ...pins.map((pin) => ({
+      id: `pin-${pin.id}`,
+      group: t("commands.group.pins"),
+      title: pin.title,
+      keywords: ["open", "saved", "pin"],
+      run: () => navigateTo(PAGES.ANALYTICS, { q: pin.title }),
+    })),
+  ]);
+};
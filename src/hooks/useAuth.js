@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import { subscribeToAuth, getAuthState } from "../services/authService.js";
+
+/**
+ * Subscribes a component to sign-in / sign-out changes
+ * @returns {Object} - { sessions, expired }
+ */
+export const useAuth = () =>
+  useSyncExternalStore(subscribeToAuth, getAuthState);
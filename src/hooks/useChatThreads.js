@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from "react";
+import {
+  subscribeToThreads,
+  getThreadsState,
+} from "../services/chatThreads.js";
+
+/**
+ * Subscribes a component to AI Chat thread changes
+ * @returns {Object} - { threads, activeId, saveError }
+ */
+export const useChatThreads = () =>
+  useSyncExternalStore(subscribeToThreads, getThreadsState);
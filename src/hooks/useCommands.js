@@ -0,0 +1,38 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+import {
+  getCommands,
+  registerCommands,
+  subscribeToCommands,
+} from "../services/commands.js";
+
+/**
+ * Registers a component's commands while it is mounted. Commands are
+ * re-registered only when their ids, titles or shortcuts change; run always
+ * calls the latest render's function.
+ * @param {string} source - Source id, e.g. "analytics"
+ * @param {Object[]} commands - Commands (see services/commands.js)
+ */
+export const useCommands = (source, commands) => {
+  const latest = useRef(commands);
+  latest.current = commands;
+
+  const signature = commands
+    .map((command) => `${command.id}|${command.title}|${command.shortcut}`)
+    .join("\n");
+
+  useEffect(() => {
+    const list = latest.current.map((command) => ({
+      ...command,
+      run: () =>
+        latest.current.find((current) => current.id === command.id)?.run(),
+    }));
+    return registerCommands(source, list);
+  }, [source, signature]);
+};
+
+/**
+ * Subscribes a component to the registered commands
+ * @returns {Object[]}
+ */
+export const useCommandList = () =>
+  useSyncExternalStore(subscribeToCommands, getCommands);
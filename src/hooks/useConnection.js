@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+import {
+  subscribeToConnection,
+  getConnectionState,
+} from "../services/connectionManager.js";
+
+/**
+ * Subscribes a component to backend profile and health changes
+ * @returns {Object} - { profiles, activeId, health, activeProfile }
+ */
+export const useConnection = () => {
+  const state = useSyncExternalStore(subscribeToConnection, getConnectionState);
+  const activeProfile =
+    state.profiles.find((p) => p.id === state.activeId) || state.profiles[0];
+
+  return { ...state, activeProfile };
+};
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  fetchDataFromLangChain,
+  formatAPIError,
+  OVERVIEW_QUESTION,
+} from "../services/apiService.js";
+import {
+  DATASET_SLOTS,
+  completeQuery,
+  failQuery,
+  startQuery,
+} from "../services/dataStore.js";
+import {
+  computeMetrics,
+  getMetricDefinitions,
+} from "../utils/dashboardMetrics.js";
+import { useConnection } from "./useConnection.js";
+import { useDataMode } from "./useDataMode.js";
+import { useDataset } from "./useDataset.js";
+import { useLocale } from "./useLocale.js";
+
+const SLOT = DATASET_SLOTS.OVERVIEW;
+const STALE_AFTER = 5 * 60 * 1000; // 5 minutes, the query cache TTL
+const STALE_CHECK_INTERVAL = 30000; // 30 seconds
+
+/**
+ * Loads the shipment overview into the store's overview slot and computes
+ * the Dashboard metrics from it. Values stay on screen while a refresh runs
+ * or after it fails, marked stale. Reloads when the backend or the data mode
+ * changes.
+ * @returns {Object} - { metrics, data, pagination, status, stale, error, updatedAt, isDemo, refresh }; status is "loading", "ready" or "error"
+ */
+export const useDashboardMetrics = () => {
+  const { activeId } = useConnection();
+  const { mode, mockSettings } = useDataMode();
+  const { dataset, query } = useDataset(SLOT);
+  useLocale();
+  const [now, setNow] = useState(Date.now());
+  const controllerRef = useRef(null);
+
+  const refresh = useCallback(async ({ bypassCache = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    // Keep the last values; they are shown as stale until this returns
+    const queryId = startQuery(SLOT, OVERVIEW_QUESTION, { keepData: true });
+    const result = await fetchDataFromLangChain(OVERVIEW_QUESTION, {
+      signal: controller.signal,
+      bypassCache,
+    });
+    if (controllerRef.current === controller) controllerRef.current = null;
+
+    if (result.success) {
+      completeQuery(SLOT, result, { queryId });
+    } else {
+      failQuery(SLOT, {
+        queryId,
+        cancelled: result.cancelled,
+        error: result.cancelled ? null : formatAPIError(result.error),
+      });
+    }
+    setNow(Date.now());
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, activeId, mode, mockSettings]);
+
+  useEffect(() => {
+    const interval = setInterval(
+      () => setNow(Date.now()),
+      STALE_CHECK_INTERVAL
+    );
+    return () => {
+      clearInterval(interval);
+      controllerRef.current?.abort();
+    };
+  }, []);
+
+  const data = dataset?.data || null;
+  const definitions = getMetricDefinitions();
+  // A few aggregates over one page of rows; recomputing on every render
+  // also formats labels and values again when the language changes
+  const metrics = computeMetrics(data, definitions);
+
+  let status = dataset ? "ready" : "loading";
+  if (query?.status === "loading") status = "loading";
+  if (query?.status === "error") status = "error";
+
+  const updatedAt = dataset?.loadedAt || null;
+  const stale =
+    Boolean(data) && (status !== "ready" || now - updatedAt > STALE_AFTER);
+
+  return {
+    metrics,
+    data,
+    pagination: dataset?.pagination || null,
+    status,
+    stale,
+    error: query?.error || null,
+    updatedAt,
+    isDemo: dataset?.source === "demo",
+    refresh,
+  };
+};
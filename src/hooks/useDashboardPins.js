@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import { subscribeToPins, getPins } from "../services/dashboardPins.js";
+
+/**
+ * Subscribes a component to the results pinned to the Dashboard
+ * @returns {Object[]} - Pins, newest first
+ */
+export const useDashboardPins = () =>
+  useSyncExternalStore(subscribeToPins, getPins);
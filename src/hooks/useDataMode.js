@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from "react";
+import {
+  subscribeToDataMode,
+  getDataMode,
+  getMockSettings,
+} from "../services/dataMode.js";
+
+/**
+ * Subscribes a component to the live / demo data switch and demo scenario
+ * @returns {Object} - { mode, isDemo, mockSettings }
+ */
+export const useDataMode = () => {
+  const mode = useSyncExternalStore(subscribeToDataMode, getDataMode);
+  const mockSettings = useSyncExternalStore(
+    subscribeToDataMode,
+    getMockSettings
+  );
+  return { mode, isDemo: mode === "demo", mockSettings };
+};
@@ -0,0 +1,36 @@
+import { useSyncExternalStore } from "react";
+import {
+  subscribeToDataStore,
+  getDataStoreState,
+} from "../services/dataStore.js";
+
+const NO_FILTERS = [];
+
+/**
+ * Subscribes a component to one slot of the app-wide data store
+ * @param {string} slot - Dataset slot (see DATASET_SLOTS)
+ * @returns {Object} - { dataset, query, filters }; dataset and query are null until something was loaded or asked
+ */
+export const useDataset = (slot) => {
+  const dataset = useSyncExternalStore(
+    subscribeToDataStore,
+    () => getDataStoreState().datasets[slot] || null
+  );
+  const query = useSyncExternalStore(
+    subscribeToDataStore,
+    () => getDataStoreState().queries[slot] || null
+  );
+  const filters = useSyncExternalStore(
+    subscribeToDataStore,
+    () => getDataStoreState().filters[slot] || NO_FILTERS
+  );
+  return { dataset, query, filters };
+};
+
+/**
+ * Subscribes a component to the questions recently asked in Analytics and
+ * the assistant
+ * @returns {Object[]} - { question, slot, askedAt }, newest first
+ */
+export const useRecentQuestions = () =>
+  useSyncExternalStore(subscribeToDataStore, () => getDataStoreState().history);
@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from "react";
+import { getLocaleSettings, subscribeToLocale, t } from "../services/i18n.js";
+
+/**
+ * Subscribes a component to the language and time zone, so it renders again
+ * with the new messages and formats when either changes
+ * @returns {Object} - { language, timeZone, t }; timeZone is null for the
+ *   computer's time zone
+ */
+export const useLocale = () => {
+  const { language, timeZone } = useSyncExternalStore(
+    subscribeToLocale,
+    getLocaleSettings
+  );
+  return { language, timeZone, t };
+};
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { subscribeToRoute, getRoute } from "../services/router.js";
+
+/**
+ * Subscribes a component to the current route
+ * @returns {Object} - { page, params }
+ */
+export const useRoute = () => useSyncExternalStore(subscribeToRoute, getRoute);
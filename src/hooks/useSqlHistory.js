@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from "react";
+import {
+  getSqlHistory,
+  subscribeToSqlHistory,
+} from "../services/sqlHistory.js";
+
+/**
+ * Subscribes a component to the SQL history
+ * @returns {Object[]} - Recorded statements, newest first
+ */
+export const useSqlHistory = () =>
+  useSyncExternalStore(subscribeToSqlHistory, getSqlHistory);
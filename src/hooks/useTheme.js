@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+import {
+  subscribeToTheme,
+  getTheme,
+  getThemePreference,
+} from "../services/theme.js";
+
+/**
+ * Subscribes a component to the colour theme
+ * @returns {Object} - { preference, theme, isDark }; theme is the resolved
+ *   "light", "dark" or "high-contrast", isDark is true for both dark themes
+ */
+export const useTheme = () => {
+  const preference = useSyncExternalStore(subscribeToTheme, getThemePreference);
+  const theme = useSyncExternalStore(subscribeToTheme, getTheme);
+  return { preference, theme, isDark: theme !== "light" };
+};
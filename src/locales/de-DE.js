@@ -0,0 +1,733 @@
+/**
+ * German messages. Keys missing here fall back to English (en-US.js).
+ */
+const deDE = {
+  "app.skipLink": "Zum Hauptinhalt springen",
+  "app.notFoundTitle": "Seite nicht gefunden",
+
+  "page.dashboard": "Dashboard",
+  "page.chat": "KI-Chat",
+  "page.analytics": "Analysen",
+  "page.traffic": "Verkehrssteuerung",
+  "nav.label": "Hauptnavigation",
+
+  "theme.system": "System",
+  "theme.light": "Hell",
+  "theme.dark": "Dunkel",
+  "theme.high-contrast": "Hoher Kontrast",
+  "theme.toggle": "Design: {current}. Klicken für {next}.",
+
+  "locale.language": "Sprache",
+  "locale.timeZone": "Zeitzone",
+  "locale.computerTimeZone": "Computer ({zone})",
+
+  "dataMode.demo": "🧪 Demodaten",
+  "dataMode.live": "📡 Live-Daten",
+  "dataMode.demoTitle":
+    "Zeigt erzeugte Demodaten. Klicken, um zu den Live-Daten zurückzukehren.",
+  "dataMode.liveTitle":
+    "Zeigt Live-Daten des Backends. Klicken, um offline mit Demodaten zu arbeiten.",
+  "demo.bannerTitle": "Offline-/Demodatenmodus.",
+  "demo.bannerText":
+    "Alle Diagramme, Kennzahlen und Warnungen zeigen erzeugte Beispieldaten, keine Live-Terminaldaten.",
+  "demo.backToLive": "Zurück zu den Live-Daten",
+  "demo.watermark": "DEMODATEN · NICHT LIVE",
+  "demo.watermarkShort": "DEMO",
+  "demo.alertsWatermark": "DEMO-WARNUNGEN · NICHT LIVE",
+
+  "cache.badge": "💾 Aus dem Cache · {age}",
+  "cache.cachedAt": "Zwischengespeichert am {time}",
+  "cache.justNow": "gerade eben",
+  "cache.seconds": "{count} s alt",
+  "cache.minutes": "{count} Min. alt",
+  "cache.hours": "{count} Std. alt",
+
+  "common.loading": "Wird geladen…",
+  "common.refresh": "Aktualisieren",
+  "common.retry": "Erneut versuchen",
+  "common.cancel": "Abbrechen",
+
+  "records.count": { one: "{count} Datensatz", other: "{count} Datensätze" },
+  "records.more": { one: "{count}+ Datensatz", other: "{count}+ Datensätze" },
+  "records.ofTotal": "{loaded} von {total} Datensätzen",
+
+  "notFound.text":
+    "Unter {path} gibt es keine Seite. Der Link ist vielleicht falsch geschrieben oder stammt aus einer älteren Version von ShipmentIQ.",
+  "notFound.dashboard": "Zum Dashboard",
+  "notFound.analytics": "Analysen öffnen",
+
+  "dashboard.title": "KI-gestütztes Analyse-Dashboard",
+  "dashboard.loadingRecords": "Sendungsdaten werden geladen…",
+  "dashboard.loadFailed": "Sendungsdaten konnten nicht geladen werden: {error}",
+  "dashboard.insights": "Echtzeit-Einblicke aus {records}",
+  "dashboard.partial": "{insights} (Kennzahlen aus den ersten {count})",
+  "dashboard.updated": "Aktualisiert {time}",
+  "dashboard.olderThan": "Älter als 5 Minuten",
+  "dashboard.refreshFailed": "Aktualisierung fehlgeschlagen: {error}",
+
+  "metric.status.loading": "Wird aktualisiert…",
+  "metric.status.stale": "Veraltet",
+  "metric.status.error": "Nicht verfügbar",
+  "metric.totalShipments": "Sendungen gesamt",
+  "metric.averageFlowRate": "Mittlere Durchflussrate",
+  "metric.uniqueProducts": "Verschiedene Produkte",
+  "metric.averageQuantity": "Mittlere Menge",
+  "metric.computedFrom": "Berechnet aus {field}",
+  "metric.noRecords": "Keine Datensätze geladen",
+  "metric.noField": "Kein Feld passt zu {fields}",
+  "metric.noNumbers": "{field} enthält keine Zahlenwerte",
+
+  "unit.units": "Einheiten",
+
+  "traffic.title": "🚦 Verkehrsleitstand",
+  "traffic.loading": "Terminaldaten werden geladen...",
+  "traffic.noData": "Keine Terminaldaten verfügbar",
+  "traffic.live": "LIVE - Aktualisierung alle 30 s",
+  "traffic.demo": "DEMODATEN - nicht live",
+  "traffic.refreshFailed":
+    "Aktualisierung fehlgeschlagen: {error} Daten vom Stand {time}.",
+  "traffic.earlierRefresh": "einer früheren Aktualisierung",
+  "traffic.useDemo": "Stattdessen Demodaten verwenden",
+  "traffic.error.noTerminalFields":
+    "Das Live-Backend hat keine Spur-, Bucht- oder Dock-Felder für den Terminalbetrieb geliefert.",
+  "traffic.error.unexpected":
+    "Unerwarteter Fehler beim Laden der Terminaldaten.",
+  "traffic.kpi.totalShipments": "Sendungen gesamt",
+  "traffic.kpi.activeLanes": "Aktive Spuren",
+  "traffic.kpi.avgTurnaround": "Mittlere Abfertigung (Min.)",
+  "traffic.kpi.onTime": "Pünktlichkeit",
+  "traffic.alerts.title": "🚨 Aktive Warnungen",
+  "traffic.alerts.acknowledgeAll": "Alle bestätigen",
+  "traffic.alerts.acknowledge": "Bestätigen",
+  "traffic.alerts.shortcut": "Tastenkürzel: A",
+  "traffic.alerts.none": "Keine unbestätigten Warnungen.",
+  "traffic.alerts.restore": "{count} bestätigt · Wieder anzeigen",
+  "traffic.alerts.new": "Neue Warnung: {message}",
+  "traffic.alerts.newMany": "{count} neue Warnungen. {message}",
+  "traffic.alert.delay": "⚠️ Sendung {id} seit {minutes} Minuten verzögert",
+  "traffic.alert.congestion":
+    "🚨 Starker Stau auf {lane} um {hour} ({count} Sendungen)",
+  "traffic.severity.critical": "Kritisch",
+  "traffic.severity.warning": "Warnung",
+  "traffic.tabs": "Ansichten der Verkehrssteuerung",
+  "traffic.tab.overview": "Spurübersicht",
+  "traffic.tab.congestion": "Staumonitor",
+  "traffic.tab.performance": "Leistungswerte",
+  "traffic.lane": "Spur: {lane}",
+  "traffic.showAllLanes": "Alle Spuren anzeigen",
+  "traffic.overview.title": "Auslastung der Spuren",
+  "traffic.shipments": "Sendungen",
+  "traffic.grade": "Note",
+  "traffic.congestion.title": "Stau-Heatmap",
+  "traffic.congestion.info":
+    "Echtzeitanalyse der Staumuster je Spur im Tagesverlauf",
+  "traffic.congestion.timeZone": "Uhrzeiten in {zone}",
+  "traffic.congestion.legendNormal": "🟢 Normal (1-5 Sendungen/Stunde)",
+  "traffic.congestion.legendModerate": "🟡 Mäßig (6-10 Sendungen/Stunde)",
+  "traffic.congestion.legendHeavy": "🔴 Stark (über 10 Sendungen/Stunde)",
+  "traffic.congestion.emptyLane": "Keine Staudaten für Spur {lane}.",
+  "traffic.congestion.cell": {
+    one: "{hour} · {count} Sendung · {level}",
+    other: "{hour} · {count} Sendungen · {level}",
+  },
+  "traffic.level.normal": "Normal",
+  "traffic.level.moderate": "Mäßig",
+  "traffic.level.heavy": "Stark",
+  "traffic.performance.title": "Leistungstabelle der Spuren",
+  "traffic.performance.utilization": "Auslastung:",
+  "traffic.performance.shipments": "Sendungen:",
+  "traffic.performance.efficiency": "Effizienz:",
+  "traffic.efficiency.high": "Hoch",
+  "traffic.efficiency.medium": "Mittel",
+  "traffic.efficiency.low": "Niedrig",
+  "traffic.delayed.title": "⚠️ Verzögerte Sendungen",
+  "traffic.delayed.minutes": {
+    one: "{count} Minute verzögert",
+    other: "{count} Minuten verzögert",
+  },
+  "traffic.upload": "DATEI - {name}",
+  "traffic.closeUpload": "Datei schließen",
+  "traffic.uploadNoLanes":
+    "Die Datei hat keine Spalte für Spur, Bucht oder Dock.",
+
+  "upload.label": "Datei hochladen",
+  "upload.prompt":
+    "Eine CSV-, TSV-, JSON- oder Excel-Datei (.xlsx) irgendwo auf dieser Seite ablegen, um sie auszuwerten.",
+  "upload.choose": "Datei auswählen…",
+  "upload.reading": "Datei wird gelesen…",
+  "upload.dropHere": "Datei ablegen für die Vorschau",
+  "upload.previewTitle": "Vorschau von {name}",
+  "upload.summary": "{format} · {records} · {columns}",
+  "upload.columns": { one: "{count} Spalte", other: "{count} Spalten" },
+  "upload.previewCaption": "Erste {count} Zeilen der Datei",
+  "upload.encoding": "Zeichenkodierung",
+  "upload.delimiter": "Trennzeichen",
+  "upload.delimiter.comma": "Komma (,)",
+  "upload.delimiter.semicolon": "Semikolon (;)",
+  "upload.delimiter.tab": "Tabulator",
+  "upload.delimiter.pipe": "Senkrechter Strich (|)",
+  "upload.hasHeader": "Erste Zeile enthält Spaltennamen",
+  "upload.columnType": "Typ von {column}",
+  "upload.type.string": "Text",
+  "upload.type.number": "Zahl",
+  "upload.type.date": "Datum",
+  "upload.type.boolean": "Ja/Nein",
+  "upload.use": "Daten übernehmen",
+  "upload.converting": "Wird umgewandelt…",
+  "upload.cancel": "Abbrechen",
+  "upload.loaded": "{records} aus {name} geladen.",
+  "upload.error.empty": "{name} ist leer.",
+  "upload.error.tooLarge": "{name} ist größer als {size} MB.",
+  "upload.error.unreadable": "{name} konnte nicht gelesen werden.",
+  "upload.error.parserStopped": "Der Datei-Parser wurde beendet.",
+  "upload.error.closed": "Die Datei wurde geschlossen.",
+  "upload.error.xls":
+    "Alte Excel-Dateien (.xls) können nicht gelesen werden. Speichern Sie die Tabelle als .xlsx oder CSV.",
+  "upload.error.readFailed": "Die Datei konnte nicht gelesen werden: {message}",
+  "upload.error.invalidJson": "Kein gültiges JSON: {message}",
+  "upload.error.invalidJsonLine":
+    "Zeile {line} ist kein gültiges JSON: {message}",
+  "upload.error.noRecords": "Das JSON enthält kein Array von Datensätzen.",
+  "upload.error.noRows": "Die Datei enthält keine Datenzeilen.",
+  "upload.warning.unclean": {
+    one: "{count} Zeile konnte nicht sauber gelesen werden ({message}).",
+    other: "{count} Zeilen konnten nicht sauber gelesen werden ({message}).",
+  },
+  "upload.warning.typeMismatch": {
+    one: "{count} Wert in „{column}“ passt nicht zum Typ und wurde leer gelassen.",
+    other:
+      "{count} Werte in „{column}“ passen nicht zum Typ und wurden leer gelassen.",
+  },
+
+  "stream.stage.connecting": "Verbindung zum Backend wird hergestellt",
+  "stream.stage.generating-sql": "SQL wird erzeugt",
+  "stream.stage.sql-generated": "SQL erzeugt",
+  "stream.stage.executing": "Abfrage läuft",
+  "stream.stage.receiving-rows": "Zeilen werden empfangen",
+  "stream.stage.retrying": "Backend fehlgeschlagen, neuer Versuch",
+  "stream.stage.complete": "Fertig",
+  "stream.stage.error": "Fehlgeschlagen",
+  "stream.stage.processing": "Wird verarbeitet",
+  "stream.retryIn": "Versuch {attempt} von {max} in {seconds} s",
+
+  "apiError.unknown": "Ein unbekannter Fehler ist aufgetreten",
+  "apiError.gaveUp": " (nach {attempts} Versuchen aufgegeben)",
+  "apiError.offline":
+    "Sie sind offline. Stellen Sie die Verbindung wieder her oder arbeiten Sie mit Demodaten weiter.",
+  "apiError.circuitOpen":
+    "Das Backend ist wiederholt ausgefallen, daher sind Anfragen pausiert. Neuer Versuch in {seconds} s.",
+  "apiError.timeout":
+    "Zeitüberschreitung der Anfrage. Die KI braucht länger als erwartet für Ihre Abfrage.{retried}",
+  "apiError.unauthorized":
+    "Das Backend hat die Anfrage abgelehnt. Melden Sie sich erneut an oder prüfen Sie Ihren API-Schlüssel.",
+  "apiError.notFound":
+    "LangChain-Backend nicht gefunden. Bitte prüfen Sie die Server-URL.",
+  "apiError.server":
+    "Serverfehler im LangChain-Backend. Bitte versuchen Sie es später erneut.{retried}",
+  "apiError.backend":
+    "Das Backend konnte diese Frage nicht beantworten: {message}",
+  "apiError.malformed":
+    "Das Backend hat eine Antwort gesendet, die diese App nicht lesen kann: {message}",
+  "apiError.empty":
+    "Die Abfrage lief, lieferte aber keine Zeilen. Versuchen Sie eine allgemeinere Frage.",
+  "apiError.network":
+    "Netzwerkfehler. Bitte prüfen Sie Ihre Internetverbindung.",
+  "apiError.fetchFailed":
+    "Daten konnten nicht vom LangChain-Backend abgerufen werden",
+  "apiError.status": "Anfrage mit Statuscode {status} fehlgeschlagen",
+  "apiError.noRows": "Die Abfrage lief, hat aber keine Zeilen geliefert",
+  "apiError.circuitPaused":
+    "Schutzschalter offen: Das Backend schlägt fehl, Anfragen sind pausiert",
+  "apiError.emptyBody": "Das Backend hat eine leere Antwort geliefert",
+  "apiError.textBody": "JSON erwartet, aber das Backend hat Text geliefert",
+  "apiError.contractVersion":
+    "Nicht unterstützte Vertragsversion {version} (diese App liest {supported})",
+  "apiError.dataNotArray": "„data“ sollte ein Array sein, ist aber {type}",
+  "apiError.noData": "Die Antwort hat kein „data“-Array",
+  "apiError.notObject": "JSON-Objekt erwartet, aber {type} erhalten",
+
+  "result.none": "Die Abfrage hat keine Datensätze geliefert.",
+  "result.columns": { one: "{count} Spalte", other: "{count} Spalten" },
+  "result.found": "{records} mit {columns} gefunden",
+  "result.foundOnly": "{found}.",
+  "result.figures": "{found}: {figures}.",
+  "result.highest":
+    "{found}. Höchster Wert für {measure}: {category} ({value}).",
+  "result.sameCount": "{records}, gleich viele wie beim vorigen Lauf",
+  "result.moreCount": "{records}, {count} mehr als beim vorigen Lauf",
+  "result.fewerCount": "{records}, {count} weniger als beim vorigen Lauf",
+  "result.change": "{category}: {before} → {after}",
+  "result.changeNew": "neu",
+  "result.changeGone": "entfallen",
+
+  "chat.newThread": "Neuer Chat",
+  "chat.greeting":
+    "Hallo! Ich bin Ihr KI-Assistent für Sendungsanalysen. Wie kann ich Ihnen heute helfen?",
+  "chat.interrupted": "Unterbrochen, bevor die Antwort eintraf.",
+  "chat.saveFailed":
+    "Der Chatverlauf ist zu groß, um ihn in diesem Browser zu speichern. Löschen oder exportieren Sie alte Verläufe.",
+  "chat.branchTitle": "{title} (Zweig)",
+  "chat.import.notJson": "Die Datei ist kein gültiges JSON.",
+  "chat.import.notExport": "Die Datei ist kein ShipmentIQ-Chatexport.",
+  "chat.import.newerVersion":
+    "Die Datei wurde von einer neueren Version exportiert (Format {version}).",
+  "chat.import.noThreads": "Die Datei enthält keine Verläufe.",
+
+  "rerun.summary": "↻ Erneut ausgeführt um {time}: {change}",
+  "rerun.previous": "Voriger Lauf: {time}",
+  "rerun.moreChanges": {
+    one: "…und {count} weitere Änderung",
+    other: "…und {count} weitere Änderungen",
+  },
+  "chat.subtitle": "Chatten Sie mit Ihrem KI-Analyseassistenten",
+  "chat.answerReady": "Antwort bereit. {summary}",
+  "chat.cancelled": "Abgebrochen nach {count} empfangenen Datensätzen.",
+  "chat.branched": "Von „{title}“ mit einer bearbeiteten Frage abgezweigt.",
+  "chat.contextCleared":
+    "Kontext geleert. Die nächste Frage beginnt eine neue Unterhaltung.",
+  "chat.contextForked":
+    "Kontext ab „{question}“ abgezweigt. Spätere Fragen gehören nicht mehr dazu.",
+  "chat.askInBranch": "In neuem Zweig fragen",
+  "chat.edit": "✎ Bearbeiten",
+  "chat.editTitle": "Bearbeiten und in einem neuen Zweig fragen",
+  "chat.followUp": {
+    one: "↩ Folgefrage · {count} frühere Frage als Kontext gesendet",
+    other: "↩ Folgefrage · {count} frühere Fragen als Kontext gesendet",
+  },
+  "chat.generatedSql": "Erzeugtes SQL",
+  "chat.demoBadge": "🧪 Demodaten · nicht live",
+  "chat.fork": "Ab hier abzweigen",
+  "chat.forkTitle": "Die Unterhaltung ab dieser Antwort fortsetzen",
+  "chat.newConversation": "Neue Unterhaltung",
+  "chat.context": {
+    one: "Kontext: {count} frühere Frage",
+    other: "Kontext: {count} frühere Fragen",
+  },
+  "chat.forked": "abgezweigt",
+  "chat.resetContext": "Kontext zurücksetzen",
+  "chat.placeholder": "Nachricht eingeben oder / für Befehle...",
+  "chat.send": "Senden",
+
+  "threads.new": "+ Neuer Chat",
+  "threads.search": "Chats durchsuchen...",
+  "threads.questions": { one: "{count} Frage", other: "{count} Fragen" },
+  "threads.rename": "Umbenennen",
+  "threads.renameLabel": "{title} umbenennen",
+  "threads.delete": "Löschen",
+  "threads.deleteLabel": "{title} löschen",
+  "threads.confirmDelete":
+    "„{title}“ löschen? Das kann nicht rückgängig gemacht werden.",
+  "threads.noMatch": "Keine Chats passen zu „{query}“",
+  "threads.export": "Chat exportieren",
+  "threads.exportAll": "Alle exportieren",
+  "threads.import": "Importieren",
+  "threads.imported": {
+    one: "{count} Verlauf importiert.",
+    other: "{count} Verläufe importiert.",
+  },
+
+  "actions.rerun": "↻ Erneut ausführen",
+  "actions.rerunTitle": "Mit aktuellen Daten erneut fragen",
+  "actions.copySql": "SQL kopieren",
+  "actions.downloadSql": "SQL herunterladen",
+  "actions.downloadCsv": "CSV herunterladen",
+  "actions.snapshotOnly":
+    "Nur die {count} gespeicherten Zeilen. Für das vollständige Ergebnis erneut ausführen.",
+  "actions.sqlCopied": "SQL kopiert",
+  "actions.copyFailed":
+    "Kopieren fehlgeschlagen. Öffnen Sie „Erzeugtes SQL“ und kopieren Sie es von Hand.",
+  "actions.pinChart": "Diagramm anheften",
+  "actions.unpinChart": "Diagramm lösen",
+  "actions.pinTable": "Tabelle anheften",
+  "actions.unpinTable": "Tabelle lösen",
+  "actions.pinned.chart": "Diagramm an das Dashboard angeheftet",
+  "actions.pinned.table": "Tabelle an das Dashboard angeheftet",
+  "actions.unpinned.chart": "Diagramm vom Dashboard entfernt",
+  "actions.unpinned.table": "Tabelle vom Dashboard entfernt",
+
+  "chatResult.snapshot":
+    "Gespeicherter Ausschnitt: die ersten {count} von {total} Datensätzen. Fragen Sie erneut für das vollständige Ergebnis.",
+
+  "warnings.notes": {
+    one: "⚠️ {count} Datenhinweis",
+    other: "⚠️ {count} Datenhinweise",
+  },
+  "warnings.contract": "Vertrag v{version}",
+  "warnings.legacy": "Altformat",
+  "warnings.incomplete-stream": "Der Stream endete ohne Abschlussereignis",
+  "warnings.dropped-rows": {
+    one: "{count} Zeile verworfen, die kein Objekt war",
+    other: "{count} Zeilen verworfen, die keine Objekte waren",
+  },
+  "warnings.stringified-values":
+    "Verschachtelte Werte als Text gespeichert in: {columns}",
+  "warnings.numeric-text": "Text in Zahlen umgewandelt in: {columns}",
+  "warnings.legacy-array":
+    "Die Antwort war ein reines Array; es wurde als Zeilen gelesen",
+  "warnings.legacy-format":
+    "Die Antwort nannte keine Vertragsversion; sie wurde im Altformat gelesen",
+  "warnings.legacy-sql-field": "SQL-Abfrage aus „{field}“ gelesen",
+  "warnings.legacy-rows-field": "Zeilen aus „results“ gelesen",
+
+  "commands.intro":
+    "Befehle arbeiten ohne Sprachmodell auf dem aktuellen Ergebnis. Geben Sie /help für die Liste ein.",
+  "commands.pressEnter": "✓ Zum Ausführen Enter drücken",
+
+  "table.previous": "‹ Zurück",
+  "table.next": "Weiter ›",
+  "table.rows": "Zeilen {first}–{last} von {total}",
+
+  "pins.title": "Aus dem KI-Chat angeheftet",
+  "pins.remove": "Vom Dashboard entfernen",
+  "pins.removeLabel": "{title} vom Dashboard entfernen",
+  "pins.meta": "Angeheftet {time} · {records}",
+  "pins.firstKept": "(die ersten {count} behalten)",
+  "pins.untitled": "Angeheftetes Ergebnis",
+  "pins.error.unknownView": "Unbekannte Ansicht „{view}“.",
+  "pins.error.noRows": "Die Antwort hat keine Zeilen.",
+
+  "shortcuts.then": "dann",
+
+  "slash.noData":
+    "Es gibt noch kein Ergebnis zum Bearbeiten. Stellen Sie eine Frage oder führen Sie zuerst /sql aus.",
+  "slash.notCommand": "Kein Befehl.",
+  "slash.typeName": "Geben Sie einen Befehlsnamen ein.",
+  "slash.pressTab": "Tab drücken, um /{name} zu vervollständigen.",
+  "slash.unknownCommand":
+    "Unbekannter Befehl „/{name}“. Geben Sie /help für die Liste ein.",
+  "slash.tooManyArguments": "Zu viele Argumente. {usage}",
+  "slash.noFields": "keine in diesem Ergebnis",
+  "slash.chooseField": "Wählen Sie das Feld für {role}.",
+  "slash.unknownField": "Unbekanntes Feld „{field}“. Felder: {fields}.",
+  "slash.role.xAxis": "die x-Achse",
+  "slash.role.yAxis": "die y-Achse",
+  "slash.role.condition": "die Bedingung",
+  "slash.role.ranking": "die Rangfolge",
+  "slash.detail.chartType": "Diagrammtyp",
+  "slash.detail.aggregate": "Aggregat",
+  "slash.detail.rows": "Zeilen",
+  "slash.detail.format": "Format",
+  "slash.chart.description":
+    "Stellt das aktuelle Ergebnis als Diagramm dar. Aggregate: sum, mean, median, min, max, count.",
+  "slash.chart.chooseType":
+    "Wählen Sie einen Diagrammtyp: bar, line, scatter oder pie.",
+  "slash.chart.unknownType":
+    "Unbekannter Diagrammtyp „{type}“. Verwenden Sie bar, line, scatter oder pie.",
+  "slash.chart.unknownAggregate":
+    "Unbekanntes Aggregat „{aggregate}“. Verwenden Sie {aggregates}.",
+  "slash.chart.countOnly":
+    "„{field}“ ist nicht numerisch und kann nur gezählt werden. Numerische Felder: {fields}.",
+  "slash.chart.count": "Anzahl",
+  "slash.chart.measure": "{aggregate} von {field}",
+  "slash.chart.title": "{measure} nach {field}",
+  "slash.chart.done": "Diagramm {title} für {records} erstellt.",
+  "slash.filter.description":
+    'Behält die Zeilen, die alle Bedingungen erfüllen. ~ bedeutet „enthält“; Werte mit Leerzeichen in Anführungszeichen, z. B. status="In Progress".',
+  "slash.filter.addCondition":
+    "Fügen Sie eine Bedingung hinzu, z. B. status=Completed.",
+  "slash.filter.addComparison":
+    "Fügen Sie einen Vergleich hinzu, z. B. {field}=Wert.",
+  "slash.filter.notCondition":
+    "„{condition}“ ist keine Bedingung. Verwenden Sie Feld=Wert, !=, >, >=, <, <= oder ~ (enthält).",
+  "slash.filter.addValue": "Fügen Sie nach {condition} einen Wert hinzu",
+  "slash.filter.notNumber":
+    "„{value}“ ist keine Zahl, aber {field} ist numerisch.",
+  "slash.filter.notDate":
+    "„{value}“ ist kein Datum, aber {field} enthält Datumswerte.",
+  "slash.filter.and": " und ",
+  "slash.filter.kept": "{records} von {total} behalten, wo {where}.",
+  "slash.filter.none": "Keine Datensätze erfüllen {where}.",
+  "slash.top.description":
+    "Behält die n Zeilen mit den höchsten Werten eines Feldes.",
+  "slash.top.chooseCount":
+    "Wählen Sie, wie viele Zeilen behalten werden sollen, z. B. 10.",
+  "slash.top.badCount":
+    "Die Zeilenzahl muss eine ganze Zahl von 1 bis {max} sein.",
+  "slash.top.notNumeric":
+    "„{field}“ ist nicht numerisch. Numerische Felder: {fields}.",
+  "slash.top.done": "Top {records} nach {field}.",
+  "slash.describe.description":
+    "Listet die Felder des aktuellen Ergebnisses mit ihren Typen und Wertebereichen auf.",
+  "slash.describe.noArguments": "/describe nimmt keine Argumente.",
+  "slash.describe.fields": { one: "{count} Feld", other: "{count} Feldern" },
+  "slash.describe.done": "{records} mit {fields}.",
+  "slash.export.description": "Lädt das aktuelle Ergebnis herunter.",
+  "slash.export.unknownFormat":
+    "Unbekanntes Format „{format}“. Verwenden Sie csv oder json.",
+  "slash.export.done": "{records} als {filename} exportiert.",
+  "slash.sql.description":
+    "Führt eine SELECT- oder WITH-Abfrage im Browser auf dem aktuellen Ergebnis aus, ohne Sprachmodell. Die Zeilen sind die Tabelle dataset oder die Tabelle, aus der ihr SQL liest.",
+  "slash.sql.typeQuery": "Geben Sie eine SELECT-Abfrage ein.",
+  "slash.sql.selectOnly":
+    "Nur SELECT- und WITH-Abfragen können ausgeführt werden.",
+  "slash.sql.done": "{records} in {ms} ms, im Browser ausgeführt.",
+  "slash.help.description":
+    "Zeigt die Befehle oder die Verwendung eines Befehls.",
+  "slash.help.unknownCommand": "Unbekannter Befehl „/{name}“.",
+  "slash.help.intro":
+    "Befehle arbeiten ohne Sprachmodell auf dem letzten Ergebnis. Tab vervollständigt Felder und Werte.",
+
+  "analytics.title": "KI-gestützte Analysen",
+  "analytics.loaded": "{records} für „{question}“ geladen.",
+  "analytics.cancelled":
+    "Abfrage abgebrochen. {count} unvollständige Datensätze werden angezeigt.",
+  "analytics.unexpectedError": "Ein unerwarteter Fehler ist aufgetreten.",
+  "analytics.connectivityError": "Unerwarteter Fehler beim Verbindungstest",
+  "analytics.ranLocally": "SQL lokal ausgeführt: {records} in {ms} ms.",
+  "analytics.stoppedPaging": "Laden weiterer Datensätze gestoppt.",
+  "analytics.command.cancel": "Laufende Abfrage abbrechen",
+  "analytics.command.rerun": "Aktuelle Abfrage erneut ausführen",
+  "analytics.command.exportPng": "Diagramm als PNG exportieren",
+  "analytics.command.exportSvg": "Diagramm als SVG exportieren",
+  "analytics.generated": "KI-Visualisierung erstellt",
+  "analytics.basedOnFile": "Dynamisches Diagramm auf Basis von {name}",
+  "analytics.basedOnQuery":
+    "Dynamisches Diagramm auf Basis Ihrer Abfrage: „{question}“",
+  "analytics.noData": "Keine Daten – API-Verbindung prüfen",
+  "analytics.recordsLoaded": "{records} geladen",
+  "analytics.demoBadge": "🧪 Demodaten, nicht live",
+  "analytics.fromFile": "📄 Aus {name}",
+  "analytics.localResult": "🗄️ Lokales SQL-Ergebnis",
+  "analytics.loadingAll": "Alle Datensätze werden geladen...",
+  "analytics.loadingMore": "Weitere Datensätze werden geladen...",
+  "analytics.stop": "Stopp",
+  "analytics.loadMore": "Mehr laden",
+  "analytics.loadAll": "Alle laden",
+  "analytics.useDemo": "Stattdessen Demodaten verwenden",
+  "analytics.placeholder":
+    "Fragen Sie die KI zu Ihren Daten (z. B. „Zeige Umsatztrends“, „Welche Produkte laufen am besten?“)",
+  "analytics.ask": "KI fragen",
+  "analytics.filterPlaceholder":
+    "Zeilen filtern, z. B. status=Completed flow_rate>30",
+  "analytics.filterLabel": "Zeilen filtern",
+  "analytics.addFilter": "Filter hinzufügen",
+  "analytics.removeFilter": "Filter {condition} entfernen",
+  "analytics.filterCount": "{count} von {total} Datensätzen passen",
+  "analytics.views": "Analyseansichten",
+  "analytics.view.charts": "KI-Visualisierung",
+  "analytics.view.graphicwalker": "GraphicWalker",
+  "analytics.overview": "Überblick abrufen",
+  "analytics.charts.title": "KI-erstellte Visualisierung",
+  "analytics.charts.subtitle":
+    "Dynamisch erstellt aus der Datenstruktur und Ihrer Abfrage",
+  "analytics.walker.title": "GraphicWalker – erweiterte Datenexploration",
+  "analytics.walker.subtitle":
+    "Professionelle Drag-and-drop-Analyseoberfläche ähnlich wie Tableau",
+  "analytics.walker.loading":
+    "Daten für GraphicWalker werden geladen... bisher {count} Datensätze",
+  "analytics.walker.suggestions": "Vorschläge:",
+  "analytics.noVisualization": "Keine Daten für die Visualisierung verfügbar",
+
+  "walker.notArray": "Die Daten müssen ein Array sein",
+  "walker.notArrayHint":
+    "Stellen Sie sicher, dass die Daten ein Array von Objekten sind",
+  "walker.noData": "Keine Daten verfügbar",
+  "walker.noDataHint": "Rufen Sie zuerst Daten von der API ab",
+  "walker.large": "Großer Datensatz erkannt",
+  "walker.largeFilterHint": "Filtern Sie die Daten für eine bessere Leistung",
+  "walker.largeSlowHint":
+    "GraphicWalker kann bei großen Datensätzen langsam sein",
+  "walker.noFields": "Keine Felder in den Daten erkannt",
+  "walker.noFieldsHint":
+    "Stellen Sie sicher, dass die Datenobjekte Eigenschaften haben",
+  "walker.singleField": "Mit nur einem Feld ist die Analyse eingeschränkt",
+  "walker.singleFieldHint":
+    "Mehr Felder ermöglichen aussagekräftigere Visualisierungen",
+  "walker.suitable": "Die Daten eignen sich für GraphicWalker",
+
+  "sql.title": "SQL-Abfrage:",
+  "sql.generatedTitle": "Erzeugte SQL-Abfrage:",
+  "sql.badge.edited": "Bearbeitet · lokal ausgeführt",
+  "sql.badge.generated": "KI-erzeugt",
+  "sql.badge.local": "Lokal",
+  "sql.format": "Formatieren",
+  "sql.copy": "Kopieren",
+  "sql.copyFailed":
+    "Kopieren fehlgeschlagen. Markieren Sie das SQL und kopieren Sie es von Hand.",
+  "sql.history": "Verlauf ({count})",
+  "sql.run": "Lokal ausführen",
+  "sql.running": "Läuft...",
+  "sql.discard": "Änderungen verwerfen",
+  "sql.reset": "Zurück zum ursprünglichen Ergebnis",
+  "sql.ranIn": "Im Browser in {ms} ms ausgeführt",
+  "sql.editorLabel": "SQL-Abfrage",
+  "sql.tables": "Tabellen",
+  "sql.noTables": "Noch keine Daten geladen.",
+  "sql.insert": "{name} einfügen",
+
+  "sqlHistory.title": "SQL-Verlauf",
+  "sqlHistory.empty":
+    "Erzeugtes und lokal ausgeführtes SQL wird hier aufgelistet.",
+  "sqlHistory.clear": "Verlauf löschen",
+  "sqlHistory.local": "Lokal",
+  "sqlHistory.ai": "KI",
+  "sqlHistory.rows": { one: "{count} Zeile", other: "{count} Zeilen" },
+  "sqlHistory.ms": "{ms} ms",
+  "sqlHistory.open": "Öffnen",
+  "sqlHistory.changes": "Änderungen",
+  "sqlHistory.hideChanges": "Änderungen ausblenden",
+  "sqlHistory.diffLabel": "Änderungen gegenüber der vorigen Anweisung",
+  "sql.error.empty": "Schreiben Sie eine Abfrage zum Ausführen.",
+  "sql.error.selectOnly": "Lokal laufen nur SELECT-Abfragen.",
+  "sql.error.engine": "Die SQL-Engine konnte nicht geladen werden: {message}",
+  "sql.error.tables": "Die Tabellen konnten nicht geladen werden: {message}",
+  "sql.error.noData": "Es gibt noch keine Daten zum Abfragen.",
+  "sql.error.dataChanged": "Die Daten haben sich während der Abfrage geändert.",
+  "sql.error.format": "Das SQL konnte nicht formatiert werden: {message}",
+
+  "assistant.title": "KI-Assistent",
+  "assistant.placeholder":
+    "Fragen Sie mich alles zu Ihren Sendungsdaten, oder / für Befehle...",
+  "assistant.openInAnalytics": "In Analysen öffnen →",
+  "assistant.suggestions": "Probieren Sie diese Abfragen:",
+
+  "commands.group.general": "Allgemein",
+  "commands.group.navigation": "Navigation",
+  "commands.group.theme": "Design",
+  "commands.group.recent": "Letzte Abfragen",
+  "commands.group.threads": "Chatverläufe",
+  "commands.group.pins": "Angeheftete Ergebnisse",
+  "commands.palette": "Befehlspalette öffnen",
+  "commands.shortcuts": "Tastenkürzel anzeigen",
+  "commands.focusQuery": "Abfragefeld fokussieren",
+  "commands.goTo": "Zu {page} wechseln",
+  "commands.trafficTab": "{page}: {tab}",
+  "commands.analyticsView": "Ansicht {view} anzeigen",
+  "commands.darkTheme": "Zum dunklen Design wechseln",
+  "commands.lightTheme": "Zum hellen Design wechseln",
+  "commands.useTheme": "Design „{theme}“ verwenden",
+
+  "palette.label": "Befehlspalette",
+  "palette.placeholder": "Befehl eingeben oder suchen…",
+  "palette.empty": "Keine passenden Befehle",
+
+  "shortcuts.title": "Tastenkürzel",
+  "shortcuts.close": "Tastenkürzel schließen",
+  "shortcuts.typingNote":
+    "Kürzel ohne Strg/Cmd werden beim Tippen in einem Feld ignoriert.",
+
+  "traffic.command.nextLane": "Nächste Spur auswählen",
+  "traffic.command.previousLane": "Vorherige Spur auswählen",
+  "traffic.command.acknowledge": {
+    one: "{count} aktive Warnung bestätigen",
+    other: "{count} aktive Warnungen bestätigen",
+  },
+  "traffic.command.restore": "Bestätigte Warnungen wieder anzeigen",
+
+  "login.title": "Anmelden",
+  "login.needsApiKey":
+    "{name} benötigt einen API-Schlüssel, bevor Abfragen beantwortet werden.",
+  "login.needsSignIn":
+    "{name} verlangt eine Anmeldung, bevor Abfragen beantwortet werden.",
+  "login.apiKey": "API-Schlüssel",
+  "login.token": "Zugriffstoken",
+  "login.username": "Benutzername",
+  "login.password": "Passwort",
+  "login.signingIn": "Anmeldung läuft...",
+  "login.connect": "Verbinden",
+  "login.usePassword": "Mit Benutzername und Passwort anmelden",
+  "login.useToken": "Stattdessen ein Zugriffstoken einfügen",
+  "login.storageNote":
+    "Zugangsdaten werden nur für diesen Browser-Tab gespeichert und beim Schließen vergessen.",
+  "login.otherBackend": "Anderes Backend verwenden",
+  "login.choose": "Auswählen...",
+  "login.useDemo": "Stattdessen Demodaten verwenden",
+  "login.error.credentials": "Benutzername oder Passwort ist falsch",
+  "login.error.noEndpoint": "Dieses Backend hat keinen Anmelde-Endpunkt",
+  "login.error.noToken": "Die Anmeldeantwort enthielt kein Zugriffstoken",
+  "login.error.keyRejected": "Das Backend hat den API-Schlüssel abgelehnt.",
+  "login.error.expired":
+    "Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.",
+  "auth.signedIn": "Angemeldet",
+  "auth.signedInTo": "Angemeldet bei {name}",
+  "auth.logout": "Abmelden",
+
+  "backend.title": "Backend-Verbindungen",
+  "backend.close": "Backend-Einstellungen schließen",
+  "backend.description":
+    "Wählen Sie das Backend für diese Browsersitzung. URL-Änderungen werden auf diesem Rechner gespeichert und überschreiben die Werte aus Ihrer Datei {file}.",
+  "backend.reset": "Auf Standardwerte zurücksetzen",
+  "backend.statusTitle": "Einstellungen der Backend-Verbindung",
+  "backend.status.online": "online",
+  "backend.status.offline": "offline",
+  "backend.status.degraded": "eingeschränkt",
+  "backend.status.unconfigured": "nicht eingerichtet",
+  "backend.status.checking": "wird geprüft",
+  "backend.status.unknown": "unbekannt",
+  "backend.latency": "{ms} ms",
+  "backend.mockHealth": "Liefert generierte Demodaten",
+  "backend.noUrl": "Für dieses Backend ist keine URL eingerichtet",
+  "backend.mockNote":
+    "Erzeugt Beispieldaten zu Sendungen im Browser. Es werden keine Anfragen gesendet.",
+  "backend.name": "Name",
+  "backend.baseUrl": "Basis-URL",
+  "backend.timeout": "Zeitlimit (ms)",
+  "backend.auth": "Authentifizierung",
+  "backend.auth.none": "Keine (anonym)",
+  "backend.auth.bearer": "Bearer-Token (Anmeldung)",
+  "backend.loginPath": "Anmeldepfad",
+  "backend.apiKeyHeader": "Header für den API-Schlüssel",
+  "backend.save": "Speichern",
+  "backend.checking": "Wird geprüft...",
+  "backend.test": "Verbindung testen",
+  "backend.cache.title": "Abfrage-Cache",
+  "backend.cache.entries": {
+    one: "{count} gespeichertes Ergebnis",
+    other: "{count} gespeicherte Ergebnisse",
+  },
+  "backend.cache.ttl": "Ergebnisse behalten für (Minuten)",
+  "backend.cache.persist":
+    "Gespeicherte Ergebnisse über Neuladen hinweg behalten (IndexedDB)",
+  "backend.cache.clear": "Cache leeren",
+  "backend.retry.title": "Wiederholungen",
+  "backend.retry.pauses": {
+    one: "Pausiert nach {count} fehlgeschlagenen Anfrage",
+    other: "Pausiert nach {count} fehlgeschlagenen Anfragen",
+  },
+  "backend.retry.count": "Wiederholungen bei Zeitüberschreitung / Serverfehler",
+  "backend.retry.delay": "Erste Wartezeit vor Wiederholung (ms)",
+  "backend.paging.title": "Seitenweises Laden",
+  "backend.paging.note": "Wird verwendet, wenn das Backend Seiten unterstützt",
+  "backend.paging.size": "Datensätze pro Seite ({min}–{max})",
+  "backend.context.title": "Gesprächskontext",
+  "backend.context.note":
+    "Frühere Fragen im AI Chat, die mit Folgefragen gesendet werden",
+  "backend.context.turns": "Gesendete frühere Fragen (0 = aus)",
+  "backend.context.budget": "Token-Budget ({min}–{max})",
+
+  "demo.scenario": "Szenario",
+  "demo.trucks": "Lkw",
+  "demo.span": "Zeitraum",
+  "demo.spanHours": "{count} h",
+  "demo.spanDays": { one: "{count} Tag", other: "{count} Tage" },
+  "demo.seed": "Startwert",
+  "demo.seedTitle": "Derselbe Startwert erzeugt immer dieselben Daten",
+  "demo.copyLink": "Link kopieren",
+  "demo.linkCopied": "Link kopiert",
+  "demo.linkTitle":
+    "Kopiert einen Link, der dieses Szenario mit denselben Zeilen öffnet, z. B. für einen Fehlerbericht",
+  "chart.count": "Anzahl",
+  "chart.empty.title": "Keine Daten verfügbar",
+  "chart.empty.description":
+    "Leeres Diagramm: Es gibt keine Daten zum Anzeigen.",
+  "chart.empty.text": "Keine Daten zum Anzeigen",
+  "demo.scenarios.normal-day": "Normaler Tag",
+  "demo.scenarios.normal-day.description":
+    "Gleichmäßiger Tagesverkehr auf allen Spuren",
+  "demo.scenarios.morning-peak": "Morgenspitze",
+  "demo.scenarios.morning-peak.description":
+    "Die meisten Lkw kommen zwischen 06:00 und 09:00 an und stauen sich",
+  "demo.scenarios.lane-outage": "Spurausfall",
+  "demo.scenarios.lane-outage.description":
+    "LANE03 fällt im letzten Viertel des Zeitraums aus",
+  "demo.scenarios.stuck-trucks": "Festsitzende Lkw",
+  "demo.scenarios.stuck-trucks.description":
+    "Etwa jeder zwölfte Lkw hat eine Panne und bleibt auf dem Gelände",
+  "demo.scenarios.flow-rate-degradation": "Sinkende Durchflussrate",
+  "demo.scenarios.flow-rate-degradation.description":
+    "Die Pumpendurchflussraten sinken über den Zeitraum um 60 %",
+  "demo.scenarios.empty-terminal": "Leeres Terminal",
+  "demo.scenarios.empty-terminal.description": "Überhaupt keine Lkw",
+};
+
+export default deDE;
@@ -0,0 +1,701 @@
+/**
+ * English (US) messages. This is the fallback catalog: every key lives
+ * here, and other languages may leave keys out.
+ */
+const enUS = {
+  "app.skipLink": "Skip to main content",
+  "app.notFoundTitle": "Page not found",
+
+  "page.dashboard": "Dashboard",
+  "page.chat": "AI Chat",
+  "page.analytics": "Analytics",
+  "page.traffic": "Traffic Control",
+  "nav.label": "Main",
+
+  "theme.system": "System",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.high-contrast": "High contrast",
+  "theme.toggle": "Theme: {current}. Click for {next}.",
+
+  "locale.language": "Language",
+  "locale.timeZone": "Time zone",
+  "locale.computerTimeZone": "Computer ({zone})",
+
+  "dataMode.demo": "🧪 Demo data",
+  "dataMode.live": "📡 Live data",
+  "dataMode.demoTitle":
+    "Showing generated demo data. Click to go back to live data.",
+  "dataMode.liveTitle":
+    "Showing live backend data. Click to work offline with demo data.",
+  "demo.bannerTitle": "Offline / Demo data mode.",
+  "demo.bannerText":
+    "Every chart, KPI and alert on screen is generated sample data, not live terminal data.",
+  "demo.backToLive": "Back to live data",
+  "demo.watermark": "DEMO DATA · NOT LIVE",
+  "demo.watermarkShort": "DEMO",
+  "demo.alertsWatermark": "DEMO ALERTS · NOT LIVE",
+
+  "cache.badge": "💾 From cache · {age}",
+  "cache.cachedAt": "Cached at {time}",
+  "cache.justNow": "just now",
+  "cache.seconds": "{count}s old",
+  "cache.minutes": "{count} min old",
+  "cache.hours": "{count} h old",
+
+  "common.loading": "Loading…",
+  "common.refresh": "Refresh",
+  "common.retry": "Retry",
+  "common.cancel": "Cancel",
+
+  "records.count": { one: "{count} record", other: "{count} records" },
+  "records.more": { one: "{count}+ record", other: "{count}+ records" },
+  "records.ofTotal": "{loaded} of {total} records",
+
+  "notFound.text":
+    "There is no page at {path}. The link may be mistyped or from an older version of ShipmentIQ.",
+  "notFound.dashboard": "Go to the Dashboard",
+  "notFound.analytics": "Open Analytics",
+
+  "dashboard.title": "AI-Powered Analytics Dashboard",
+  "dashboard.loadingRecords": "Loading shipment records…",
+  "dashboard.loadFailed": "Could not load shipment records: {error}",
+  "dashboard.insights": "Real-time insights from {records}",
+  "dashboard.partial": "{insights} (metrics use the first {count})",
+  "dashboard.updated": "Updated {time}",
+  "dashboard.olderThan": "Older than 5 minutes",
+  "dashboard.refreshFailed": "Refresh failed: {error}",
+
+  "metric.status.loading": "Updating…",
+  "metric.status.stale": "Stale",
+  "metric.status.error": "Unavailable",
+  "metric.totalShipments": "Total Shipments",
+  "metric.averageFlowRate": "Average Flow Rate",
+  "metric.uniqueProducts": "Unique Products",
+  "metric.averageQuantity": "Average Quantity",
+  "metric.computedFrom": "Computed from {field}",
+  "metric.noRecords": "No records loaded",
+  "metric.noField": "No field matching {fields}",
+  "metric.noNumbers": "{field} has no numeric values",
+
+  "unit.units": "units",
+
+  "traffic.title": "🚦 Traffic Control Tower",
+  "traffic.loading": "Loading terminal operations data...",
+  "traffic.noData": "No terminal data available",
+  "traffic.live": "LIVE - Updates every 30s",
+  "traffic.demo": "DEMO DATA - not live",
+  "traffic.refreshFailed": "Refresh failed: {error} Showing data from {time}.",
+  "traffic.earlierRefresh": "an earlier refresh",
+  "traffic.useDemo": "Use demo data instead",
+  "traffic.error.noTerminalFields":
+    "The live backend returned no lane, bay or dock fields for terminal operations.",
+  "traffic.error.unexpected": "Unexpected error while loading terminal data.",
+  "traffic.kpi.totalShipments": "Total Shipments",
+  "traffic.kpi.activeLanes": "Active Lanes",
+  "traffic.kpi.avgTurnaround": "Avg Turnaround (min)",
+  "traffic.kpi.onTime": "On-Time Performance",
+  "traffic.alerts.title": "🚨 Active Alerts",
+  "traffic.alerts.acknowledgeAll": "Acknowledge all",
+  "traffic.alerts.acknowledge": "Acknowledge",
+  "traffic.alerts.shortcut": "Shortcut: A",
+  "traffic.alerts.none": "No unacknowledged alerts.",
+  "traffic.alerts.restore": "{count} acknowledged · Show again",
+  "traffic.alerts.new": "New alert: {message}",
+  "traffic.alerts.newMany": "{count} new alerts. {message}",
+  "traffic.alert.delay": "⚠️ Shipment {id} delayed for {minutes} minutes",
+  "traffic.alert.congestion":
+    "🚨 Heavy congestion in {lane} at {hour} ({count} shipments)",
+  "traffic.severity.critical": "Critical",
+  "traffic.severity.warning": "Warning",
+  "traffic.tabs": "Traffic Control views",
+  "traffic.tab.overview": "Lane Overview",
+  "traffic.tab.congestion": "Congestion Monitor",
+  "traffic.tab.performance": "Performance Scores",
+  "traffic.lane": "Lane: {lane}",
+  "traffic.showAllLanes": "Show all lanes",
+  "traffic.overview.title": "Lane Utilization Overview",
+  "traffic.shipments": "Shipments",
+  "traffic.grade": "Grade",
+  "traffic.congestion.title": "Congestion Heatmap",
+  "traffic.congestion.info":
+    "Real-time analysis of lane congestion patterns throughout the day",
+  "traffic.congestion.timeZone": "Hours in {zone}",
+  "traffic.congestion.legendNormal": "🟢 Normal (1-5 shipments/hour)",
+  "traffic.congestion.legendModerate": "🟡 Moderate (6-10 shipments/hour)",
+  "traffic.congestion.legendHeavy": "🔴 Heavy (10+ shipments/hour)",
+  "traffic.congestion.emptyLane": "No congestion data for lane {lane}.",
+  "traffic.congestion.cell": {
+    one: "{hour} · {count} shipment · {level}",
+    other: "{hour} · {count} shipments · {level}",
+  },
+  "traffic.level.normal": "Normal",
+  "traffic.level.moderate": "Moderate",
+  "traffic.level.heavy": "Heavy",
+  "traffic.performance.title": "Lane Performance Scoreboard",
+  "traffic.performance.utilization": "Utilization:",
+  "traffic.performance.shipments": "Shipments:",
+  "traffic.performance.efficiency": "Efficiency:",
+  "traffic.efficiency.high": "High",
+  "traffic.efficiency.medium": "Medium",
+  "traffic.efficiency.low": "Low",
+  "traffic.delayed.title": "⚠️ Delayed Shipments",
+  "traffic.delayed.minutes": {
+    one: "Delayed {count} minute",
+    other: "Delayed {count} minutes",
+  },
+  "traffic.upload": "FILE - {name}",
+  "traffic.closeUpload": "Close file",
+  "traffic.uploadNoLanes":
+    "The file has no lane, bay or dock column for terminal operations.",
+
+  "upload.label": "File upload",
+  "upload.prompt":
+    "Drop a CSV, TSV, JSON or Excel (.xlsx) file anywhere on this page to analyze it.",
+  "upload.choose": "Choose file…",
+  "upload.reading": "Reading the file…",
+  "upload.dropHere": "Drop the file to preview it",
+  "upload.previewTitle": "Preview of {name}",
+  "upload.summary": "{format} · {records} · {columns}",
+  "upload.columns": { one: "{count} column", other: "{count} columns" },
+  "upload.previewCaption": "First {count} rows of the file",
+  "upload.encoding": "Encoding",
+  "upload.delimiter": "Delimiter",
+  "upload.delimiter.comma": "Comma (,)",
+  "upload.delimiter.semicolon": "Semicolon (;)",
+  "upload.delimiter.tab": "Tab",
+  "upload.delimiter.pipe": "Pipe (|)",
+  "upload.hasHeader": "First row holds column names",
+  "upload.columnType": "Type of {column}",
+  "upload.type.string": "Text",
+  "upload.type.number": "Number",
+  "upload.type.date": "Date",
+  "upload.type.boolean": "Yes/No",
+  "upload.use": "Use this data",
+  "upload.converting": "Converting…",
+  "upload.cancel": "Cancel",
+  "upload.loaded": "Loaded {records} from {name}.",
+  "upload.error.empty": "{name} is empty.",
+  "upload.error.tooLarge": "{name} is larger than {size} MB.",
+  "upload.error.unreadable": "Could not read {name}.",
+  "upload.error.parserStopped": "The file parser stopped.",
+  "upload.error.closed": "The file was closed.",
+  "upload.error.xls":
+    "Old Excel .xls files cannot be read. Save the sheet as .xlsx or CSV.",
+  "upload.error.readFailed": "Could not read the file: {message}",
+  "upload.error.invalidJson": "Not valid JSON: {message}",
+  "upload.error.invalidJsonLine": "Line {line} is not valid JSON: {message}",
+  "upload.error.noRecords": "The JSON holds no array of records.",
+  "upload.error.noRows": "The file has no rows of data.",
+  "upload.warning.unclean": {
+    one: "{count} row could not be read cleanly ({message}).",
+    other: "{count} rows could not be read cleanly ({message}).",
+  },
+  "upload.warning.typeMismatch": {
+    one: '{count} value in "{column}" does not match its type and was left empty.',
+    other:
+      '{count} values in "{column}" do not match its type and were left empty.',
+  },
+
+  "stream.stage.connecting": "Connecting to backend",
+  "stream.stage.generating-sql": "Generating SQL",
+  "stream.stage.sql-generated": "SQL generated",
+  "stream.stage.executing": "Running query",
+  "stream.stage.receiving-rows": "Receiving rows",
+  "stream.stage.retrying": "Backend failed, retrying",
+  "stream.stage.complete": "Complete",
+  "stream.stage.error": "Failed",
+  "stream.stage.processing": "Processing",
+  "stream.retryIn": "Retry {attempt} of {max} in {seconds}s",
+
+  "apiError.unknown": "Unknown error occurred",
+  "apiError.gaveUp": " (gave up after {attempts} attempts)",
+  "apiError.offline":
+    "You are offline. Reconnect, or switch to demo data to keep working.",
+  "apiError.circuitOpen":
+    "The backend has failed repeatedly, so requests are paused. Retrying in {seconds}s.",
+  "apiError.timeout":
+    "Request timed out. The AI is taking longer than expected to process your query.{retried}",
+  "apiError.unauthorized":
+    "The backend refused the request. Sign in again or check your API key.",
+  "apiError.notFound":
+    "LangChain backend not found. Please check the server URL.",
+  "apiError.server":
+    "LangChain backend server error. Please try again later.{retried}",
+  "apiError.backend": "The backend could not answer this question: {message}",
+  "apiError.malformed":
+    "The backend sent a response this app cannot read: {message}",
+  "apiError.empty":
+    "The query ran but returned no rows. Try a broader question.",
+  "apiError.network": "Network error. Please check your internet connection.",
+  "apiError.fetchFailed": "Failed to fetch data from LangChain backend",
+  "apiError.status": "Request failed with status code {status}",
+  "apiError.noRows": "The query ran but returned no rows",
+  "apiError.circuitPaused":
+    "Circuit open: backend is failing, requests are paused",
+  "apiError.emptyBody": "The backend returned an empty body",
+  "apiError.textBody": "Expected JSON but the backend returned text",
+  "apiError.contractVersion":
+    "Unsupported contract version {version} (this app reads {supported})",
+  "apiError.dataNotArray": 'Expected "data" to be an array but got {type}',
+  "apiError.noData": 'The response has no "data" array',
+  "apiError.notObject": "Expected a JSON object but got {type}",
+
+  "result.none": "The query returned no records.",
+  "result.columns": { one: "{count} column", other: "{count} columns" },
+  "result.found": "Found {records} with {columns}",
+  "result.foundOnly": "{found}.",
+  "result.figures": "{found}: {figures}.",
+  "result.highest": "{found}. Highest {measure}: {category} ({value}).",
+  "result.sameCount": "{records}, same count as the previous run",
+  "result.moreCount": "{records}, {count} more than the previous run",
+  "result.fewerCount": "{records}, {count} fewer than the previous run",
+  "result.change": "{category}: {before} → {after}",
+  "result.changeNew": "new",
+  "result.changeGone": "gone",
+
+  "chat.newThread": "New chat",
+  "chat.greeting":
+    "Hello! I'm your AI assistant for shipment analytics. How can I help you today?",
+  "chat.interrupted": "Interrupted before the answer arrived.",
+  "chat.saveFailed":
+    "Chat history is too large to save in this browser. Delete or export old threads.",
+  "chat.branchTitle": "{title} (branch)",
+  "chat.import.notJson": "The file is not valid JSON.",
+  "chat.import.notExport": "The file is not a ShipmentIQ chat export.",
+  "chat.import.newerVersion":
+    "The file was exported by a newer version (format {version}).",
+  "chat.import.noThreads": "The file contains no threads.",
+
+  "rerun.summary": "↻ Rerun at {time}: {change}",
+  "rerun.previous": "Previous run: {time}",
+  "rerun.moreChanges": {
+    one: "…and {count} more change",
+    other: "…and {count} more changes",
+  },
+  "chat.subtitle": "Chat with your AI analytics assistant",
+  "chat.answerReady": "Answer ready. {summary}",
+  "chat.cancelled": "Cancelled after receiving {count} records.",
+  "chat.branched": 'Branched from "{title}" with an edited question.',
+  "chat.contextCleared":
+    "Context cleared. The next question starts a new conversation.",
+  "chat.contextForked":
+    'Context forked from "{question}". Later questions are no longer part of it.',
+  "chat.askInBranch": "Ask in new branch",
+  "chat.edit": "✎ Edit",
+  "chat.editTitle": "Edit and ask in a new branch",
+  "chat.followUp": {
+    one: "↩ Follow-up · {count} earlier question sent as context",
+    other: "↩ Follow-up · {count} earlier questions sent as context",
+  },
+  "chat.generatedSql": "Generated SQL",
+  "chat.demoBadge": "🧪 Demo data · not live",
+  "chat.fork": "Fork from here",
+  "chat.forkTitle": "Continue the conversation from this answer",
+  "chat.newConversation": "New conversation",
+  "chat.context": {
+    one: "Context: {count} earlier question",
+    other: "Context: {count} earlier questions",
+  },
+  "chat.forked": "forked",
+  "chat.resetContext": "Reset context",
+  "chat.placeholder": "Type your message here, or / for commands...",
+  "chat.send": "Send",
+
+  "threads.new": "+ New chat",
+  "threads.search": "Search chats...",
+  "threads.questions": { one: "{count} question", other: "{count} questions" },
+  "threads.rename": "Rename",
+  "threads.renameLabel": "Rename {title}",
+  "threads.delete": "Delete",
+  "threads.deleteLabel": "Delete {title}",
+  "threads.confirmDelete": 'Delete "{title}"? This cannot be undone.',
+  "threads.noMatch": 'No chats match "{query}"',
+  "threads.export": "Export chat",
+  "threads.exportAll": "Export all",
+  "threads.import": "Import",
+  "threads.imported": {
+    one: "Imported {count} thread.",
+    other: "Imported {count} threads.",
+  },
+
+  "actions.rerun": "↻ Rerun",
+  "actions.rerunTitle": "Ask again against fresh data",
+  "actions.copySql": "Copy SQL",
+  "actions.downloadSql": "Download SQL",
+  "actions.downloadCsv": "Download CSV",
+  "actions.snapshotOnly":
+    "Only the saved {count} rows. Rerun for the full result.",
+  "actions.sqlCopied": "SQL copied",
+  "actions.copyFailed":
+    "Could not copy. Open Generated SQL and copy it by hand.",
+  "actions.pinChart": "Pin chart",
+  "actions.unpinChart": "Unpin chart",
+  "actions.pinTable": "Pin table",
+  "actions.unpinTable": "Unpin table",
+  "actions.pinned.chart": "Pinned the chart to the Dashboard",
+  "actions.pinned.table": "Pinned the table to the Dashboard",
+  "actions.unpinned.chart": "Removed the chart from the Dashboard",
+  "actions.unpinned.table": "Removed the table from the Dashboard",
+
+  "chatResult.snapshot":
+    "Saved snapshot: first {count} of {total} records. Ask again for the full result.",
+
+  "warnings.notes": {
+    one: "⚠️ {count} data note",
+    other: "⚠️ {count} data notes",
+  },
+  "warnings.contract": "contract v{version}",
+  "warnings.legacy": "legacy format",
+  "warnings.incomplete-stream": "The stream ended without a completion event",
+  "warnings.dropped-rows": {
+    one: "Dropped {count} row that was not an object",
+    other: "Dropped {count} rows that were not an object",
+  },
+  "warnings.stringified-values": "Stored nested values as text in: {columns}",
+  "warnings.numeric-text": "Converted text to numbers in: {columns}",
+  "warnings.legacy-array": "Response was a bare array; read it as the rows",
+  "warnings.legacy-format":
+    "Response did not declare a contract version; read it as the legacy format",
+  "warnings.legacy-sql-field": 'Read the SQL query from "{field}"',
+  "warnings.legacy-rows-field": 'Read the rows from "results"',
+
+  "commands.intro":
+    "Commands run on the current result without the language model. Type /help for the list.",
+  "commands.pressEnter": "✓ Press Enter to run",
+
+  "table.previous": "‹ Prev",
+  "table.next": "Next ›",
+  "table.rows": "Rows {first}–{last} of {total}",
+
+  "pins.title": "Pinned from AI Chat",
+  "pins.remove": "Remove from the Dashboard",
+  "pins.removeLabel": "Remove {title} from the Dashboard",
+  "pins.meta": "Pinned {time} · {records}",
+  "pins.firstKept": "(first {count} kept)",
+  "pins.untitled": "Pinned result",
+  "pins.error.unknownView": 'Unknown view "{view}".',
+  "pins.error.noRows": "The answer has no rows.",
+
+  "shortcuts.then": "then",
+
+  "slash.noData":
+    "There is no result to work on yet. Ask a question or run /sql first.",
+  "slash.notCommand": "Not a command.",
+  "slash.typeName": "Type a command name.",
+  "slash.pressTab": "Press Tab to complete /{name}.",
+  "slash.unknownCommand": 'Unknown command "/{name}". Type /help for the list.',
+  "slash.tooManyArguments": "Too many arguments. {usage}",
+  "slash.noFields": "none in this result",
+  "slash.chooseField": "Choose the field for {role}.",
+  "slash.unknownField": 'Unknown field "{field}". Fields: {fields}.',
+  "slash.role.xAxis": "the x axis",
+  "slash.role.yAxis": "the y axis",
+  "slash.role.condition": "the condition",
+  "slash.role.ranking": "ranking",
+  "slash.detail.chartType": "chart type",
+  "slash.detail.aggregate": "aggregate",
+  "slash.detail.rows": "rows",
+  "slash.detail.format": "format",
+  "slash.chart.description":
+    "Charts the current result. Aggregates: sum, mean, median, min, max, count.",
+  "slash.chart.chooseType": "Choose a chart type: bar, line, scatter or pie.",
+  "slash.chart.unknownType":
+    'Unknown chart type "{type}". Use bar, line, scatter or pie.',
+  "slash.chart.unknownAggregate":
+    'Unknown aggregate "{aggregate}". Use {aggregates}.',
+  "slash.chart.countOnly":
+    '"{field}" is not numeric, so it can only be counted. Numeric fields: {fields}.',
+  "slash.chart.count": "Count",
+  "slash.chart.measure": "{aggregate} of {field}",
+  "slash.chart.title": "{measure} by {field}",
+  "slash.chart.done": "Charted {title} for {records}.",
+  "slash.filter.description":
+    'Keeps the rows matching every condition. ~ means contains; quote values with spaces, e.g. status="In Progress".',
+  "slash.filter.addCondition": "Add a condition, e.g. status=Completed.",
+  "slash.filter.addComparison": "Add a comparison, e.g. {field}=value.",
+  "slash.filter.notCondition":
+    '"{condition}" is not a condition. Use field=value, !=, >, >=, <, <= or ~ (contains).',
+  "slash.filter.addValue": "Add a value after {condition}",
+  "slash.filter.notNumber":
+    '"{value}" is not a number, but {field} is numeric.',
+  "slash.filter.notDate": '"{value}" is not a date, but {field} holds dates.',
+  "slash.filter.and": " and ",
+  "slash.filter.kept": "Kept {records} of {total} where {where}.",
+  "slash.filter.none": "No records match {where}.",
+  "slash.top.description":
+    "Keeps the n rows with the highest values of a field.",
+  "slash.top.chooseCount": "Choose how many rows to keep, e.g. 10.",
+  "slash.top.badCount": "The row count must be a whole number from 1 to {max}.",
+  "slash.top.notNumeric": '"{field}" is not numeric. Numeric fields: {fields}.',
+  "slash.top.done": "Top {records} by {field}.",
+  "slash.describe.description":
+    "Lists the fields of the current result with their types and ranges.",
+  "slash.describe.noArguments": "/describe takes no arguments.",
+  "slash.describe.fields": { one: "{count} field", other: "{count} fields" },
+  "slash.describe.done": "{records} with {fields}.",
+  "slash.export.description": "Downloads the current result.",
+  "slash.export.unknownFormat": 'Unknown format "{format}". Use csv or json.',
+  "slash.export.done": "Exported {records} as {filename}.",
+  "slash.sql.description":
+    "Runs a SELECT or WITH query on the current result in the browser, without the language model. The rows are the table dataset, or the table their SQL reads from.",
+  "slash.sql.typeQuery": "Type a SELECT query.",
+  "slash.sql.selectOnly": "Only SELECT and WITH queries can be run.",
+  "slash.sql.done": "{records} in {ms} ms, run in the browser.",
+  "slash.help.description": "Shows the commands, or how to use one of them.",
+  "slash.help.unknownCommand": 'Unknown command "/{name}".',
+  "slash.help.intro":
+    "Commands run on the latest result without asking the language model. Tab completes fields and values.",
+
+  "analytics.title": "AI-Powered Analytics",
+  "analytics.loaded": 'Loaded {records} for "{question}".',
+  "analytics.cancelled": "Query cancelled. Showing {count} partial records.",
+  "analytics.unexpectedError": "Unexpected error occurred.",
+  "analytics.connectivityError": "Unexpected error during connectivity test",
+  "analytics.ranLocally": "Ran the SQL locally: {records} in {ms} ms.",
+  "analytics.stoppedPaging": "Stopped loading more records.",
+  "analytics.command.cancel": "Cancel the running query",
+  "analytics.command.rerun": "Rerun the current query",
+  "analytics.command.exportPng": "Export chart as PNG",
+  "analytics.command.exportSvg": "Export chart as SVG",
+  "analytics.generated": "AI visualization generated",
+  "analytics.basedOnFile": "Dynamic chart based on {name}",
+  "analytics.basedOnQuery": 'Dynamic chart based on your query: "{question}"',
+  "analytics.noData": "No data - Check API connection",
+  "analytics.recordsLoaded": "{records} loaded",
+  "analytics.demoBadge": "🧪 Demo data, not live",
+  "analytics.fromFile": "📄 From {name}",
+  "analytics.localResult": "🗄️ Local SQL result",
+  "analytics.loadingAll": "Loading all records...",
+  "analytics.loadingMore": "Loading more records...",
+  "analytics.stop": "Stop",
+  "analytics.loadMore": "Load more",
+  "analytics.loadAll": "Load all",
+  "analytics.useDemo": "Use demo data instead",
+  "analytics.placeholder":
+    "Ask AI about your data (e.g., 'Show me sales trends', 'What are the top performing products?')",
+  "analytics.ask": "Ask AI",
+  "analytics.filterPlaceholder":
+    "Filter rows, e.g. status=Completed flow_rate>30",
+  "analytics.filterLabel": "Filter rows",
+  "analytics.addFilter": "Add filter",
+  "analytics.removeFilter": "Remove filter {condition}",
+  "analytics.filterCount": "{count} of {total} records match",
+  "analytics.views": "Analytics views",
+  "analytics.view.charts": "AI Visualization",
+  "analytics.view.graphicwalker": "GraphicWalker",
+  "analytics.overview": "Get Overview",
+  "analytics.charts.title": "AI-Generated Visualization",
+  "analytics.charts.subtitle":
+    "Dynamically created based on data structure and your query",
+  "analytics.walker.title": "GraphicWalker - Advanced Data Exploration",
+  "analytics.walker.subtitle":
+    "Professional drag-and-drop analytics interface similar to Tableau",
+  "analytics.walker.loading":
+    "Loading data for GraphicWalker... {count} records so far",
+  "analytics.walker.suggestions": "Suggestions:",
+  "analytics.noVisualization": "No data available for visualization",
+
+  "walker.notArray": "Data must be an array",
+  "walker.notArrayHint":
+    "Ensure data is properly formatted as an array of objects",
+  "walker.noData": "No data available",
+  "walker.noDataHint": "Fetch data from the API first",
+  "walker.large": "Large dataset detected",
+  "walker.largeFilterHint": "Consider filtering data for better performance",
+  "walker.largeSlowHint": "GraphicWalker may be slow with large datasets",
+  "walker.noFields": "No fields detected in data",
+  "walker.noFieldsHint": "Ensure data objects have properties",
+  "walker.singleField": "Limited analysis possible with single field",
+  "walker.singleFieldHint": "More fields would enable richer visualizations",
+  "walker.suitable": "Data is suitable for GraphicWalker",
+
+  "sql.title": "SQL Query:",
+  "sql.generatedTitle": "Generated SQL Query:",
+  "sql.badge.edited": "Edited · ran locally",
+  "sql.badge.generated": "AI Generated",
+  "sql.badge.local": "Local",
+  "sql.format": "Format",
+  "sql.copy": "Copy",
+  "sql.copyFailed": "Could not copy. Select the SQL and copy it by hand.",
+  "sql.history": "History ({count})",
+  "sql.run": "Run locally",
+  "sql.running": "Running...",
+  "sql.discard": "Discard edits",
+  "sql.reset": "Back to the original result",
+  "sql.ranIn": "Ran in the browser in {ms} ms",
+  "sql.editorLabel": "SQL query",
+  "sql.tables": "Tables",
+  "sql.noTables": "No data loaded yet.",
+  "sql.insert": "Insert {name}",
+
+  "sqlHistory.title": "SQL history",
+  "sqlHistory.empty": "Generated and locally run SQL will be listed here.",
+  "sqlHistory.clear": "Clear history",
+  "sqlHistory.local": "Local",
+  "sqlHistory.ai": "AI",
+  "sqlHistory.rows": { one: "{count} row", other: "{count} rows" },
+  "sqlHistory.ms": "{ms} ms",
+  "sqlHistory.open": "Open",
+  "sqlHistory.changes": "Changes",
+  "sqlHistory.hideChanges": "Hide changes",
+  "sqlHistory.diffLabel": "Changes from the previous statement",
+  "sql.error.empty": "Write a query to run.",
+  "sql.error.selectOnly": "Only SELECT queries run locally.",
+  "sql.error.engine": "The SQL engine could not be loaded: {message}",
+  "sql.error.tables": "Could not load the tables: {message}",
+  "sql.error.noData": "There is no data to query yet.",
+  "sql.error.dataChanged": "The data changed while the query ran.",
+  "sql.error.format": "Could not format the SQL: {message}",
+
+  "assistant.title": "AI Assistant",
+  "assistant.placeholder":
+    "Ask me anything about your shipment data, or / for commands...",
+  "assistant.openInAnalytics": "Open in Analytics →",
+  "assistant.suggestions": "Try these queries:",
+
+  "commands.group.general": "General",
+  "commands.group.navigation": "Navigation",
+  "commands.group.theme": "Theme",
+  "commands.group.recent": "Recent queries",
+  "commands.group.threads": "Chat threads",
+  "commands.group.pins": "Pinned results",
+  "commands.palette": "Open command palette",
+  "commands.shortcuts": "Show keyboard shortcuts",
+  "commands.focusQuery": "Focus the query box",
+  "commands.goTo": "Go to {page}",
+  "commands.trafficTab": "{page}: {tab}",
+  "commands.analyticsView": "Show {view} view",
+  "commands.darkTheme": "Switch to dark theme",
+  "commands.lightTheme": "Switch to light theme",
+  "commands.useTheme": "Use {theme} theme",
+
+  "palette.label": "Command palette",
+  "palette.placeholder": "Type a command or search…",
+  "palette.empty": "No matching commands",
+
+  "shortcuts.title": "Keyboard Shortcuts",
+  "shortcuts.close": "Close keyboard shortcuts",
+  "shortcuts.typingNote":
+    "Shortcuts without Ctrl/Cmd are ignored while typing in a field.",
+
+  "traffic.command.nextLane": "Select the next lane",
+  "traffic.command.previousLane": "Select the previous lane",
+  "traffic.command.acknowledge": {
+    one: "Acknowledge {count} active alert",
+    other: "Acknowledge {count} active alerts",
+  },
+  "traffic.command.restore": "Show acknowledged alerts again",
+
+  "login.title": "Sign in",
+  "login.needsApiKey": "{name} requires an API key before it answers queries.",
+  "login.needsSignIn":
+    "{name} requires you to sign in before it answers queries.",
+  "login.apiKey": "API key",
+  "login.token": "Access token",
+  "login.username": "Username",
+  "login.password": "Password",
+  "login.signingIn": "Signing in...",
+  "login.connect": "Connect",
+  "login.usePassword": "Sign in with username and password",
+  "login.useToken": "Paste an access token instead",
+  "login.storageNote":
+    "Credentials are kept for this browser tab only and are forgotten when it is closed.",
+  "login.otherBackend": "Use another backend",
+  "login.choose": "Choose...",
+  "login.useDemo": "Use demo data instead",
+  "login.error.credentials": "Invalid username or password",
+  "login.error.noEndpoint": "This backend has no login endpoint",
+  "login.error.noToken": "The login response contained no access token",
+  "login.error.keyRejected": "The backend rejected the API key.",
+  "login.error.expired": "Your session has expired. Please sign in again.",
+  "auth.signedIn": "Signed in",
+  "auth.signedInTo": "Signed in to {name}",
+  "auth.logout": "Log out",
+
+  "backend.title": "Backend Connections",
+  "backend.close": "Close backend settings",
+  "backend.description":
+    "Pick the backend used for this browser session. URL edits are saved on this machine and override the values from your {file} file.",
+  "backend.reset": "Reset to defaults",
+  "backend.statusTitle": "Backend connection settings",
+  "backend.status.online": "online",
+  "backend.status.offline": "offline",
+  "backend.status.degraded": "degraded",
+  "backend.status.unconfigured": "unconfigured",
+  "backend.status.checking": "checking",
+  "backend.status.unknown": "unknown",
+  "backend.latency": "{ms} ms",
+  "backend.mockHealth": "Serving generated mock data",
+  "backend.noUrl": "No URL configured for this backend",
+  "backend.mockNote":
+    "Generates sample shipment data in the browser. No requests are sent.",
+  "backend.name": "Name",
+  "backend.baseUrl": "Base URL",
+  "backend.timeout": "Timeout (ms)",
+  "backend.auth": "Authentication",
+  "backend.auth.none": "None (anonymous)",
+  "backend.auth.bearer": "Bearer token (sign in)",
+  "backend.loginPath": "Login path",
+  "backend.apiKeyHeader": "API key header",
+  "backend.save": "Save",
+  "backend.checking": "Checking...",
+  "backend.test": "Test connection",
+  "backend.cache.title": "Query Cache",
+  "backend.cache.entries": {
+    one: "{count} cached result",
+    other: "{count} cached results",
+  },
+  "backend.cache.ttl": "Keep results for (minutes)",
+  "backend.cache.persist": "Keep cached results across reloads (IndexedDB)",
+  "backend.cache.clear": "Clear cache",
+  "backend.retry.title": "Retries",
+  "backend.retry.pauses": {
+    one: "Pauses after {count} failed request",
+    other: "Pauses after {count} failed requests",
+  },
+  "backend.retry.count": "Retries on timeout / server error",
+  "backend.retry.delay": "First retry delay (ms)",
+  "backend.paging.title": "Result Paging",
+  "backend.paging.note": "Used when the backend supports paging",
+  "backend.paging.size": "Records per page ({min}–{max})",
+  "backend.context.title": "Conversation Context",
+  "backend.context.note": "Earlier AI Chat questions sent with follow-ups",
+  "backend.context.turns": "Earlier questions sent (0 = off)",
+  "backend.context.budget": "Token budget ({min}–{max})",
+
+  "demo.scenario": "Scenario",
+  "demo.trucks": "Trucks",
+  "demo.span": "Span",
+  "demo.spanHours": "{count} h",
+  "demo.spanDays": { one: "{count} day", other: "{count} days" },
+  "demo.seed": "Seed",
+  "demo.seedTitle": "The same seed always generates the same data",
+  "demo.copyLink": "Copy link",
+  "demo.linkCopied": "Link copied",
+  "demo.linkTitle":
+    "Copies a link that opens this scenario with the same rows, e.g. for a bug report",
+  "chart.count": "Count",
+  "chart.empty.title": "No Data Available",
+  "chart.empty.description": "Empty chart: there is no data to display.",
+  "chart.empty.text": "No data to display",
+  "demo.scenarios.normal-day": "Normal day",
+  "demo.scenarios.normal-day.description":
+    "Steady daytime traffic spread over all lanes",
+  "demo.scenarios.morning-peak": "Morning peak",
+  "demo.scenarios.morning-peak.description":
+    "Most trucks arrive between 06:00 and 09:00 and queue up",
+  "demo.scenarios.lane-outage": "Lane outage",
+  "demo.scenarios.lane-outage.description":
+    "LANE03 goes down for the last quarter of the span",
+  "demo.scenarios.stuck-trucks": "Stuck trucks",
+  "demo.scenarios.stuck-trucks.description":
+    "About one truck in twelve breaks down and is held on site",
+  "demo.scenarios.flow-rate-degradation": "Flow-rate degradation",
+  "demo.scenarios.flow-rate-degradation.description":
+    "Pump flow rates fall by 60% over the span",
+  "demo.scenarios.empty-terminal": "Empty terminal",
+  "demo.scenarios.empty-terminal.description": "No trucks at all",
+};
+
+export default enUS;
@@ -0,0 +1,624 @@
+/**
+ * Simplified Chinese messages. Keys missing here fall back to English
+ * (en-US.js).
+ */
+const zhCN = {
+  "app.skipLink": "跳到主要内容",
+  "app.notFoundTitle": "找不到页面",
+
+  "page.dashboard": "仪表板",
+  "page.chat": "AI 对话",
+  "page.analytics": "分析",
+  "page.traffic": "交通控制",
+  "nav.label": "主导航",
+
+  "theme.system": "跟随系统",
+  "theme.light": "浅色",
+  "theme.dark": "深色",
+  "theme.high-contrast": "高对比度",
+  "theme.toggle": "主题：{current}。点击切换为{next}。",
+
+  "locale.language": "语言",
+  "locale.timeZone": "时区",
+  "locale.computerTimeZone": "本机（{zone}）",
+
+  "dataMode.demo": "🧪 演示数据",
+  "dataMode.live": "📡 实时数据",
+  "dataMode.demoTitle": "正在显示生成的演示数据。点击返回实时数据。",
+  "dataMode.liveTitle": "正在显示后端实时数据。点击改用离线演示数据。",
+  "demo.bannerTitle": "离线/演示数据模式。",
+  "demo.bannerText":
+    "屏幕上的所有图表、指标和警报均为生成的示例数据，并非码头实时数据。",
+  "demo.backToLive": "返回实时数据",
+  "demo.watermark": "演示数据 · 非实时",
+  "demo.watermarkShort": "演示",
+  "demo.alertsWatermark": "演示警报 · 非实时",
+
+  "cache.badge": "💾 来自缓存 · {age}",
+  "cache.cachedAt": "缓存于 {time}",
+  "cache.justNow": "刚刚",
+  "cache.seconds": "{count} 秒前",
+  "cache.minutes": "{count} 分钟前",
+  "cache.hours": "{count} 小时前",
+
+  "common.loading": "加载中…",
+  "common.refresh": "刷新",
+  "common.retry": "重试",
+  "common.cancel": "取消",
+
+  "records.count": "{count} 条记录",
+  "records.more": "{count}+ 条记录",
+  "records.ofTotal": "{loaded} / {total} 条记录",
+
+  "notFound.text":
+    "{path} 处没有页面。链接可能输入有误，或来自旧版 ShipmentIQ。",
+  "notFound.dashboard": "前往仪表板",
+  "notFound.analytics": "打开分析",
+
+  "dashboard.title": "AI 驱动的分析仪表板",
+  "dashboard.loadingRecords": "正在加载货运记录…",
+  "dashboard.loadFailed": "无法加载货运记录：{error}",
+  "dashboard.insights": "基于 {records} 的实时洞察",
+  "dashboard.partial": "{insights}（指标基于前 {count} 条）",
+  "dashboard.updated": "更新于 {time}",
+  "dashboard.olderThan": "超过 5 分钟",
+  "dashboard.refreshFailed": "刷新失败：{error}",
+
+  "metric.status.loading": "更新中…",
+  "metric.status.stale": "已过时",
+  "metric.status.error": "不可用",
+  "metric.totalShipments": "货运总数",
+  "metric.averageFlowRate": "平均流速",
+  "metric.uniqueProducts": "产品种类",
+  "metric.averageQuantity": "平均数量",
+  "metric.computedFrom": "根据 {field} 计算",
+  "metric.noRecords": "未加载记录",
+  "metric.noField": "没有与 {fields} 匹配的字段",
+  "metric.noNumbers": "{field} 没有数值",
+
+  "unit.units": "单位",
+
+  "traffic.title": "🚦 交通控制塔",
+  "traffic.loading": "正在加载码头作业数据...",
+  "traffic.noData": "没有可用的码头数据",
+  "traffic.live": "实时 - 每 30 秒更新",
+  "traffic.demo": "演示数据 - 非实时",
+  "traffic.refreshFailed": "刷新失败：{error} 当前显示 {time} 的数据。",
+  "traffic.earlierRefresh": "之前一次刷新",
+  "traffic.useDemo": "改用演示数据",
+  "traffic.error.noTerminalFields":
+    "实时后端未返回码头作业所需的车道、泊位或码头字段。",
+  "traffic.error.unexpected": "加载码头数据时发生意外错误。",
+  "traffic.kpi.totalShipments": "货运总数",
+  "traffic.kpi.activeLanes": "活跃车道",
+  "traffic.kpi.avgTurnaround": "平均周转（分钟）",
+  "traffic.kpi.onTime": "准点率",
+  "traffic.alerts.title": "🚨 当前警报",
+  "traffic.alerts.acknowledgeAll": "全部确认",
+  "traffic.alerts.acknowledge": "确认",
+  "traffic.alerts.shortcut": "快捷键：A",
+  "traffic.alerts.none": "没有未确认的警报。",
+  "traffic.alerts.restore": "已确认 {count} 条 · 重新显示",
+  "traffic.alerts.new": "新警报：{message}",
+  "traffic.alerts.newMany": "{count} 条新警报。{message}",
+  "traffic.alert.delay": "⚠️ 货运 {id} 已延误 {minutes} 分钟",
+  "traffic.alert.congestion": "🚨 {lane} 在 {hour} 严重拥堵（{count} 票货运）",
+  "traffic.severity.critical": "严重",
+  "traffic.severity.warning": "警告",
+  "traffic.tabs": "交通控制视图",
+  "traffic.tab.overview": "车道概览",
+  "traffic.tab.congestion": "拥堵监控",
+  "traffic.tab.performance": "绩效评分",
+  "traffic.lane": "车道：{lane}",
+  "traffic.showAllLanes": "显示所有车道",
+  "traffic.overview.title": "车道利用率概览",
+  "traffic.shipments": "货运",
+  "traffic.grade": "等级",
+  "traffic.congestion.title": "拥堵热力图",
+  "traffic.congestion.info": "全天车道拥堵模式的实时分析",
+  "traffic.congestion.timeZone": "时间按 {zone}",
+  "traffic.congestion.legendNormal": "🟢 正常（每小时 1-5 票）",
+  "traffic.congestion.legendModerate": "🟡 中等（每小时 6-10 票）",
+  "traffic.congestion.legendHeavy": "🔴 严重（每小时 10 票以上）",
+  "traffic.congestion.emptyLane": "车道 {lane} 没有拥堵数据。",
+  "traffic.congestion.cell": "{hour} · {count} 票货运 · {level}",
+  "traffic.level.normal": "正常",
+  "traffic.level.moderate": "中等",
+  "traffic.level.heavy": "严重",
+  "traffic.performance.title": "车道绩效榜",
+  "traffic.performance.utilization": "利用率：",
+  "traffic.performance.shipments": "货运：",
+  "traffic.performance.efficiency": "效率：",
+  "traffic.efficiency.high": "高",
+  "traffic.efficiency.medium": "中",
+  "traffic.efficiency.low": "低",
+  "traffic.delayed.title": "⚠️ 延误货运",
+  "traffic.delayed.minutes": "已延误 {count} 分钟",
+  "traffic.upload": "文件 - {name}",
+  "traffic.closeUpload": "关闭文件",
+  "traffic.uploadNoLanes": "文件中没有车道、泊位或码头列。",
+
+  "upload.label": "上传文件",
+  "upload.prompt":
+    "将 CSV、TSV、JSON 或 Excel（.xlsx）文件拖放到本页任意位置进行分析。",
+  "upload.choose": "选择文件…",
+  "upload.reading": "正在读取文件…",
+  "upload.dropHere": "松开以预览文件",
+  "upload.previewTitle": "{name} 预览",
+  "upload.summary": "{format} · {records} · {columns}",
+  "upload.columns": "{count} 列",
+  "upload.previewCaption": "文件的前 {count} 行",
+  "upload.encoding": "编码",
+  "upload.delimiter": "分隔符",
+  "upload.delimiter.comma": "逗号（,）",
+  "upload.delimiter.semicolon": "分号（;）",
+  "upload.delimiter.tab": "制表符",
+  "upload.delimiter.pipe": "竖线（|）",
+  "upload.hasHeader": "第一行为列名",
+  "upload.columnType": "{column} 的类型",
+  "upload.type.string": "文本",
+  "upload.type.number": "数字",
+  "upload.type.date": "日期",
+  "upload.type.boolean": "是/否",
+  "upload.use": "使用这些数据",
+  "upload.converting": "正在转换…",
+  "upload.cancel": "取消",
+  "upload.loaded": "已从 {name} 加载 {records}。",
+  "upload.error.empty": "{name} 是空文件。",
+  "upload.error.tooLarge": "{name} 超过 {size} MB。",
+  "upload.error.unreadable": "无法读取 {name}。",
+  "upload.error.parserStopped": "文件解析器已停止。",
+  "upload.error.closed": "文件已关闭。",
+  "upload.error.xls":
+    "无法读取旧版 Excel .xls 文件。请将表格另存为 .xlsx 或 CSV。",
+  "upload.error.readFailed": "无法读取文件：{message}",
+  "upload.error.invalidJson": "不是有效的 JSON：{message}",
+  "upload.error.invalidJsonLine": "第 {line} 行不是有效的 JSON：{message}",
+  "upload.error.noRecords": "该 JSON 不包含记录数组。",
+  "upload.error.noRows": "文件中没有数据行。",
+  "upload.warning.unclean": "{count} 行无法完整读取（{message}）。",
+  "upload.warning.typeMismatch":
+    "“{column}”中有 {count} 个值与其类型不符，已留空。",
+
+  "stream.stage.connecting": "正在连接后端",
+  "stream.stage.generating-sql": "正在生成 SQL",
+  "stream.stage.sql-generated": "SQL 已生成",
+  "stream.stage.executing": "正在运行查询",
+  "stream.stage.receiving-rows": "正在接收数据行",
+  "stream.stage.retrying": "后端失败，正在重试",
+  "stream.stage.complete": "完成",
+  "stream.stage.error": "失败",
+  "stream.stage.processing": "处理中",
+  "stream.retryIn": "{seconds} 秒后第 {attempt}/{max} 次重试",
+
+  "apiError.unknown": "发生未知错误",
+  "apiError.gaveUp": "（尝试 {attempts} 次后放弃）",
+  "apiError.offline": "您已离线。请重新连接，或切换到演示数据继续工作。",
+  "apiError.circuitOpen": "后端多次失败，请求已暂停。将在 {seconds} 秒后重试。",
+  "apiError.timeout": "请求超时。AI 处理您的查询所需时间比预期更长。{retried}",
+  "apiError.unauthorized": "后端拒绝了请求。请重新登录或检查您的 API 密钥。",
+  "apiError.notFound": "未找到 LangChain 后端。请检查服务器 URL。",
+  "apiError.server": "LangChain 后端服务器错误。请稍后重试。{retried}",
+  "apiError.backend": "后端无法回答此问题：{message}",
+  "apiError.malformed": "后端发送了本应用无法读取的响应：{message}",
+  "apiError.empty": "查询已运行，但没有返回任何行。请尝试更宽泛的问题。",
+  "apiError.network": "网络错误。请检查您的网络连接。",
+  "apiError.fetchFailed": "无法从 LangChain 后端获取数据",
+  "apiError.status": "请求失败，状态码 {status}",
+  "apiError.noRows": "查询已运行，但没有返回任何行",
+  "apiError.circuitPaused": "熔断器已打开：后端持续失败，请求已暂停",
+  "apiError.emptyBody": "后端返回了空响应",
+  "apiError.textBody": "应为 JSON，但后端返回了文本",
+  "apiError.contractVersion":
+    "不支持的契约版本 {version}（本应用读取 {supported}）",
+  "apiError.dataNotArray": "“data”应为数组，实际为 {type}",
+  "apiError.noData": "响应中没有“data”数组",
+  "apiError.notObject": "应为 JSON 对象，实际为 {type}",
+
+  "result.none": "查询没有返回任何记录。",
+  "result.columns": "{count} 列",
+  "result.found": "找到 {records}，共 {columns}",
+  "result.foundOnly": "{found}。",
+  "result.figures": "{found}：{figures}。",
+  "result.highest": "{found}。{measure} 最高：{category}（{value}）。",
+  "result.sameCount": "{records}，与上次运行数量相同",
+  "result.moreCount": "{records}，比上次运行多 {count} 条",
+  "result.fewerCount": "{records}，比上次运行少 {count} 条",
+  "result.change": "{category}：{before} → {after}",
+  "result.changeNew": "新增",
+  "result.changeGone": "已移除",
+
+  "chat.newThread": "新对话",
+  "chat.greeting": "您好！我是您的货运分析 AI 助手。今天有什么可以帮您？",
+  "chat.interrupted": "在答案到达之前已中断。",
+  "chat.saveFailed": "聊天记录太大，无法保存在此浏览器中。请删除或导出旧对话。",
+  "chat.branchTitle": "{title}（分支）",
+  "chat.import.notJson": "该文件不是有效的 JSON。",
+  "chat.import.notExport": "该文件不是 ShipmentIQ 聊天导出文件。",
+  "chat.import.newerVersion": "该文件由较新版本导出（格式 {version}）。",
+  "chat.import.noThreads": "该文件不包含任何对话。",
+
+  "rerun.summary": "↻ 于 {time} 重新运行：{change}",
+  "rerun.previous": "上次运行：{time}",
+  "rerun.moreChanges": "…还有 {count} 处更改",
+  "chat.subtitle": "与您的 AI 分析助手聊天",
+  "chat.answerReady": "答案已就绪。{summary}",
+  "chat.cancelled": "已在收到 {count} 条记录后取消。",
+  "chat.branched": "已从“{title}”分出，并使用编辑后的问题。",
+  "chat.contextCleared": "上下文已清除。下一个问题将开始新的对话。",
+  "chat.contextForked": "已从“{question}”分叉上下文。之后的问题不再属于它。",
+  "chat.askInBranch": "在新分支中提问",
+  "chat.edit": "✎ 编辑",
+  "chat.editTitle": "编辑并在新分支中提问",
+  "chat.followUp": "↩ 追问 · 已发送 {count} 个先前问题作为上下文",
+  "chat.generatedSql": "生成的 SQL",
+  "chat.demoBadge": "🧪 演示数据 · 非实时",
+  "chat.fork": "从这里分叉",
+  "chat.forkTitle": "从这个答案继续对话",
+  "chat.newConversation": "新对话",
+  "chat.context": "上下文：{count} 个先前问题",
+  "chat.forked": "已分叉",
+  "chat.resetContext": "重置上下文",
+  "chat.placeholder": "在此输入消息，或输入 / 使用命令...",
+  "chat.send": "发送",
+
+  "threads.new": "+ 新对话",
+  "threads.search": "搜索对话...",
+  "threads.questions": "{count} 个问题",
+  "threads.rename": "重命名",
+  "threads.renameLabel": "重命名 {title}",
+  "threads.delete": "删除",
+  "threads.deleteLabel": "删除 {title}",
+  "threads.confirmDelete": "删除“{title}”？此操作无法撤销。",
+  "threads.noMatch": "没有与“{query}”匹配的对话",
+  "threads.export": "导出对话",
+  "threads.exportAll": "全部导出",
+  "threads.import": "导入",
+  "threads.imported": "已导入 {count} 个对话。",
+
+  "actions.rerun": "↻ 重新运行",
+  "actions.rerunTitle": "基于最新数据再次提问",
+  "actions.copySql": "复制 SQL",
+  "actions.downloadSql": "下载 SQL",
+  "actions.downloadCsv": "下载 CSV",
+  "actions.snapshotOnly": "仅包含已保存的 {count} 行。重新运行以获取完整结果。",
+  "actions.sqlCopied": "SQL 已复制",
+  "actions.copyFailed": "无法复制。请打开“生成的 SQL”并手动复制。",
+  "actions.pinChart": "固定图表",
+  "actions.unpinChart": "取消固定图表",
+  "actions.pinTable": "固定表格",
+  "actions.unpinTable": "取消固定表格",
+  "actions.pinned.chart": "已将图表固定到仪表板",
+  "actions.pinned.table": "已将表格固定到仪表板",
+  "actions.unpinned.chart": "已从仪表板移除图表",
+  "actions.unpinned.table": "已从仪表板移除表格",
+
+  "chatResult.snapshot":
+    "已保存的快照：{total} 条记录中的前 {count} 条。再次提问以获取完整结果。",
+
+  "warnings.notes": "⚠️ {count} 条数据说明",
+  "warnings.contract": "契约 v{version}",
+  "warnings.legacy": "旧格式",
+  "warnings.incomplete-stream": "数据流在没有完成事件的情况下结束",
+  "warnings.dropped-rows": "丢弃了 {count} 行非对象数据",
+  "warnings.stringified-values": "已将嵌套值存为文本：{columns}",
+  "warnings.numeric-text": "已将文本转换为数字：{columns}",
+  "warnings.legacy-array": "响应是裸数组，已按行读取",
+  "warnings.legacy-format": "响应未声明契约版本，已按旧格式读取",
+  "warnings.legacy-sql-field": "已从“{field}”读取 SQL 查询",
+  "warnings.legacy-rows-field": "已从“results”读取行",
+
+  "commands.intro":
+    "命令直接在当前结果上运行，不经过语言模型。输入 /help 查看列表。",
+  "commands.pressEnter": "✓ 按 Enter 运行",
+
+  "table.previous": "‹ 上一页",
+  "table.next": "下一页 ›",
+  "table.rows": "第 {first}–{last} 行，共 {total} 行",
+
+  "pins.title": "从 AI 聊天固定",
+  "pins.remove": "从仪表板移除",
+  "pins.removeLabel": "从仪表板移除 {title}",
+  "pins.meta": "固定于 {time} · {records}",
+  "pins.firstKept": "（保留前 {count} 条）",
+  "pins.untitled": "已固定的结果",
+  "pins.error.unknownView": "未知视图“{view}”。",
+  "pins.error.noRows": "该回答没有数据行。",
+
+  "shortcuts.then": "然后",
+
+  "slash.noData": "还没有可处理的结果。请先提问或运行 /sql。",
+  "slash.notCommand": "不是命令。",
+  "slash.typeName": "请输入命令名称。",
+  "slash.pressTab": "按 Tab 补全 /{name}。",
+  "slash.unknownCommand": "未知命令“/{name}”。输入 /help 查看列表。",
+  "slash.tooManyArguments": "参数过多。{usage}",
+  "slash.noFields": "此结果中没有",
+  "slash.chooseField": "请选择{role}的字段。",
+  "slash.unknownField": "未知字段“{field}”。可用字段：{fields}。",
+  "slash.role.xAxis": "x 轴",
+  "slash.role.yAxis": "y 轴",
+  "slash.role.condition": "条件",
+  "slash.role.ranking": "排序",
+  "slash.detail.chartType": "图表类型",
+  "slash.detail.aggregate": "聚合",
+  "slash.detail.rows": "行",
+  "slash.detail.format": "格式",
+  "slash.chart.description":
+    "为当前结果绘制图表。聚合方式：sum、mean、median、min、max、count。",
+  "slash.chart.chooseType": "请选择图表类型：bar、line、scatter 或 pie。",
+  "slash.chart.unknownType":
+    "未知图表类型“{type}”。请使用 bar、line、scatter 或 pie。",
+  "slash.chart.unknownAggregate":
+    "未知聚合方式“{aggregate}”。请使用 {aggregates}。",
+  "slash.chart.countOnly":
+    "“{field}”不是数值字段，只能计数。数值字段：{fields}。",
+  "slash.chart.count": "数量",
+  "slash.chart.measure": "{field} 的 {aggregate}",
+  "slash.chart.title": "按 {field} 的{measure}",
+  "slash.chart.done": "已为 {records} 绘制{title}。",
+  "slash.filter.description":
+    '保留满足所有条件的行。~ 表示包含；含空格的值请加引号，例如 status="In Progress"。',
+  "slash.filter.addCondition": "请添加条件，例如 status=Completed。",
+  "slash.filter.addComparison": "请添加比较，例如 {field}=值。",
+  "slash.filter.notCondition":
+    "“{condition}”不是条件。请使用 字段=值、!=、>、>=、<、<= 或 ~（包含）。",
+  "slash.filter.addValue": "请在 {condition} 后添加值",
+  "slash.filter.notNumber": "“{value}”不是数字，但 {field} 是数值字段。",
+  "slash.filter.notDate": "“{value}”不是日期，但 {field} 包含日期。",
+  "slash.filter.and": " 且 ",
+  "slash.filter.kept": "在 {total} 条中保留了 {records}，条件为 {where}。",
+  "slash.filter.none": "没有记录满足 {where}。",
+  "slash.top.description": "保留某字段值最高的 n 行。",
+  "slash.top.chooseCount": "请选择要保留的行数，例如 10。",
+  "slash.top.badCount": "行数必须是 1 到 {max} 之间的整数。",
+  "slash.top.notNumeric": "“{field}”不是数值字段。数值字段：{fields}。",
+  "slash.top.done": "按 {field} 排名前 {records}。",
+  "slash.describe.description": "列出当前结果的字段及其类型和范围。",
+  "slash.describe.noArguments": "/describe 不接受参数。",
+  "slash.describe.fields": "{count} 个字段",
+  "slash.describe.done": "{records}，{fields}。",
+  "slash.export.description": "下载当前结果。",
+  "slash.export.unknownFormat": "未知格式“{format}”。请使用 csv 或 json。",
+  "slash.export.done": "已将 {records} 导出为 {filename}。",
+  "slash.sql.description":
+    "在浏览器中对当前结果运行 SELECT 或 WITH 查询，不经过语言模型。这些行即表 dataset，或其 SQL 所读取的表。",
+  "slash.sql.typeQuery": "请输入 SELECT 查询。",
+  "slash.sql.selectOnly": "只能运行 SELECT 和 WITH 查询。",
+  "slash.sql.done": "{records}，用时 {ms} 毫秒，在浏览器中运行。",
+  "slash.help.description": "显示所有命令，或某个命令的用法。",
+  "slash.help.unknownCommand": "未知命令“/{name}”。",
+  "slash.help.intro":
+    "命令直接在最新结果上运行，不询问语言模型。Tab 可补全字段和值。",
+
+  "analytics.title": "AI 驱动的分析",
+  "analytics.loaded": "已为“{question}”加载 {records}。",
+  "analytics.cancelled": "查询已取消。正在显示 {count} 条部分记录。",
+  "analytics.unexpectedError": "发生意外错误。",
+  "analytics.connectivityError": "连接测试期间发生意外错误",
+  "analytics.ranLocally": "已在本地运行 SQL：{records}，用时 {ms} 毫秒。",
+  "analytics.stoppedPaging": "已停止加载更多记录。",
+  "analytics.command.cancel": "取消正在运行的查询",
+  "analytics.command.rerun": "重新运行当前查询",
+  "analytics.command.exportPng": "将图表导出为 PNG",
+  "analytics.command.exportSvg": "将图表导出为 SVG",
+  "analytics.generated": "AI 可视化已生成",
+  "analytics.basedOnFile": "基于 {name} 的动态图表",
+  "analytics.basedOnQuery": "基于您的查询的动态图表：“{question}”",
+  "analytics.noData": "无数据 - 请检查 API 连接",
+  "analytics.recordsLoaded": "已加载 {records}",
+  "analytics.demoBadge": "🧪 演示数据，非实时",
+  "analytics.fromFile": "📄 来自 {name}",
+  "analytics.localResult": "🗄️ 本地 SQL 结果",
+  "analytics.loadingAll": "正在加载全部记录...",
+  "analytics.loadingMore": "正在加载更多记录...",
+  "analytics.stop": "停止",
+  "analytics.loadMore": "加载更多",
+  "analytics.loadAll": "全部加载",
+  "analytics.useDemo": "改用演示数据",
+  "analytics.placeholder":
+    "向 AI 询问您的数据（例如：“显示销售趋势”、“哪些产品表现最好？”）",
+  "analytics.ask": "询问 AI",
+  "analytics.filterPlaceholder": "筛选行，例如 status=Completed flow_rate>30",
+  "analytics.filterLabel": "筛选行",
+  "analytics.addFilter": "添加筛选",
+  "analytics.removeFilter": "移除筛选 {condition}",
+  "analytics.filterCount": "{total} 条记录中有 {count} 条匹配",
+  "analytics.views": "分析视图",
+  "analytics.view.charts": "AI 可视化",
+  "analytics.view.graphicwalker": "GraphicWalker",
+  "analytics.overview": "获取概览",
+  "analytics.charts.title": "AI 生成的可视化",
+  "analytics.charts.subtitle": "根据数据结构和您的查询动态创建",
+  "analytics.walker.title": "GraphicWalker - 高级数据探索",
+  "analytics.walker.subtitle": "类似 Tableau 的专业拖放式分析界面",
+  "analytics.walker.loading":
+    "正在为 GraphicWalker 加载数据... 已加载 {count} 条记录",
+  "analytics.walker.suggestions": "建议：",
+  "analytics.noVisualization": "没有可用于可视化的数据",
+
+  "walker.notArray": "数据必须是数组",
+  "walker.notArrayHint": "请确保数据格式为对象数组",
+  "walker.noData": "没有可用数据",
+  "walker.noDataHint": "请先从 API 获取数据",
+  "walker.large": "检测到大型数据集",
+  "walker.largeFilterHint": "建议筛选数据以提高性能",
+  "walker.largeSlowHint": "GraphicWalker 处理大型数据集时可能较慢",
+  "walker.noFields": "数据中未检测到字段",
+  "walker.noFieldsHint": "请确保数据对象具有属性",
+  "walker.singleField": "只有一个字段，分析能力有限",
+  "walker.singleFieldHint": "更多字段可以实现更丰富的可视化",
+  "walker.suitable": "数据适合 GraphicWalker",
+
+  "sql.title": "SQL 查询：",
+  "sql.generatedTitle": "生成的 SQL 查询：",
+  "sql.badge.edited": "已编辑 · 本地运行",
+  "sql.badge.generated": "AI 生成",
+  "sql.badge.local": "本地",
+  "sql.format": "格式化",
+  "sql.copy": "复制",
+  "sql.copyFailed": "无法复制。请选中 SQL 并手动复制。",
+  "sql.history": "历史（{count}）",
+  "sql.run": "本地运行",
+  "sql.running": "运行中...",
+  "sql.discard": "放弃编辑",
+  "sql.reset": "返回原始结果",
+  "sql.ranIn": "已在浏览器中运行，用时 {ms} 毫秒",
+  "sql.editorLabel": "SQL 查询",
+  "sql.tables": "表",
+  "sql.noTables": "尚未加载数据。",
+  "sql.insert": "插入 {name}",
+
+  "sqlHistory.title": "SQL 历史",
+  "sqlHistory.empty": "生成的和本地运行的 SQL 将列在这里。",
+  "sqlHistory.clear": "清除历史",
+  "sqlHistory.local": "本地",
+  "sqlHistory.ai": "AI",
+  "sqlHistory.rows": "{count} 行",
+  "sqlHistory.ms": "{ms} 毫秒",
+  "sqlHistory.open": "打开",
+  "sqlHistory.changes": "更改",
+  "sqlHistory.hideChanges": "隐藏更改",
+  "sqlHistory.diffLabel": "与上一条语句相比的更改",
+  "sql.error.empty": "请编写要运行的查询。",
+  "sql.error.selectOnly": "本地只能运行 SELECT 查询。",
+  "sql.error.engine": "无法加载 SQL 引擎：{message}",
+  "sql.error.tables": "无法加载表：{message}",
+  "sql.error.noData": "还没有可查询的数据。",
+  "sql.error.dataChanged": "查询运行期间数据已更改。",
+  "sql.error.format": "无法格式化 SQL：{message}",
+
+  "assistant.title": "AI 助手",
+  "assistant.placeholder": "询问有关货运数据的任何问题，或输入 / 使用命令...",
+  "assistant.openInAnalytics": "在分析中打开 →",
+  "assistant.suggestions": "试试这些查询：",
+
+  "commands.group.general": "常规",
+  "commands.group.navigation": "导航",
+  "commands.group.theme": "主题",
+  "commands.group.recent": "最近的查询",
+  "commands.group.threads": "聊天对话",
+  "commands.group.pins": "已固定的结果",
+  "commands.palette": "打开命令面板",
+  "commands.shortcuts": "显示键盘快捷键",
+  "commands.focusQuery": "聚焦查询框",
+  "commands.goTo": "前往{page}",
+  "commands.trafficTab": "{page}：{tab}",
+  "commands.analyticsView": "显示{view}视图",
+  "commands.darkTheme": "切换到深色主题",
+  "commands.lightTheme": "切换到浅色主题",
+  "commands.useTheme": "使用{theme}主题",
+
+  "palette.label": "命令面板",
+  "palette.placeholder": "输入命令或搜索…",
+  "palette.empty": "没有匹配的命令",
+
+  "shortcuts.title": "键盘快捷键",
+  "shortcuts.close": "关闭键盘快捷键",
+  "shortcuts.typingNote": "在输入框中输入时，不带 Ctrl/Cmd 的快捷键会被忽略。",
+
+  "traffic.command.nextLane": "选择下一条车道",
+  "traffic.command.previousLane": "选择上一条车道",
+  "traffic.command.acknowledge": "确认 {count} 条活动警报",
+  "traffic.command.restore": "重新显示已确认的警报",
+
+  "login.title": "登录",
+  "login.needsApiKey": "{name} 需要 API 密钥才能回答查询。",
+  "login.needsSignIn": "{name} 需要登录后才能回答查询。",
+  "login.apiKey": "API 密钥",
+  "login.token": "访问令牌",
+  "login.username": "用户名",
+  "login.password": "密码",
+  "login.signingIn": "正在登录...",
+  "login.connect": "连接",
+  "login.usePassword": "使用用户名和密码登录",
+  "login.useToken": "改为粘贴访问令牌",
+  "login.storageNote": "凭据仅保存在此浏览器标签页中，关闭后即被清除。",
+  "login.otherBackend": "使用其他后端",
+  "login.choose": "请选择...",
+  "login.useDemo": "改用演示数据",
+  "login.error.credentials": "用户名或密码错误",
+  "login.error.noEndpoint": "此后端没有登录接口",
+  "login.error.noToken": "登录响应中没有访问令牌",
+  "login.error.keyRejected": "后端拒绝了该 API 密钥。",
+  "login.error.expired": "会话已过期，请重新登录。",
+  "auth.signedIn": "已登录",
+  "auth.signedInTo": "已登录到 {name}",
+  "auth.logout": "退出登录",
+
+  "backend.title": "后端连接",
+  "backend.close": "关闭后端设置",
+  "backend.description":
+    "选择此浏览器会话使用的后端。URL 修改会保存在本机，并覆盖 {file} 文件中的值。",
+  "backend.reset": "恢复默认设置",
+  "backend.statusTitle": "后端连接设置",
+  "backend.status.online": "在线",
+  "backend.status.offline": "离线",
+  "backend.status.degraded": "降级",
+  "backend.status.unconfigured": "未配置",
+  "backend.status.checking": "检查中",
+  "backend.status.unknown": "未知",
+  "backend.latency": "{ms} 毫秒",
+  "backend.mockHealth": "正在提供生成的模拟数据",
+  "backend.noUrl": "此后端未配置 URL",
+  "backend.mockNote": "在浏览器中生成示例货运数据，不发送任何请求。",
+  "backend.name": "名称",
+  "backend.baseUrl": "基础 URL",
+  "backend.timeout": "超时（毫秒）",
+  "backend.auth": "身份验证",
+  "backend.auth.none": "无（匿名）",
+  "backend.auth.bearer": "Bearer 令牌（登录）",
+  "backend.loginPath": "登录路径",
+  "backend.apiKeyHeader": "API 密钥请求头",
+  "backend.save": "保存",
+  "backend.checking": "检查中...",
+  "backend.test": "测试连接",
+  "backend.cache.title": "查询缓存",
+  "backend.cache.entries": "{count} 条缓存结果",
+  "backend.cache.ttl": "结果保留时间（分钟）",
+  "backend.cache.persist": "重新加载后保留缓存结果（IndexedDB）",
+  "backend.cache.clear": "清除缓存",
+  "backend.retry.title": "重试",
+  "backend.retry.pauses": "{count} 次请求失败后暂停",
+  "backend.retry.count": "超时或服务器错误时的重试次数",
+  "backend.retry.delay": "首次重试延迟（毫秒）",
+  "backend.paging.title": "结果分页",
+  "backend.paging.note": "在后端支持分页时使用",
+  "backend.paging.size": "每页记录数（{min}–{max}）",
+  "backend.context.title": "对话上下文",
+  "backend.context.note": "随追问一起发送的 AI 对话中的先前问题",
+  "backend.context.turns": "发送的先前问题数（0 = 关闭）",
+  "backend.context.budget": "令牌预算（{min}–{max}）",
+
+  "demo.scenario": "场景",
+  "demo.trucks": "卡车",
+  "demo.span": "时间跨度",
+  "demo.spanHours": "{count} 小时",
+  "demo.spanDays": "{count} 天",
+  "demo.seed": "种子",
+  "demo.seedTitle": "相同的种子总会生成相同的数据",
+  "demo.copyLink": "复制链接",
+  "demo.linkCopied": "链接已复制",
+  "demo.linkTitle": "复制一个以相同数据行打开此场景的链接，例如用于错误报告",
+  "chart.count": "数量",
+  "chart.empty.title": "无可用数据",
+  "chart.empty.description": "空图表：没有可显示的数据。",
+  "chart.empty.text": "没有可显示的数据",
+  "demo.scenarios.normal-day": "普通的一天",
+  "demo.scenarios.normal-day.description": "白天车流平稳，分布在所有车道",
+  "demo.scenarios.morning-peak": "早高峰",
+  "demo.scenarios.morning-peak.description":
+    "大多数卡车在 06:00 至 09:00 之间到达并排队",
+  "demo.scenarios.lane-outage": "车道故障",
+  "demo.scenarios.lane-outage.description": "LANE03 在时间段的最后四分之一停用",
+  "demo.scenarios.stuck-trucks": "滞留卡车",
+  "demo.scenarios.stuck-trucks.description":
+    "约每十二辆卡车中有一辆故障并滞留在场内",
+  "demo.scenarios.flow-rate-degradation": "流速下降",
+  "demo.scenarios.flow-rate-degradation.description":
+    "泵的流速在该时间段内下降 60%",
+  "demo.scenarios.empty-terminal": "空码头",
+  "demo.scenarios.empty-terminal.description": "完全没有卡车",
+};
+
+export default zhCN;
@@ -1,79 +1,483 @@
-import React, { useState } from "react";
+import React, { useState, useRef, useEffect } from "react";
+import {
+  streamDataFromLangChain,
+  formatAPIError,
+} from "../services/apiService.js";
+import { QUERY_ERROR_TYPES } from "../services/responseContract.js";
+import {
+  addTurn,
+  conversationBefore,
+  createConversation,
+  forkConversation,
+  replaceTurn,
+} from "../services/conversationContext.js";
+import {
+  appendMessages,
+  branchThread,
+  createMessageId,
+  formatMessageTime,
+  getThread,
+  updateMessage,
+  updateThread,
+} from "../services/chatThreads.js";
+import { invalidateQueryCache } from "../services/queryCache.js";
+import { announce } from "../services/announcer.js";
+import { useChatThreads } from "../hooks/useChatThreads.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { describeStreamStage } from "../utils/streamParsing.js";
+import { diffResults, summarizeResult } from "../utils/resultSummary.js";
+import { DATASET_KINDS, runSlashCommand } from "../utils/slashCommands.js";
+import { downloadFile } from "../utils/download.js";
+import CacheBadge from "../components/CacheBadge.jsx";
+import ResponseWarnings from "../components/ResponseWarnings.jsx";
+import ChatResult from "../components/ChatResult.jsx";
+import ChatThreadSidebar from "../components/ChatThreadSidebar.jsx";
+import MessageActions from "../components/MessageActions.jsx";
+import RerunDiff from "../components/RerunDiff.jsx";
+import SlashCommandInput from "../components/SlashCommandInput.jsx";
+
+// Slash commands work on the latest answer (or command result) in the thread
+const findDataset = (messages) =>
+  [...messages]
+    .reverse()
+    .find(
+      (message) =>
+        message.sender === "ai" &&
+        message.status === "done" &&
+        message.data?.length &&
+        (!message.command || DATASET_KINDS.includes(message.command.kind))
+    ) || null;
 
 const AIChat = () => {
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      sender: "ai",
-      text: "Hello! I'm your AI assistant for shipment analytics. How can I help you today?",
-      timestamp: new Date().toLocaleTimeString(),
-    },
-  ]);
+  const { t } = useLocale();
+  const { threads, activeId } = useChatThreads();
+  const thread = threads.find((item) => item.id === activeId);
+  const { messages, conversation } = thread;
   const [inputValue, setInputValue] = useState("");
+  const [editing, setEditing] = useState(null); // { messageId, text }
+  const controllersRef = useRef({});
+
+  // Cancel in-flight streams when leaving the page
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => Object.values(controllers).forEach((c) => c.abort());
+  }, []);
+
+  const setConversation = (threadId, update) => {
+    updateThread(threadId, (current) => ({
+      ...current,
+      conversation: update(current.conversation),
+    }));
+  };
+
+  const addSystemMessage = (threadId, text) => {
+    appendMessages(threadId, [
+      {
+        id: createMessageId(),
+        sender: "system",
+        text,
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+  };
+
+  // Answers are written to the thread that asked, even after switching.
+  // A rerun (previous holds the earlier answer) skips the cache and is asked
+  // with the context the original answer had.
+  const runQuery = async (threadId, question, aiMessageId, previous = null) => {
+    const controller = new AbortController();
+    controllersRef.current[aiMessageId] = controller;
+    const { conversation } = getThread(threadId);
+    const askedIn = previous
+      ? conversationBefore(conversation, aiMessageId)
+      : conversation;
+
+    const result = await streamDataFromLangChain(question, {
+      signal: controller.signal,
+      conversation: askedIn,
+      bypassCache: Boolean(previous),
+      onUpdate: (partial) => {
+        updateMessage(threadId, aiMessageId, {
+          stage: partial.stage,
+          sqlQuery: partial.sqlQuery,
+          rowCount: partial.data.length,
+        });
+      },
+    });
+
+    delete controllersRef.current[aiMessageId];
 
-  const handleSendMessage = () => {
-    if (inputValue.trim()) {
-      const newMessage = {
-        id: messages.length + 1,
-        sender: "user",
-        text: inputValue,
-        timestamp: new Date().toLocaleTimeString(),
-      };
-
-      setMessages([...messages, newMessage]);
-
-      // Simulate AI response
-      setTimeout(() => {
-        const aiResponse = {
-          id: messages.length + 2,
-          sender: "ai",
-          text: `I understand you're asking about: "${inputValue}". Let me analyze your shipment data and provide insights.`,
-          timestamp: new Date().toLocaleTimeString(),
-        };
-        setMessages((prev) => [...prev, aiResponse]);
-      }, 1000);
-
-      setInputValue("");
+    if (result.success) {
+      // Answers that arrive after a reset or fork belong to the old context
+      setConversation(threadId, (current) => {
+        const replaced = replaceTurn(current, result, aiMessageId);
+        if (replaced !== current) return replaced;
+        return current.id === askedIn.id
+          ? addTurn(current, result, aiMessageId)
+          : current;
+      });
+      const summary = summarizeResult(result.data, result.pagination);
+      announce(t("chat.answerReady", { summary }));
+      updateMessage(threadId, aiMessageId, {
+        status: "done",
+        text: summary,
+        sqlQuery: result.sqlQuery,
+        data: result.data,
+        rowCount: result.data.length,
+        cachedAt: result.fromCache ? result.cachedAt : null,
+        isDemo: result.source === "demo",
+        warnings: result.warnings,
+        contractVersion: result.contractVersion,
+        contextTurns: result.contextTurns,
+        snapshotTruncated: false,
+        rerun: previous
+          ? {
+              diff: diffResults(
+                previous.data || [],
+                result.data,
+                previous.rowCount
+              ),
+              rerunAt: new Date().toISOString(),
+              previousAt: previous.rerun?.rerunAt || previous.timestamp,
+            }
+          : null,
+      });
+    } else if (result.cancelled) {
+      updateMessage(threadId, aiMessageId, {
+        status: "cancelled",
+        text: t("chat.cancelled", { count: result.data.length }),
+        data: result.data,
+      });
+    } else {
+      const error = formatAPIError(result.error);
+      announce(error, { assertive: true });
+      updateMessage(threadId, aiMessageId, {
+        status: "error",
+        text: error,
+        sqlQuery: result.sqlQuery,
+        errorType: result.error?.type,
+      });
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter") {
-      handleSendMessage();
+  const createUserMessage = (text) => ({
+    id: createMessageId(),
+    sender: "user",
+    text,
+    timestamp: new Date().toISOString(),
+  });
+
+  const askQuestion = (threadId, question) => {
+    const aiMessageId = createMessageId();
+    const newMessage = createUserMessage(question);
+
+    const aiMessage = {
+      id: aiMessageId,
+      sender: "ai",
+      question,
+      status: "streaming",
+      stage: "connecting",
+      text: "",
+      sqlQuery: "",
+      data: null,
+      rowCount: 0,
+      timestamp: new Date().toISOString(),
+    };
+
+    appendMessages(threadId, [newMessage, aiMessage]);
+    runQuery(threadId, question, aiMessageId);
+  };
+
+  // Commands run here, without the backend; /sql runs in the browser too
+  const runCommand = async (threadId, input) => {
+    const dataset = findDataset(getThread(threadId).messages);
+    const result = await runSlashCommand(input, dataset);
+
+    if (result.success && result.kind === "export") {
+      const { content, filename, type } = result.file;
+      downloadFile(content, filename, type);
     }
+
+    const hasRows = result.success && result.data;
+    appendMessages(threadId, [
+      createUserMessage(input),
+      {
+        id: createMessageId(),
+        sender: "ai",
+        question: input,
+        command: { name: result.command, kind: result.kind || null },
+        status: result.success ? "done" : "error",
+        text: result.success ? result.text : result.error,
+        sqlQuery: result.sql || "",
+        data: hasRows ? result.data : null,
+        rowCount: hasRows ? result.data.length : 0,
+        chart: result.chart ?? null,
+        isDemo: Boolean(dataset?.isDemo),
+        timestamp: new Date().toISOString(),
+      },
+    ]);
+  };
+
+  const handleSendMessage = (value) => {
+    const text = value.trim();
+    if (!text) return;
+
+    if (text.startsWith("/")) runCommand(activeId, text);
+    else askQuestion(activeId, text);
+    setInputValue("");
+  };
+
+  const handleCancel = (messageId) => {
+    controllersRef.current[messageId]?.abort();
+  };
+
+  const handleRetry = (message) => {
+    updateMessage(activeId, message.id, {
+      status: "streaming",
+      stage: "connecting",
+      text: "",
+      sqlQuery: "",
+      data: null,
+      rowCount: 0,
+      errorType: null,
+    });
+    runQuery(activeId, message.question, message.id);
+  };
+
+  // The question's cached answers are dropped first, so asking it again
+  // later, in any thread, gets the fresh rows too
+  const handleRerun = async (message) => {
+    updateMessage(activeId, message.id, {
+      status: "streaming",
+      stage: "connecting",
+      text: "",
+      rowCount: 0,
+    });
+    await invalidateQueryCache(message.question);
+    runQuery(activeId, message.question, message.id, message);
+  };
+
+  // The edited question is asked in a new thread, so the original answers
+  // stay as they were
+  const handleEditSubmit = () => {
+    const question = editing.text.trim();
+    if (!question) return;
+
+    const branchId = branchThread(activeId, editing.messageId);
+    setEditing(null);
+    if (!branchId) return;
+
+    addSystemMessage(branchId, t("chat.branched", { title: thread.title }));
+    askQuestion(branchId, question);
+  };
+
+  const handleResetContext = () => {
+    setConversation(activeId, createConversation);
+    addSystemMessage(activeId, t("chat.contextCleared"));
+  };
+
+  const handleFork = (message) => {
+    const turn = conversation.turns.find(
+      (item) => item.messageId === message.id
+    );
+    setConversation(activeId, (current) =>
+      forkConversation(current, message.id)
+    );
+    addSystemMessage(
+      activeId,
+      t("chat.contextForked", { question: turn.question })
+    );
   };
 
+  // Forking from the latest answer would change nothing
+  const canFork = (messageId) =>
+    conversation.turns.some((turn) => turn.messageId === messageId) &&
+    conversation.turns[conversation.turns.length - 1].messageId !== messageId;
+
   return (
     <main className="main-content">
-      <h1 className="dashboard-title">AI Chat</h1>
-      <p className="dashboard-subtitle">
-        Chat with your AI analytics assistant
-      </p>
-
-      <div className="chat-container">
-        <div className="chat-messages">
-          {messages.map((message) => (
-            <div key={message.id} className={`message ${message.sender}`}>
-              <div className="message-content">
-                <p>{message.text}</p>
-                <span className="message-timestamp">{message.timestamp}</span>
+      <h1 className="dashboard-title">{t("page.chat")}</h1>
+      <p className="dashboard-subtitle">{t("chat.subtitle")}</p>
+
+      <div className="chat-layout">
+        <ChatThreadSidebar />
+
+        <div className="chat-container">
+          <div className="chat-messages">
+            {messages.map((message) => (
+              <div
+                key={message.id}
+                className={`message ${message.sender} ${
+                  message.data?.length ? "with-result" : ""
+                }`}
+              >
+                <div className={`message-content ${message.status || ""}`}>
+                  {message.status === "streaming" ? (
+                    <div className="message-streaming">
+                      <span className="streaming-stage">
+                        {describeStreamStage(message.stage)}
+                        {message.rowCount > 0 &&
+                          ` · ${t("records.count", {
+                            count: message.rowCount,
+                          })}`}
+                      </span>
+                      <button
+                        className="cancel-query-btn"
+                        onClick={() => handleCancel(message.id)}
+                      >
+                        {t("common.cancel")}
+                      </button>
+                    </div>
+                  ) : editing?.messageId === message.id ? (
+                    <div className="message-edit">
+                      <input
+                        className="chat-input"
+                        value={editing.text}
+                        onChange={(e) =>
+                          setEditing({ ...editing, text: e.target.value })
+                        }
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") handleEditSubmit();
+                          if (e.key === "Escape") setEditing(null);
+                        }}
+                        autoFocus
+                      />
+                      <button
+                        className="send-button"
+                        onClick={handleEditSubmit}
+                      >
+                        {t("chat.askInBranch")}
+                      </button>
+                      <button
+                        className="settings-button"
+                        onClick={() => setEditing(null)}
+                      >
+                        {t("common.cancel")}
+                      </button>
+                    </div>
+                  ) : (
+                    <p>{message.text}</p>
+                  )}
+                  {message.sender === "user" &&
+                    editing?.messageId !== message.id && (
+                      <button
+                        className="message-edit-btn"
+                        onClick={() =>
+                          setEditing({
+                            messageId: message.id,
+                            text: message.text,
+                          })
+                        }
+                        title={t("chat.editTitle")}
+                      >
+                        {t("chat.edit")}
+                      </button>
+                    )}
+                  <RerunDiff rerun={message.rerun} />
+                  {message.contextTurns > 0 && (
+                    <span className="context-badge">
+                      {t("chat.followUp", { count: message.contextTurns })}
+                    </span>
+                  )}
+                  {message.sqlQuery && (
+                    <details className="message-sql-block">
+                      <summary>{t("chat.generatedSql")}</summary>
+                      <code className="message-sql">{message.sqlQuery}</code>
+                    </details>
+                  )}
+                  {message.status !== "streaming" && (
+                    <ChatResult
+                      data={message.data}
+                      sqlQuery={message.sqlQuery}
+                      question={message.question}
+                      isDemo={message.isDemo}
+                      snapshotOf={
+                        message.snapshotTruncated ? message.rowCount : null
+                      }
+                      chart={message.chart}
+                    />
+                  )}
+                  {message.status === "error" &&
+                    !message.command &&
+                    message.errorType !== QUERY_ERROR_TYPES.EMPTY && (
+                      <div className="error-actions">
+                        <button
+                          className="settings-button"
+                          onClick={() => handleRetry(message)}
+                        >
+                          {t("common.retry")}
+                        </button>
+                      </div>
+                    )}
+                  {message.cachedAt && (
+                    <CacheBadge cachedAt={message.cachedAt} />
+                  )}
+                  <ResponseWarnings
+                    warnings={message.warnings}
+                    contractVersion={message.contractVersion}
+                  />
+                  {message.isDemo && (
+                    <span className="api-badge demo">
+                      {t("chat.demoBadge")}
+                    </span>
+                  )}
+                  {message.status === "done" && message.question && (
+                    <MessageActions
+                      message={message}
+                      onRerun={
+                        message.command ? null : () => handleRerun(message)
+                      }
+                    />
+                  )}
+                  {canFork(message.id) && (
+                    <button
+                      className="context-fork-btn"
+                      onClick={() => handleFork(message)}
+                      title={t("chat.forkTitle")}
+                    >
+                      {t("chat.fork")}
+                    </button>
+                  )}
+                  <span className="message-timestamp">
+                    {formatMessageTime(message.timestamp)}
+                  </span>
+                </div>
               </div>
-            </div>
-          ))}
-        </div>
+            ))}
+          </div>
+
+          <div className="chat-context-bar">
+            <span>
+              {conversation.turns.length === 0
+                ? t("chat.newConversation")
+                : t("chat.context", { count: conversation.turns.length })}
+              {conversation.parentId && ` · ${t("chat.forked")}`}
+            </span>
+            <button
+              className="context-reset-btn"
+              onClick={handleResetContext}
+              disabled={conversation.turns.length === 0}
+            >
+              {t("chat.resetContext")}
+            </button>
+          </div>
 
-        <div className="chat-input-container">
-          <input
-            type="text"
-            className="chat-input"
-            placeholder="Type your message here..."
+          <SlashCommandInput
+            className="chat-input-container"
+            inputClassName="chat-input"
+            placeholder={t("chat.placeholder")}
             value={inputValue}
-            onChange={(e) => setInputValue(e.target.value)}
-            onKeyPress={handleKeyPress}
-          />
-          <button className="send-button" onClick={handleSendMessage}>
-            Send
-          </button>
+            onChange={setInputValue}
+            onSubmit={handleSendMessage}
+            data={findDataset(messages)?.data}
+          >
+            <button
+              className="send-button"
+              onClick={() => handleSendMessage(inputValue)}
+            >
+              {t("chat.send")}
+            </button>
+          </SlashCommandInput>
         </div>
       </div>
     </main>
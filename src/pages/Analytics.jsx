@@ -1,67 +1,273 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import vegaEmbed from "vega-embed";
 import { GraphicWalker } from "@kanaries/graphic-walker";
 
-import { generateDynamicChart } from "../utils/chartGeneration.js";
+import {
+  generateDynamicChart,
+  getChartConfig,
+} from "../utils/chartGeneration.js";
 import {
   generateGraphicWalkerFields,
   validateDataForGraphicWalker,
 } from "../utils/fieldMapping.js";
 import {
-  fetchDataFromLangChain,
+  streamDataFromLangChain,
+  fetchNextPage,
+  fetchAllPages,
   testLangChainConnectivity,
-  generateMockData,
   formatAPIError,
+  isServingDemoData,
+  OVERVIEW_QUESTION,
 } from "../services/apiService.js";
+import { setDemoMode } from "../services/dataMode.js";
+import {
+  DATASET_SLOTS,
+  appendRows,
+  completeQuery,
+  failQuery,
+  setFilters,
+  startQuery,
+  updateQuery,
+} from "../services/dataStore.js";
+import { useDataset } from "../hooks/useDataset.js";
+import { useTheme } from "../hooks/useTheme.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { useCommands } from "../hooks/useCommands.js";
+import { downloadFile, toFilename } from "../utils/download.js";
+import { ANALYTICS_VIEWS, updateRouteParams } from "../services/router.js";
+import { announce } from "../services/announcer.js";
+import {
+  getGraphicWalkerLanguage,
+  getVegaLocale,
+  t,
+} from "../services/i18n.js";
+import { filterRows, parseCommand } from "../utils/slashCommands.js";
+import { QUERY_ERROR_TYPES } from "../services/responseContract.js";
+import { formatRecordCount } from "../services/pagination.js";
+import { describeStreamStage } from "../utils/streamParsing.js";
+import { storeUpload } from "../services/fileUpload.js";
+import {
+  getDatasetTables,
+  resetDatasetQuery,
+  runDatasetQuery,
+} from "../services/sqlEngine.js";
+import { recordSql } from "../services/sqlHistory.js";
+import { invalidateQueryCache } from "../services/queryCache.js";
+import CacheBadge from "../components/CacheBadge.jsx";
+import DemoWatermark from "../components/DemoWatermark.jsx";
+import FileUpload from "../components/FileUpload.jsx";
+import ResponseWarnings from "../components/ResponseWarnings.jsx";
+import SqlPanel from "../components/SqlPanel.jsx";
+import TabList, { tabId } from "../components/TabList.jsx";
+
+const SLOT = DATASET_SLOTS.ANALYTICS;
+const NO_ROWS = [];
 
-const Analytics = () => {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(false);
+/**
+ * Analytics page. question and view come from the URL (?q=...&view=...), so
+ * a result can be bookmarked or shared and reopens with the same question.
+ */
+const Analytics = ({ question = null, view = "charts" }) => {
+  // The result lives in the app-wide store, so it survives tab switches
+  const { dataset, query, filters } = useDataset(SLOT);
+  const { theme, isDark } = useTheme();
+  const { language } = useLocale();
   const [aiGenerated, setAiGenerated] = useState(false);
-  const [activeView, setActiveView] = useState("charts");
   const [queryInput, setQueryInput] = useState("");
-  const [sqlQuery, setSqlQuery] = useState("");
-  const [userQuestion, setUserQuestion] = useState("");
-  const [error, setError] = useState(null);
+  const [filterInput, setFilterInput] = useState("");
+  const [filterError, setFilterError] = useState(null);
+  const [pageError, setPageError] = useState(null);
+  const [pageLoading, setPageLoading] = useState(null);
+  const [sqlRunning, setSqlRunning] = useState(false);
+  const [sqlError, setSqlError] = useState(null);
   const chartRef = useRef(null);
+  const chartViewRef = useRef(null);
+  const streamControllerRef = useRef(null);
+  const pageControllerRef = useRef(null);
+
+  const allData = dataset?.data || NO_ROWS;
+  const sqlQuery = dataset?.sqlQuery || "";
+  const userQuestion = dataset?.question || "";
+  const cachedAt = dataset?.cachedAt || null;
+  const dataSource = dataset?.source || "live";
+  const isUpload = dataSource === "upload";
+  const pagination = dataset?.pagination || null;
+  const responseContract = {
+    warnings: dataset?.warnings || [],
+    contractVersion: dataset?.contractVersion || null,
+  };
+  const loading = query?.status === "loading";
+  const streamStage = query?.stage || null;
+  const error = pageError || query?.error || null;
+  const failedQuestion = query?.retryQuestion || null;
+
+  const filtered = useMemo(
+    () => filterRows(allData, filters),
+    [allData, filters]
+  );
+  const data = filtered.data;
 
-  // Fetch data from LangChain backend using the new API service
+  // Stream data from LangChain backend, rendering rows as they arrive
   const fetchData = async (
-    question = "Show me a general overview of my shipment data"
+    question = OVERVIEW_QUESTION,
+    { bypassCache = false } = {}
   ) => {
-    setLoading(true);
-    setError(null);
+    streamControllerRef.current?.abort();
+    pageControllerRef.current?.abort();
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
+    const queryId = startQuery(SLOT, question, {
+      dataset: { source: isServingDemoData() ? "demo" : "live" },
+    });
+    setPageError(null);
+    setSqlError(null);
+    setAiGenerated(false);
+    if (chartRef.current) chartRef.current.innerHTML = "";
 
     try {
-      const result = await fetchDataFromLangChain(question);
+      const result = await streamDataFromLangChain(question, {
+        signal: controller.signal,
+        bypassCache,
+        onUpdate: (partial) => {
+          if (controller.signal.aborted) return;
+          updateQuery(SLOT, {
+            queryId,
+            stage: partial.stage,
+            data: partial.data,
+            sqlQuery: partial.sqlQuery,
+          });
+        },
+      });
 
       if (result.success) {
-        setData(result.data);
-        setSqlQuery(result.sqlQuery);
-        setUserQuestion(result.userQuestion);
-        setError(null);
+        completeQuery(SLOT, result, { queryId });
+        recordSql({
+          sql: result.sqlQuery,
+          source: "generated",
+          question,
+          rowCount: result.data.length,
+        });
+        announce(
+          t("analytics.loaded", {
+            records: formatRecordCount(result.data.length, result.pagination),
+            question,
+          })
+        );
+      } else if (result.cancelled) {
+        failQuery(SLOT, {
+          queryId,
+          cancelled: true,
+          error: t("analytics.cancelled", { count: result.data.length }),
+        });
       } else {
-        // Fallback to mock data if API fails
-        console.log("🔄 Falling back to mock data");
-        const mockResult = generateMockData();
-        setData(mockResult.data);
-        setSqlQuery(mockResult.sqlQuery);
-        setUserQuestion(mockResult.userQuestion);
-        setError(formatAPIError(result.error));
+        // No silent fallback: live rows received so far stay, nothing is invented
+        const message = formatAPIError(result.error);
+        announce(message, { assertive: true });
+        failQuery(SLOT, {
+          queryId,
+          error: message,
+          // Asking the same question again will not find rows that do not exist
+          retryQuestion:
+            result.error?.type !== QUERY_ERROR_TYPES.EMPTY ? question : null,
+        });
       }
     } catch (error) {
       console.error("Unexpected error:", error);
-      // Fallback to mock data
-      const mockResult = generateMockData();
-      setData(mockResult.data);
-      setSqlQuery(mockResult.sqlQuery);
-      setUserQuestion(mockResult.userQuestion);
-      setError("Unexpected error occurred. Using mock data.");
+      failQuery(SLOT, {
+        queryId,
+        error: t("analytics.unexpectedError"),
+        retryQuestion: question,
+      });
     } finally {
-      setLoading(false);
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+      }
+    }
+  };
+
+  // Edited SQL runs in the browser and its result replaces the rows on screen
+  const runLocalSql = async (text) => {
+    setSqlRunning(true);
+    setSqlError(null);
+    const result = await runDatasetQuery(SLOT, text);
+    setSqlRunning(false);
+    if (result.success) {
+      recordSql({
+        sql: text,
+        source: "local",
+        question: userQuestion,
+        rowCount: result.data.length,
+        elapsedMs: result.elapsedMs,
+      });
+      announce(
+        t("analytics.ranLocally", {
+          records: formatRecordCount(result.data.length),
+          ms: result.elapsedMs,
+        })
+      );
+    } else {
+      setSqlError(result.error);
+      announce(result.error, { assertive: true });
     }
   };
 
+  const resetLocalSql = () => {
+    setSqlError(null);
+    resetDatasetQuery(SLOT);
+  };
+
+  const cancelQuery = () => {
+    streamControllerRef.current?.abort();
+  };
+
+  // Refresh and rerun drop the question's cached answers before asking again
+  const refetch = async () => {
+    await invalidateQueryCache(userQuestion);
+    fetchData(userQuestion, { bypassCache: true });
+  };
+
+  const appendPage = (page) => appendRows(SLOT, page);
+
+  // Fetch the next page, or every remaining page, of the current result
+  const loadMoreRecords = async ({ all = false } = {}) => {
+    pageControllerRef.current?.abort();
+    const controller = new AbortController();
+    pageControllerRef.current = controller;
+
+    setPageLoading(all ? "all" : "more");
+    setPageError(null);
+
+    const current = { userQuestion, backend: dataset?.backend, pagination };
+    const options = { signal: controller.signal, loadedCount: allData.length };
+
+    const result = all
+      ? await fetchAllPages(current, { ...options, onPage: appendPage })
+      : await fetchNextPage(current, options);
+
+    // A new query or leaving the page took over
+    if (pageControllerRef.current !== controller) return;
+    pageControllerRef.current = null;
+    setPageLoading(null);
+
+    if (!all && result.success) appendPage(result);
+
+    if (result.cancelled) {
+      setPageError(t("analytics.stoppedPaging"));
+    } else if (!result.success) {
+      setPageError(formatAPIError(result.error));
+    }
+  };
+
+  const stopLoadingPages = () => {
+    pageControllerRef.current?.abort();
+  };
+
+  const switchToDemoData = () => {
+    setDemoMode(true);
+    fetchData(failedQuestion || userQuestion || undefined);
+  };
+
   const getGraphicWalkerData = () => {
     return generateGraphicWalkerFields(data);
   };
@@ -71,13 +277,20 @@ const Analytics = () => {
 
     try {
       const spec = generateDynamicChart(data, sqlQuery, userQuestion);
+      const locale = getVegaLocale();
 
       vegaEmbed(chartRef.current, spec, {
         actions: false,
         tooltip: true,
         renderer: "svg",
+        config: getChartConfig(theme),
+        formatLocale: locale.number,
+        timeFormatLocale: locale.time,
       })
-        .then(() => setAiGenerated(true))
+        .then((result) => {
+          chartViewRef.current = result.view;
+          setAiGenerated(true);
+        })
         .catch(console.error);
     } catch (error) {
       console.error("Error generating visualization:", error);
@@ -85,6 +298,19 @@ const Analytics = () => {
     }
   };
 
+  const exportChart = async (format) => {
+    const chartView = chartViewRef.current;
+    if (!chartView) return;
+
+    const name = toFilename(userQuestion, "chart");
+    if (format === "svg") {
+      downloadFile(await chartView.toSVG(), `${name}.svg`, "image/svg+xml");
+    } else {
+      const canvas = await chartView.toCanvas(2);
+      canvas.toBlob((blob) => downloadFile(blob, `${name}.png`, "image/png"));
+    }
+  };
+
   // useEffect(() => {
   //   fetchData("Show me a general overview of my shipment data");
   // }, []);
@@ -92,16 +318,128 @@ const Analytics = () => {
   useEffect(() => {
     if (data.length > 0) {
       generateAIVisualization();
+    } else if (chartRef.current) {
+      // Filters can leave nothing to chart
+      chartRef.current.innerHTML = "";
+      setAiGenerated(false);
+    }
+  }, [data, theme, language]);
+
+  // The URL's question drives the page: a link, the Dashboard assistant or
+  // the back button run it unless it is already loaded or running. Without
+  // one, the URL is filled in with the question on screen; an uploaded
+  // file has no question to put there.
+  const runningQuestion = query?.question;
+  useEffect(() => {
+    if (question) {
+      if (question !== runningQuestion) fetchData(question);
+    } else if (userQuestion && !isUpload) {
+      updateRouteParams({ q: userQuestion }, { replace: true });
     }
-  }, [data]);
+  }, [question, runningQuestion, userQuestion, isUpload]);
 
-  const handleCustomQuery = async () => {
+  // An uploaded file replaces the query result and leaves the URL's question
+  const loadUpload = (upload, rows) => {
+    streamControllerRef.current?.abort();
+    pageControllerRef.current?.abort();
+    storeUpload(SLOT, upload, rows);
+    setPageError(null);
+    setSqlError(null);
+    updateRouteParams({ q: null });
+    return { success: true };
+  };
+
+  // Stop any running stream or page fetch when leaving the page
+  useEffect(
+    () => () => {
+      streamControllerRef.current?.abort();
+      pageControllerRef.current?.abort();
+    },
+    []
+  );
+
+  // A new question goes into the URL and runs from there; asking the
+  // current one again reruns it
+  const askQuestion = (text) => {
+    if (text === question) fetchData(text);
+    else updateRouteParams({ q: text });
+  };
+
+  const handleCustomQuery = () => {
     if (queryInput.trim()) {
-      await fetchData(queryInput);
+      askQuestion(queryInput.trim());
       setQueryInput(""); // Clear input after query
     }
   };
 
+  const canExportChart = aiGenerated && view === "charts";
+  useCommands("analytics", [
+    ...(loading
+      ? [
+          {
+            id: "cancel-query",
+            group: t("page.analytics"),
+            title: t("analytics.command.cancel"),
+            run: cancelQuery,
+          },
+        ]
+      : []),
+    ...(userQuestion && !loading && !isUpload
+      ? [
+          {
+            id: "rerun-query",
+            group: t("page.analytics"),
+            title: t("analytics.command.rerun"),
+            keywords: ["refresh", "bypass cache"],
+            shortcut: "r",
+            run: refetch,
+          },
+        ]
+      : []),
+    ...(canExportChart
+      ? [
+          {
+            id: "export-png",
+            group: t("page.analytics"),
+            title: t("analytics.command.exportPng"),
+            keywords: ["download", "image"],
+            shortcut: "e",
+            run: () => exportChart("png"),
+          },
+          {
+            id: "export-svg",
+            group: t("page.analytics"),
+            title: t("analytics.command.exportSvg"),
+            keywords: ["download", "image", "vector"],
+            run: () => exportChart("svg"),
+          },
+        ]
+      : []),
+  ]);
+
+  // Filters use the /filter syntax and apply to both views
+  const addFilter = () => {
+    const conditions = parseCommand(`/filter ${filterInput}`).args;
+    if (!conditions.length) return;
+
+    const next = [...new Set([...filters, ...conditions])];
+    const result = filterRows(allData, next);
+    if (!result.success) {
+      setFilterError(result.error);
+      return;
+    }
+    setFilters(SLOT, next);
+    setFilterInput("");
+    setFilterError(null);
+  };
+
+  const removeFilter = (condition) => {
+    setFilters(
+      SLOT,
+      filters.filter((current) => current !== condition)
+    );
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === "Enter") {
       handleCustomQuery();
@@ -109,70 +447,125 @@ const Analytics = () => {
   };
 
   const testAPIConnectivity = async () => {
-    setLoading(true);
     try {
       const result = await testLangChainConnectivity();
 
       if (result.success) {
         console.log(" Connection test successful!");
-        setError(null);
+        setPageError(null);
       } else {
         console.log("Connection test failed");
-        setError(formatAPIError(result.error));
+        setPageError(formatAPIError(result.error));
       }
     } catch (error) {
       console.error("Unexpected error during connectivity test:", error);
-      setError("Unexpected error during connectivity test");
-    } finally {
-      setLoading(false);
+      setPageError(t("analytics.connectivityError"));
     }
   };
 
   return (
     <main className="main-content">
       <div className="analytics-header">
-        <h1 className="dashboard-title">AI-Powered Analytics</h1>
+        <h1 className="dashboard-title">{t("analytics.title")}</h1>
         {aiGenerated && (
           <div className="ai-status">
-            <span className="ai-badge">AI visualization generated</span>
+            <span className="ai-badge">{t("analytics.generated")}</span>
             <span className="ai-details">
-              Dynamic chart based on your query: "{userQuestion}"
+              {isUpload
+                ? t("analytics.basedOnFile", { name: dataset.fileName })
+                : t("analytics.basedOnQuery", { question: userQuestion })}
             </span>
           </div>
         )}
         {loading && (
           <div className="api-status loading">
-            <span className="api-badge loading"> Loading data...</span>
+            <span className="api-badge loading">
+              {describeStreamStage(streamStage)}
+              {allData.length > 0 &&
+                ` · ${t("records.count", { count: allData.length })}`}
+            </span>
+            <button className="cancel-query-btn" onClick={cancelQuery}>
+              {t("common.cancel")}
+            </button>
           </div>
         )}
-        {!loading && data.length === 0 && (
+        {!loading && allData.length === 0 && (
           <div className="api-status error">
-            <span className="api-badge error">
-              {" "}
-              No data - Check API connection
-            </span>
+            <span className="api-badge error">{t("analytics.noData")}</span>
           </div>
         )}
-        {!loading && data.length > 0 && (
+        {!loading && allData.length > 0 && (
           <div className="api-status success">
             <span className="api-badge success">
-              {" "}
-              {data.length} records loaded
+              {t("analytics.recordsLoaded", {
+                records: formatRecordCount(allData.length, pagination),
+              })}
             </span>
+            {dataSource === "demo" && (
+              <span className="api-badge demo">{t("analytics.demoBadge")}</span>
+            )}
+            {isUpload && (
+              <span className="api-badge upload">
+                {t("analytics.fromFile", { name: dataset.fileName })}
+              </span>
+            )}
+            {dataset.localRun && (
+              <span className="api-badge upload">
+                {t("analytics.localResult")}
+              </span>
+            )}
+            <CacheBadge cachedAt={cachedAt} onRefresh={refetch} />
+            <ResponseWarnings {...responseContract} />
+            {pagination?.hasMore && (
+              <div className="paging-controls">
+                {pageLoading ? (
+                  <>
+                    <span className="api-badge loading">
+                      {pageLoading === "all"
+                        ? t("analytics.loadingAll")
+                        : t("analytics.loadingMore")}
+                    </span>
+                    <button
+                      className="cancel-query-btn"
+                      onClick={stopLoadingPages}
+                    >
+                      {t("analytics.stop")}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      className="settings-button"
+                      onClick={() => loadMoreRecords()}
+                    >
+                      {t("analytics.loadMore")}
+                    </button>
+                    <button
+                      className="settings-button"
+                      onClick={() => loadMoreRecords({ all: true })}
+                    >
+                      {t("analytics.loadAll")}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
 
-      {sqlQuery && (
-        <div className="sql-query-section">
-          <div className="sql-header">
-            <h3>Generated SQL Query:</h3>
-            <span className="sql-badge">AI Generated</span>
-          </div>
-          <div className="sql-code">
-            <code>{sqlQuery}</code>
-          </div>
-        </div>
+      {(sqlQuery || allData.length > 0) && (
+        <SqlPanel
+          key={sqlQuery}
+          sql={sqlQuery}
+          tables={getDatasetTables(dataset)}
+          readOnly={loading}
+          running={sqlRunning}
+          error={sqlError}
+          localRun={dataset?.localRun || null}
+          onRun={runLocalSql}
+          onReset={resetLocalSql}
+        />
       )}
 
       {error && (
@@ -181,6 +574,19 @@ const Analytics = () => {
             <span className="error-icon">⚠️</span>
             {error}
           </div>
+          {failedQuestion && (
+            <div className="error-actions">
+              <button
+                className="settings-button"
+                onClick={() => fetchData(failedQuestion)}
+              >
+                {t("common.retry")}
+              </button>
+              <button className="settings-button" onClick={switchToDemoData}>
+                {t("analytics.useDemo")}
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -191,36 +597,91 @@ const Analytics = () => {
             value={queryInput}
             onChange={(e) => setQueryInput(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Ask AI about your data (e.g., 'Show me sales trends', 'What are the top performing products?')"
+            placeholder={t("analytics.placeholder")}
             className="query-input"
             disabled={loading}
+            data-query-input
+          />
+          {loading ? (
+            <button onClick={cancelQuery} className="query-btn cancel">
+              {t("common.cancel")}
+            </button>
+          ) : (
+            <button
+              onClick={handleCustomQuery}
+              disabled={!queryInput.trim()}
+              className="query-btn"
+            >
+              {t("analytics.ask")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <FileUpload onLoad={loadUpload} />
+
+      {allData.length > 0 && (
+        <div className="filter-bar">
+          <input
+            type="text"
+            className="filter-input"
+            value={filterInput}
+            onChange={(e) => {
+              setFilterInput(e.target.value);
+              setFilterError(null);
+            }}
+            onKeyDown={(e) => e.key === "Enter" && addFilter()}
+            placeholder={t("analytics.filterPlaceholder")}
+            aria-label={t("analytics.filterLabel")}
           />
           <button
-            onClick={handleCustomQuery}
-            disabled={loading || !queryInput.trim()}
-            className="query-btn"
+            className="settings-button"
+            onClick={addFilter}
+            disabled={!filterInput.trim()}
           >
-            {loading ? "Processing..." : "Ask AI"}
+            {t("analytics.addFilter")}
           </button>
+          {filters.map((condition) => (
+            <span key={condition} className="filter-chip">
+              {condition}
+              <button
+                onClick={() => removeFilter(condition)}
+                aria-label={t("analytics.removeFilter", { condition })}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {filters.length > 0 && (
+            <span className="filter-count">
+              {t("analytics.filterCount", {
+                count: data.length,
+                total: allData.length,
+              })}
+            </span>
+          )}
+          {(filterError || filtered.error) && (
+            <span className="command-validation invalid">
+              {filterError || filtered.error}
+            </span>
+          )}
         </div>
-      </div>
+      )}
 
       {/* View Toggle */}
       <div className="view-toggle">
-        <button
-          className={`view-button ${activeView === "charts" ? "active" : ""}`}
-          onClick={() => setActiveView("charts")}
-        >
-          AI Visualization
-        </button>
-        <button
-          className={`view-button ${
-            activeView === "graphicwalker" ? "active" : ""
-          }`}
-          onClick={() => setActiveView("graphicwalker")}
-        >
-          GraphicWalker
-        </button>
+        <TabList
+          tabs={ANALYTICS_VIEWS.map((id) => ({
+            id,
+            label: t(`analytics.view.${id}`),
+          }))}
+          selected={view}
+          onSelect={(id) => updateRouteParams({ view: id })}
+          idPrefix="analytics"
+          label={t("analytics.views")}
+          className="view-tabs"
+          tabClassName="view-button"
+        />
         {/* <button
           className="view-button api-test"
           onClick={testAPIConnectivity}
@@ -230,38 +691,52 @@ const Analytics = () => {
         </button> */}
         <button
           className="view-button refresh"
-          onClick={() => fetchData("Show me a general overview of the data")}
+          onClick={() => askQuestion(OVERVIEW_QUESTION)}
           disabled={loading}
         >
-          Get Overview
+          {t("analytics.overview")}
         </button>
       </div>
 
-      {activeView === "charts" ? (
-        <div className="visualization-section">
+      {view === "charts" ? (
+        <div
+          className="visualization-section"
+          id="analytics-panel"
+          role="tabpanel"
+          aria-labelledby={tabId("analytics", view)}
+        >
           <div className="section-header">
-            <h2>AI-Generated Visualization</h2>
-            <p>Dynamically created based on data structure and your query</p>
+            <h2>{t("analytics.charts.title")}</h2>
+            <p>{t("analytics.charts.subtitle")}</p>
           </div>
-          <div className="chart-container">
-            {loading ? (
-              <div className="chart-loading">Loading data...</div>
-            ) : (
-              <div ref={chartRef} className="vega-chart"></div>
+          <div
+            className={`chart-container ${
+              dataSource === "demo" ? "watermarked" : ""
+            }`}
+          >
+            {loading && allData.length === 0 && (
+              <div className="chart-loading">
+                {describeStreamStage(streamStage)}...
+              </div>
             )}
+            <div ref={chartRef} className="vega-chart"></div>
+            {dataSource === "demo" && data.length > 0 && <DemoWatermark />}
           </div>
         </div>
       ) : (
-        <div className="graphicwalker-section">
+        <div
+          className="graphicwalker-section"
+          id="analytics-panel"
+          role="tabpanel"
+          aria-labelledby={tabId("analytics", view)}
+        >
           <div className="section-header">
-            <h2>GraphicWalker - Advanced Data Exploration</h2>
-            <p>
-              Professional drag-and-drop analytics interface similar to Tableau
-            </p>
+            <h2>{t("analytics.walker.title")}</h2>
+            <p>{t("analytics.walker.subtitle")}</p>
           </div>
           {loading ? (
             <div className="chart-loading">
-              Loading data for GraphicWalker...
+              {t("analytics.walker.loading", { count: allData.length })}
             </div>
           ) : data.length > 0 ? (
             (() => {
@@ -278,7 +753,7 @@ const Analytics = () => {
                   )}
                   {validation.suggestions.length > 0 && (
                     <div className="graphicwalker-suggestions">
-                      <strong>Suggestions:</strong>
+                      <strong>{t("analytics.walker.suggestions")}</strong>
                       <ul>
                         {validation.suggestions.map((suggestion, index) => (
                           <li key={index}>{suggestion}</li>
@@ -286,22 +761,27 @@ const Analytics = () => {
                       </ul>
                     </div>
                   )}
-                  <div className="graphicwalker-container">
+                  <div
+                    className={`graphicwalker-container ${
+                      dataSource === "demo" ? "watermarked" : ""
+                    }`}
+                  >
                     <GraphicWalker
                       dataSource={graphicWalkerData.dataSource}
                       fields={graphicWalkerData.fields}
                       spec={[]}
-                      i18nLang="en-US"
-                      dark="light"
+                      i18nLang={getGraphicWalkerLanguage()}
+                      dark={isDark ? "dark" : "light"}
                       themeKey="vega"
                       storeRef={null}
                     />
+                    {dataSource === "demo" && <DemoWatermark />}
                   </div>
                 </div>
               );
             })()
           ) : (
-            <div className="no-data">No data available for visualization</div>
+            <div className="no-data">{t("analytics.noVisualization")}</div>
           )}
         </div>
       )}
@@ -1,50 +1,98 @@
 import React from "react";
 import MetricCard from "../components/MetricCard.jsx";
 import AIAssistant from "../components/AIAssistant.jsx";
+import PinnedResults from "../components/PinnedResults.jsx";
+import { useDataMode } from "../hooks/useDataMode.js";
+import { useDashboardMetrics } from "../hooks/useDashboardMetrics.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatRecordCount } from "../services/pagination.js";
+import { formatTime } from "../services/i18n.js";
 
-const Dashboard = () => {
-  const metrics = [
-    {
-      label: "Total Shipments",
-      value: "0",
-      color: "default",
-    },
-    {
-      label: "Average Flow Rate",
-      value: "0 L/min",
-      color: "green",
-    },
-    {
-      label: "Unique Products",
-      value: "0",
-      color: "default",
-    },
-    {
-      label: "Average Quantity",
-      value: "0 units",
-      color: "default",
-    },
-  ];
+const Dashboard = ({ onOpenInAnalytics }) => {
+  const { isDemo } = useDataMode();
+  const { t } = useLocale();
+  const {
+    metrics,
+    data,
+    pagination,
+    status,
+    stale,
+    error,
+    updatedAt,
+    isDemo: servedDemo,
+    refresh,
+  } = useDashboardMetrics();
+
+  const cardStatus = () => {
+    if (!data) return status === "error" ? "error" : "loading";
+    if (status === "loading") return "loading";
+    return stale ? "stale" : null;
+  };
+
+  const describeData = () => {
+    if (!data) {
+      return status === "error"
+        ? t("dashboard.loadFailed", { error })
+        : t("dashboard.loadingRecords");
+    }
+    const insights = t("dashboard.insights", {
+      records: formatRecordCount(data.length, pagination),
+    });
+    const partial = pagination?.hasMore || pagination?.totalCount > data.length;
+    return partial
+      ? t("dashboard.partial", { insights, count: data.length })
+      : insights;
+  };
 
   return (
     <main className="main-content">
-      <h1 className="dashboard-title">AI-Powered Analytics Dashboard</h1>
-      <p className="dashboard-subtitle">
-        Real-time insights from 0 shipment records
-      </p>
+      <h1 className="dashboard-title">{t("dashboard.title")}</h1>
+      <div className="dashboard-subtitle">
+        <span>{describeData()}</span>
+        {data && (
+          <span
+            className={`metrics-updated ${stale ? "stale" : ""}`}
+            title={stale ? t("dashboard.olderThan") : undefined}
+          >
+            {t("dashboard.updated", { time: formatTime(updatedAt) })}
+          </span>
+        )}
+        {data && status === "error" && (
+          <span className="metrics-error">
+            {t("dashboard.refreshFailed", { error })}
+          </span>
+        )}
+        <button
+          className="cache-refresh"
+          onClick={() => refresh({ bypassCache: true })}
+          disabled={status === "loading"}
+        >
+          {t(status === "loading" ? "common.loading" : "common.refresh")}
+        </button>
+      </div>
 
       <div className="metrics-grid">
-        {metrics.map((metric, index) => (
+        {metrics.map((metric) => (
           <MetricCard
-            key={index}
+            key={metric.id}
             label={metric.label}
-            value={metric.value}
+            value={data ? metric.display : "—"}
             color={metric.color}
+            isDemo={isDemo || servedDemo}
+            status={cardStatus()}
+            note={
+              metric.note ||
+              (metric.field
+                ? t("metric.computedFrom", { field: metric.field })
+                : null)
+            }
           />
         ))}
       </div>
 
-      <AIAssistant />
+      <PinnedResults />
+
+      <AIAssistant onOpenInAnalytics={onOpenInAnalytics} />
     </main>
   );
 };
@@ -0,0 +1,31 @@
+import React from "react";
+import RouteLink from "../components/RouteLink.jsx";
+import { PAGES, buildPath } from "../services/router.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+const NotFound = ({ path }) => {
+  const { t } = useLocale();
+  // The path is set in code, wherever the language puts it in the sentence
+  const [before, after] = t("notFound.text").split("{path}");
+
+  return (
+    <main className="main-content not-found">
+      <h1 className="dashboard-title">{t("app.notFoundTitle")}</h1>
+      <p className="dashboard-subtitle">
+        {before}
+        <code>{path}</code>
+        {after}
+      </p>
+      <div className="not-found-links">
+        <RouteLink className="settings-button" to={buildPath(PAGES.DASHBOARD)}>
+          {t("notFound.dashboard")}
+        </RouteLink>
+        <RouteLink className="settings-button" to={buildPath(PAGES.ANALYTICS)}>
+          {t("notFound.analytics")}
+        </RouteLink>
+      </div>
+    </main>
+  );
+};
+
+export default NotFound;
@@ -1,41 +1,161 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { analyzeTrafficControlTower } from '../utils/dataAnalysis.js';
-import { fetchDataFromLangChain, generateMockData } from '../services/apiService.js';
+import { fetchDataFromLangChain, formatAPIError } from '../services/apiService.js';
+import { setDemoMode } from '../services/dataMode.js';
+import {
+  DATASET_SLOTS,
+  clearSlot,
+  completeQuery,
+  failQuery,
+  getDataStoreState,
+  loadDataset,
+  startQuery
+} from '../services/dataStore.js';
+import { storeUpload } from '../services/fileUpload.js';
+import { useDataMode } from '../hooks/useDataMode.js';
+import { useDataset } from '../hooks/useDataset.js';
+import { TRAFFIC_TABS, updateRouteParams } from '../services/router.js';
+import { announce } from '../services/announcer.js';
+import { formatHour, formatNumber, formatTime, t } from '../services/i18n.js';
+import { useCommands } from '../hooks/useCommands.js';
+import { useLocale } from '../hooks/useLocale.js';
+import CacheBadge from '../components/CacheBadge.jsx';
+import DemoWatermark from '../components/DemoWatermark.jsx';
+import FileUpload from '../components/FileUpload.jsx';
+import TabList, { tabId } from '../components/TabList.jsx';
 
-const TrafficControlTower = () => {
-  const [data, setData] = useState([]);
-  const [trafficAnalysis, setTrafficAnalysis] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview');
+const REFRESH_INTERVAL = 30000; // 30 seconds
+const TRAFFIC_QUESTION = 'Show me all terminal lane operations and shipment data';
 
+const SLOT = DATASET_SLOTS.TRAFFIC;
+const ACKNOWLEDGED_KEY = 'shipmentiq.acknowledgedAlerts';
+
+// Alerts are rebuilt on every refresh, so they are recognised by their text
+const alertKey = (alert) => `${alert.type}:${alert.message}`;
+
+// The analysis words alerts in English; their data is shown in the interface language
+const alertMessage = (alert) => {
+  if (alert.type === 'CONGESTION') {
+    const { lane, hour, count } = alert.data;
+    return t('traffic.alert.congestion', { lane, hour: formatHour(hour), count });
+  }
+  if (alert.type === 'DELAY') {
+    return t('traffic.alert.delay', {
+      id: alert.data.shipmentId,
+      minutes: Math.round(alert.data.delayMinutes)
+    });
+  }
+  return alert.message;
+};
+
+const COMPUTER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const readAcknowledged = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(ACKNOWLEDGED_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Traffic Control Tower page. tab and lane come from the URL
+ * (/traffic/congestion?lane=...), so a view of one lane can be shared.
+ */
+const TrafficControlTower = ({ tab = 'overview', lane: selectedLane = null }) => {
+  // The last snapshot lives in the app-wide store, so coming back to this tab
+  // shows it at once while the next refresh runs
+  const { dataset, query } = useDataset(SLOT);
+  const [acknowledged, setAcknowledged] = useState(readAcknowledged);
+  const requestRef = useRef(null);
+  const seenAlertsRef = useRef(null);
+  const alertsRef = useRef([]);
+  const { mode, mockSettings } = useDataMode();
+  const { timeZone } = useLocale();
+
+  const trafficAnalysis = dataset?.analysis || null;
+  const cachedAt = dataset?.cachedAt || null;
+  const isDemo = dataset?.source === 'demo';
+  const isUpload = dataset?.source === 'upload';
+  const lastUpdated = dataset?.loadedAt || null;
+  const loading = query?.status === 'loading';
+  const loadError = query?.error || null;
+
+  // Reload immediately when switching between live and demo data, when
+  // another demo scenario is picked, or when the time zone the congestion
+  // hours are counted in changes. An uploaded file is not refreshed; it
+  // stays until closed, and only its congestion hours follow the time zone.
   useEffect(() => {
+    if (isUpload) {
+      const upload = getDataStoreState().datasets[SLOT];
+      if (upload.analysisTimeZone !== timeZone) {
+        loadDataset(SLOT, {
+          ...upload,
+          analysis: analyzeTrafficControlTower(upload.data),
+          analysisTimeZone: timeZone
+        });
+      }
+      return undefined;
+    }
+
     loadTrafficData();
-    // Set up auto-refresh every 30 seconds for demo
-    const interval = setInterval(loadTrafficData, 30000);
-    return () => clearInterval(interval);
-  }, []);
+    // Set up auto-refresh every 30 seconds
+    const interval = setInterval(loadTrafficData, REFRESH_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      requestRef.current?.abort();
+      requestRef.current = null;
+    };
+  }, [mode, mockSettings, timeZone, isUpload]);
 
   const loadTrafficData = async () => {
-    setLoading(true);
+    // Skip this tick if the previous refresh has not come back yet
+    if (requestRef.current) return;
+
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const queryId = startQuery(SLOT, TRAFFIC_QUESTION, { keepData: true });
     try {
-      // Try to fetch real data, fallback to mock
-      const result = await fetchDataFromLangChain("Show me all terminal lane operations and shipment data");
-      let dataToUse = result.success ? result.data : generateMockData().data;
-      
-      // If no lane data, generate terminal-specific mock data
-      if (!hasTerminalData(dataToUse)) {
-        dataToUse = generateTerminalMockData();
+      // Cached results are only reused while they are younger than one
+      // refresh interval.
+      const result = await fetchDataFromLangChain(TRAFFIC_QUESTION, {
+        signal: controller.signal,
+        maxAge: REFRESH_INTERVAL
+      });
+      if (result.cancelled) {
+        failQuery(SLOT, { queryId, cancelled: true });
+        return;
+      }
+
+      // Never invent data on failure: keep the last snapshot and say it is stale
+      if (!result.success) {
+        failQuery(SLOT, { queryId, error: formatAPIError(result.error) });
+        return;
       }
-      
-      setData(dataToUse);
-      setTrafficAnalysis(analyzeTrafficControlTower(dataToUse));
+
+      // Demo scenarios always describe terminal lanes (or an empty terminal)
+      const demo = result.source === 'demo';
+      const dataToUse = result.data;
+
+      if (!demo && !hasTerminalData(dataToUse)) {
+        failQuery(SLOT, {
+          queryId,
+          error: t('traffic.error.noTerminalFields')
+        });
+        return;
+      }
+
+      completeQuery(SLOT, result, {
+        queryId,
+        extra: { analysis: analyzeTrafficControlTower(dataToUse) }
+      });
     } catch (error) {
       console.error('Error loading traffic data:', error);
-      const mockData = generateTerminalMockData();
-      setData(mockData);
-      setTrafficAnalysis(analyzeTrafficControlTower(mockData));
+      failQuery(SLOT, { queryId, error: t('traffic.error.unexpected') });
     } finally {
-      setLoading(false);
+      if (requestRef.current === controller) {
+        requestRef.current = null;
+      }
     }
   };
 
@@ -49,45 +169,158 @@ const TrafficControlTower = () => {
     );
   };
 
-  const generateTerminalMockData = () => {
-    const lanes = ['LANE01', 'LANE02', 'LANE03', 'LANE04', 'LANE05'];
-    const mockData = [];
-    
-    for (let i = 0; i < 100; i++) {
-      const startTime = new Date(Date.now() - Math.random() * 24 * 60 * 60 * 1000);
-      const endTime = new Date(startTime.getTime() + (Math.random() * 120 + 15) * 60 * 1000);
-      
-      mockData.push({
-        shipment_id: `190817${String(i).padStart(3, '0')}`,
-        ticket_id: `TKT${String(i + 1000).padStart(4, '0')}`,
-        lane: lanes[Math.floor(Math.random() * lanes.length)],
-        truck_id: `T${String(Math.floor(Math.random() * 500) + 100)}`,
-        start_time: startTime.toISOString(),
-        end_time: endTime.toISOString(),
-        load_type: ['Container', 'Bulk', 'Liquid', 'General'][Math.floor(Math.random() * 4)],
-        weight_tons: Math.floor(Math.random() * 40) + 10,
-        status: ['Completed', 'In Progress', 'Loading'][Math.floor(Math.random() * 3)]
-      });
+  // An uploaded file takes the place of the backend snapshot until closed
+  const loadUpload = (upload, rows) => {
+    if (!hasTerminalData(rows)) {
+      return { success: false, error: t('traffic.uploadNoLanes') };
+    }
+    storeUpload(SLOT, upload, rows, {
+      extra: { analysis: analyzeTrafficControlTower(rows), analysisTimeZone: timeZone }
+    });
+    return { success: true };
+  };
+
+  // Clicking the selected lane again clears the selection
+  const selectLane = (lane) => {
+    updateRouteParams({ lane: lane === selectedLane ? null : lane });
+  };
+
+  const laneProps = (lane) => ({
+    role: 'button',
+    tabIndex: 0,
+    'aria-pressed': lane === selectedLane,
+    onClick: () => selectLane(lane),
+    onKeyDown: (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectLane(lane);
+      }
     }
-    
-    return mockData;
+  });
+
+  // [ and ] step through the lanes; from no selection they start at either end
+  const cycleLane = (step) => {
+    const lanes = Object.keys(trafficAnalysis?.laneMetrics || {});
+    if (!lanes.length) return;
+    const index = lanes.indexOf(selectedLane);
+    const next =
+      index === -1
+        ? (step > 0 ? 0 : lanes.length - 1)
+        : (index + step + lanes.length) % lanes.length;
+    updateRouteParams({ lane: lanes[next] });
   };
 
-  if (loading) {
+  const saveAcknowledged = (keys) => {
+    setAcknowledged(keys);
+    try {
+      window.sessionStorage.setItem(ACKNOWLEDGED_KEY, JSON.stringify(keys));
+    } catch (error) {
+      console.warn('Could not save acknowledged alerts:', error);
+    }
+  };
+
+  const acknowledgeAlerts = (list) => {
+    saveAcknowledged([...new Set([...acknowledged, ...list.map(alertKey)])]);
+  };
+
+  const laneClass = (className, lane) =>
+    `${className} selectable${lane === selectedLane ? ' selected' : ''}`;
+
+  const errorActions = (
+    <div className="error-actions">
+      <button className="settings-button" onClick={loadTrafficData}>
+        {t('common.retry')}
+      </button>
+      {!isDemo && (
+        <button className="settings-button" onClick={() => setDemoMode(true)}>
+          {t('traffic.useDemo')}
+        </button>
+      )}
+    </div>
+  );
+
+  // Congestion alerts name their lane; delay alerts apply to every lane
+  const laneAlerts = (trafficAnalysis?.alerts || []).filter(
+    alert => !selectedLane || alert.type !== 'CONGESTION' || alert.data.lane === selectedLane
+  );
+  const alerts = laneAlerts.filter(alert => !acknowledged.includes(alertKey(alert)));
+  const acknowledgedCount = laneAlerts.length - alerts.length;
+
+  // Read out alerts that were not on screen before, e.g. after a refresh
+  alertsRef.current = alerts;
+  const alertSignature = alerts.map(alertKey).join('\n');
+  useEffect(() => {
+    const seen = seenAlertsRef.current || new Set();
+    const fresh = alertsRef.current.filter(alert => !seen.has(alertKey(alert)));
+    if (seenAlertsRef.current && fresh.length) {
+      const message = alertMessage(fresh[0]);
+      announce(
+        fresh.length === 1
+          ? t('traffic.alerts.new', { message })
+          : t('traffic.alerts.newMany', { count: fresh.length, message }),
+        { assertive: true }
+      );
+    }
+    seenAlertsRef.current = new Set([...seen, ...alertsRef.current.map(alertKey)]);
+  }, [alertSignature]);
+
+  useCommands('traffic', [
+    {
+      id: 'next-lane',
+      group: t('page.traffic'),
+      title: t('traffic.command.nextLane'),
+      shortcut: ']',
+      run: () => cycleLane(1)
+    },
+    {
+      id: 'previous-lane',
+      group: t('page.traffic'),
+      title: t('traffic.command.previousLane'),
+      shortcut: '[',
+      run: () => cycleLane(-1)
+    },
+    ...(selectedLane
+      ? [{ id: 'all-lanes', group: t('page.traffic'), title: t('traffic.showAllLanes'), run: () => updateRouteParams({ lane: null }) }]
+      : []),
+    ...(alerts.length
+      ? [{
+          id: 'acknowledge-alerts',
+          group: t('page.traffic'),
+          title: t('traffic.command.acknowledge', { count: alerts.length }),
+          shortcut: 'a',
+          run: () => acknowledgeAlerts(alerts)
+        }]
+      : []),
+    ...(acknowledged.length
+      ? [{
+          id: 'restore-alerts',
+          group: t('page.traffic'),
+          title: t('traffic.command.restore'),
+          run: () => saveAcknowledged([])
+        }]
+      : [])
+  ]);
+  const congestionLanes = Object.entries(trafficAnalysis?.congestionAnalysis || {}).filter(
+    ([lane]) => !selectedLane || lane === selectedLane
+  );
+
+  if (loading && !trafficAnalysis) {
     return (
-      <div className="traffic-control-loading">
-        <h1>🚦 Traffic Control Tower</h1>
-        <div className="loading-indicator">Loading terminal operations data...</div>
-      </div>
+      <main className="traffic-control-loading">
+        <h1>{t('traffic.title')}</h1>
+        <div className="loading-indicator">{t('traffic.loading')}</div>
+      </main>
     );
   }
 
   if (!trafficAnalysis || trafficAnalysis.isEmpty) {
     return (
-      <div className="traffic-control-error">
-        <h1>🚦 Traffic Control Tower</h1>
-        <div className="error-message">No terminal data available</div>
-      </div>
+      <main className="traffic-control-error">
+        <h1>{t('traffic.title')}</h1>
+        <div className="error-message">{loadError || t('traffic.noData')}</div>
+        {loadError && errorActions}
+        <FileUpload onLoad={loadUpload} />
+      </main>
     );
   }
 
@@ -95,92 +328,156 @@ const TrafficControlTower = () => {
     <main className="traffic-control-tower">
       {/* Header */}
       <div className="traffic-header">
-        <h1>🚦 Traffic Control Tower</h1>
-        <div className="live-indicator">
-          <span className="pulse-dot"></span>
-          LIVE - Updates every 30s
-        </div>
+        <h1>{t('traffic.title')}</h1>
+        {isUpload ? (
+          <div className="live-indicator">
+            <span className="api-badge upload">{t('traffic.upload', { name: dataset.fileName })}</span>
+            <button className="settings-button" onClick={() => clearSlot(SLOT)}>
+              {t('traffic.closeUpload')}
+            </button>
+          </div>
+        ) : (
+          <div className="live-indicator">
+            <span className={`pulse-dot ${isDemo ? 'demo' : ''}`}></span>
+            {t(isDemo ? 'traffic.demo' : 'traffic.live')}
+            <CacheBadge cachedAt={cachedAt} />
+          </div>
+        )}
       </div>
 
+      <FileUpload onLoad={loadUpload} />
+
+      {/* Refresh failed: the last snapshot stays on screen, marked stale */}
+      {loadError && (
+        <div className="error-section stale-data-warning">
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {t('traffic.refreshFailed', {
+              error: loadError,
+              time: lastUpdated ? formatTime(lastUpdated) : t('traffic.earlierRefresh')
+            })}
+          </div>
+          {errorActions}
+        </div>
+      )}
+
       {/* KPI Dashboard */}
-      <div className="kpi-dashboard">
+      <div className={`kpi-dashboard ${isDemo ? 'watermarked' : ''}`}>
         <div className="kpi-card">
-          <div className="kpi-value">{trafficAnalysis.kpis.totalShipments}</div>
-          <div className="kpi-label">Total Shipments</div>
+          <div className="kpi-value">{formatNumber(trafficAnalysis.kpis.totalShipments)}</div>
+          <div className="kpi-label">{t('traffic.kpi.totalShipments')}</div>
         </div>
         <div className="kpi-card">
-          <div className="kpi-value">{trafficAnalysis.kpis.activeLanes}</div>
-          <div className="kpi-label">Active Lanes</div>
+          <div className="kpi-value">{formatNumber(trafficAnalysis.kpis.activeLanes)}</div>
+          <div className="kpi-label">{t('traffic.kpi.activeLanes')}</div>
         </div>
         <div className="kpi-card">
-          <div className="kpi-value">{trafficAnalysis.kpis.avgTurnaroundMinutes || '--'}</div>
-          <div className="kpi-label">Avg Turnaround (min)</div>
+          <div className="kpi-value">
+            {trafficAnalysis.kpis.avgTurnaroundMinutes
+              ? formatNumber(trafficAnalysis.kpis.avgTurnaroundMinutes)
+              : '--'}
+          </div>
+          <div className="kpi-label">{t('traffic.kpi.avgTurnaround')}</div>
         </div>
         <div className="kpi-card">
-          <div className="kpi-value">{trafficAnalysis.kpis.onTimePercentage}%</div>
-          <div className="kpi-label">On-Time Performance</div>
+          <div className="kpi-value">
+            {formatNumber(trafficAnalysis.kpis.onTimePercentage / 100, {
+              style: 'percent',
+              maximumFractionDigits: 1
+            })}
+          </div>
+          <div className="kpi-label">{t('traffic.kpi.onTime')}</div>
         </div>
+        {isDemo && <DemoWatermark />}
       </div>
 
       {/* Alerts Section */}
-      {trafficAnalysis.alerts.length > 0 && (
-        <div className="alerts-section">
-          <h3>🚨 Active Alerts</h3>
+      {laneAlerts.length > 0 && (
+        <div className={`alerts-section ${isDemo ? 'watermarked' : ''}`}>
+          {isDemo && <DemoWatermark label={t('demo.alertsWatermark')} />}
+          <div className="alerts-heading">
+            <h3>{t('traffic.alerts.title')}</h3>
+            {alerts.length > 1 && (
+              <button className="settings-button" onClick={() => acknowledgeAlerts(alerts)} title={t('traffic.alerts.shortcut')}>
+                {t('traffic.alerts.acknowledgeAll')}
+              </button>
+            )}
+          </div>
           <div className="alerts-container">
-            {trafficAnalysis.alerts.map((alert, index) => (
-              <div key={index} className={`alert alert-${alert.severity.toLowerCase()}`}>
-                <div className="alert-message">{alert.message}</div>
-                <div className="alert-time">{new Date(alert.timestamp).toLocaleTimeString()}</div>
+            {alerts.map((alert) => (
+              <div key={alertKey(alert)} className={`alert alert-${alert.severity.toLowerCase()}`}>
+                <span className="alert-severity">{t(`traffic.severity.${alert.severity.toLowerCase()}`)}</span>
+                <div className="alert-message">{alertMessage(alert)}</div>
+                <div className="alert-time">{formatTime(alert.timestamp)}</div>
+                <button className="alert-acknowledge" onClick={() => acknowledgeAlerts([alert])}>
+                  {t('traffic.alerts.acknowledge')}
+                </button>
               </div>
             ))}
+            {alerts.length === 0 && <p className="lane-empty">{t('traffic.alerts.none')}</p>}
           </div>
+          {acknowledgedCount > 0 && (
+            <button className="alerts-restore" onClick={() => saveAcknowledged([])}>
+              {t('traffic.alerts.restore', { count: acknowledgedCount })}
+            </button>
+          )}
         </div>
       )}
 
       {/* Tab Navigation */}
       <div className="tab-navigation">
-        <button 
-          className={`tab ${activeTab === 'overview' ? 'active' : ''}`}
-          onClick={() => setActiveTab('overview')}
-        >
-          Lane Overview
-        </button>
-        <button 
-          className={`tab ${activeTab === 'congestion' ? 'active' : ''}`}
-          onClick={() => setActiveTab('congestion')}
-        >
-          Congestion Monitor
-        </button>
-        <button 
-          className={`tab ${activeTab === 'performance' ? 'active' : ''}`}
-          onClick={() => setActiveTab('performance')}
-        >
-          Performance Scores
-        </button>
+        <TabList
+          tabs={TRAFFIC_TABS.map(id => ({ id, label: t(`traffic.tab.${id}`) }))}
+          selected={tab}
+          onSelect={id => updateRouteParams({ tab: id })}
+          idPrefix="traffic"
+          label={t('traffic.tabs')}
+          className="tab-list"
+          tabClassName="tab"
+        />
+        {selectedLane && (
+          <span className="lane-chip">
+            {t('traffic.lane', { lane: selectedLane })}
+            <button
+              type="button"
+              onClick={() => updateRouteParams({ lane: null })}
+              aria-label={t('traffic.showAllLanes')}
+              title={t('traffic.showAllLanes')}
+            >
+              ×
+            </button>
+          </span>
+        )}
       </div>
 
       {/* Tab Content */}
-      <div className="tab-content">
-        {activeTab === 'overview' && (
+      <div
+        className={`tab-content ${isDemo ? 'watermarked' : ''}`}
+        id="traffic-panel"
+        role="tabpanel"
+        aria-labelledby={tabId('traffic', tab)}
+      >
+        {isDemo && <DemoWatermark />}
+        {tab === 'overview' && (
           <div className="lane-overview">
-            <h3>Lane Utilization Overview</h3>
+            <h3>{t('traffic.overview.title')}</h3>
             <div className="lane-grid">
               {Object.entries(trafficAnalysis.laneMetrics).map(([lane, metrics]) => (
-                <div key={lane} className="lane-card">
+                <div key={lane} className={laneClass('lane-card', lane)} {...laneProps(lane)}>
                   <div className="lane-header">
                     <h4>{lane}</h4>
                     <span className={`status-indicator ${metrics.congestionLevel.toLowerCase()}`}>
-                      {metrics.congestionLevel}
+                      {t(`traffic.level.${metrics.congestionLevel.toLowerCase()}`)}
                     </span>
                   </div>
                   <div className="lane-stats">
                     <div className="stat">
-                      <span className="stat-value">{metrics.totalShipments}</span>
-                      <span className="stat-label">Shipments</span>
+                      <span className="stat-value">{formatNumber(metrics.totalShipments)}</span>
+                      <span className="stat-label">{t('traffic.shipments')}</span>
                     </div>
                     <div className="stat">
                       <span className="stat-value">{metrics.efficiency}</span>
-                      <span className="stat-label">Grade</span>
+                      <span className="stat-label">{t('traffic.grade')}</span>
                     </div>
                   </div>
                 </div>
@@ -189,28 +486,56 @@ const TrafficControlTower = () => {
           </div>
         )}
 
-        {activeTab === 'congestion' && (
+        {tab === 'congestion' && (
           <div className="congestion-monitor">
-            <h3>Congestion Heatmap</h3>
+            <h3>{t('traffic.congestion.title')}</h3>
             <div className="congestion-info">
-              <p>Real-time analysis of lane congestion patterns throughout the day</p>
+              <p>
+                {t('traffic.congestion.info')} ·{' '}
+                {t('traffic.congestion.timeZone', { zone: timeZone || COMPUTER_TIME_ZONE })}
+              </p>
               <div className="legend">
-                <span className="legend-item normal">🟢 Normal (1-5 shipments/hour)</span>
-                <span className="legend-item moderate">🟡 Moderate (6-10 shipments/hour)</span>
-                <span className="legend-item heavy">🔴 Heavy (10+ shipments/hour)</span>
+                <span className="legend-item normal">{t('traffic.congestion.legendNormal')}</span>
+                <span className="legend-item moderate">{t('traffic.congestion.legendModerate')}</span>
+                <span className="legend-item heavy">{t('traffic.congestion.legendHeavy')}</span>
               </div>
             </div>
+            {congestionLanes.length === 0 && (
+              <p className="lane-empty">{t('traffic.congestion.emptyLane', { lane: selectedLane })}</p>
+            )}
             <div className="congestion-grid">
-              {Object.entries(trafficAnalysis.congestionAnalysis).map(([lane, hours]) => (
-                <div key={lane} className="congestion-lane">
-                  <h4>{lane}</h4>
+              {congestionLanes.map(([lane, hours]) => (
+                // The heading button selects the lane, so the whole heatmap is not read as one button
+                <div key={lane} className={laneClass('congestion-lane', lane)} onClick={() => selectLane(lane)}>
+                  <h4>
+                    <button
+                      type="button"
+                      className="lane-select"
+                      aria-pressed={lane === selectedLane}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        selectLane(lane);
+                      }}
+                    >
+                      {lane}
+                    </button>
+                  </h4>
                   <div className="hour-grid">
-                    {Object.entries(hours).map(([hour, info]) => (
-                      <div key={hour} className={`hour-cell ${info.level.toLowerCase()}`}>
-                        <div className="hour">{hour}:00</div>
-                        <div className="count">{info.count}</div>
-                      </div>
-                    ))}
+                    {Object.entries(hours).map(([hour, info]) => {
+                      const level = info.level.toLowerCase();
+                      const description = t('traffic.congestion.cell', {
+                        hour: formatHour(hour),
+                        count: info.count,
+                        level: t(`traffic.level.${level}`)
+                      });
+                      return (
+                        <div key={hour} className={`hour-cell ${level}`} title={description}>
+                          <div className="hour" aria-hidden="true">{formatHour(hour)}</div>
+                          <div className="count" aria-hidden="true">{formatNumber(info.count)}</div>
+                          <span className="sr-only">{description}</span>
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
               ))}
@@ -218,29 +543,35 @@ const TrafficControlTower = () => {
           </div>
         )}
 
-        {activeTab === 'performance' && (
+        {tab === 'performance' && (
           <div className="performance-scores">
-            <h3>Lane Performance Scoreboard</h3>
+            <h3>{t('traffic.performance.title')}</h3>
             <div className="scoreboard">
               {Object.entries(trafficAnalysis.utilizationScores).map(([lane, score]) => (
-                <div key={lane} className="score-card">
+                <div key={lane} className={laneClass('score-card', lane)} {...laneProps(lane)}>
                   <div className="lane-name">{lane}</div>
                   <div className={`grade grade-${score.grade.toLowerCase()}`}>
                     {score.grade}
                   </div>
                   <div className="score-details">
                     <div className="detail">
-                      <span>Utilization:</span>
-                      <span>{score.utilization.toFixed(1)}%</span>
+                      <span>{t('traffic.performance.utilization')}</span>
+                      <span>
+                        {formatNumber(score.utilization / 100, {
+                          style: 'percent',
+                          minimumFractionDigits: 1,
+                          maximumFractionDigits: 1
+                        })}
+                      </span>
                     </div>
                     <div className="detail">
-                      <span>Shipments:</span>
-                      <span>{score.shipmentCount}</span>
+                      <span>{t('traffic.performance.shipments')}</span>
+                      <span>{formatNumber(score.shipmentCount)}</span>
                     </div>
                     <div className="detail">
-                      <span>Efficiency:</span>
+                      <span>{t('traffic.performance.efficiency')}</span>
                       <span className={`efficiency ${score.efficiency.toLowerCase()}`}>
-                        {score.efficiency}
+                        {t(`traffic.efficiency.${score.efficiency.toLowerCase()}`)}
                       </span>
                     </div>
                   </div>
@@ -253,16 +584,17 @@ const TrafficControlTower = () => {
 
       {/* Stuck Shipments Section */}
       {trafficAnalysis.stuckShipments.length > 0 && (
-        <div className="stuck-shipments">
-          <h3>⚠️ Delayed Shipments</h3>
+        <div className={`stuck-shipments ${isDemo ? 'watermarked' : ''}`}>
+          {isDemo && <DemoWatermark />}
+          <h3>{t('traffic.delayed.title')}</h3>
           <div className="stuck-list">
             {trafficAnalysis.stuckShipments.map((shipment, index) => (
               <div key={index} className={`stuck-item ${shipment.severity.toLowerCase()}`}>
                 <div className="shipment-id">{shipment.shipmentId}</div>
                 <div className="delay-info">
-                  Delayed {Math.round(shipment.delayMinutes)} minutes
+                  {t('traffic.delayed.minutes', { count: Math.round(shipment.delayMinutes) })}
                 </div>
-                <div className="severity-badge">{shipment.severity}</div>
+                <div className="severity-badge">{t(`traffic.severity.${shipment.severity.toLowerCase()}`)}</div>
               </div>
             ))}
           </div>
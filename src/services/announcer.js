@@ -0,0 +1,43 @@
+/**
+ * Announcer
+ * Messages for screen readers: query results, errors and new alerts that
+ * appear away from the focus. LiveAnnouncer renders them in visually hidden
+ * aria-live regions.
+ */
+
+let messages = { polite: null, assertive: null };
+let count = 0;
+const listeners = new Set();
+
+/**
+ * Subscribes to announcements
+ * @param {Function} listener - Called after every announcement
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToAnnouncements = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the latest message of each politeness level
+ * @returns {Object} - { polite, assertive }; each { id, text } or null
+ */
+export const getAnnouncements = () => messages;
+
+/**
+ * Announces a message to screen readers
+ * @param {string} text - Message to read out
+ * @param {Object} options - { assertive }; assertive interrupts the reader
+ *   and is meant for errors and alerts
+ */
+export const announce = (text, { assertive = false } = {}) => {
+  if (!text) return;
+  count += 1;
+  // A new id re-renders the region, so the same text is read out again
+  messages = {
+    ...messages,
+    [assertive ? "assertive" : "polite"]: { id: count, text },
+  };
+  listeners.forEach((listener) => listener());
+};
@@ -1,25 +1,122 @@
 import axios from "axios";
+import { httpClient, authorizedFetch } from "./httpClient.js";
+import {
+  getActiveBackend,
+  getConnectionState,
+  buildBackendUrl,
+} from "./connectionManager.js";
+import {
+  buildCacheKey,
+  getCachedResult,
+  setCachedResult,
+  formatCacheAge,
+} from "./queryCache.js";
+import { joinInFlightRequest } from "./inFlightRequests.js";
+import { executeWithResilience } from "./resilience.js";
+import { isDemoMode, getMockOptions } from "./dataMode.js";
+import { generateMockResult } from "./mockData.js";
+import {
+  CONTRACT_VERSION,
+  QUERY_ERROR_TYPES,
+  createQueryError,
+  normalizeRows,
+  readPagination,
+  validateQueryResponse,
+} from "./responseContract.js";
+import {
+  getPageSize,
+  buildNextPageParams,
+  settlePagination,
+} from "./pagination.js";
+import { buildContextPayload, getContextKey } from "./conversationContext.js";
+import { formatNumber, t } from "./i18n.js";
+import {
+  createStreamParser,
+  detectStreamFormat,
+} from "../utils/streamParsing.js";
 
-const LANGCHAIN_BASE_URL = "https://langchain-backend.loca.lt";
 const DEFAULT_TIMEOUT = 60000; // 60 seconds
 
-export const fetchDataFromLangChain = async (
-  userQuestion = "Show me all shipment data for analytics"
+// Question behind the Dashboard metrics and the first Analytics view; asking
+// it the same way everywhere lets them share one cache entry
+export const OVERVIEW_QUESTION =
+  "Show me a general overview of my shipment data";
+
+/**
+ * Turns a thrown request error into a typed query error
+ */
+const toQueryError = (error, { timedOut = false, timeout } = {}) => {
+  const status = error.response?.status ?? error.status;
+  const extra = {
+    details: error.response?.data ?? error.details,
+    status,
+    code: error.code,
+    backendReported: error.backendReported,
+  };
+
+  if (error.type) return createQueryError(error.type, error.message, extra);
+
+  if (
+    timedOut ||
+    error.code === "ECONNABORTED" ||
+    error.code === "ETIMEDOUT" ||
+    (error.message || "").toLowerCase().includes("timeout")
+  ) {
+    return createQueryError(
+      QUERY_ERROR_TYPES.TIMEOUT,
+      timedOut ? `timeout of ${timeout}ms exceeded` : error.message,
+      extra
+    );
+  }
+
+  // Any HTTP status means the backend answered, just not successfully
+  if (status !== undefined) {
+    return createQueryError(QUERY_ERROR_TYPES.BACKEND, error.message, extra);
+  }
+
+  return createQueryError(QUERY_ERROR_TYPES.NETWORK, error.message, extra);
+};
+
+/**
+ * Builds a thrown error carrying a query error type
+ */
+const typedError = (type, message, extra = {}) =>
+  Object.assign(new Error(message), { type, ...extra });
+
+// Request fields carrying the conversation context, when there is any
+const contextParams = (context) => (context ? { conversation: context } : {});
+
+/**
+ * Sends a single (non-streaming) query to a backend. `params` carries the
+ * paging fields (page_size, cursor / page) and conversation context of the
+ * request.
+ */
+const requestQuery = async (
+  backend,
+  userQuestion,
+  signal,
+  params = { page_size: getPageSize() }
 ) => {
+  const queryUrl = buildBackendUrl(backend, "/query");
+
   try {
-    console.log(`🔍 Querying LangChain backend: ${LANGCHAIN_BASE_URL}/query`);
+    console.log(`🔍 Querying LangChain backend (${backend.name}): ${queryUrl}`);
     console.log(`❓ Question: ${userQuestion}`);
 
-    const response = await axios.post(
-      `${LANGCHAIN_BASE_URL}/query`,
+    const response = await httpClient.post(
+      queryUrl,
       {
         question: userQuestion,
+        ...params,
       },
       {
-        timeout: DEFAULT_TIMEOUT,
+        backend,
+        timeout: backend.timeout || DEFAULT_TIMEOUT,
+        signal,
         headers: {
           Accept: "application/json",
           "Content-Type": "application/json",
+          "X-Contract-Version": CONTRACT_VERSION,
         },
       }
     );
@@ -30,10 +127,23 @@ export const fetchDataFromLangChain = async (
 
     return {
       ...result,
-      success: true,
-      error: null,
+      backend: backend.id,
+      source: "live",
+      success: !result.error,
     };
   } catch (error) {
+    if (axios.isCancel(error)) {
+      return {
+        data: [],
+        sqlQuery: "",
+        userQuestion,
+        backend: backend.id,
+        success: false,
+        cancelled: true,
+        error: null,
+      };
+    }
+
     console.error(" LangChain backend query failed:", error);
     console.log(" Error details:", error.response?.data || error.message);
 
@@ -41,82 +151,700 @@ export const fetchDataFromLangChain = async (
       data: [],
       sqlQuery: "",
       userQuestion,
+      backend: backend.id,
+      pagination: null,
+      warnings: [],
       success: false,
-      error: {
-        message: error.message,
-        details: error.response?.data,
-        status: error.response?.status,
-      },
+      error: toQueryError(error),
+    };
+  }
+};
+
+/**
+ * True when results must come from the demo generator instead of a backend
+ */
+const usesDemoData = (backend) => isDemoMode() || backend.kind === "mock";
+
+/**
+ * Returns true when queries are currently answered with demo data
+ * @returns {boolean}
+ */
+export const isServingDemoData = () => usesDemoData(getActiveBackend());
+
+/**
+ * Returns a cached result for the question when one is fresh enough
+ */
+const readFromCache = async (
+  backend,
+  userQuestion,
+  { bypassCache, maxAge, context }
+) => {
+  if (bypassCache) return null;
+
+  const cacheKey = buildCacheKey(
+    backend.id,
+    userQuestion,
+    getContextKey(context)
+  );
+  const cached = await getCachedResult(cacheKey, { maxAge });
+  if (!cached) return null;
+
+  console.log(
+    `💾 Cache hit (${formatCacheAge(cached.cachedAt)}): ${userQuestion}`
+  );
+
+  return {
+    ...cached.result,
+    userQuestion,
+    backend: backend.id,
+    context,
+    contextTurns: context?.turns.length || 0,
+    source: "cache",
+    success: true,
+    cancelled: false,
+    error: null,
+    fromCache: true,
+    cachedAt: cached.cachedAt,
+  };
+};
+
+/**
+ * Queries the LangChain backend. Results are cached per backend and
+ * normalized question, identical questions already in flight share one
+ * request, and timeouts / 5xx are retried with backoff. In demo mode (or on
+ * the local mock backend) generated data is returned with source "demo".
+ * Earlier turns of `conversation` are sent along as context.
+ * @param {string} userQuestion - Question to ask
+ * @param {Object} options - { signal, bypassCache, maxAge, conversation }
+ * @returns {Promise<Object>} - { data, sqlQuery, userQuestion, source, warnings, context, contextTurns, success, error, fromCache, cachedAt };
+ *   error.type is one of QUERY_ERROR_TYPES
+ */
+export const fetchDataFromLangChain = async (
+  userQuestion = "Show me all shipment data for analytics",
+  { signal, bypassCache = false, maxAge, conversation } = {}
+) => {
+  const backend = getActiveBackend();
+  const context = buildContextPayload(conversation);
+  const cacheKey = buildCacheKey(
+    backend.id,
+    userQuestion,
+    getContextKey(context)
+  );
+
+  if (usesDemoData(backend)) {
+    console.log(`🧪 Serving demo data for: ${userQuestion}`);
+    return {
+      ...generateMockResult(getMockOptions()),
+      userQuestion,
+      backend: backend.id,
+      pagination: null,
+      warnings: [],
+      context: null,
+      contextTurns: 0,
+      source: "demo",
+      success: true,
+      error: null,
+      fromCache: false,
+      cachedAt: null,
     };
   }
+
+  const cached = await readFromCache(backend, userQuestion, {
+    bypassCache,
+    maxAge,
+    context,
+  });
+  if (cached) return cached;
+
+  const result = await joinInFlightRequest(
+    `fetch::${cacheKey}`,
+    async (sharedSignal) => {
+      const response = await executeWithResilience(
+        backend.id,
+        () =>
+          requestQuery(backend, userQuestion, sharedSignal, {
+            page_size: getPageSize(),
+            ...contextParams(context),
+          }),
+        { signal: sharedSignal }
+      );
+      if (response.success) setCachedResult(cacheKey, response);
+      return {
+        data: [],
+        sqlQuery: "",
+        userQuestion,
+        backend: backend.id,
+        ...response,
+        context,
+        contextTurns: context?.turns.length || 0,
+      };
+    },
+    {
+      signal,
+      cancelledResult: {
+        data: [],
+        sqlQuery: "",
+        userQuestion,
+        backend: backend.id,
+        success: false,
+        error: null,
+      },
+    }
+  );
+
+  return { ...result, fromCache: false, cachedAt: null };
 };
 
 /**
- * Processes LangChain response and extracts data and SQL query
+ * Validates a LangChain /query response against the response contract
  * @param {Object} responseData - Raw response from LangChain backend
  * @param {string} userQuestion - Original user question
- * @returns {Object} - { data, sqlQuery, userQuestion }
+ * @returns {Object} - { data, sqlQuery, userQuestion, contractVersion, pagination, warnings, error }
  */
 const processLangChainResponse = (responseData, userQuestion) => {
-  let data = [];
-  let sqlQuery = "";
-
-  // Handle the new response format: {"sql query": "...", "data": [...]}
-  if (responseData && typeof responseData === "object") {
-    // Extract SQL query
-    if (
-      responseData["sql query"] ||
-      responseData.sqlQuery ||
-      responseData.query
-    ) {
-      sqlQuery =
-        responseData["sql query"] ||
-        responseData.sqlQuery ||
-        responseData.query;
+  const validated = validateQueryResponse(responseData);
+
+  console.log(`Processed data: ${validated.data.length} records`);
+  console.log(`SQL Query: ${validated.sqlQuery}`);
+  validated.warnings.forEach((warning) =>
+    console.warn(`Response contract: ${warning.message}`)
+  );
+
+  return {
+    data: validated.data,
+    sqlQuery: validated.sqlQuery,
+    userQuestion,
+    contractVersion: validated.contractVersion,
+    pagination: settlePagination(validated.pagination, validated.data.length),
+    warnings: validated.warnings,
+    error: validated.error,
+  };
+};
+
+const MOCK_STREAM_CHUNK_SIZE = 10;
+const MOCK_STREAM_DELAY = 150;
+
+/**
+ * Creates the empty accumulator used while a query streams in
+ * @param {string} userQuestion - Original user question
+ * @returns {Object} - { data, sqlQuery, userQuestion, stage, done }
+ */
+export const createStreamResult = (userQuestion) => ({
+  data: [],
+  sqlQuery: "",
+  userQuestion,
+  stage: "connecting",
+  stageMessage: "",
+  done: false,
+  streamError: null,
+  contractVersion: null,
+  pagination: null,
+  warnings: [],
+});
+
+/**
+ * Streaming counterpart of processLangChainResponse: folds one stream event
+ * into the accumulated { data, sqlQuery, userQuestion } result
+ * @param {Object} result - Accumulated result from createStreamResult
+ * @param {Object} event - Normalized stream event (sql, progress, rows, done, error)
+ * @returns {Object} - New accumulated result
+ */
+export const processLangChainStreamEvent = (result, event) => {
+  switch (event.type) {
+    case "sql":
+      return { ...result, sqlQuery: event.sql, stage: "sql-generated" };
+    case "progress":
+      return { ...result, stage: event.stage, stageMessage: event.message };
+    case "rows":
+      return {
+        ...result,
+        data: result.data.concat(event.rows),
+        stage: "receiving-rows",
+      };
+    case "done":
+      return {
+        ...result,
+        stage: "complete",
+        stageMessage: "",
+        done: true,
+        pagination: readPagination(event.payload),
+      };
+    case "error":
+      return { ...result, stage: "error", streamError: event.message };
+    default:
+      return result;
+  }
+};
+
+/**
+ * Resolves after a delay, rejecting early if the signal aborts
+ */
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Replays generated mock data as a stream for the local mock backend
+ */
+const streamMockData = async (emit, signal) => {
+  const mock = generateMockResult(getMockOptions());
+
+  emit({ type: "progress", stage: "generating-sql", message: "" });
+  await delay(MOCK_STREAM_DELAY, signal);
+  emit({ type: "sql", sql: mock.sqlQuery });
+  emit({ type: "progress", stage: "executing", message: "" });
+  await delay(MOCK_STREAM_DELAY, signal);
+
+  for (let i = 0; i < mock.data.length; i += MOCK_STREAM_CHUNK_SIZE) {
+    emit({
+      type: "rows",
+      rows: mock.data.slice(i, i + MOCK_STREAM_CHUNK_SIZE),
+    });
+    await delay(MOCK_STREAM_DELAY, signal);
+  }
+
+  emit({ type: "done", rowCount: mock.data.length });
+};
+
+/**
+ * Reads a streamed (SSE / NDJSON) or plain JSON /query response. Resolves to
+ * the contract details of JSON responses; streams carry no contract version.
+ */
+const readQueryResponse = async (response, userQuestion, emit, onChunk) => {
+  const format = detectStreamFormat(response.headers.get("content-type"));
+
+  if (format === "json" || !response.body) {
+    // Backend does not stream: replay the single JSON blob as events
+    const body = await response.text();
+    let payload = body;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      // Left as text; validation reports it as malformed
+    }
+
+    const processed = processLangChainResponse(payload, userQuestion);
+    const contract = {
+      contractVersion: processed.contractVersion,
+      pagination: processed.pagination,
+      warnings: processed.warnings,
+    };
+
+    emit({ type: "sql", sql: processed.sqlQuery });
+    if (processed.error && processed.error.type !== QUERY_ERROR_TYPES.EMPTY) {
+      throw typedError(processed.error.type, processed.error.message, {
+        details: processed.error.details,
+        code: processed.error.code,
+        backendReported: processed.error.backendReported,
+      });
+    }
+    emit({ type: "rows", rows: processed.data });
+    emit({ type: "done", rowCount: processed.data.length });
+    return contract;
+  }
+
+  const parser = createStreamParser(format);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onChunk();
+    parser.push(decoder.decode(value, { stream: true })).forEach(emit);
+  }
+
+  parser.flush().forEach(emit);
+  return { contractVersion: null, warnings: [] };
+};
+
+/**
+ * Runs one streaming query against a backend
+ */
+const runQueryStream = async (
+  backend,
+  userQuestion,
+  signal,
+  onUpdate,
+  context = null
+) => {
+  const timeout = backend.timeout || DEFAULT_TIMEOUT;
+  const controller = new AbortController();
+  let result = createStreamResult(userQuestion);
+  let timedOut = false;
+  let idleTimer = null;
+
+  const emit = (event) => {
+    result = processLangChainStreamEvent(result, event);
+    onUpdate?.(result, event);
+  };
+
+  // The timeout applies to silence on the wire, not to the whole stream
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener("abort", abortFromCaller);
+
+  try {
+    if (signal?.aborted) controller.abort();
+
+    if (usesDemoData(backend)) {
+      console.log(`🧪 Streaming demo data for: ${userQuestion}`);
+      await streamMockData(emit, controller.signal);
+    } else {
+      const queryUrl = buildBackendUrl(backend, "/query");
+      console.log(`📡 Streaming from LangChain backend: ${queryUrl}`);
+
+      resetIdleTimer();
+      const response = await authorizedFetch(backend, queryUrl, {
+        method: "POST",
+        headers: {
+          Accept: "application/x-ndjson, text/event-stream, application/json",
+          "Content-Type": "application/json",
+          "X-Contract-Version": CONTRACT_VERSION,
+        },
+        body: JSON.stringify({
+          question: userQuestion,
+          stream: true,
+          page_size: getPageSize(),
+          ...contextParams(context),
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw typedError(
+          QUERY_ERROR_TYPES.BACKEND,
+          t("apiError.status", { status: response.status }),
+          {
+            status: response.status,
+            details: await response.text().catch(() => undefined),
+          }
+        );
+      }
+
+      const contract = await readQueryResponse(
+        response,
+        userQuestion,
+        emit,
+        resetIdleTimer
+      );
+      result = { ...result, ...contract };
     }
 
-    // Extract data array
-    if (responseData.data && Array.isArray(responseData.data)) {
-      data = responseData.data;
+    if (result.streamError) {
+      throw typedError(QUERY_ERROR_TYPES.BACKEND, result.streamError, {
+        backendReported: true,
+      });
     }
-    // Fallback: check if the entire response is an array
-    else if (Array.isArray(responseData)) {
-      data = responseData;
+
+    // Rows arrive in chunks, so column types are only settled once all are in
+    const normalized = normalizeRows(result.data);
+    const warnings = result.warnings.concat(normalized.warnings);
+    if (!result.done) {
+      warnings.push({
+        code: "incomplete-stream",
+        message: t("warnings.incomplete-stream"),
+      });
     }
-    // Fallback: check for other common data property names
-    else if (responseData.results && Array.isArray(responseData.results)) {
-      data = responseData.results;
+    result = {
+      ...result,
+      data: normalized.rows,
+      pagination: settlePagination(result.pagination, normalized.rows.length),
+      warnings,
+    };
+
+    console.log(`Streamed data: ${result.data.length} records`);
+
+    if (!result.data.length) {
+      throw typedError(QUERY_ERROR_TYPES.EMPTY, t("apiError.noRows"));
     }
-    // Fallback: wrap single object in array
-    else if (typeof responseData === "object" && !Array.isArray(responseData)) {
-      data = [responseData];
+
+    return {
+      ...result,
+      backend: backend.id,
+      source: usesDemoData(backend) ? "demo" : "live",
+      success: true,
+      cancelled: false,
+      error: null,
+    };
+  } catch (error) {
+    const cancelled = Boolean(signal?.aborted) && !timedOut;
+
+    if (!cancelled) {
+      console.error(" LangChain streaming query failed:", error);
+    }
+
+    return {
+      ...result,
+      backend: backend.id,
+      success: false,
+      cancelled,
+      error: cancelled ? null : toQueryError(error, { timedOut, timeout }),
+    };
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener("abort", abortFromCaller);
+  }
+};
+
+/**
+ * Streams a query from the LangChain backend. The backend may answer with
+ * SSE, NDJSON or a single JSON body; partial results are reported through
+ * onUpdate as they arrive. Cached results are replayed in one update.
+ * Earlier turns of `conversation` are sent along as context.
+ * @param {string} userQuestion - Question to ask
+ * @param {Object} options - { signal, onUpdate(result, event), bypassCache, maxAge, conversation }
+ * @returns {Promise<Object>} - { data, sqlQuery, userQuestion, warnings, context, contextTurns, success, cancelled, error, fromCache, cachedAt }
+ */
+export const streamDataFromLangChain = async (
+  userQuestion = "Show me all shipment data for analytics",
+  { signal, onUpdate, bypassCache = false, maxAge, conversation } = {}
+) => {
+  const backend = getActiveBackend();
+  const context = buildContextPayload(conversation);
+  const cacheKey = buildCacheKey(
+    backend.id,
+    userQuestion,
+    getContextKey(context)
+  );
+
+  if (usesDemoData(backend)) {
+    const demoResult = await runQueryStream(
+      backend,
+      userQuestion,
+      signal,
+      onUpdate
+    );
+    return {
+      ...demoResult,
+      context: null,
+      contextTurns: 0,
+      fromCache: false,
+      cachedAt: null,
+    };
+  }
+
+  const cached = await readFromCache(backend, userQuestion, {
+    bypassCache,
+    maxAge,
+    context,
+  });
+  if (cached) {
+    onUpdate?.({ ...cached, stage: "complete", done: true }, { type: "cache" });
+    return cached;
+  }
+
+  const result = await joinInFlightRequest(
+    `stream::${cacheKey}`,
+    async (sharedSignal, emit) => {
+      let latest = null;
+      const trackingEmit = (partial, event) => {
+        latest = partial;
+        emit(partial, event);
+      };
+
+      const response = await executeWithResilience(
+        backend.id,
+        () =>
+          runQueryStream(
+            backend,
+            userQuestion,
+            sharedSignal,
+            trackingEmit,
+            context
+          ),
+        {
+          signal: sharedSignal,
+          // Rows already shown cannot be un-shown, so only retry empty streams
+          shouldRetry: (failed) => failed.data.length === 0,
+          onRetry: ({ attempt, maxRetries, delayMs }) =>
+            trackingEmit(
+              {
+                ...(latest || createStreamResult(userQuestion)),
+                stage: "retrying",
+                stageMessage: t("stream.retryIn", {
+                  attempt,
+                  max: maxRetries,
+                  seconds: formatNumber(delayMs / 1000, {
+                    minimumFractionDigits: 1,
+                    maximumFractionDigits: 1,
+                  }),
+                }),
+              },
+              { type: "progress", stage: "retrying" }
+            ),
+        }
+      );
+      if (response.success) setCachedResult(cacheKey, response);
+      return {
+        data: [],
+        sqlQuery: "",
+        userQuestion,
+        backend: backend.id,
+        ...response,
+        context,
+        contextTurns: context?.turns.length || 0,
+      };
+    },
+    {
+      signal,
+      onUpdate,
+      cancelledResult: {
+        data: [],
+        sqlQuery: "",
+        userQuestion,
+        backend: backend.id,
+        success: false,
+        error: null,
+      },
     }
+  );
+
+  return { ...result, fromCache: false, cachedAt: null };
+};
+
+/**
+ * Returns the profile that produced a result, so later pages come from the
+ * same backend even if the user switched in between
+ */
+const findBackend = (backendId) =>
+  getConnectionState().profiles.find((profile) => profile.id === backendId) ||
+  getActiveBackend();
+
+/**
+ * Fetches the page after a paged result. Pages are neither cached nor shared
+ * between callers; timeouts and 5xx are retried like first pages.
+ * @param {Object} result - { userQuestion, backend, pagination, context } of the rows loaded so far
+ * @param {Object} options - { signal, loadedCount } rows loaded so far, to settle the total
+ * @returns {Promise<Object>} - { data (this page only), pagination, warnings, success, cancelled, error }
+ */
+export const fetchNextPage = async (
+  result,
+  { signal, loadedCount = 0 } = {}
+) => {
+  const { userQuestion, pagination, context } = result;
+  const backend = findBackend(result.backend);
+
+  if (!pagination?.hasMore) {
+    return {
+      data: [],
+      pagination,
+      warnings: [],
+      success: true,
+      cancelled: false,
+      error: null,
+    };
   }
 
-  console.log(`Processed data: ${data.length} records`);
-  console.log(`SQL Query: ${sqlQuery}`);
+  console.log(`📄 Fetching next page for: ${userQuestion}`);
+
+  const page = await executeWithResilience(
+    backend.id,
+    () =>
+      requestQuery(backend, userQuestion, signal, {
+        ...buildNextPageParams(pagination),
+        ...contextParams(context),
+      }),
+    { signal }
+  );
+
+  // A last page may legitimately be empty
+  const emptyPage = page.error?.type === QUERY_ERROR_TYPES.EMPTY;
+  const data = page.data || [];
 
   return {
+    ...page,
     data,
-    sqlQuery,
-    userQuestion,
+    pagination: emptyPage
+      ? { ...pagination, hasMore: false }
+      : settlePagination(page.pagination, loadedCount + data.length),
+    warnings: page.warnings || [],
+    success: page.success || emptyPage,
+    cancelled: Boolean(page.cancelled),
+    error: emptyPage ? null : page.error,
   };
 };
 
+/**
+ * Fetches every remaining page of a paged result, one after another
+ * @param {Object} result - { userQuestion, backend, pagination } of the rows loaded so far
+ * @param {Object} options - { signal, loadedCount, onPage(page) } onPage receives each page as it arrives
+ * @returns {Promise<Object>} - { pagination, pagesLoaded, success, cancelled, error }
+ */
+export const fetchAllPages = async (
+  result,
+  { signal, loadedCount = 0, onPage } = {}
+) => {
+  let pagination = result.pagination;
+  let loaded = loadedCount;
+  let pagesLoaded = 0;
+
+  while (pagination?.hasMore) {
+    if (signal?.aborted) {
+      return { pagination, pagesLoaded, success: false, cancelled: true };
+    }
+
+    const page = await fetchNextPage(
+      { ...result, pagination },
+      { signal, loadedCount: loaded }
+    );
+
+    if (!page.success) {
+      return {
+        pagination,
+        pagesLoaded,
+        success: false,
+        cancelled: page.cancelled,
+        error: page.error,
+      };
+    }
+
+    pagination = page.pagination;
+    loaded += page.data.length;
+    pagesLoaded++;
+    onPage?.(page);
+  }
+
+  return { pagination, pagesLoaded, success: true, cancelled: false };
+};
+
 /**
  * Tests connectivity to LangChain backend
  * @returns {Promise<Object>} - { success, data, error }
  */
 export const testLangChainConnectivity = async () => {
+  const backend = getActiveBackend();
+
+  if (usesDemoData(backend)) {
+    return { success: true, data: null, error: null, status: 200 };
+  }
+
   try {
-    console.log("Testing LangChain backend connectivity...");
+    console.log(`Testing LangChain backend connectivity (${backend.name})...`);
 
-    const testResponse = await axios.post(
-      `${LANGCHAIN_BASE_URL}/query`,
+    const testResponse = await httpClient.post(
+      buildBackendUrl(backend, "/query"),
       {
         question: "Test connection - return a simple response",
       },
       {
+        backend,
         timeout: 10000, // Shorter timeout for connection test
         headers: {
           Accept: "application/json",
@@ -151,44 +879,38 @@ export const testLangChainConnectivity = async () => {
 };
 
 /**
- * Generates mock data for testing when API is unavailable
- * @returns {Object} - { data, sqlQuery, userQuestion }
- */
-export const generateMockData = () => {
-  console.log("🔄 Generating mock data for testing...");
-
-  const mockData = [];
-  const bayCodes = ["A1", "A2", "B1", "B2", "C1", "C2"];
-  const truckIds = ["T001", "T002", "T003", "T004", "T005"];
-  const shipmentTypes = ["Container", "Bulk", "Liquid", "General"];
-
-  for (let i = 0; i < 50; i++) {
-    mockData.push({
-      shipment_id: `S${1000 + i}`,
-      bay_code: bayCodes[Math.floor(Math.random() * bayCodes.length)],
-      truck_id: truckIds[Math.floor(Math.random() * truckIds.length)],
-      gross_quantity: Math.floor(Math.random() * 100) + 10,
-      flow_rate: parseFloat((Math.random() * 50 + 10).toFixed(2)),
-      shipment_type:
-        shipmentTypes[Math.floor(Math.random() * shipmentTypes.length)],
-      exit_time: new Date(
-        Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000
-      ).toISOString(),
-      scheduled_date: new Date(
-        Date.now() + Math.random() * 10 * 24 * 60 * 60 * 1000
-      ).toISOString(),
-      load_time_minutes: Math.floor(Math.random() * 60) + 15,
-      status: ["Completed", "In Progress", "Scheduled"][
-        Math.floor(Math.random() * 3)
-      ],
-    });
+ * Classifies an API error so the UI can react to it
+ * @param {Object} error - Error object from API call
+ * @returns {string} - offline, circuit-open, timeout, unauthorized, not-found,
+ *   server, backend, malformed, empty, network or unknown
+ */
+export const classifyAPIError = (error) => {
+  if (!error) return "unknown";
+
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return "offline";
   }
 
-  return {
-    data: mockData,
-    sqlQuery: "SELECT * FROM shipments ORDER BY exit_time DESC LIMIT 50",
-    userQuestion: "Mock data for testing (API unavailable)",
-  };
+  if (error.circuitOpen) return "circuit-open";
+  if (error.type === QUERY_ERROR_TYPES.MALFORMED) return "malformed";
+  if (error.type === QUERY_ERROR_TYPES.EMPTY) return "empty";
+  if (error.backendReported) return "backend";
+
+  const message = (error.message || "").toLowerCase();
+
+  if (error.status === 408 || message.includes("timeout")) return "timeout";
+  if (error.status === 401 || error.status === 403) return "unauthorized";
+  if (error.status === 404) return "not-found";
+  if (error.status >= 500) return "server";
+  if (
+    error.type === QUERY_ERROR_TYPES.NETWORK ||
+    message.includes("network error") ||
+    message.includes("failed to fetch")
+  ) {
+    return "network";
+  }
+
+  return "unknown";
 };
 
 /**
@@ -197,23 +919,40 @@ export const generateMockData = () => {
  * @returns {string} - User-friendly error message
  */
 export const formatAPIError = (error) => {
-  if (!error) return "Unknown error occurred";
+  if (!error) return t("apiError.unknown");
 
-  if (error.status === 404) {
-    return "LangChain backend not found. Please check the server URL.";
-  }
+  const retried =
+    error.attempts > 1
+      ? t("apiError.gaveUp", { attempts: error.attempts })
+      : "";
 
-  if (error.status === 500) {
-    return "LangChain backend server error. Please try again later.";
-  }
-
-  if (error.status === 408 || error.message.includes("timeout")) {
-    return "Request timed out. The AI is taking longer than expected to process your query.";
-  }
-
-  if (error.message.includes("Network Error")) {
-    return "Network error. Please check your internet connection.";
+  switch (classifyAPIError(error)) {
+    case "offline":
+      return t("apiError.offline");
+    case "circuit-open": {
+      const seconds = Math.max(
+        0,
+        Math.ceil(((error.retryAt || Date.now()) - Date.now()) / 1000)
+      );
+      return t("apiError.circuitOpen", { seconds });
+    }
+    case "timeout":
+      return t("apiError.timeout", { retried });
+    case "unauthorized":
+      return t("apiError.unauthorized");
+    case "not-found":
+      return t("apiError.notFound");
+    case "server":
+      return t("apiError.server", { retried });
+    case "backend":
+      return t("apiError.backend", { message: error.message });
+    case "malformed":
+      return t("apiError.malformed", { message: error.message });
+    case "empty":
+      return t("apiError.empty");
+    case "network":
+      return t("apiError.network");
+    default:
+      return error.message || t("apiError.fetchFailed");
   }
-
-  return error.message || "Failed to fetch data from LangChain backend";
 };
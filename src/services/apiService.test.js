@@ -0,0 +1,173 @@
+import axios from "axios";
+import { fetchAllPages, fetchNextPage } from "./apiService.js";
+import { httpClient } from "./httpClient.js";
+import { configureRetryPolicy, resetCircuit } from "./resilience.js";
+
+const page = (rows, paging = {}) => ({
+  data: {
+    contract_version: "1.1",
+    sql_query: "SELECT * FROM shipments",
+    data: rows,
+    total_count: 5,
+    ...paging,
+  },
+});
+
+// First page already loaded: two rows, cursor "c2"
+const firstPage = {
+  userQuestion: "All shipments",
+  backend: "dev",
+  pagination: {
+    totalCount: 5,
+    hasMore: true,
+    nextCursor: "c2",
+    nextPage: null,
+  },
+  context: null,
+};
+
+let post;
+
+beforeAll(() => {
+  ["log", "warn", "error"].forEach((method) =>
+    jest.spyOn(console, method).mockImplementation(() => {})
+  );
+  configureRetryPolicy({ maxRetries: 0 });
+});
+
+beforeEach(() => {
+  resetCircuit("dev");
+  post = jest.spyOn(httpClient, "post");
+});
+
+afterEach(() => post.mockRestore());
+
+describe("fetchNextPage", () => {
+  it("asks for the page after the cursor and settles the total", async () => {
+    post.mockResolvedValueOnce(page([{ id: 3 }, { id: 4 }, { id: 5 }]));
+
+    const next = await fetchNextPage(firstPage, { loadedCount: 2 });
+
+    expect(post.mock.calls[0][1]).toMatchObject({ cursor: "c2" });
+    expect(next.data).toHaveLength(3);
+    expect(next.pagination.hasMore).toBe(false);
+    expect(next.success).toBe(true);
+  });
+
+  it("treats an empty last page as the end, not an error", async () => {
+    post.mockResolvedValueOnce(page([]));
+
+    const next = await fetchNextPage(firstPage, { loadedCount: 2 });
+
+    expect(next).toMatchObject({ success: true, error: null, data: [] });
+    expect(next.pagination.hasMore).toBe(false);
+  });
+});
+
+describe("fetchAllPages", () => {
+  it("fetches the remaining pages one after another", async () => {
+    post
+      .mockResolvedValueOnce(
+        page([{ id: 3 }, { id: 4 }], { next_cursor: "c3" })
+      )
+      .mockResolvedValueOnce(page([{ id: 5 }]));
+    const onPage = jest.fn();
+
+    const outcome = await fetchAllPages(firstPage, { loadedCount: 2, onPage });
+
+    expect(outcome).toMatchObject({
+      pagesLoaded: 2,
+      success: true,
+      cancelled: false,
+    });
+    expect(post.mock.calls.map(([, body]) => body.cursor)).toEqual([
+      "c2",
+      "c3",
+    ]);
+    expect(onPage.mock.calls.map(([loaded]) => loaded.data.length)).toEqual([
+      2, 1,
+    ]);
+  });
+
+  it("does not start when the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const outcome = await fetchAllPages(firstPage, {
+      signal: controller.signal,
+      loadedCount: 2,
+    });
+
+    expect(outcome).toMatchObject({
+      pagesLoaded: 0,
+      success: false,
+      cancelled: true,
+    });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it("stops between pages once aborted", async () => {
+    const controller = new AbortController();
+    post.mockResolvedValueOnce(
+      page([{ id: 3 }, { id: 4 }], { next_cursor: "c3" })
+    );
+
+    const outcome = await fetchAllPages(firstPage, {
+      signal: controller.signal,
+      loadedCount: 2,
+      onPage: () => controller.abort(),
+    });
+
+    expect(outcome).toMatchObject({
+      pagesLoaded: 1,
+      success: false,
+      cancelled: true,
+    });
+    expect(outcome.pagination.nextCursor).toBe("c3");
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a request cancelled mid-page as cancelled, not failed", async () => {
+    const controller = new AbortController();
+    post.mockImplementationOnce(() => {
+      controller.abort();
+      return Promise.reject(new axios.CanceledError());
+    });
+    const onPage = jest.fn();
+
+    const outcome = await fetchAllPages(firstPage, {
+      signal: controller.signal,
+      loadedCount: 2,
+      onPage,
+    });
+
+    expect(outcome).toMatchObject({
+      pagesLoaded: 0,
+      success: false,
+      cancelled: true,
+    });
+    expect(outcome.error).toBeFalsy();
+    expect(outcome.pagination).toBe(firstPage.pagination);
+    expect(onPage).not.toHaveBeenCalled();
+  });
+
+  it("keeps the rows so far when a page fails", async () => {
+    post
+      .mockResolvedValueOnce(page([{ id: 3 }], { next_cursor: "c3" }))
+      .mockRejectedValueOnce(
+        Object.assign(new Error("Request failed"), {
+          response: { status: 500, data: "boom" },
+        })
+      );
+
+    const outcome = await fetchAllPages(firstPage, { loadedCount: 2 });
+
+    expect(outcome).toMatchObject({
+      pagesLoaded: 1,
+      success: false,
+      cancelled: false,
+    });
+    expect(outcome.error.status).toBe(500);
+    expect(outcome.pagination.nextCursor).toBe("c3");
+  });
+});
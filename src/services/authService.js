@@ -0,0 +1,294 @@
+/**
+ * Authentication
+ * Per-backend credentials (bearer tokens or API keys). Credentials live in
+ * memory and sessionStorage only, so they are gone once the tab is closed.
+ */
+
+import axios from "axios";
+import { buildBackendUrl } from "./connectionManager.js";
+import { t } from "./i18n.js";
+
+const AUTH_KEY = "shipmentiq.auth";
+const LOGIN_TIMEOUT = 15000;
+const REFRESH_MARGIN_MS = 30000; // refresh tokens this long before they expire
+
+export const AUTH_MODES = {
+  NONE: "none",
+  BEARER: "bearer",
+  API_KEY: "apiKey",
+};
+
+const readSessions = () => {
+  try {
+    const raw = window.sessionStorage.getItem(AUTH_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// sessions: { [backendId]: { mode, accessToken, refreshToken, expiresAt, apiKey, user } }
+// expired: { [backendId]: message } for sessions the backend rejected
+let state = { sessions: readSessions(), expired: {} };
+const listeners = new Set();
+const refreshes = {};
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+
+  try {
+    window.sessionStorage.setItem(AUTH_KEY, JSON.stringify(state.sessions));
+  } catch (error) {
+    console.warn("Could not save the auth session:", error);
+  }
+
+  listeners.forEach((listener) => listener());
+};
+
+const saveSession = (backendId, session) => {
+  const { [backendId]: _previous, ...expired } = state.expired;
+  setState({ sessions: { ...state.sessions, [backendId]: session }, expired });
+};
+
+const clearSession = (backendId, expiredMessage = null) => {
+  const { [backendId]: _removed, ...sessions } = state.sessions;
+  const { [backendId]: _previous, ...expired } = state.expired;
+  setState({
+    sessions,
+    expired: expiredMessage
+      ? { ...expired, [backendId]: expiredMessage }
+      : expired,
+  });
+};
+
+/**
+ * Subscribes to sign-in / sign-out changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current auth state snapshot
+ * @returns {Object} - { sessions, expired }
+ */
+export const getAuthState = () => state;
+
+/**
+ * Returns true when requests to the backend need credentials
+ * @param {Object} profile - Backend profile
+ * @returns {boolean}
+ */
+export const isAuthRequired = (profile) =>
+  Boolean(profile) &&
+  profile.kind !== "mock" &&
+  (profile.authMode || AUTH_MODES.NONE) !== AUTH_MODES.NONE;
+
+/**
+ * Returns the signed-in session for a backend, if any
+ * @param {Object} profile - Backend profile
+ * @returns {Object|null} - { mode, user, expiresAt } (plus secrets)
+ */
+export const getSession = (profile) => {
+  const session = profile && state.sessions[profile.id];
+  // A session created for another auth mode does not apply any more
+  return session && session.mode === profile.authMode ? session : null;
+};
+
+/**
+ * Returns true when the backend needs credentials and none are stored
+ * @param {Object} profile - Backend profile
+ * @returns {boolean}
+ */
+export const requiresLogin = (profile) =>
+  isAuthRequired(profile) && !getSession(profile);
+
+/**
+ * Builds the auth headers for a request to a backend
+ * @param {Object} profile - Backend profile
+ * @returns {Object} - Headers to merge into the request
+ */
+export const getAuthHeaders = (profile) => {
+  if (!isAuthRequired(profile)) return {};
+
+  const session = getSession(profile);
+  if (!session) return {};
+
+  if (session.mode === AUTH_MODES.API_KEY) {
+    return { [profile.apiKeyHeader || "X-API-Key"]: session.apiKey };
+  }
+  return { Authorization: `Bearer ${session.accessToken}` };
+};
+
+/**
+ * Reads the token fields of a login / refresh response
+ */
+const readTokenResponse = (data = {}, previous = {}) => {
+  const accessToken = data.access_token || data.accessToken || data.token;
+  const expiresIn = Number(data.expires_in ?? data.expiresIn);
+
+  return {
+    mode: AUTH_MODES.BEARER,
+    accessToken,
+    refreshToken:
+      data.refresh_token || data.refreshToken || previous.refreshToken || null,
+    expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    user: data.user?.name || data.user?.email || data.username || previous.user,
+  };
+};
+
+const describeLoginError = (error) => {
+  const status = error.response?.status;
+  if (status === 401 || status === 403) return t("login.error.credentials");
+  if (status === 404) return t("login.error.noEndpoint");
+  return error.response?.data?.error || error.message;
+};
+
+/**
+ * Signs in to a bearer-token backend with a username and password
+ * @param {Object} profile - Backend profile
+ * @param {Object} credentials - { username, password }
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const loginWithPassword = async (profile, { username, password }) => {
+  try {
+    const response = await axios.post(
+      buildBackendUrl(profile, profile.loginPath || "/auth/login"),
+      { username, password },
+      { timeout: LOGIN_TIMEOUT }
+    );
+    const session = readTokenResponse(response.data, { user: username });
+
+    if (!session.accessToken) {
+      return {
+        success: false,
+        error: { message: t("login.error.noToken") },
+      };
+    }
+
+    saveSession(profile.id, session);
+    console.log(`🔐 Signed in to ${profile.name}`);
+    return { success: true, error: null };
+  } catch (error) {
+    console.error("Login failed:", error.message);
+    return {
+      success: false,
+      error: {
+        message: describeLoginError(error),
+        status: error.response?.status,
+      },
+    };
+  }
+};
+
+/**
+ * Signs in with an access token issued elsewhere (e.g. single sign-on)
+ * @param {Object} profile - Backend profile
+ * @param {string} accessToken - Bearer token
+ */
+export const loginWithToken = (profile, accessToken) => {
+  saveSession(profile.id, {
+    mode: AUTH_MODES.BEARER,
+    accessToken: accessToken.trim(),
+    refreshToken: null,
+    expiresAt: null,
+    user: null,
+  });
+};
+
+/**
+ * Stores the API key used for an API-key backend
+ * @param {Object} profile - Backend profile
+ * @param {string} apiKey - API key
+ */
+export const loginWithApiKey = (profile, apiKey) => {
+  saveSession(profile.id, {
+    mode: AUTH_MODES.API_KEY,
+    apiKey: apiKey.trim(),
+    user: null,
+  });
+};
+
+/**
+ * Forgets the credentials for a backend
+ * @param {string} backendId - Backend profile id
+ */
+export const logout = (backendId) => {
+  console.log(`🔓 Signed out of ${backendId}`);
+  clearSession(backendId);
+};
+
+/**
+ * Exchanges the refresh token for a new access token. Concurrent callers
+ * share one refresh request.
+ * @param {Object} profile - Backend profile
+ * @returns {Promise<boolean>} - true when a new token was stored
+ */
+export const refreshSession = (profile) => {
+  const session = getSession(profile);
+  if (session?.mode !== AUTH_MODES.BEARER || !session.refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!refreshes[profile.id]) {
+    refreshes[profile.id] = axios
+      .post(
+        buildBackendUrl(profile, profile.refreshPath || "/auth/refresh"),
+        { refresh_token: session.refreshToken },
+        { timeout: LOGIN_TIMEOUT }
+      )
+      .then((response) => {
+        const refreshed = readTokenResponse(response.data, session);
+        if (!refreshed.accessToken) return false;
+        saveSession(profile.id, refreshed);
+        console.log(`🔐 Refreshed access token for ${profile.name}`);
+        return true;
+      })
+      .catch((error) => {
+        console.warn("Token refresh failed:", error.message);
+        return false;
+      })
+      .finally(() => {
+        delete refreshes[profile.id];
+      });
+  }
+
+  return refreshes[profile.id];
+};
+
+/**
+ * Refreshes a bearer token that is about to expire. Called before requests.
+ * @param {Object} profile - Backend profile
+ */
+export const ensureFreshSession = async (profile) => {
+  const session = getSession(profile);
+  if (
+    session?.expiresAt &&
+    session.refreshToken &&
+    session.expiresAt - Date.now() < REFRESH_MARGIN_MS
+  ) {
+    await refreshSession(profile);
+  }
+};
+
+/**
+ * Handles a 401 from a backend: refreshes the token when possible, otherwise
+ * ends the session so the login screen asks for new credentials
+ * @param {Object} profile - Backend profile
+ * @returns {Promise<boolean>} - true when the request should be retried
+ */
+export const handleUnauthorized = async (profile) => {
+  if (!isAuthRequired(profile)) return false;
+  if (await refreshSession(profile)) return true;
+
+  clearSession(
+    profile.id,
+    getSession(profile)?.mode === AUTH_MODES.API_KEY
+      ? t("login.error.keyRejected")
+      : t("login.error.expired")
+  );
+  return false;
+};
@@ -0,0 +1,148 @@
+import axios from "axios";
+import {
+  AUTH_MODES,
+  getAuthHeaders,
+  getAuthState,
+  getSession,
+  handleUnauthorized,
+  loginWithApiKey,
+  loginWithPassword,
+  logout,
+  refreshSession,
+  requiresLogin,
+} from "./authService.js";
+
+const profile = {
+  id: "dev",
+  name: "Development",
+  kind: "http",
+  baseUrl: "https://api.example",
+  authMode: AUTH_MODES.BEARER,
+  loginPath: "/auth/login",
+  refreshPath: "/auth/refresh",
+  apiKeyHeader: "X-API-Key",
+};
+
+const signIn = async (tokens = {}) => {
+  axios.post.mockResolvedValueOnce({
+    data: { access_token: "old", refresh_token: "r1", ...tokens },
+  });
+  await loginWithPassword(profile, { username: "ada", password: "secret" });
+  axios.post.mockReset();
+};
+
+beforeAll(() => {
+  ["log", "warn", "error"].forEach((method) =>
+    jest.spyOn(console, method).mockImplementation(() => {})
+  );
+});
+
+beforeEach(() => {
+  jest.spyOn(axios, "post");
+});
+
+afterEach(() => {
+  axios.post.mockRestore();
+  logout(profile.id);
+});
+
+describe("loginWithPassword", () => {
+  it("stores the tokens and sends them as a bearer header", async () => {
+    expect(requiresLogin(profile)).toBe(true);
+    await signIn({ expires_in: 60 });
+
+    expect(getSession(profile)).toMatchObject({
+      accessToken: "old",
+      refreshToken: "r1",
+      user: "ada",
+    });
+    expect(getAuthHeaders(profile)).toEqual({ Authorization: "Bearer old" });
+    expect(requiresLogin(profile)).toBe(false);
+  });
+
+  it("reports rejected credentials", async () => {
+    axios.post.mockRejectedValueOnce(
+      Object.assign(new Error("Unauthorized"), { response: { status: 401 } })
+    );
+
+    const result = await loginWithPassword(profile, {
+      username: "ada",
+      password: "wrong",
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.status).toBe(401);
+    expect(getSession(profile)).toBeNull();
+  });
+});
+
+describe("refreshSession", () => {
+  it("shares one refresh request between concurrent callers", async () => {
+    await signIn();
+    let answer;
+    axios.post.mockReturnValueOnce(
+      new Promise((resolve) => {
+        answer = resolve;
+      })
+    );
+
+    const first = refreshSession(profile);
+    const second = refreshSession(profile);
+    answer({ data: { access_token: "new" } });
+
+    await expect(Promise.all([first, second])).resolves.toEqual([true, true]);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledWith(
+      "https://api.example/auth/refresh",
+      { refresh_token: "r1" },
+      expect.anything()
+    );
+    // The refresh token is kept when the response does not replace it
+    expect(getSession(profile)).toMatchObject({
+      accessToken: "new",
+      refreshToken: "r1",
+    });
+  });
+
+  it("starts a new refresh once the previous one has finished", async () => {
+    await signIn();
+    axios.post
+      .mockResolvedValueOnce({ data: { access_token: "second" } })
+      .mockResolvedValueOnce({ data: { access_token: "third" } });
+
+    await refreshSession(profile);
+    await refreshSession(profile);
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(getSession(profile).accessToken).toBe("third");
+  });
+});
+
+describe("handleUnauthorized", () => {
+  it("asks for a retry after a successful refresh", async () => {
+    await signIn();
+    axios.post.mockResolvedValueOnce({ data: { access_token: "new" } });
+
+    await expect(handleUnauthorized(profile)).resolves.toBe(true);
+    expect(getAuthHeaders(profile)).toEqual({ Authorization: "Bearer new" });
+  });
+
+  it("ends the session when the refresh fails", async () => {
+    await signIn();
+    axios.post.mockRejectedValueOnce(new Error("Refresh token expired"));
+
+    await expect(handleUnauthorized(profile)).resolves.toBe(false);
+    expect(getSession(profile)).toBeNull();
+    expect(getAuthState().expired[profile.id]).toBeTruthy();
+  });
+
+  it("ends an API-key session without trying to refresh", async () => {
+    const keyed = { ...profile, authMode: AUTH_MODES.API_KEY };
+    loginWithApiKey(keyed, " key-1 ");
+    expect(getAuthHeaders(keyed)).toEqual({ "X-API-Key": "key-1" });
+
+    await expect(handleUnauthorized(keyed)).resolves.toBe(false);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(getSession(keyed)).toBeNull();
+  });
+});
@@ -0,0 +1,441 @@
+/**
+ * Chat Threads
+ * AI Chat threads (messages, SQL, result snapshots and conversation context)
+ * kept in a module-level store and persisted to localStorage, so they survive
+ * page switches and reloads. Threads can be exported and imported as JSON.
+ */
+
+import { createConversation } from "./conversationContext.js";
+import { formatTime, t } from "./i18n.js";
+
+const STORAGE_KEY = "shipmentiq.chatThreads";
+const EXPORT_FORMAT = "shipmentiq-chat-threads";
+const EXPORT_VERSION = 1;
+
+// Rows kept per answer when saving; the full result stays in memory
+export const MAX_SNAPSHOT_ROWS = 200;
+
+const SAVE_DELAY_MS = 500;
+const TITLE_LENGTH = 60;
+
+const createId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+
+/**
+ * Creates a message id that is unique across threads and reloads
+ * @returns {string}
+ */
+export const createMessageId = () => createId("msg");
+
+/**
+ * Formats the time of a message in the chosen language and time zone.
+ * Threads saved by older versions hold the time as text, shown as it is.
+ * @param {string} timestamp - ISO timestamp of the message
+ * @returns {string}
+ */
+export const formatMessageTime = (timestamp) =>
+  Number.isNaN(Date.parse(timestamp)) ? timestamp || "" : formatTime(timestamp);
+
+const buildThread = (overrides = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: createId("thread"),
+    title: t("chat.newThread"),
+    autoTitle: true, // replaced by the first question until renamed
+    createdAt: now,
+    updatedAt: now,
+    conversation: createConversation(),
+    messages: [
+      {
+        id: createMessageId(),
+        sender: "ai",
+        text: t("chat.greeting"),
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    ...overrides,
+  };
+};
+
+// Answers still streaming when the page closed can never complete
+const settleMessage = (message) =>
+  message.status === "streaming"
+    ? {
+        ...message,
+        status: "cancelled",
+        text: t("chat.interrupted"),
+      }
+    : message;
+
+const isValidThread = (thread) =>
+  thread &&
+  typeof thread.id === "string" &&
+  typeof thread.title === "string" &&
+  Array.isArray(thread.messages);
+
+const loadThreads = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    const threads = (saved?.threads || []).filter(isValidThread).map((t) => ({
+      ...t,
+      conversation: t.conversation || createConversation(),
+      messages: t.messages.map(settleMessage),
+    }));
+    if (!threads.length) return null;
+
+    const activeId = threads.some((t) => t.id === saved.activeId)
+      ? saved.activeId
+      : threads[0].id;
+    return { threads, activeId };
+  } catch (error) {
+    console.warn("Could not read saved chat threads:", error);
+    return null;
+  }
+};
+
+const initialState = () => {
+  const saved = loadThreads();
+  if (saved) return { ...saved, saveError: null };
+
+  const thread = buildThread();
+  return { threads: [thread], activeId: thread.id, saveError: null };
+};
+
+let state = initialState();
+const listeners = new Set();
+
+const toSnapshot = (message) =>
+  Array.isArray(message.data) && message.data.length > MAX_SNAPSHOT_ROWS
+    ? {
+        ...message,
+        data: message.data.slice(0, MAX_SNAPSHOT_ROWS),
+        snapshotTruncated: true,
+      }
+    : message;
+
+const serializeThread = (thread) => ({
+  ...thread,
+  messages: thread.messages.map(toSnapshot),
+});
+
+const persist = () => {
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        activeId: state.activeId,
+        threads: state.threads.map(serializeThread),
+      })
+    );
+    return null;
+  } catch (error) {
+    console.warn("Could not save chat threads:", error);
+    return t("chat.saveFailed");
+  }
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// Streaming answers update a message many times a second, so saving waits
+// for a quiet moment
+let saveTimer = null;
+
+const flushSave = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const saveError = persist();
+  if (saveError !== state.saveError) {
+    state = { ...state, saveError };
+    notify();
+  }
+};
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushSave, SAVE_DELAY_MS);
+  notify();
+};
+
+if (typeof window !== "undefined" && window.addEventListener) {
+  window.addEventListener("pagehide", () => {
+    if (saveTimer) flushSave();
+  });
+}
+
+/**
+ * Subscribes to thread changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToThreads = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current thread state snapshot
+ * @returns {Object} - { threads, activeId, saveError }
+ */
+export const getThreadsState = () => state;
+
+/**
+ * Returns a thread by id
+ * @param {string} threadId - Thread id
+ * @returns {Object|null}
+ */
+export const getThread = (threadId) =>
+  state.threads.find((thread) => thread.id === threadId) || null;
+
+/**
+ * Starts a new, empty thread and makes it active
+ * @returns {string} - New thread id
+ */
+export const createThread = () => {
+  const thread = buildThread();
+  setState({ threads: [thread, ...state.threads], activeId: thread.id });
+  return thread.id;
+};
+
+/**
+ * Switches the active thread
+ * @param {string} threadId - Thread id
+ */
+export const setActiveThread = (threadId) => {
+  if (getThread(threadId)) setState({ activeId: threadId });
+};
+
+/**
+ * Applies a change to a thread. Answers arriving for a thread that is not
+ * active (or was deleted meanwhile) are handled the same way.
+ * @param {string} threadId - Thread id
+ * @param {Function} updater - (thread) => updated thread
+ */
+export const updateThread = (threadId, updater) => {
+  if (!getThread(threadId)) return;
+
+  setState({
+    threads: state.threads.map((thread) =>
+      thread.id === threadId
+        ? { ...updater(thread), updatedAt: new Date().toISOString() }
+        : thread
+    ),
+  });
+};
+
+/**
+ * Appends messages to a thread, naming an untitled thread after its first
+ * question
+ * @param {string} threadId - Thread id
+ * @param {Object[]} messages - Messages to append
+ */
+export const appendMessages = (threadId, messages) => {
+  updateThread(threadId, (thread) => {
+    const question = messages.find((m) => m.sender === "user")?.text;
+    const retitle = thread.autoTitle && question;
+
+    return {
+      ...thread,
+      title: retitle
+        ? question.length > TITLE_LENGTH
+          ? `${question.slice(0, TITLE_LENGTH - 1)}…`
+          : question
+        : thread.title,
+      autoTitle: thread.autoTitle && !question,
+      messages: [...thread.messages, ...messages],
+    };
+  });
+};
+
+/**
+ * Updates one message of a thread
+ * @param {string} threadId - Thread id
+ * @param {string} messageId - Message id
+ * @param {Object} changes - Fields to merge into the message
+ */
+export const updateMessage = (threadId, messageId, changes) => {
+  updateThread(threadId, (thread) => ({
+    ...thread,
+    messages: thread.messages.map((message) =>
+      message.id === messageId ? { ...message, ...changes } : message
+    ),
+  }));
+};
+
+/**
+ * Starts a new thread holding the messages before a question, so the
+ * question can be edited and asked again without losing the original
+ * thread. The branch keeps the conversation context of those messages.
+ * @param {string} threadId - Thread to branch from
+ * @param {string} messageId - Question the branch starts before
+ * @returns {string|null} - New thread id, or null when the message is unknown
+ */
+export const branchThread = (threadId, messageId) => {
+  const source = getThread(threadId);
+  const index = source?.messages.findIndex((m) => m.id === messageId) ?? -1;
+  if (index === -1) return null;
+
+  const messages = source.messages.slice(0, index).map(settleMessage);
+  // Branching a branch adds the suffix only once
+  const branchSuffix = t("chat.branchTitle", { title: "" });
+  const kept = new Set(messages.map((message) => message.id));
+  const thread = buildThread({
+    title: t("chat.branchTitle", {
+      title: source.title.endsWith(branchSuffix)
+        ? source.title.slice(0, -branchSuffix.length)
+        : source.title,
+    }),
+    autoTitle: false,
+    conversation: {
+      ...createConversation(),
+      parentId: source.conversation.id,
+      turns: source.conversation.turns.filter((turn) =>
+        kept.has(turn.messageId)
+      ),
+    },
+    messages,
+  });
+
+  setState({ threads: [thread, ...state.threads], activeId: thread.id });
+  return thread.id;
+};
+
+/**
+ * Renames a thread
+ * @param {string} threadId - Thread id
+ * @param {string} title - New title; blank titles are ignored
+ */
+export const renameThread = (threadId, title) => {
+  const trimmed = title.trim();
+  if (!trimmed) return;
+  updateThread(threadId, (thread) => ({
+    ...thread,
+    title: trimmed,
+    autoTitle: false,
+  }));
+};
+
+/**
+ * Deletes a thread. There is always at least one thread.
+ * @param {string} threadId - Thread id
+ */
+export const deleteThread = (threadId) => {
+  const threads = state.threads.filter((thread) => thread.id !== threadId);
+  if (!threads.length) threads.push(buildThread());
+
+  setState({
+    threads,
+    activeId:
+      state.activeId === threadId ||
+      !threads.some((t) => t.id === state.activeId)
+        ? threads[0].id
+        : state.activeId,
+  });
+};
+
+/**
+ * Filters threads by title, message text or generated SQL
+ * @param {Object[]} threads - Threads to search
+ * @param {string} query - Search text
+ * @returns {Object[]} - Matching threads
+ */
+export const searchThreads = (threads, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return threads;
+
+  return threads.filter(
+    (thread) =>
+      thread.title.toLowerCase().includes(needle) ||
+      thread.messages.some(
+        (message) =>
+          message.text?.toLowerCase().includes(needle) ||
+          message.sqlQuery?.toLowerCase().includes(needle)
+      )
+  );
+};
+
+// ==================== EXPORT / IMPORT ====================
+
+/**
+ * Serializes threads for sharing
+ * @param {string[]} threadIds - Threads to export, all when omitted
+ * @returns {string} - JSON document
+ */
+export const exportThreads = (threadIds = null) => {
+  const threads = state.threads.filter(
+    (thread) => !threadIds || threadIds.includes(thread.id)
+  );
+
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      threads: threads.map(serializeThread),
+    },
+    null,
+    2
+  );
+};
+
+/**
+ * Adds the threads of an exported JSON document. Imported threads get new
+ * ids, so importing the same file twice never overwrites anything.
+ * @param {string} json - Exported document
+ * @returns {Object} - { success, imported, error }
+ */
+export const importThreads = (json) => {
+  let document;
+  try {
+    document = JSON.parse(json);
+  } catch (error) {
+    return {
+      success: false,
+      imported: 0,
+      error: t("chat.import.notJson"),
+    };
+  }
+
+  if (document?.format !== EXPORT_FORMAT || !Array.isArray(document.threads)) {
+    return {
+      success: false,
+      imported: 0,
+      error: t("chat.import.notExport"),
+    };
+  }
+  if (document.version > EXPORT_VERSION) {
+    return {
+      success: false,
+      imported: 0,
+      error: t("chat.import.newerVersion", { version: document.version }),
+    };
+  }
+
+  const imported = document.threads.filter(isValidThread).map((thread) =>
+    buildThread({
+      ...thread,
+      id: createId("thread"),
+      autoTitle: false,
+      conversation: thread.conversation || createConversation(),
+      messages: thread.messages.map(settleMessage),
+    })
+  );
+
+  if (!imported.length) {
+    return {
+      success: false,
+      imported: 0,
+      error: t("chat.import.noThreads"),
+    };
+  }
+
+  setState({
+    threads: [...imported, ...state.threads],
+    activeId: imported[0].id,
+  });
+  return { success: true, imported: imported.length, error: null };
+};
@@ -0,0 +1,235 @@
+const STORAGE_KEY = "shipmentiq.chatThreads";
+
+// chatThreads reads localStorage once, when it is first imported
+const reload = () => {
+  let chatThreads;
+  jest.isolateModules(() => {
+    chatThreads = require("./chatThreads.js");
+  });
+  return chatThreads;
+};
+
+const savedThread = (messages) => ({
+  id: "thread-saved",
+  title: "Lane load",
+  messages,
+});
+
+const streamingAnswer = {
+  id: "msg-2",
+  sender: "ai",
+  text: "",
+  status: "streaming",
+  data: [{ lane: "A" }],
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("saved threads", () => {
+  it("marks answers still streaming at reload as cancelled", () => {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        activeId: "thread-saved",
+        threads: [
+          savedThread([
+            { id: "msg-1", sender: "user", text: "Load per lane" },
+            streamingAnswer,
+          ]),
+        ],
+      })
+    );
+
+    const { getThreadsState } = reload();
+    const [thread] = getThreadsState().threads;
+
+    expect(getThreadsState().activeId).toBe("thread-saved");
+    expect(thread.messages[0].text).toBe("Load per lane");
+    expect(thread.messages[1]).toMatchObject({
+      status: "cancelled",
+      text: "Interrupted before the answer arrived.",
+      data: [{ lane: "A" }],
+    });
+    expect(thread.conversation.turns).toEqual([]);
+  });
+
+  it("saves threads after a quiet moment and reads them back", () => {
+    const first = reload();
+    const threadId = first.createThread();
+    first.appendMessages(threadId, [
+      { id: "msg-q", sender: "user", text: "Which lane is busiest?" },
+    ]);
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+    jest.runOnlyPendingTimers();
+    const { getThread } = reload();
+
+    expect(getThread(threadId)).toMatchObject({
+      title: "Which lane is busiest?",
+      autoTitle: false,
+    });
+  });
+
+  it("starts with a fresh thread when the saved data is unreadable", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    window.localStorage.setItem(STORAGE_KEY, "{not json");
+
+    const { getThreadsState } = reload();
+
+    expect(getThreadsState().threads).toHaveLength(1);
+    expect(getThreadsState().threads[0].messages[0].sender).toBe("ai");
+  });
+});
+
+describe("branchThread", () => {
+  it("copies the messages and turns before the edited question", () => {
+    const chatThreads = reload();
+    const threadId = chatThreads.createThread();
+    chatThreads.appendMessages(threadId, [
+      { id: "q1", sender: "user", text: "Shipments per lane" },
+      { id: "a1", sender: "ai", text: "Found 4 records" },
+      { id: "q2", sender: "user", text: "Only lane 3" },
+      { ...streamingAnswer, id: "a2" },
+    ]);
+    chatThreads.updateThread(threadId, (thread) => ({
+      ...thread,
+      conversation: {
+        ...thread.conversation,
+        turns: [{ messageId: "a1" }, { messageId: "a2" }],
+      },
+    }));
+
+    const branchId = chatThreads.branchThread(threadId, "q2");
+    const branch = chatThreads.getThread(branchId);
+    const source = chatThreads.getThread(threadId);
+
+    expect(chatThreads.getThreadsState().activeId).toBe(branchId);
+    expect(branch.title).toBe("Shipments per lane (branch)");
+    expect(branch.messages.map((message) => message.id)).toEqual(
+      source.messages.slice(0, 3).map((message) => message.id)
+    );
+    expect(branch.conversation.turns).toEqual([{ messageId: "a1" }]);
+    expect(branch.conversation.parentId).toBe(source.conversation.id);
+    expect(source.messages).toHaveLength(5);
+  });
+
+  it("adds the branch suffix only once", () => {
+    const chatThreads = reload();
+    const threadId = chatThreads.createThread();
+    chatThreads.appendMessages(threadId, [
+      { id: "q1", sender: "user", text: "Load types" },
+      { id: "q2", sender: "user", text: "By month" },
+    ]);
+
+    const branchId = chatThreads.branchThread(threadId, "q2");
+    const again = chatThreads.branchThread(branchId, "q1");
+
+    expect(chatThreads.getThread(again).title).toBe("Load types (branch)");
+    expect(chatThreads.branchThread(threadId, "unknown")).toBeNull();
+  });
+});
+
+describe("export and import", () => {
+  it("round-trips threads under new ids", () => {
+    const chatThreads = reload();
+    const threadId = chatThreads.createThread();
+    chatThreads.appendMessages(threadId, [
+      { id: "msg-q", sender: "user", text: "Average load time" },
+      {
+        id: "msg-a",
+        sender: "ai",
+        text: "Found 3 records",
+        sqlQuery: "SELECT lane, AVG(load_time_minutes) FROM shipments",
+      },
+    ]);
+
+    const json = chatThreads.exportThreads([threadId]);
+    const result = chatThreads.importThreads(json);
+    const { threads, activeId } = chatThreads.getThreadsState();
+    const copy = threads[0];
+
+    expect(result).toEqual({ success: true, imported: 1, error: null });
+    expect(copy.id).not.toBe(threadId);
+    expect(activeId).toBe(copy.id);
+    expect(copy.title).toBe("Average load time");
+    expect(copy.messages.map((message) => message.text)).toEqual(
+      chatThreads.getThread(threadId).messages.map((message) => message.text)
+    );
+  });
+
+  it("exports at most a snapshot of each answer's rows", () => {
+    const chatThreads = reload();
+    const threadId = chatThreads.createThread();
+    const data = Array.from({ length: 250 }, (_, i) => ({ id: i }));
+    chatThreads.appendMessages(threadId, [{ id: "msg-a", sender: "ai", data }]);
+
+    const exported = JSON.parse(chatThreads.exportThreads([threadId]));
+    const [answer] = exported.threads[0].messages.slice(-1);
+
+    expect(exported.format).toBe("shipmentiq-chat-threads");
+    expect(answer.data).toHaveLength(chatThreads.MAX_SNAPSHOT_ROWS);
+    expect(answer.snapshotTruncated).toBe(true);
+  });
+
+  it("cancels streaming answers in imported threads", () => {
+    const chatThreads = reload();
+    chatThreads.importThreads(
+      JSON.stringify({
+        format: "shipmentiq-chat-threads",
+        version: 1,
+        threads: [savedThread([streamingAnswer])],
+      })
+    );
+
+    const [imported] = chatThreads.getThreadsState().threads;
+    expect(imported.messages[0].status).toBe("cancelled");
+  });
+
+  it.each([
+    ["text that is not JSON", "nope", "The file is not valid JSON."],
+    [
+      "another JSON document",
+      JSON.stringify({ threads: [] }),
+      "The file is not a ShipmentIQ chat export.",
+    ],
+    [
+      "an export without valid threads",
+      JSON.stringify({
+        format: "shipmentiq-chat-threads",
+        version: 1,
+        threads: [{ id: 1 }],
+      }),
+      "The file contains no threads.",
+    ],
+  ])("rejects %s", (_, json, error) => {
+    const chatThreads = reload();
+    const before = chatThreads.getThreadsState().threads;
+
+    expect(chatThreads.importThreads(json)).toEqual({
+      success: false,
+      imported: 0,
+      error,
+    });
+    expect(chatThreads.getThreadsState().threads).toBe(before);
+  });
+
+  it("rejects exports from a newer version", () => {
+    const { importThreads } = reload();
+    const result = importThreads(
+      JSON.stringify({
+        format: "shipmentiq-chat-threads",
+        version: 2,
+        threads: [],
+      })
+    );
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("2");
+  });
+});
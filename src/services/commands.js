@@ -0,0 +1,180 @@
+/**
+ * Commands
+ * Registry of the actions offered by the command palette and bound to
+ * keyboard shortcuts. The app and each page register their own commands
+ * (see useCommands) and remove them when they unmount, so the palette and
+ * the shortcut cheat sheet only list what can run on the current page.
+ *
+ * A command is { id, title, group, run, shortcut, keywords }. shortcut is a
+ * key ("?", "[", "a"), a key with modifiers ("mod+k", "shift+r"; mod is Ctrl,
+ * or Cmd on a Mac) or a two-key sequence ("g d").
+ */
+
+const SEQUENCE_TIMEOUT = 1000; // ms to press the second key of a sequence
+
+const sources = new Map();
+let commands = [];
+let pendingPrefix = null;
+const listeners = new Set();
+
+const rebuild = () => {
+  commands = [...sources.values()].flat();
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Adds or replaces the commands of a source (a page or the app)
+ * @param {string} source - Source id, e.g. "analytics"
+ * @param {Object[]} list - Commands
+ * @returns {Function} - Removes the source's commands
+ */
+export const registerCommands = (source, list) => {
+  sources.set(source, list);
+  rebuild();
+  return () => {
+    if (sources.get(source) !== list) return;
+    sources.delete(source);
+    rebuild();
+  };
+};
+
+/**
+ * Subscribes to changes of the registered commands
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCommands = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns every registered command
+ * @returns {Object[]}
+ */
+export const getCommands = () => commands;
+
+const IS_MAC =
+  typeof navigator !== "undefined" &&
+  /Mac|iP(hone|ad)/.test(navigator.platform);
+
+const KEY_LABELS = {
+  mod: IS_MAC ? "⌘" : "Ctrl",
+  shift: "Shift",
+  alt: IS_MAC ? "⌥" : "Alt",
+  escape: "Esc",
+};
+
+/**
+ * Formats a shortcut for display, e.g. "mod+k" as ["Ctrl", "K"]
+ * @param {string} shortcut - Shortcut as written in a command
+ * @returns {string[][]} - One list of key labels per step of the sequence
+ */
+export const formatShortcut = (shortcut = "") =>
+  shortcut
+    .split(" ")
+    .map((step) =>
+      step.split("+").map((key) => KEY_LABELS[key] || key.toUpperCase())
+    );
+
+// "mod+shift+k" -> { key: "k", mod: true, shift: true, alt: false }
+const parseStep = (step) => {
+  const keys = step.split("+");
+  const key = keys.pop();
+  return {
+    key,
+    mod: keys.includes("mod"),
+    shift: keys.includes("shift"),
+    alt: keys.includes("alt"),
+  };
+};
+
+// Printable keys such as "?" already include Shift, so Shift is only
+// compared for letters and named keys
+const matchesStep = (step, event) => {
+  const { key, mod, shift, alt } = parseStep(step);
+  const pressed = event.key.toLowerCase();
+  if (pressed !== key.toLowerCase()) return false;
+  if (mod !== (event.ctrlKey || event.metaKey)) return false;
+  if (alt !== event.altKey) return false;
+  return key.length > 1 || /[a-z0-9]/i.test(key)
+    ? shift === event.shiftKey
+    : true;
+};
+
+const isTyping = (target) =>
+  Boolean(target) &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+/**
+ * Runs the command bound to a keydown event, if any. While typing in a
+ * field only shortcuts with Ctrl/Cmd apply, so text can still be entered.
+ * @param {KeyboardEvent} event - Window keydown event
+ * @returns {boolean} - true when a command ran
+ */
+export const handleShortcut = (event) => {
+  if (event.defaultPrevented || event.repeat) return false;
+  const typing = isTyping(event.target);
+  const prefix =
+    pendingPrefix && Date.now() - pendingPrefix.at < SEQUENCE_TIMEOUT
+      ? pendingPrefix.step
+      : null;
+  pendingPrefix = null;
+
+  const bound = commands.filter(
+    (command) =>
+      command.shortcut && (!typing || command.shortcut.includes("mod+"))
+  );
+
+  const command = bound.find((candidate) => {
+    const steps = candidate.shortcut.split(" ");
+    if (steps.length === 1) return !prefix && matchesStep(steps[0], event);
+    return prefix === steps[0] && matchesStep(steps[1], event);
+  });
+
+  if (command) {
+    event.preventDefault();
+    command.run();
+    return true;
+  }
+
+  // The first key of a sequence waits for the second
+  const starts = bound.find((candidate) => {
+    const steps = candidate.shortcut.split(" ");
+    return steps.length > 1 && matchesStep(steps[0], event);
+  });
+  if (starts && !prefix) {
+    pendingPrefix = { step: starts.shortcut.split(" ")[0], at: Date.now() };
+  }
+  return false;
+};
+
+/**
+ * Ranks commands for a palette search. Every word of the query has to
+ * appear in the title, group or keywords; titles starting with the query
+ * come first.
+ * @param {Object[]} list - Commands
+ * @param {string} query - Search text
+ * @returns {Object[]}
+ */
+export const searchCommands = (list, query = "") => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return list;
+
+  const text = (command) =>
+    [command.title, command.group, ...(command.keywords || [])]
+      .join(" ")
+      .toLowerCase();
+
+  return list
+    .filter((command) => words.every((word) => text(command).includes(word)))
+    .map((command, index) => ({
+      command,
+      rank: command.title.toLowerCase().startsWith(query.toLowerCase().trim())
+        ? index - list.length
+        : index,
+    }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ command }) => command);
+};
@@ -0,0 +1,161 @@
+import {
+  formatShortcut,
+  getCommands,
+  handleShortcut,
+  registerCommands,
+  searchCommands,
+  subscribeToCommands,
+} from "./commands.js";
+
+const keydown = (key, modifiers = {}, target = document.body) => ({
+  key,
+  target,
+  ctrlKey: false,
+  metaKey: false,
+  shiftKey: false,
+  altKey: false,
+  repeat: false,
+  defaultPrevented: false,
+  preventDefault: jest.fn(),
+  ...modifiers,
+});
+
+let commands;
+let unregister;
+
+beforeEach(() => {
+  commands = {
+    palette: {
+      id: "palette",
+      title: "Open command palette",
+      group: "General",
+      shortcut: "mod+k",
+      run: jest.fn(),
+    },
+    help: {
+      id: "help",
+      title: "Show keyboard shortcuts",
+      group: "General",
+      shortcut: "?",
+      run: jest.fn(),
+    },
+    refresh: {
+      id: "refresh",
+      title: "Refresh data",
+      group: "Traffic",
+      shortcut: "shift+r",
+      run: jest.fn(),
+    },
+    dashboard: {
+      id: "go-dashboard",
+      title: "Go to Dashboard",
+      group: "Navigation",
+      shortcut: "g d",
+      run: jest.fn(),
+    },
+  };
+  unregister = registerCommands("test", Object.values(commands));
+});
+
+afterEach(() => {
+  unregister();
+  jest.useRealTimers();
+});
+
+describe("registerCommands", () => {
+  it("lists each source's commands until it unregisters", () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToCommands(listener);
+    const page = [{ id: "export", title: "Export CSV", group: "Analytics" }];
+
+    const remove = registerCommands("page", page);
+    expect(getCommands()).toHaveLength(5);
+
+    remove();
+    expect(getCommands()).toHaveLength(4);
+    expect(listener).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+
+  it("keeps a newer registration of the same source", () => {
+    const removeOld = registerCommands("page", [{ id: "old" }]);
+    registerCommands("page", [{ id: "new" }]);
+
+    removeOld();
+
+    expect(getCommands().map((command) => command.id)).toContain("new");
+    registerCommands("page", [])();
+  });
+});
+
+describe("handleShortcut", () => {
+  it("runs Ctrl/Cmd shortcuts even while typing", () => {
+    const input = document.createElement("input");
+
+    expect(handleShortcut(keydown("k", { ctrlKey: true }, input))).toBe(true);
+    expect(handleShortcut(keydown("K", { metaKey: true }))).toBe(true);
+    expect(commands.palette.run).toHaveBeenCalledTimes(2);
+
+    expect(handleShortcut(keydown("?", { shiftKey: true }, input))).toBe(false);
+    expect(commands.help.run).not.toHaveBeenCalled();
+  });
+
+  it("compares Shift for letters but not for printable symbols", () => {
+    expect(handleShortcut(keydown("?", { shiftKey: true }))).toBe(true);
+    expect(handleShortcut(keydown("r"))).toBe(false);
+    expect(handleShortcut(keydown("R", { shiftKey: true }))).toBe(true);
+    expect(commands.help.run).toHaveBeenCalledTimes(1);
+    expect(commands.refresh.run).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits a second for the second key of a sequence", () => {
+    jest.useFakeTimers();
+
+    expect(handleShortcut(keydown("g"))).toBe(false);
+    expect(handleShortcut(keydown("d"))).toBe(true);
+    expect(commands.dashboard.run).toHaveBeenCalledTimes(1);
+
+    handleShortcut(keydown("g"));
+    jest.advanceTimersByTime(1500);
+    expect(handleShortcut(keydown("d"))).toBe(false);
+    expect(commands.dashboard.run).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves handled and repeated keys alone", () => {
+    expect(handleShortcut(keydown("?", { defaultPrevented: true }))).toBe(
+      false
+    );
+    expect(handleShortcut(keydown("?", { repeat: true }))).toBe(false);
+    expect(commands.help.run).not.toHaveBeenCalled();
+  });
+});
+
+describe("formatShortcut", () => {
+  it("labels each key of each step", () => {
+    expect(formatShortcut("mod+shift+k")).toEqual([["Ctrl", "Shift", "K"]]);
+    expect(formatShortcut("g d")).toEqual([["G"], ["D"]]);
+  });
+});
+
+describe("searchCommands", () => {
+  it("needs every word and ranks titles that start with the query first", () => {
+    const list = Object.values(commands);
+
+    expect(searchCommands(list, "")).toBe(list);
+    expect(searchCommands(list, "show keyboard")).toEqual([commands.help]);
+    expect(searchCommands(list, "general")).toEqual([
+      commands.palette,
+      commands.help,
+    ]);
+    expect(searchCommands(list, "go").map((command) => command.id)).toEqual([
+      "go-dashboard",
+    ]);
+
+    const recent = { id: "recent", title: "Rerun recent data", group: "" };
+    const sources = { id: "sources", title: "Data sources", group: "" };
+    expect(searchCommands([recent, sources], "data ")).toEqual([
+      sources,
+      recent,
+    ]);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Connection Manager
+ * Backend profiles, per-session active backend and health checks
+ */
+
+import { httpClient } from "./httpClient.js";
+import { resetCircuit } from "./resilience.js";
+import { t } from "./i18n.js";
+
+const env = import.meta.env || {};
+
+const PROFILE_OVERRIDES_KEY = "shipmentiq.backendProfiles";
+const ACTIVE_BACKEND_KEY = "shipmentiq.activeBackend";
+const LEGACY_LANGCHAIN_URL = "https://langchain-backend.loca.lt";
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const isEnabled = (value) => String(value).toLowerCase() === "true";
+
+/**
+ * Authentication fields shared by the HTTP profiles. authMode is "none",
+ * "bearer" (username / password login, token refresh) or "apiKey".
+ */
+const DEFAULT_AUTH = {
+  authMode: env.VITE_API_AUTH_MODE || "none",
+  apiKeyHeader: env.VITE_API_KEY_HEADER || "X-API-Key",
+  loginPath: "/auth/login",
+  refreshPath: "/auth/refresh",
+};
+
+/**
+ * Default backend profiles, resolved from Vite env variables
+ */
+const DEFAULT_PROFILES = [
+  {
+    id: "dev",
+    name: "Development",
+    kind: "http",
+    baseUrl: env.VITE_API_URL_DEV || env.VITE_API_URL || LEGACY_LANGCHAIN_URL,
+    timeout: 60000,
+    ...DEFAULT_AUTH,
+  },
+  {
+    id: "staging",
+    name: "Staging",
+    kind: "http",
+    baseUrl: env.VITE_API_URL_STAGING || "",
+    timeout: 60000,
+    ...DEFAULT_AUTH,
+  },
+  {
+    id: "prod",
+    name: "Production",
+    kind: "http",
+    baseUrl: env.VITE_API_URL_PROD || "",
+    timeout: 60000,
+    ...DEFAULT_AUTH,
+  },
+  {
+    id: "mock",
+    name: "Local mock",
+    kind: "mock",
+    baseUrl: "",
+    timeout: 0,
+    authMode: "none",
+    enabled: isEnabled(env.VITE_ENABLE_MOCK_DATA),
+  },
+];
+
+const readStorage = (storage, key) => {
+  try {
+    const raw = storage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`Could not read ${key} from storage:`, error);
+    return null;
+  }
+};
+
+const writeStorage = (storage, key, value) => {
+  try {
+    if (value === null) {
+      storage?.removeItem(key);
+    } else {
+      storage?.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key} to storage:`, error);
+  }
+};
+
+const getLocalStorage = () =>
+  typeof window !== "undefined" ? window.localStorage : null;
+const getSessionStorage = () =>
+  typeof window !== "undefined" ? window.sessionStorage : null;
+
+/**
+ * Merges user edits from the settings panel over the env defaults. The mock
+ * backend sends no requests, so it always stays anonymous.
+ */
+const buildProfiles = (overrides = {}) =>
+  DEFAULT_PROFILES.map((profile) => ({
+    ...profile,
+    ...(overrides[profile.id] || {}),
+    id: profile.id,
+    kind: profile.kind,
+    ...(profile.kind === "mock" ? { authMode: "none" } : {}),
+  }));
+
+const resolveInitialActiveId = (profiles) => {
+  const requested =
+    readStorage(getSessionStorage(), ACTIVE_BACKEND_KEY) ||
+    env.VITE_DEFAULT_BACKEND ||
+    (isEnabled(env.VITE_ENABLE_MOCK_DATA) && !env.VITE_API_URL
+      ? "mock"
+      : "dev");
+
+  return profiles.some((p) => p.id === requested && p.enabled !== false)
+    ? requested
+    : "dev";
+};
+
+const initialOverrides =
+  readStorage(getLocalStorage(), PROFILE_OVERRIDES_KEY) || {};
+const initialProfiles = buildProfiles(initialOverrides);
+
+let state = {
+  overrides: initialOverrides,
+  profiles: initialProfiles,
+  activeId: resolveInitialActiveId(initialProfiles),
+  health: {},
+};
+
+const listeners = new Set();
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribes to connection state changes
+ * @param {Function} listener - Called after every state change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToConnection = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current connection state snapshot
+ * @returns {Object} - { profiles, activeId, health }
+ */
+export const getConnectionState = () => state;
+
+/**
+ * Returns the backend profile used by API calls in this session
+ * @returns {Object} - Active backend profile
+ */
+export const getActiveBackend = () =>
+  state.profiles.find((p) => p.id === state.activeId) || state.profiles[0];
+
+/**
+ * Selects the active backend for the current browser session
+ * @param {string} profileId - Profile id (dev, staging, prod, mock)
+ */
+export const setActiveBackend = (profileId) => {
+  if (!state.profiles.some((p) => p.id === profileId && p.enabled !== false)) {
+    console.warn(`Unknown or disabled backend profile: ${profileId}`);
+    return;
+  }
+
+  writeStorage(getSessionStorage(), ACTIVE_BACKEND_KEY, profileId);
+  setState({ activeId: profileId });
+};
+
+/**
+ * Saves edits to a backend profile (name, baseUrl, timeout, authMode,
+ * apiKeyHeader, loginPath, refreshPath). Changing any of them closes the
+ * profile's circuit breaker, so the next request tries the new settings.
+ * @param {string} profileId - Profile id
+ * @param {Object} changes - Fields to override
+ */
+export const updateBackendProfile = (profileId, changes) => {
+  const { id, kind, enabled, ...editable } = changes;
+  const overrides = {
+    ...state.overrides,
+    [profileId]: { ...(state.overrides[profileId] || {}), ...editable },
+  };
+
+  const previous = state.profiles.find((p) => p.id === profileId);
+  const profiles = buildProfiles(overrides);
+  const next = profiles.find((p) => p.id === profileId);
+  // Failures against the old URL or settings say nothing about the new ones
+  if (
+    previous &&
+    next &&
+    Object.keys(editable).some((key) => previous[key] !== next[key])
+  ) {
+    resetCircuit(profileId);
+  }
+
+  writeStorage(getLocalStorage(), PROFILE_OVERRIDES_KEY, overrides);
+  setState({
+    overrides,
+    profiles,
+    health: { ...state.health, [profileId]: undefined },
+  });
+};
+
+/**
+ * Discards all profile edits and falls back to the env defaults
+ */
+export const resetBackendProfiles = () => {
+  state.profiles.forEach((profile) => resetCircuit(profile.id));
+  writeStorage(getLocalStorage(), PROFILE_OVERRIDES_KEY, null);
+  setState({ overrides: {}, profiles: buildProfiles(), health: {} });
+};
+
+/**
+ * Builds a full endpoint URL for a profile
+ * @param {Object} profile - Backend profile
+ * @param {string} path - Endpoint path, e.g. "/query"
+ * @returns {string} - Absolute URL
+ */
+export const buildBackendUrl = (profile, path) =>
+  `${(profile.baseUrl || "").replace(/\/+$/, "")}${path}`;
+
+/**
+ * Checks whether a backend profile is reachable and records the result
+ * @param {string} profileId - Profile id, defaults to the active backend
+ * @returns {Promise<Object>} - { status, latencyMs, checkedAt, message }
+ */
+export const checkBackendHealth = async (profileId = state.activeId) => {
+  const profile = state.profiles.find((p) => p.id === profileId);
+  if (!profile) return null;
+
+  const record = (health) => {
+    setState({ health: { ...state.health, [profileId]: health } });
+    return health;
+  };
+
+  if (profile.kind === "mock") {
+    return record({
+      status: "online",
+      latencyMs: 0,
+      checkedAt: new Date().toISOString(),
+      message: t("backend.mockHealth"),
+    });
+  }
+
+  if (!profile.baseUrl) {
+    return record({
+      status: "unconfigured",
+      latencyMs: null,
+      checkedAt: new Date().toISOString(),
+      message: t("backend.noUrl"),
+    });
+  }
+
+  setState({
+    health: {
+      ...state.health,
+      [profileId]: { ...(state.health[profileId] || {}), status: "checking" },
+    },
+  });
+
+  const startedAt = Date.now();
+
+  try {
+    // Any HTTP answer means the server is up; the backend may not expose /health
+    const response = await httpClient.get(buildBackendUrl(profile, "/health"), {
+      backend: profile,
+      timeout: HEALTH_CHECK_TIMEOUT,
+      validateStatus: () => true,
+    });
+
+    return record({
+      status: response.status >= 500 ? "degraded" : "online",
+      latencyMs: Date.now() - startedAt,
+      checkedAt: new Date().toISOString(),
+      message: `HTTP ${response.status}`,
+    });
+  } catch (error) {
+    return record({
+      status: "offline",
+      latencyMs: null,
+      checkedAt: new Date().toISOString(),
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,150 @@
+import {
+  buildBackendUrl,
+  checkBackendHealth,
+  getActiveBackend,
+  getConnectionState,
+  resetBackendProfiles,
+  setActiveBackend,
+  updateBackendProfile,
+} from "./connectionManager.js";
+import { httpClient } from "./httpClient.js";
+import {
+  configureRetryPolicy,
+  executeWithResilience,
+  getCircuitState,
+} from "./resilience.js";
+
+const failingRequest = () =>
+  Promise.resolve({
+    success: false,
+    cancelled: false,
+    error: { message: "Network Error", type: "network" },
+  });
+
+const tripCircuit = async (backendId) => {
+  await executeWithResilience(backendId, failingRequest);
+  expect(getCircuitState(backendId).state).toBe("open");
+};
+
+const profile = (id) =>
+  getConnectionState().profiles.find((candidate) => candidate.id === id);
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  configureRetryPolicy({ maxRetries: 0, failureThreshold: 1 });
+});
+
+afterAll(() => {
+  console.warn.mockRestore();
+});
+
+afterEach(() => resetBackendProfiles());
+
+describe("updateBackendProfile", () => {
+  it("closes the circuit when the URL changes", async () => {
+    await tripCircuit("staging");
+    updateBackendProfile("staging", { baseUrl: "https://fixed.example" });
+    expect(profile("staging").baseUrl).toBe("https://fixed.example");
+    expect(getCircuitState("staging").state).toBe("closed");
+  });
+
+  it("closes the circuit when other settings change", async () => {
+    await tripCircuit("staging");
+    updateBackendProfile("staging", {
+      timeout: profile("staging").timeout + 1,
+    });
+    expect(getCircuitState("staging").state).toBe("closed");
+  });
+
+  it("keeps the circuit open when nothing changed", async () => {
+    await tripCircuit("staging");
+    updateBackendProfile("staging", { baseUrl: profile("staging").baseUrl });
+    expect(getCircuitState("staging").state).toBe("open");
+  });
+});
+
+describe("backend profiles", () => {
+  afterEach(() => setActiveBackend("dev"));
+
+  it("switches the active backend for the session", () => {
+    setActiveBackend("staging");
+    expect(getActiveBackend().id).toBe("staging");
+    expect(
+      JSON.parse(window.sessionStorage.getItem("shipmentiq.activeBackend"))
+    ).toBe("staging");
+  });
+
+  it("refuses unknown and disabled profiles", () => {
+    setActiveBackend("nowhere");
+    setActiveBackend("mock");
+    expect(getActiveBackend().id).toBe("dev");
+  });
+
+  it("saves edits without letting them change the id or kind", () => {
+    updateBackendProfile("prod", {
+      id: "other",
+      kind: "mock",
+      baseUrl: "https://prod.example/",
+    });
+    expect(profile("prod")).toMatchObject({
+      id: "prod",
+      kind: "http",
+      baseUrl: "https://prod.example/",
+    });
+    expect(
+      JSON.parse(window.localStorage.getItem("shipmentiq.backendProfiles"))
+    ).toEqual({ prod: { baseUrl: "https://prod.example/" } });
+  });
+
+  it("keeps the mock backend anonymous", () => {
+    updateBackendProfile("mock", { authMode: "bearer" });
+    expect(profile("mock").authMode).toBe("none");
+  });
+
+  it("joins base URLs and paths with one slash", () => {
+    expect(
+      buildBackendUrl({ baseUrl: "https://api.example//" }, "/query")
+    ).toBe("https://api.example/query");
+  });
+});
+
+describe("checkBackendHealth", () => {
+  afterEach(() => httpClient.get.mockRestore?.());
+
+  it("reports a profile without a URL as unconfigured", async () => {
+    updateBackendProfile("staging", { baseUrl: "" });
+    const get = jest.spyOn(httpClient, "get");
+
+    const health = await checkBackendHealth("staging");
+
+    expect(health.status).toBe("unconfigured");
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  it("counts any HTTP answer below 500 as online", async () => {
+    updateBackendProfile("staging", { baseUrl: "https://staging.example" });
+    const get = jest
+      .spyOn(httpClient, "get")
+      .mockResolvedValue({ status: 404 });
+
+    const health = await checkBackendHealth("staging");
+
+    expect(get.mock.calls[0][0]).toBe("https://staging.example/health");
+    expect(health).toMatchObject({ status: "online", message: "HTTP 404" });
+    expect(getConnectionState().health.staging.status).toBe("online");
+  });
+
+  it("reports server errors as degraded and failed requests as offline", async () => {
+    updateBackendProfile("staging", { baseUrl: "https://staging.example" });
+    jest
+      .spyOn(httpClient, "get")
+      .mockResolvedValueOnce({ status: 503 })
+      .mockRejectedValueOnce(new Error("Network Error"));
+
+    expect((await checkBackendHealth("staging")).status).toBe("degraded");
+    expect(await checkBackendHealth("staging")).toMatchObject({
+      status: "offline",
+      message: "Network Error",
+    });
+  });
+});
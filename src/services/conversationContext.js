@@ -0,0 +1,257 @@
+/**
+ * Conversation Context
+ * Earlier turns of a conversation (question, generated SQL and result
+ * schema) sent along with follow-up questions, so "now only for LANE03" is
+ * read against the previous query. Conversations are plain immutable objects
+ * owned by the page that asks the questions.
+ */
+
+const env = import.meta.env || {};
+
+const SETTINGS_KEY = "shipmentiq.conversation";
+
+export const MAX_CONTEXT_TURNS = 20;
+export const MIN_TOKEN_BUDGET = 200;
+export const MAX_TOKEN_BUDGET = 16000;
+
+const DEFAULT_SETTINGS = {
+  maxTurns: Number(env.VITE_CONTEXT_MAX_TURNS ?? 5),
+  tokenBudget: Number(env.VITE_CONTEXT_TOKEN_BUDGET) || 2000,
+};
+
+const SCHEMA_SAMPLE_ROWS = 50;
+const CHARS_PER_TOKEN = 4; // rough estimate for English text and SQL
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2})?/;
+
+const clamp = (value, min, max) =>
+  Math.min(max, Math.max(min, Math.round(value) || 0));
+
+const sanitizeSettings = ({ maxTurns, tokenBudget }) => ({
+  maxTurns: clamp(maxTurns, 0, MAX_CONTEXT_TURNS),
+  tokenBudget: clamp(tokenBudget, MIN_TOKEN_BUDGET, MAX_TOKEN_BUDGET),
+});
+
+const loadSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    return sanitizeSettings({
+      ...DEFAULT_SETTINGS,
+      ...(raw ? JSON.parse(raw) : {}),
+    });
+  } catch (error) {
+    return sanitizeSettings(DEFAULT_SETTINGS);
+  }
+};
+
+let settings = loadSettings();
+
+/**
+ * Returns the context window settings
+ * @returns {Object} - { maxTurns, tokenBudget }; maxTurns 0 switches context off
+ */
+export const getContextSettings = () => settings;
+
+/**
+ * Updates and persists the context window settings
+ * @param {Object} changes - Partial { maxTurns, tokenBudget }
+ */
+export const configureContext = (changes) => {
+  settings = sanitizeSettings({ ...settings, ...changes });
+
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not save conversation settings:", error);
+  }
+};
+
+// ==================== CONVERSATIONS ====================
+
+const createConversationId = () =>
+  `conv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Starts an empty conversation. Also used to reset the context.
+ * @returns {Object} - { id, parentId, turns, createdAt }
+ */
+export const createConversation = () => ({
+  id: createConversationId(),
+  parentId: null,
+  turns: [],
+  createdAt: new Date().toISOString(),
+});
+
+const typeOf = (value) => {
+  if (typeof value === "number") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "string" && ISO_DATE.test(value)) return "datetime";
+  return "string";
+};
+
+/**
+ * Describes the columns of a result from its first rows
+ * @param {Object[]} rows - Result rows
+ * @returns {Object[]} - [{ name, type }], type is number, boolean, datetime or string
+ */
+export const describeColumns = (rows = []) => {
+  const types = {};
+
+  rows.slice(0, SCHEMA_SAMPLE_ROWS).forEach((row) => {
+    Object.entries(row).forEach(([name, value]) => {
+      if (value === null || value === undefined || value === "") {
+        types[name] = types[name] || null;
+        return;
+      }
+      const type = typeOf(value);
+      types[name] = !types[name] || types[name] === type ? type : "string";
+    });
+  });
+
+  return Object.entries(types).map(([name, type]) => ({
+    name,
+    type: type || "string",
+  }));
+};
+
+const toTurn = (result, messageId) => ({
+  messageId,
+  question: result.userQuestion,
+  sqlQuery: result.sqlQuery || "",
+  columns: describeColumns(result.data),
+  rowCount: result.pagination?.totalCount ?? result.data.length,
+});
+
+/**
+ * Adds a successful query to a conversation
+ * @param {Object} conversation - Conversation
+ * @param {Object} result - Query result ({ userQuestion, sqlQuery, data, pagination })
+ * @param {string} messageId - Chat message that holds the answer, used to fork
+ * @returns {Object} - New conversation
+ */
+export const addTurn = (conversation, result, messageId = null) => ({
+  ...conversation,
+  turns: [...conversation.turns, toTurn(result, messageId)].slice(
+    -MAX_CONTEXT_TURNS
+  ),
+});
+
+/**
+ * Replaces the turn of an answer that was asked again, keeping its place in
+ * the conversation. Conversations without that answer are returned as is.
+ * @param {Object} conversation - Conversation
+ * @param {Object} result - Query result of the rerun
+ * @param {string} messageId - Chat message that holds the answer
+ * @returns {Object} - New conversation
+ */
+export const replaceTurn = (conversation, result, messageId) =>
+  conversation.turns.some((turn) => turn.messageId === messageId)
+    ? {
+        ...conversation,
+        turns: conversation.turns.map((turn) =>
+          turn.messageId === messageId ? toTurn(result, messageId) : turn
+        ),
+      }
+    : conversation;
+
+/**
+ * Returns the conversation as it stood when an answer was asked: the turns
+ * before it. Answers no longer in the conversation get no turns.
+ * @param {Object} conversation - Conversation
+ * @param {string} messageId - Chat message that holds the answer
+ * @returns {Object} - Conversation with the earlier turns only
+ */
+export const conversationBefore = (conversation, messageId) => {
+  const index = conversation.turns.findIndex(
+    (turn) => turn.messageId === messageId
+  );
+  return {
+    ...conversation,
+    turns: index === -1 ? [] : conversation.turns.slice(0, index),
+  };
+};
+
+/**
+ * Starts a new conversation that shares the turns up to a given answer.
+ * Later turns stay with the original conversation.
+ * @param {Object} conversation - Conversation to fork
+ * @param {string} messageId - Last answer to keep; all turns when omitted
+ * @returns {Object} - New conversation with parentId set
+ */
+export const forkConversation = (conversation, messageId = null) => {
+  const end = conversation.turns.findIndex(
+    (turn) => turn.messageId === messageId
+  );
+
+  return {
+    ...createConversation(),
+    parentId: conversation.id,
+    turns:
+      end === -1
+        ? [...conversation.turns]
+        : conversation.turns.slice(0, end + 1),
+  };
+};
+
+// ==================== REQUEST PAYLOAD ====================
+
+const estimateTokens = (value) =>
+  Math.ceil(JSON.stringify(value).length / CHARS_PER_TOKEN);
+
+const toPayloadTurn = (turn) => ({
+  question: turn.question,
+  sql_query: turn.sqlQuery,
+  columns: turn.columns,
+  row_count: turn.rowCount,
+});
+
+/**
+ * Builds the `conversation` field of a /query request: the latest turns that
+ * fit the window and token budget, oldest dropped first. The newest turn is
+ * always kept; its column list is cut when it alone exceeds the budget.
+ * @param {Object|null} conversation - Conversation
+ * @param {Object} options - Settings override, defaults to getContextSettings()
+ * @returns {Object|null} - { conversation_id, parent_id, turns, omitted_turns } or null
+ *   when there is nothing to send
+ */
+export const buildContextPayload = (conversation, options = settings) => {
+  const { maxTurns, tokenBudget } = options;
+  if (!conversation?.turns.length || maxTurns <= 0) return null;
+
+  let turns = conversation.turns.slice(-maxTurns).map(toPayloadTurn);
+  const payload = () => ({
+    conversation_id: conversation.id,
+    parent_id: conversation.parentId,
+    turns,
+    omitted_turns: conversation.turns.length - turns.length,
+  });
+
+  while (turns.length > 1 && estimateTokens(payload()) > tokenBudget) {
+    turns = turns.slice(1);
+  }
+
+  // Only the newest turn is left here when the payload is still too large
+  while (turns[0].columns.length && estimateTokens(payload()) > tokenBudget) {
+    turns = [{ ...turns[0], columns: turns[0].columns.slice(0, -1) }];
+  }
+
+  return payload();
+};
+
+/**
+ * Short fingerprint of a context payload, so cached answers to the same
+ * follow-up in different conversations stay apart
+ * @param {Object|null} payload - From buildContextPayload
+ * @returns {string} - Empty when there is no context
+ */
+export const getContextKey = (payload) => {
+  if (!payload) return "";
+
+  const text = JSON.stringify(
+    payload.turns.map((turn) => [turn.question, turn.sql_query])
+  );
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
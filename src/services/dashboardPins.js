@@ -0,0 +1,102 @@
+/**
+ * Dashboard Pins
+ * Charts and tables pinned from AI Chat answers to the Dashboard, persisted
+ * to localStorage. A pin is a snapshot of the answer when it was pinned.
+ */
+
+import { MAX_SNAPSHOT_ROWS } from "./chatThreads.js";
+import { t } from "./i18n.js";
+
+const STORAGE_KEY = "shipmentiq.dashboardPins";
+
+export const PIN_VIEWS = ["chart", "table"];
+
+const loadPins = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : [];
+    return Array.isArray(saved)
+      ? saved.filter((pin) => pin?.id && Array.isArray(pin.data))
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+let pins = loadPins();
+const listeners = new Set();
+
+const setPins = (next) => {
+  pins = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(pins));
+  } catch (error) {
+    console.warn("Could not save dashboard pins:", error);
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribes to pin changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToPins = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the pinned results, newest first
+ * @returns {Object[]}
+ */
+export const getPins = () => pins;
+
+/**
+ * Pins a chat answer to the Dashboard. Pinning the same answer and view
+ * again replaces the earlier pin with the current rows.
+ * @param {Object} message - Chat answer ({ id, question, sqlQuery, data, chart, isDemo })
+ * @param {string} view - "chart" or "table"
+ * @returns {Object} - { success, pin, error }
+ */
+export const pinResult = (message, view) => {
+  if (!PIN_VIEWS.includes(view)) {
+    return {
+      success: false,
+      pin: null,
+      error: t("pins.error.unknownView", { view }),
+    };
+  }
+  if (!message?.data?.length) {
+    return { success: false, pin: null, error: t("pins.error.noRows") };
+  }
+
+  const pin = {
+    id: `pin-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`,
+    messageId: message.id,
+    view,
+    title: message.question || t("pins.untitled"),
+    sqlQuery: message.sqlQuery || "",
+    chart: message.chart || null,
+    data: message.data.slice(0, MAX_SNAPSHOT_ROWS),
+    rowCount: message.rowCount ?? message.data.length,
+    isDemo: Boolean(message.isDemo),
+    pinnedAt: new Date().toISOString(),
+  };
+
+  setPins([
+    pin,
+    ...pins.filter((p) => !(p.messageId === message.id && p.view === view)),
+  ]);
+  return { success: true, pin, error: null };
+};
+
+/**
+ * Removes a pin
+ * @param {string} pinId - Pin id
+ */
+export const unpinResult = (pinId) => {
+  setPins(pins.filter((pin) => pin.id !== pinId));
+};
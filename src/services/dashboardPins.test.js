@@ -0,0 +1,66 @@
+import { MAX_SNAPSHOT_ROWS } from "./chatThreads.js";
+import { getPins, pinResult, unpinResult } from "./dashboardPins.js";
+
+const answer = {
+  id: "msg-a",
+  question: "Shipments per lane",
+  sqlQuery: "SELECT lane, COUNT(*) AS shipments FROM shipments GROUP BY lane",
+  data: [
+    { lane: "A", shipments: 4 },
+    { lane: "B", shipments: 9 },
+  ],
+};
+
+afterEach(() => getPins().forEach((pin) => unpinResult(pin.id)));
+
+describe("pinResult", () => {
+  it("pins a snapshot of the answer and saves it", () => {
+    const { success, pin } = pinResult(answer, "table");
+
+    expect(success).toBe(true);
+    expect(pin).toMatchObject({
+      messageId: "msg-a",
+      view: "table",
+      title: "Shipments per lane",
+      rowCount: 2,
+      isDemo: false,
+    });
+    expect(getPins()).toEqual([pin]);
+    expect(
+      JSON.parse(window.localStorage.getItem("shipmentiq.dashboardPins"))
+    ).toEqual([pin]);
+  });
+
+  it("replaces an earlier pin of the same answer and view", () => {
+    pinResult(answer, "table");
+    pinResult(answer, "chart");
+    const { pin } = pinResult(
+      { ...answer, data: [{ lane: "A", shipments: 5 }] },
+      "table"
+    );
+
+    expect(getPins().map((p) => p.view)).toEqual(["table", "chart"]);
+    expect(getPins()[0]).toBe(pin);
+  });
+
+  it("keeps at most a snapshot of the rows", () => {
+    const data = Array.from({ length: MAX_SNAPSHOT_ROWS + 50 }, (_, i) => ({
+      id: i,
+    }));
+
+    const { pin } = pinResult({ ...answer, data }, "table");
+
+    expect(pin.data).toHaveLength(MAX_SNAPSHOT_ROWS);
+    expect(pin.rowCount).toBe(MAX_SNAPSHOT_ROWS + 50);
+  });
+
+  it("refuses answers without rows and unknown views", () => {
+    expect(pinResult({ ...answer, data: [] }, "table")).toEqual({
+      success: false,
+      pin: null,
+      error: "The answer has no rows.",
+    });
+    expect(pinResult(answer, "map").error).toBe('Unknown view "map".');
+    expect(getPins()).toEqual([]);
+  });
+});
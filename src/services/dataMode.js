@@ -0,0 +1,172 @@
+/**
+ * Data Mode
+ * Explicit switch between live backend data and offline demo data, and the
+ * mock scenario used for demo data
+ */
+
+import {
+  DEFAULT_MOCK_OPTIONS,
+  currentMockHour,
+  getMockScenario,
+} from "./mockData.js";
+import { getLocaleSettings } from "./i18n.js";
+
+const DATA_MODE_KEY = "shipmentiq.dataMode";
+const MOCK_SETTINGS_KEY = "shipmentiq.mockScenario";
+
+const readMode = () => {
+  try {
+    return window.sessionStorage.getItem(DATA_MODE_KEY) || "live";
+  } catch (error) {
+    return "live";
+  }
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ?scenario=lane-outage&seed=7 opens the app in demo mode on that scenario.
+// A link from getScenarioLink also holds the size, span, end time (at) and
+// time zone (tz), so a reported bug gives the same rows later and elsewhere.
+const readScenarioFromUrl = () => {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has("scenario")) return null;
+    const settings = { scenario: getMockScenario(params.get("scenario")).id };
+    const size = Number(params.get("size") ?? NaN);
+    const spanHours = Number(params.get("span"));
+    const at = Date.parse(params.get("at"));
+    const timeZone = params.get("tz");
+
+    if (params.has("seed")) settings.seed = Number(params.get("seed")) || 0;
+    if (size >= 0) settings.size = size;
+    if (spanHours > 0) settings.spanHours = spanHours;
+    if (!Number.isNaN(at)) settings.now = at;
+    if (timeZone && isTimeZone(timeZone)) settings.timeZone = timeZone;
+    return settings;
+  } catch (error) {
+    return null;
+  }
+};
+
+const readMockSettings = () => {
+  try {
+    const raw = window.sessionStorage.getItem(MOCK_SETTINGS_KEY);
+    return { ...DEFAULT_MOCK_OPTIONS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    return { ...DEFAULT_MOCK_OPTIONS };
+  }
+};
+
+const urlScenario = readScenarioFromUrl();
+let mode = urlScenario ? "demo" : readMode();
+let mockSettings = { ...readMockSettings(), ...(urlScenario || {}) };
+const listeners = new Set();
+
+/**
+ * Subscribes to data mode changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToDataMode = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current data mode
+ * @returns {string} - "live" or "demo"
+ */
+export const getDataMode = () => mode;
+
+/**
+ * Returns true when the app should serve generated demo data
+ * @returns {boolean}
+ */
+export const isDemoMode = () => mode === "demo";
+
+/**
+ * Switches between live and demo data for this session
+ * @param {boolean} enabled - true for demo data, false for live data
+ */
+export const setDemoMode = (enabled) => {
+  mode = enabled ? "demo" : "live";
+
+  try {
+    window.sessionStorage.setItem(DATA_MODE_KEY, mode);
+  } catch (error) {
+    console.warn("Could not save data mode:", error);
+  }
+
+  console.log(
+    enabled ? "🧪 Demo data mode enabled" : "📡 Live data mode enabled"
+  );
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Returns the scenario settings used for demo data
+ * @returns {Object} - { scenario, seed, size, spanHours }, plus now and
+ *   timeZone when a scenario link fixed them
+ */
+export const getMockSettings = () => mockSettings;
+
+/**
+ * Returns the options to generate demo data with now. Unless a scenario
+ * link fixed them, data ends at the start of the current hour and the
+ * hourly profile is in the display time zone, so the morning peak shows up
+ * in the morning.
+ * @returns {Object} - generateScenarioData options
+ */
+export const getMockOptions = () => ({
+  ...mockSettings,
+  now: mockSettings.now ?? currentMockHour(),
+  timeZone:
+    mockSettings.timeZone ||
+    getLocaleSettings().timeZone ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone ||
+    "UTC",
+});
+
+/**
+ * Builds a link to the current page that opens it in demo mode with the
+ * same rows, e.g. to report a bug
+ * @returns {string} - URL
+ */
+export const getScenarioLink = () => {
+  const options = getMockOptions();
+  const url = new URL(window.location.href);
+  url.searchParams.set("scenario", options.scenario);
+  url.searchParams.set("seed", options.seed);
+  url.searchParams.set("size", options.size);
+  url.searchParams.set("span", options.spanHours);
+  url.searchParams.set("at", new Date(options.now).toISOString());
+  url.searchParams.set("tz", options.timeZone);
+  return url.toString();
+};
+
+/**
+ * Changes the demo data scenario settings for this session
+ * @param {Object} changes - Any of { scenario, seed, size, spanHours, now,
+ *   timeZone }
+ */
+export const setMockSettings = (changes) => {
+  mockSettings = { ...mockSettings, ...changes };
+
+  try {
+    window.sessionStorage.setItem(
+      MOCK_SETTINGS_KEY,
+      JSON.stringify(mockSettings)
+    );
+  } catch (error) {
+    console.warn("Could not save demo scenario:", error);
+  }
+
+  listeners.forEach((listener) => listener());
+};
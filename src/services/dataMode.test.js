@@ -0,0 +1,54 @@
+import { generateScenarioData } from "./mockData.js";
+
+// dataMode reads the scenario link once, when it is first imported
+const openWith = (url) => {
+  window.history.replaceState(null, "", url);
+  let dataMode;
+  jest.isolateModules(() => {
+    dataMode = require("./dataMode.js");
+  });
+  return dataMode;
+};
+
+afterEach(() => {
+  window.sessionStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+describe("scenario links", () => {
+  it("reads the scenario, size, span, end time and time zone", () => {
+    const dataMode = openWith(
+      "/traffic?scenario=lane-outage&seed=7&size=40&span=12&at=2024-06-01T12:00:00.000Z&tz=Asia/Tokyo"
+    );
+    expect(dataMode.isDemoMode()).toBe(true);
+    expect(dataMode.getMockOptions()).toEqual({
+      scenario: "lane-outage",
+      seed: 7,
+      size: 40,
+      spanHours: 12,
+      now: Date.UTC(2024, 5, 1, 12),
+      timeZone: "Asia/Tokyo",
+    });
+  });
+
+  it("gives the same rows when opened later", () => {
+    jest.useFakeTimers().setSystemTime(Date.UTC(2024, 5, 1, 12, 30));
+    const link = openWith("/?scenario=morning-peak&seed=3").getScenarioLink();
+    const rows = generateScenarioData(openWith(link).getMockOptions());
+
+    jest.setSystemTime(Date.UTC(2024, 5, 3, 8));
+    try {
+      expect(generateScenarioData(openWith(link).getMockOptions())).toEqual(
+        rows
+      );
+      expect(rows.length).toBeGreaterThan(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("ignores a time zone that does not exist", () => {
+    const dataMode = openWith("/?scenario=normal-day&tz=Mars/Olympus");
+    expect(dataMode.getMockSettings().timeZone).toBeUndefined();
+  });
+});
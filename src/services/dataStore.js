@@ -0,0 +1,370 @@
+/**
+ * Data Store
+ * App-wide store of the datasets the pages load, the query each page is
+ * running, the filters applied to each dataset and the questions recently
+ * asked. Pages keep their results here rather than in component state, so
+ * switching tabs no longer throws them away. With VITE_PERSIST_DATASETS=true
+ * the datasets, filters and recent questions are also saved to
+ * sessionStorage and survive a reload.
+ *
+ * Every change goes through dispatch(action) and a reducer; the exported
+ * action creators below are the only way in.
+ */
+
+import { analyzeDataStructure } from "../utils/dataAnalysis.js";
+
+const env = import.meta.env || {};
+
+const STORAGE_KEY = "shipmentiq.dataStore";
+// Bigger datasets stay in memory only; sessionStorage holds about 5 MB
+const MAX_PERSISTED_ROWS = 5000;
+
+const PERSIST = String(env.VITE_PERSIST_DATASETS).toLowerCase() === "true";
+
+/**
+ * Dataset slots, one per kind of result the app keeps
+ */
+export const DATASET_SLOTS = {
+  OVERVIEW: "overview", // Dashboard metrics and assistant suggestions
+  ANALYTICS: "analytics",
+  TRAFFIC: "traffic",
+  ASSISTANT: "assistant", // latest Dashboard assistant answer
+};
+
+// Slots whose questions are typed by someone and worth offering again
+const HISTORY_SLOTS = [DATASET_SLOTS.ANALYTICS, DATASET_SLOTS.ASSISTANT];
+const MAX_HISTORY = 20;
+
+const EMPTY_STATE = { datasets: {}, queries: {}, filters: {}, history: [] };
+
+const loadState = () => {
+  if (!PERSIST) return EMPTY_STATE;
+  try {
+    const raw = window.sessionStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    return {
+      ...EMPTY_STATE,
+      datasets: saved?.datasets || {},
+      filters: saved?.filters || {},
+      history: saved?.history || [],
+    };
+  } catch (error) {
+    return EMPTY_STATE;
+  }
+};
+
+const saveState = (next) => {
+  if (!PERSIST) return;
+  const datasets = Object.fromEntries(
+    Object.entries(next.datasets).filter(
+      ([, dataset]) => dataset.data.length <= MAX_PERSISTED_ROWS
+    )
+  );
+  try {
+    window.sessionStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ datasets, filters: next.filters, history: next.history })
+    );
+  } catch (error) {
+    console.warn("Could not save datasets:", error);
+  }
+};
+
+const setSlot = (map, slot, value) => ({ ...map, [slot]: value });
+
+// Newest first, one entry per question
+const addToHistory = (history, slot, question) =>
+  HISTORY_SLOTS.includes(slot) && question
+    ? [
+        { question, slot, askedAt: Date.now() },
+        ...history.filter((entry) => entry.question !== question),
+      ].slice(0, MAX_HISTORY)
+    : history;
+
+const reducer = (current, action) => {
+  const { slot } = action;
+  const query = current.queries[slot];
+  const dataset = current.datasets[slot];
+  // Progress and results of a query that a newer one replaced are dropped
+  const superseded = Boolean(action.queryId) && query?.id !== action.queryId;
+
+  switch (action.type) {
+    case "query/started":
+      return {
+        ...current,
+        queries: setSlot(current.queries, slot, {
+          id: action.queryId,
+          question: action.question,
+          status: "loading",
+          stage: "connecting",
+          // Rows kept on screen stay stale until the new ones arrive
+          error: action.keepData ? query?.error ?? null : null,
+          retryQuestion: null,
+        }),
+        history: addToHistory(current.history, slot, action.question),
+        // Filters belong to the rows of one question
+        filters:
+          dataset?.question === action.question
+            ? current.filters
+            : setSlot(current.filters, slot, []),
+        datasets: action.keepData
+          ? current.datasets
+          : setSlot(current.datasets, slot, {
+              ...action.dataset,
+              question: action.question,
+              data: [],
+              sqlQuery: "",
+              loadedAt: null,
+            }),
+      };
+
+    case "query/progress":
+      if (superseded) return current;
+      return {
+        ...current,
+        queries: setSlot(current.queries, slot, {
+          ...query,
+          stage: action.stage,
+        }),
+        datasets: action.data
+          ? setSlot(current.datasets, slot, {
+              ...dataset,
+              data: action.data,
+              sqlQuery: action.sqlQuery ?? dataset?.sqlQuery ?? "",
+            })
+          : current.datasets,
+      };
+
+    case "query/succeeded":
+      if (superseded) return current;
+      return {
+        ...current,
+        queries: setSlot(current.queries, slot, {
+          ...query,
+          status: "done",
+          stage: null,
+          error: null,
+          retryQuestion: null,
+        }),
+        datasets: setSlot(current.datasets, slot, action.dataset),
+      };
+
+    case "query/failed":
+      if (superseded) return current;
+      return {
+        ...current,
+        queries: setSlot(current.queries, slot, {
+          ...query,
+          status: action.cancelled ? "cancelled" : "error",
+          stage: null,
+          error: action.error,
+          retryQuestion: action.retryQuestion ?? null,
+        }),
+      };
+
+    case "dataset/loaded":
+      return {
+        ...current,
+        queries: setSlot(current.queries, slot, {
+          id: action.queryId,
+          question: action.dataset.question,
+          status: "done",
+          stage: null,
+          error: null,
+          retryQuestion: null,
+        }),
+        filters: setSlot(current.filters, slot, []),
+        datasets: setSlot(current.datasets, slot, action.dataset),
+      };
+
+    case "dataset/appended":
+      if (!dataset) return current;
+      return {
+        ...current,
+        datasets: setSlot(current.datasets, slot, {
+          ...dataset,
+          data: dataset.data.concat(action.data),
+          pagination: action.pagination,
+        }),
+      };
+
+    case "filters/set":
+      return {
+        ...current,
+        filters: setSlot(current.filters, slot, action.filters),
+      };
+
+    case "slot/cleared": {
+      const { [slot]: removedDataset, ...datasets } = current.datasets;
+      const { [slot]: removedQuery, ...queries } = current.queries;
+      const { [slot]: removedFilters, ...filters } = current.filters;
+      return { ...current, datasets, queries, filters };
+    }
+
+    default:
+      return current;
+  }
+};
+
+let state = loadState();
+let queryCount = 0;
+const listeners = new Set();
+
+const dispatch = (action) => {
+  const next = reducer(state, action);
+  if (next === state) return;
+
+  const datasetsChanged =
+    next.datasets !== state.datasets ||
+    next.filters !== state.filters ||
+    next.history !== state.history;
+  state = next;
+  // Streaming progress would rewrite the saved copy for every chunk
+  if (datasetsChanged && action.type !== "query/progress") saveState(state);
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribes to store changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToDataStore = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the whole store state
+ * @returns {Object} - { datasets, queries, filters, history }; history lists
+ *   the questions asked in Analytics and the assistant, newest first, and
+ *   the rest are keyed by slot
+ */
+export const getDataStoreState = () => state;
+
+/**
+ * Marks a query as running in a slot
+ * @param {string} slot - Dataset slot
+ * @param {string} question - Question being asked
+ * @param {Object} options - { keepData, dataset }; keepData leaves the
+ *   current rows (and the last error) until the new ones arrive, dataset seeds the
+ *   emptied dataset (e.g. { source: "demo" })
+ * @returns {number} - Query id; pass it with the query's progress and result
+ *   so a query that a newer one replaced cannot overwrite it
+ */
+export const startQuery = (
+  slot,
+  question,
+  { keepData = false, dataset } = {}
+) => {
+  queryCount += 1;
+  dispatch({
+    type: "query/started",
+    slot,
+    question,
+    keepData,
+    dataset,
+    queryId: queryCount,
+  });
+  return queryCount;
+};
+
+/**
+ * Records the progress of a streaming query
+ * @param {string} slot - Dataset slot
+ * @param {Object} partial - { queryId, stage, data, sqlQuery }; data
+ *   replaces the rows received so far
+ */
+export const updateQuery = (slot, { queryId, stage, data, sqlQuery } = {}) =>
+  dispatch({ type: "query/progress", slot, queryId, stage, data, sqlQuery });
+
+/**
+ * Stores the result of a successful query as the slot's dataset
+ * @param {string} slot - Dataset slot
+ * @param {Object} result - Query result from apiService
+ * @param {Object} options - { queryId, extra }; extra holds more dataset
+ *   fields, e.g. { analysis }
+ */
+export const completeQuery = (slot, result, { queryId, extra = {} } = {}) =>
+  dispatch({
+    type: "query/succeeded",
+    slot,
+    queryId,
+    dataset: {
+      question: result.userQuestion,
+      data: result.data,
+      sqlQuery: result.sqlQuery || "",
+      pagination: result.pagination || null,
+      backend: result.backend || null,
+      source: result.source || "live",
+      cachedAt: result.fromCache ? result.cachedAt : null,
+      loadedAt: result.fromCache ? result.cachedAt : Date.now(),
+      warnings: result.warnings || [],
+      contractVersion: result.contractVersion || null,
+      ...extra,
+    },
+  });
+
+/**
+ * Records a failed or cancelled query. The slot's rows are left as they are.
+ * @param {string} slot - Dataset slot
+ * @param {Object} failure - { queryId, error, cancelled, retryQuestion };
+ *   error is the message to show, retryQuestion the question a Retry button
+ *   should ask
+ */
+export const failQuery = (
+  slot,
+  { queryId, error, cancelled = false, retryQuestion } = {}
+) =>
+  dispatch({
+    type: "query/failed",
+    slot,
+    queryId,
+    error,
+    cancelled,
+    retryQuestion,
+  });
+
+/**
+ * Replaces a slot's dataset with rows that did not come from a query, e.g.
+ * an uploaded file. Any query still running for the slot is dropped, and
+ * nothing is added to the question history.
+ * @param {string} slot - Dataset slot
+ * @param {Object} dataset - Dataset fields, as completeQuery stores them
+ */
+export const loadDataset = (slot, dataset) => {
+  queryCount += 1;
+  dispatch({ type: "dataset/loaded", slot, dataset, queryId: queryCount });
+};
+
+/**
+ * Appends a further page of rows to a slot's dataset
+ * @param {string} slot - Dataset slot
+ * @param {Object} page - { data, pagination }
+ */
+export const appendRows = (slot, { data, pagination }) =>
+  dispatch({ type: "dataset/appended", slot, data, pagination });
+
+/**
+ * Replaces the filters of a slot's dataset
+ * @param {string} slot - Dataset slot
+ * @param {string[]} filters - Conditions in /filter syntax, e.g. "status=Completed"
+ */
+export const setFilters = (slot, filters) =>
+  dispatch({ type: "filters/set", slot, filters });
+
+/**
+ * Forgets a slot's dataset, query and filters
+ * @param {string} slot - Dataset slot
+ */
+export const clearSlot = (slot) => dispatch({ type: "slot/cleared", slot });
+
+/**
+ * Returns the field analysis of a slot's rows. analyzeDataStructure is
+ * memoized per rows array, so every page reading the same dataset shares one
+ * analysis.
+ * @param {string} slot - Dataset slot
+ * @returns {Object} - analyzeDataStructure result
+ */
+export const getDatasetStructure = (slot) =>
+  analyzeDataStructure(state.datasets[slot]?.data);
@@ -0,0 +1,147 @@
+import {
+  DATASET_SLOTS,
+  appendRows,
+  clearSlot,
+  completeQuery,
+  failQuery,
+  getDataStoreState,
+  getDatasetStructure,
+  loadDataset,
+  setFilters,
+  startQuery,
+  subscribeToDataStore,
+  updateQuery,
+} from "./dataStore.js";
+
+const SLOT = DATASET_SLOTS.ANALYTICS;
+const ROWS = [
+  { lane: "A", teu: 12 },
+  { lane: "B", teu: 7 },
+];
+
+const result = (fields) => ({
+  userQuestion: "TEU per lane",
+  data: ROWS,
+  sqlQuery: "SELECT lane, teu FROM shipments",
+  ...fields,
+});
+
+const slotState = () => ({
+  dataset: getDataStoreState().datasets[SLOT],
+  query: getDataStoreState().queries[SLOT],
+  filters: getDataStoreState().filters[SLOT],
+});
+
+afterEach(() => {
+  clearSlot(SLOT);
+});
+
+describe("queries", () => {
+  it("stores a finished query's rows and remembers the question", () => {
+    const queryId = startQuery(SLOT, "TEU per lane");
+    expect(slotState().query).toMatchObject({
+      status: "loading",
+      stage: "connecting",
+    });
+    expect(slotState().dataset.data).toEqual([]);
+
+    updateQuery(SLOT, { queryId, stage: "streaming", data: ROWS.slice(0, 1) });
+    expect(slotState().dataset.data).toHaveLength(1);
+
+    completeQuery(SLOT, result(), { queryId });
+    expect(slotState().query).toMatchObject({ status: "done", error: null });
+    expect(slotState().dataset).toMatchObject({
+      question: "TEU per lane",
+      data: ROWS,
+      source: "live",
+    });
+    expect(getDataStoreState().history[0]).toMatchObject({
+      question: "TEU per lane",
+      slot: SLOT,
+    });
+  });
+
+  it("drops the progress and result of a query a newer one replaced", () => {
+    const first = startQuery(SLOT, "TEU per lane");
+    const second = startQuery(SLOT, "Load per lane");
+
+    updateQuery(SLOT, { queryId: first, stage: "streaming", data: ROWS });
+    completeQuery(SLOT, result(), { queryId: first });
+
+    expect(slotState().query).toMatchObject({ id: second, status: "loading" });
+    expect(slotState().dataset.data).toEqual([]);
+  });
+
+  it("keeps the rows on screen when a query with keepData fails", () => {
+    completeQuery(SLOT, result(), {
+      queryId: startQuery(SLOT, "TEU per lane"),
+    });
+    const queryId = startQuery(SLOT, "TEU per lane", { keepData: true });
+
+    failQuery(SLOT, {
+      queryId,
+      error: "Backend unreachable",
+      retryQuestion: "TEU per lane",
+    });
+
+    expect(slotState().dataset.data).toBe(ROWS);
+    expect(slotState().query).toMatchObject({
+      status: "error",
+      error: "Backend unreachable",
+      retryQuestion: "TEU per lane",
+    });
+  });
+
+  it("clears the filters when another question is asked", () => {
+    completeQuery(SLOT, result(), {
+      queryId: startQuery(SLOT, "TEU per lane"),
+    });
+    setFilters(SLOT, ["lane=A"]);
+
+    startQuery(SLOT, "TEU per lane", { keepData: true });
+    expect(slotState().filters).toEqual(["lane=A"]);
+
+    startQuery(SLOT, "Load per lane");
+    expect(slotState().filters).toEqual([]);
+  });
+});
+
+describe("loadDataset", () => {
+  it("replaces the rows and drops the running query", () => {
+    const queryId = startQuery(SLOT, "TEU per lane");
+    loadDataset(SLOT, { question: "shipments.csv", data: ROWS });
+
+    completeQuery(SLOT, result({ data: [] }), { queryId });
+
+    expect(slotState().dataset.data).toBe(ROWS);
+    expect(slotState().query.status).toBe("done");
+    expect(getDataStoreState().history[0]?.question).not.toBe("shipments.csv");
+  });
+});
+
+describe("subscribeToDataStore", () => {
+  it("notifies listeners of changes until they unsubscribe", () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToDataStore(listener);
+
+    loadDataset(SLOT, { question: "shipments.csv", data: ROWS });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    setFilters(SLOT, ["lane=A"]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("getDatasetStructure", () => {
+  it("shares one analysis per rows array and redoes it for appended pages", () => {
+    loadDataset(SLOT, { question: "TEU per lane", data: ROWS });
+    const structure = getDatasetStructure(SLOT);
+
+    expect(getDatasetStructure(SLOT)).toBe(structure);
+    expect(structure.analysis.recordCount).toBe(2);
+
+    appendRows(SLOT, { data: [{ lane: "C", teu: 3 }], pagination: null });
+    expect(getDatasetStructure(SLOT).analysis.recordCount).toBe(3);
+  });
+});
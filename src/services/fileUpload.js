@@ -0,0 +1,161 @@
+/**
+ * File Upload
+ * Uploaded CSV, TSV, JSON and Excel files as a data source. Files are
+ * parsed in a Web Worker (src/workers/fileParser.worker.js) and, once their
+ * column types are confirmed, stored in a dataset slot with
+ * source "upload", where the pages read them like backend results.
+ */
+
+import { loadDataset } from "./dataStore.js";
+import { getLocaleSettings, t } from "./i18n.js";
+import { registerUploadedTable } from "./sqlEngine.js";
+
+const env = import.meta.env || {};
+
+const MAX_UPLOAD_MB = Number(env.VITE_MAX_UPLOAD_MB) || 200;
+
+export const ACCEPTED_FILES = ".csv,.tsv,.tab,.txt,.json,.ndjson,.jsonl,.xlsx";
+
+let worker = null;
+let uploadCount = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker || typeof Worker === "undefined") return worker;
+  try {
+    worker = new Worker(
+      new URL("../workers/fileParser.worker.js", import.meta.url),
+      { type: "module" }
+    );
+  } catch (error) {
+    console.warn("File parser worker unavailable, parsing in the page:", error);
+    return null;
+  }
+
+  worker.onmessage = (event) => {
+    const resolve = pending.get(event.data.id);
+    pending.delete(event.data.id);
+    resolve?.(event.data);
+  };
+  // A crashed worker fails what it was working on; the next file starts a new one
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    pending.forEach((resolve, id) =>
+      resolve({ id, success: false, error: t("upload.error.parserStopped") })
+    );
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+// Without a worker the parsers are loaded into the page when first needed
+const parseInPage = async (message) => {
+  const { handleParserMessage } = await import("../utils/fileParsing.js");
+  return handleParserMessage(message);
+};
+
+// The worker has no saved settings, so each message says which language its
+// errors and warnings are in
+const request = (fields, transfer = []) => {
+  const message = { ...fields, language: getLocaleSettings().language };
+  const parser = getWorker();
+  if (!parser) return parseInPage(message);
+  return new Promise((resolve) => {
+    pending.set(message.id, resolve);
+    parser.postMessage(message, transfer);
+  });
+};
+
+/**
+ * Reads a dropped or chosen file and infers its columns
+ * @param {File} file - File to read
+ * @param {Object} options - { format, encoding, delimiter, hasHeader };
+ *   leave one out to detect it
+ * @returns {Promise<Object>} - { success, upload, error }; upload is
+ *   { id, name, size, format, encoding, delimiter, hasHeader, columns,
+ *   rowCount, preview, warnings } with columns as [{ name, type }] and
+ *   preview as arrays of cell text
+ */
+export const readUploadedFile = async (file, options = {}) => {
+  if (!file.size) {
+    return {
+      success: false,
+      error: t("upload.error.empty", { name: file.name }),
+    };
+  }
+  if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+    return {
+      success: false,
+      error: t("upload.error.tooLarge", {
+        name: file.name,
+        size: MAX_UPLOAD_MB,
+      }),
+    };
+  }
+
+  uploadCount += 1;
+  const id = uploadCount;
+  try {
+    const buffer = await file.arrayBuffer();
+    const { success, error, ...table } = await request(
+      { type: "parse", id, buffer, options: { ...options, name: file.name } },
+      [buffer]
+    );
+    if (!success) return { success: false, error };
+    return {
+      success: true,
+      upload: { ...table, id, name: file.name, size: file.size },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: t("upload.error.unreadable", { name: file.name }),
+    };
+  }
+};
+
+/**
+ * Converts an uploaded file's rows with the confirmed column types
+ * @param {Object} upload - Upload from readUploadedFile
+ * @param {Object[]} columns - [{ name, type }]
+ * @returns {Promise<Object>} - { success, data, warnings, error }
+ */
+export const convertUpload = (upload, columns) =>
+  request({ type: "convert", id: upload.id, columns });
+
+/**
+ * Frees the rows the parser keeps for an upload
+ * @param {Object} upload - Upload from readUploadedFile
+ */
+export const discardUpload = (upload) => {
+  if (upload) request({ type: "discard", id: upload.id });
+};
+
+/**
+ * Stores an upload's converted rows as a slot's dataset, in place of
+ * whatever the slot held, and as a table for local SQL
+ * @param {string} slot - Dataset slot
+ * @param {Object} upload - Upload from readUploadedFile
+ * @param {Object[]} data - Rows from convertUpload
+ * @param {Object} options - { extra }; extra holds more dataset fields,
+ *   e.g. { analysis }
+ */
+export const storeUpload = (slot, upload, data, { extra = {} } = {}) => {
+  registerUploadedTable(upload.name, data);
+  loadDataset(slot, {
+    question: upload.name,
+    data,
+    sqlQuery: "",
+    pagination: null,
+    backend: null,
+    source: "upload",
+    cachedAt: null,
+    loadedAt: Date.now(),
+    warnings: [],
+    contractVersion: null,
+    fileName: upload.name,
+    ...extra,
+  });
+};
@@ -0,0 +1,68 @@
+/**
+ * HTTP Client
+ * Shared axios instance for backend calls. Requests pass their backend
+ * profile as `backend` in the request config; the interceptors add that
+ * profile's credentials and refresh an expired bearer token once on 401.
+ */
+
+import axios from "axios";
+import {
+  ensureFreshSession,
+  getAuthHeaders,
+  handleUnauthorized,
+} from "./authService.js";
+
+export const httpClient = axios.create();
+
+httpClient.interceptors.request.use(async (config) => {
+  if (!config.backend) return config;
+
+  await ensureFreshSession(config.backend);
+  Object.entries(getAuthHeaders(config.backend)).forEach(([name, value]) => {
+    config.headers[name] = value;
+  });
+
+  return config;
+});
+
+httpClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (
+      response?.status === 401 &&
+      config?.backend &&
+      !config.authRetried &&
+      (await handleUnauthorized(config.backend))
+    ) {
+      return httpClient({ ...config, authRetried: true });
+    }
+
+    throw error;
+  }
+);
+
+/**
+ * fetch() with the same credentials and 401 handling as httpClient, for
+ * streaming responses that axios cannot read incrementally
+ * @param {Object} profile - Backend profile
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export const authorizedFetch = async (profile, url, init = {}) => {
+  await ensureFreshSession(profile);
+
+  const send = () =>
+    fetch(url, {
+      ...init,
+      headers: { ...init.headers, ...getAuthHeaders(profile) },
+    });
+
+  const response = await send();
+  if (response.status === 401 && (await handleUnauthorized(profile))) {
+    return send();
+  }
+  return response;
+};
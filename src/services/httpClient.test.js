@@ -0,0 +1,108 @@
+import axios from "axios";
+import {
+  AUTH_MODES,
+  getSession,
+  loginWithPassword,
+  logout,
+} from "./authService.js";
+import { httpClient } from "./httpClient.js";
+
+const backend = {
+  id: "dev",
+  name: "Development",
+  kind: "http",
+  baseUrl: "https://api.example",
+  authMode: AUTH_MODES.BEARER,
+  refreshPath: "/auth/refresh",
+};
+
+// Answers 401 to the expired token and 200 to any other
+const respond = (config) => {
+  if (config.headers.Authorization === "Bearer old") {
+    const response = { status: 401, data: {}, headers: {}, config };
+    return Promise.reject(
+      new axios.AxiosError(
+        "Unauthorized",
+        "ERR_BAD_REQUEST",
+        config,
+        null,
+        response
+      )
+    );
+  }
+  return Promise.resolve({
+    status: 200,
+    data: { token: config.headers.Authorization },
+    headers: {},
+    config,
+  });
+};
+let adapter;
+
+const get = () =>
+  httpClient.get("https://api.example/query", { backend, adapter });
+
+beforeAll(() => {
+  ["log", "warn", "error"].forEach((method) =>
+    jest.spyOn(console, method).mockImplementation(() => {})
+  );
+});
+
+beforeEach(async () => {
+  adapter = jest.fn(respond);
+  jest.spyOn(axios, "post").mockResolvedValueOnce({
+    data: { access_token: "old", refresh_token: "r1" },
+  });
+  await loginWithPassword(backend, { username: "ada", password: "secret" });
+});
+
+afterEach(() => {
+  axios.post.mockRestore();
+  logout(backend.id);
+});
+
+describe("httpClient 401 handling", () => {
+  it("refreshes the token once and retries the request", async () => {
+    axios.post.mockResolvedValueOnce({ data: { access_token: "new" } });
+
+    const response = await get();
+
+    expect(response.data.token).toBe("Bearer new");
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it("shares one refresh between requests that fail together", async () => {
+    axios.post.mockResolvedValueOnce({ data: { access_token: "new" } });
+
+    const responses = await Promise.all([get(), get(), get()]);
+
+    expect(responses.map((response) => response.data.token)).toEqual([
+      "Bearer new",
+      "Bearer new",
+      "Bearer new",
+    ]);
+    // One login plus one refresh
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it("signs out and passes the 401 on when the refresh fails", async () => {
+    axios.post.mockRejectedValueOnce(new Error("Refresh token expired"));
+
+    await expect(get()).rejects.toMatchObject({ response: { status: 401 } });
+    expect(getSession(backend)).toBeNull();
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry a second time when the new token is rejected too", async () => {
+    // The refresh hands out the same rejected token
+    axios.post.mockResolvedValueOnce({ data: { access_token: "old" } });
+
+    await expect(get()).rejects.toMatchObject({ response: { status: 401 } });
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves requests without a backend alone", async () => {
+    await httpClient.get("https://elsewhere.example", { adapter });
+    expect(adapter.mock.calls[0][0].headers.Authorization).toBeUndefined();
+  });
+});
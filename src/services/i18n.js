@@ -0,0 +1,376 @@
+/**
+ * Internationalization
+ * The interface language and time zone, the message catalogs in src/locales,
+ * and locale-aware formatting of numbers, units, dates and hours. Charts and
+ * GraphicWalker read the language from here too. Both settings are saved to
+ * localStorage; the language defaults to the browser's and the time zone to
+ * the computer's.
+ */
+
+import enUS from "../locales/en-US.js";
+import deDE from "../locales/de-DE.js";
+import zhCN from "../locales/zh-CN.js";
+
+const LOCALE_KEY = "shipmentiq.locale";
+const DEFAULT_LANGUAGE = "en-US";
+
+const CATALOGS = {
+  "en-US": enUS,
+  "de-DE": deDE,
+  "zh-CN": zhCN,
+};
+
+export const LANGUAGES = Object.keys(CATALOGS);
+
+// Each language named in itself, for the language switcher
+export const LANGUAGE_NAMES = {
+  "en-US": "English",
+  "de-DE": "Deutsch",
+  "zh-CN": "中文",
+};
+
+// Languages GraphicWalker ships; the others show it in English
+const GRAPHIC_WALKER_LANGUAGES = ["en-US", "zh-CN", "ja-JP"];
+
+// Metric units as Intl.NumberFormat units
+const INTL_UNITS = {
+  "L/min": "liter-per-minute",
+  min: "minute",
+  h: "hour",
+  kg: "kilogram",
+  L: "liter",
+};
+
+// "de" or "de-AT" picks de-DE
+const matchLanguage = (wanted) => {
+  if (!wanted) return null;
+  if (CATALOGS[wanted]) return wanted;
+  const base = wanted.split("-")[0].toLowerCase();
+  return LANGUAGES.find((language) => language.startsWith(`${base}-`)) || null;
+};
+
+const browserLanguage = () => {
+  const preferred =
+    typeof navigator !== "undefined"
+      ? navigator.languages || [navigator.language]
+      : [];
+  return preferred.map(matchLanguage).find(Boolean) || DEFAULT_LANGUAGE;
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const readSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(LOCALE_KEY)) || {};
+    return {
+      language: matchLanguage(saved.language) || browserLanguage(),
+      timeZone:
+        saved.timeZone && isTimeZone(saved.timeZone) ? saved.timeZone : null,
+    };
+  } catch (error) {
+    return { language: browserLanguage(), timeZone: null };
+  }
+};
+
+let settings = readSettings();
+const listeners = new Set();
+
+const applyLanguage = () => {
+  if (typeof document !== "undefined") {
+    document.documentElement.lang = settings.language;
+  }
+};
+
+const update = (changes) => {
+  settings = { ...settings, ...changes };
+  // Workers have no localStorage; the page tells them the language instead
+  if (typeof window !== "undefined") {
+    try {
+      window.localStorage.setItem(LOCALE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn("Could not save language settings:", error);
+    }
+  }
+  applyLanguage();
+  listeners.forEach((listener) => listener());
+};
+
+applyLanguage();
+
+/**
+ * Subscribes to language and time zone changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the language and time zone settings
+ * @returns {Object} - { language, timeZone }; timeZone is null for the
+ *   computer's time zone
+ */
+export const getLocaleSettings = () => settings;
+
+/**
+ * Changes the interface language and saves it
+ * @param {string} language - One of LANGUAGES
+ */
+export const setLanguage = (language) => {
+  if (!CATALOGS[language]) return;
+  update({ language });
+};
+
+/**
+ * Changes the time zone dates and hours are shown in and saves it
+ * @param {string|null} timeZone - IANA time zone, e.g. "Europe/Rotterdam";
+ *   null for the computer's time zone
+ */
+export const setTimeZone = (timeZone) => {
+  if (timeZone && !isTimeZone(timeZone)) return;
+  update({ timeZone: timeZone || null });
+};
+
+/**
+ * Lists the time zones the browser knows
+ * @returns {string[]}
+ */
+export const getTimeZones = () =>
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : ["UTC"];
+
+/**
+ * Returns the language GraphicWalker should use; it only ships a few
+ * @returns {string} - GraphicWalker i18nLang
+ */
+export const getGraphicWalkerLanguage = () =>
+  GRAPHIC_WALKER_LANGUAGES.includes(settings.language)
+    ? settings.language
+    : DEFAULT_LANGUAGE;
+
+const lookup = (key) => {
+  const message = CATALOGS[settings.language][key];
+  return message === undefined ? CATALOGS[DEFAULT_LANGUAGE][key] : message;
+};
+
+/**
+ * Translates a message key. Messages fill in {name} placeholders from
+ * values, formatting numbers for the language. A message that is an object
+ * of plural forms ({ one, other }) picks its form by values.count.
+ * @param {string} key - Message key, e.g. "traffic.kpi.totalShipments"
+ * @param {Object} values - Placeholder values
+ * @returns {string} - The English message when the language lacks the key,
+ *   or the key itself when no catalog has it
+ */
+export const t = (key, values = {}) => {
+  let message = lookup(key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const form = new Intl.PluralRules(settings.language).select(
+      values.count ?? 0
+    );
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+};
+
+/**
+ * Formats a number for the language
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string}
+ */
+export const formatNumber = (value, options = {}) =>
+  new Intl.NumberFormat(settings.language, options).format(value);
+
+/**
+ * Formats a number with a unit, e.g. "31.2 L/min" or "31,2 l/min"
+ * @param {number} value - Number
+ * @param {string|null} unit - Unit as the data writes it; units Intl does
+ *   not know are translated from "unit.<unit>" or written after the number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string}
+ */
+export const formatUnit = (value, unit, options = {}) => {
+  if (!unit) return formatNumber(value, options);
+  if (unit === "%") {
+    return formatNumber(value / 100, { ...options, style: "percent" });
+  }
+  if (INTL_UNITS[unit]) {
+    return formatNumber(value, {
+      ...options,
+      style: "unit",
+      unit: INTL_UNITS[unit],
+    });
+  }
+  const name = lookup(`unit.${unit}`) ?? unit;
+  return `${formatNumber(value, options)} ${name}`;
+};
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+const formatDateParts = (value, options) =>
+  new Intl.DateTimeFormat(settings.language, {
+    timeZone: settings.timeZone || undefined,
+    ...options,
+  }).format(toDate(value));
+
+/**
+ * Formats the time of day of a date in the chosen time zone
+ * @param {Date|string|number} value - Date or timestamp
+ * @returns {string}
+ */
+export const formatTime = (value) =>
+  formatDateParts(value, { timeStyle: "medium" });
+
+/**
+ * Formats a calendar date in the chosen time zone
+ * @param {Date|string|number} value - Date or timestamp
+ * @returns {string}
+ */
+export const formatDate = (value) =>
+  formatDateParts(value, { dateStyle: "medium" });
+
+/**
+ * Formats a date and time in the chosen time zone
+ * @param {Date|string|number} value - Date or timestamp
+ * @returns {string}
+ */
+export const formatDateTime = (value) =>
+  formatDateParts(value, { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Formats an hour of the day, e.g. 14 as "2:00 PM" or "14:00"
+ * @param {number|string} hour - Hour, 0-23
+ * @returns {string}
+ */
+export const formatHour = (hour) =>
+  new Intl.DateTimeFormat(settings.language, {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: "UTC",
+  }).format(new Date(Date.UTC(2000, 0, 1, Number(hour))));
+
+/**
+ * Returns the hour of the day of a timestamp in the chosen time zone
+ * @param {Date|string|number} value - Date or timestamp
+ * @param {string|null} timeZone - IANA time zone; null for the computer's
+ * @returns {number} - 0-23, or NaN for an invalid date
+ */
+export const getHourInTimeZone = (value, timeZone = settings.timeZone) => {
+  const date = toDate(value);
+  if (!timeZone || Number.isNaN(date.getTime())) return date.getHours();
+  return Number(
+    new Intl.DateTimeFormat("en-US", {
+      hour: "numeric",
+      hourCycle: "h23",
+      timeZone,
+    }).format(date)
+  );
+};
+
+// d3 format directives for Intl.DateTimeFormat parts
+const DATE_DIRECTIVES = {
+  year: "%Y",
+  month: "%-m",
+  day: "%-d",
+  hour: "%-H",
+  minute: "%M",
+  second: "%S",
+  dayPeriod: "%p",
+};
+
+const toPattern = (options) =>
+  new Intl.DateTimeFormat(settings.language, { ...options, timeZone: "UTC" })
+    .formatToParts(new Date(Date.UTC(2000, 0, 1, 13, 5, 9)))
+    .map(({ type, value }) => {
+      if (type === "hour" && options.hour12) return "%-I";
+      return DATE_DIRECTIVES[type] || value.replace(/%/g, "%%");
+    })
+    .join("");
+
+const namesOf = (count, toDate, options) => {
+  const format = new Intl.DateTimeFormat(settings.language, {
+    ...options,
+    timeZone: "UTC",
+  });
+  return Array.from({ length: count }, (_, i) => format.format(toDate(i)));
+};
+
+const vegaLocales = {};
+
+/**
+ * Builds Vega number and time format locales for the language, so chart
+ * axes, labels and tooltips use its separators, month and day names
+ * @returns {Object} - { number, time }; d3-format and d3-time-format locale
+ *   definitions for vega-embed's formatLocale and timeFormatLocale
+ */
+export const getVegaLocale = () => {
+  const { language } = settings;
+  if (vegaLocales[language]) return vegaLocales[language];
+
+  const parts = new Intl.NumberFormat(language).formatToParts(12345.6);
+  const part = (type, fallback) =>
+    parts.find((p) => p.type === type)?.value ?? fallback;
+  const hour12 = new Intl.DateTimeFormat(language, {
+    hour: "numeric",
+  }).resolvedOptions().hour12;
+
+  // 2000-01-02 was a Sunday
+  const day = (i) => new Date(Date.UTC(2000, 0, 2 + i));
+  const month = (i) => new Date(Date.UTC(2000, i, 15));
+  const periods = [9, 21].map(
+    (hour) =>
+      new Intl.DateTimeFormat(language, {
+        hour: "numeric",
+        hour12: true,
+        timeZone: "UTC",
+      })
+        .formatToParts(new Date(Date.UTC(2000, 0, 1, hour)))
+        .find((p) => p.type === "dayPeriod")?.value
+  );
+
+  const date = toPattern({ year: "numeric", month: "numeric", day: "numeric" });
+  const time = toPattern({
+    hour: "numeric",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12,
+  });
+
+  vegaLocales[language] = {
+    number: {
+      decimal: part("decimal", "."),
+      thousands: part("group", ","),
+      grouping: [3],
+      currency: ["", ""],
+    },
+    time: {
+      dateTime: `${date} ${time}`,
+      date,
+      time,
+      periods: periods.map((period, i) => period || ["AM", "PM"][i]),
+      days: namesOf(7, day, { weekday: "long" }),
+      shortDays: namesOf(7, day, { weekday: "short" }),
+      months: namesOf(12, month, { month: "long" }),
+      shortMonths: namesOf(12, month, { month: "short" }),
+    },
+  };
+  return vegaLocales[language];
+};
@@ -0,0 +1,102 @@
+/**
+ * In-flight Request De-duplication
+ * Identical queries issued while one is already running share that request
+ */
+
+const inFlight = new Map();
+
+/**
+ * Joins the running request for a key, or starts it if none is running.
+ * The shared request is only aborted once every subscriber has aborted.
+ * @param {string} key - De-duplication key (backend + normalized question)
+ * @param {Function} start - (signal, emit) => Promise<result>
+ * @param {Object} options - { signal, onUpdate, cancelledResult }
+ * @returns {Promise<Object>} - The shared result; on abort, cancelledResult
+ *   merged with the latest partial update. Rejects every subscriber still
+ *   waiting when start rejects.
+ */
+export const joinInFlightRequest = (
+  key,
+  start,
+  { signal, onUpdate, cancelledResult } = {}
+) => {
+  let entry = inFlight.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    const listeners = new Set();
+
+    entry = { controller, listeners, subscribers: 0, latest: null };
+
+    const emit = (partial, event) => {
+      entry.latest = partial;
+      listeners.forEach((listener) => listener(partial, event));
+    };
+
+    entry.promise = start(controller.signal, emit).finally(() => {
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    });
+
+    inFlight.set(key, entry);
+  } else {
+    console.log(`♻️ Joining in-flight request: ${key}`);
+  }
+
+  const current = entry;
+  current.subscribers++;
+
+  if (onUpdate) {
+    current.listeners.add(onUpdate);
+    // Late joiners see what has streamed in so far
+    if (current.latest) onUpdate(current.latest, { type: "replay" });
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const leave = () => {
+      current.subscribers--;
+      if (onUpdate) current.listeners.delete(onUpdate);
+    };
+
+    const handleAbort = () => {
+      if (settled) return;
+      settled = true;
+      leave();
+      if (current.subscribers === 0) {
+        // Nobody is waiting any more: stop it and let the next caller start fresh
+        if (inFlight.get(key) === current) inFlight.delete(key);
+        current.controller.abort();
+      }
+      resolve({
+        ...(cancelledResult || {}),
+        ...(current.latest || {}),
+        cancelled: true,
+      });
+    };
+
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+
+    const settle = (finish) => (outcome) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener("abort", handleAbort);
+      leave();
+      finish(outcome);
+    };
+
+    current.promise.then(settle(resolve), settle(reject));
+  });
+};
+
+/**
+ * Returns true while a request for the key is running
+ * @param {string} key - De-duplication key
+ * @returns {boolean}
+ */
+export const isRequestInFlight = (key) => inFlight.has(key);
@@ -0,0 +1,82 @@
+import { isRequestInFlight, joinInFlightRequest } from "./inFlightRequests.js";
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe("joinInFlightRequest", () => {
+  it("runs one request for callers that join while it is running", async () => {
+    const running = deferred();
+    const start = jest.fn(() => running.promise);
+
+    const first = joinInFlightRequest("shared", start);
+    const second = joinInFlightRequest("shared", start);
+    running.resolve({ data: [1] });
+
+    await expect(first).resolves.toEqual({ data: [1] });
+    await expect(second).resolves.toEqual({ data: [1] });
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(isRequestInFlight("shared")).toBe(false);
+  });
+
+  it("rejects every caller that joined when the request rejects", async () => {
+    const running = deferred();
+    const start = jest.fn(() => running.promise);
+    const onUpdate = jest.fn();
+
+    const first = joinInFlightRequest("failing", start, { onUpdate });
+    const second = joinInFlightRequest("failing", start, { onUpdate });
+    running.reject(new Error("backend down"));
+
+    await expect(first).rejects.toThrow("backend down");
+    await expect(second).rejects.toThrow("backend down");
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(isRequestInFlight("failing")).toBe(false);
+  });
+
+  it("starts afresh after a rejected request, without its listeners", async () => {
+    const failed = deferred();
+    const onUpdate = jest.fn();
+    const first = joinInFlightRequest("again", () => failed.promise, {
+      onUpdate,
+    });
+    failed.reject(new Error("backend down"));
+    await expect(first).rejects.toThrow("backend down");
+
+    const result = await joinInFlightRequest("again", (signal, emit) => {
+      emit({ data: [] }, { type: "progress" });
+      return Promise.resolve({ data: [2] });
+    });
+
+    expect(result).toEqual({ data: [2] });
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it("gives a caller that aborts its cancelled result, not the rejection", async () => {
+    const running = deferred();
+    const controller = new AbortController();
+
+    const pending = joinInFlightRequest("aborted", () => running.promise, {
+      signal: controller.signal,
+      cancelledResult: { data: [] },
+    });
+    controller.abort();
+    running.reject(new Error("aborted"));
+
+    await expect(pending).resolves.toEqual({ data: [], cancelled: true });
+  });
+});
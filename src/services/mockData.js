@@ -0,0 +1,308 @@
+/**
+ * Mock Data
+ * Seeded, scenario-based terminal data for demo mode and the mock backend.
+ * The same scenario, seed, size, span, end time and time zone always give
+ * the same rows.
+ */
+
+export const DEFAULT_SEED = 20240101;
+
+export const DEFAULT_MOCK_OPTIONS = {
+  scenario: "normal-day",
+  seed: DEFAULT_SEED,
+  size: 100, // trucks arriving during the span
+  spanHours: 24,
+};
+
+export const LANES = ["LANE01", "LANE02", "LANE03", "LANE04", "LANE05"];
+const LANE_WEIGHTS = [1.2, 1.1, 1, 0.9, 0.8];
+
+const LOAD_TYPES = [
+  { name: "Container", weight: 0.4, flowRate: 30, quantity: 45 },
+  { name: "Bulk", weight: 0.25, flowRate: 35, quantity: 60 },
+  { name: "Liquid", weight: 0.2, flowRate: 45, quantity: 55 },
+  { name: "General", weight: 0.15, flowRate: 25, quantity: 30 },
+];
+
+const SETUP_MINUTES = 8;
+const MINUTES_PER_UNIT = 15; // loading time per unit of quantity / flow rate
+
+// Relative truck arrivals per hour of day (0-23, in the time zone asked for)
+const NORMAL_ARRIVALS = [
+  1, 1, 1, 1, 2, 4, 7, 9, 9, 8, 8, 7, 6, 7, 8, 8, 7, 6, 4, 3, 2, 2, 1, 1,
+];
+const MORNING_PEAK_ARRIVALS = [
+  1, 1, 1, 1, 3, 10, 30, 40, 32, 12, 7, 6, 5, 6, 6, 6, 5, 4, 3, 2, 2, 1, 1, 1,
+];
+
+/**
+ * Named scenarios. Each one tweaks the arrival profile or the lanes.
+ */
+export const MOCK_SCENARIOS = [
+  {
+    id: "normal-day",
+    name: "Normal day",
+    description: "Steady daytime traffic spread over all lanes",
+    arrivals: NORMAL_ARRIVALS,
+  },
+  {
+    id: "morning-peak",
+    name: "Morning peak",
+    description: "Most trucks arrive between 06:00 and 09:00 and queue up",
+    arrivals: MORNING_PEAK_ARRIVALS,
+  },
+  {
+    id: "lane-outage",
+    name: "Lane outage",
+    description: "LANE03 goes down for the last quarter of the span",
+    arrivals: NORMAL_ARRIVALS,
+    outage: { lane: "LANE03", from: 0.75 },
+  },
+  {
+    id: "stuck-trucks",
+    name: "Stuck trucks",
+    description: "About one truck in twelve breaks down and is held on site",
+    arrivals: NORMAL_ARRIVALS,
+    stuckRate: 0.08,
+  },
+  {
+    id: "flow-rate-degradation",
+    name: "Flow-rate degradation",
+    description: "Pump flow rates fall by 60% over the span",
+    arrivals: NORMAL_ARRIVALS,
+    flowDecay: 0.6,
+  },
+  {
+    id: "empty-terminal",
+    name: "Empty terminal",
+    description: "No trucks at all",
+    arrivals: NORMAL_ARRIVALS,
+    empty: true,
+  },
+];
+
+/**
+ * Returns a scenario definition by id (normal day when unknown)
+ * @param {string} scenarioId - Scenario id
+ * @returns {Object} - Scenario definition
+ */
+export const getMockScenario = (scenarioId) =>
+  MOCK_SCENARIOS.find((scenario) => scenario.id === scenarioId) ||
+  MOCK_SCENARIOS[0];
+
+// ==================== SEEDED RANDOMNESS ====================
+
+/**
+ * mulberry32: small, fast seeded PRNG returning floats in [0, 1)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - () => number
+ */
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pickWeighted = (random, items, weightOf) => {
+  const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+  let threshold = random() * total;
+  for (const item of items) {
+    threshold -= weightOf(item);
+    if (threshold < 0) return item;
+  }
+  return items[items.length - 1];
+};
+
+// Box-Muller transform
+const normal = (random, mean, deviation) => {
+  const u = 1 - random();
+  const v = random();
+  return (
+    mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  );
+};
+
+// ==================== GENERATION ====================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Returns the start of the current hour, where generated data ends by default
+ * @returns {number} - Timestamp in milliseconds
+ */
+export const currentMockHour = () => Math.floor(Date.now() / HOUR) * HOUR;
+
+const hourFormats = new Map();
+
+// Hour of the day (0-23) of a timestamp in an IANA time zone
+const hourIn = (time, timeZone) => {
+  if (!hourFormats.has(timeZone)) {
+    hourFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        hour: "numeric",
+        hourCycle: "h23",
+        timeZone,
+      })
+    );
+  }
+  return Number(hourFormats.get(timeZone).format(time));
+};
+
+/**
+ * Samples arrival times from the scenario's hourly profile: a piecewise
+ * constant intensity over the span, so busy hours get more trucks. Hours
+ * are read in the given time zone, never the machine's, so the rows only
+ * depend on the options.
+ */
+const sampleArrivals = (random, profile, size, start, end, timeZone) => {
+  const slots = [];
+  for (let slotStart = start; slotStart < end; slotStart += HOUR) {
+    const slotEnd = Math.min(end, slotStart + HOUR);
+    const weight =
+      profile[hourIn(slotStart, timeZone)] * ((slotEnd - slotStart) / HOUR);
+    slots.push({ start: slotStart, end: slotEnd, weight });
+  }
+
+  return Array.from({ length: size }, () => {
+    const slot = pickWeighted(random, slots, (s) => s.weight);
+    return Math.round(slot.start + random() * (slot.end - slot.start));
+  }).sort((a, b) => a - b);
+};
+
+/**
+ * Generates truck visits for a scenario. Each lane serves one truck at a
+ * time, so busy hours build queues and longer turnarounds. Trucks still on
+ * site have end_time set to the generation time.
+ * @param {Object} options - { scenario, seed, size, spanHours, now,
+ *   timeZone }; `now` defaults to the start of the current hour, timeZone
+ *   (the zone the hourly profile is in, e.g. "Europe/Rotterdam") to UTC
+ * @returns {Object[]} - Terminal rows
+ */
+export const generateScenarioData = (options = {}) => {
+  const {
+    scenario: scenarioId,
+    seed,
+    size,
+    spanHours,
+  } = {
+    ...DEFAULT_MOCK_OPTIONS,
+    ...options,
+  };
+  const scenario = getMockScenario(scenarioId);
+  const now = options.now ?? currentMockHour();
+  const timeZone = options.timeZone || "UTC";
+  const start = now - spanHours * HOUR;
+
+  if (scenario.empty || size <= 0) return [];
+
+  const random = createRandom(seed);
+  const arrivals = sampleArrivals(
+    random,
+    scenario.arrivals,
+    size,
+    start,
+    now,
+    timeZone
+  );
+  const laneFreeAt = Object.fromEntries(LANES.map((lane) => [lane, start]));
+  const outageAt = scenario.outage
+    ? start + scenario.outage.from * (now - start)
+    : null;
+
+  return arrivals.map((arrival, i) => {
+    const progress = (arrival - start) / (now - start);
+    const lanesOpen =
+      outageAt !== null && arrival >= outageAt
+        ? LANES.filter((lane) => lane !== scenario.outage.lane)
+        : LANES;
+    const lane = pickWeighted(
+      random,
+      lanesOpen,
+      (name) => LANE_WEIGHTS[LANES.indexOf(name)]
+    );
+    const loadType = pickWeighted(random, LOAD_TYPES, (type) => type.weight);
+
+    const flowRate = Math.max(
+      5,
+      normal(random, loadType.flowRate, loadType.flowRate * 0.1) *
+        (1 - (scenario.flowDecay || 0) * progress)
+    );
+    const quantity = Math.max(
+      5,
+      Math.round(normal(random, loadType.quantity, loadType.quantity * 0.25))
+    );
+    const serviceMinutes =
+      SETUP_MINUTES + (quantity / flowRate) * MINUTES_PER_UNIT;
+    const serviceStart = Math.max(arrival, laneFreeAt[lane]);
+    let departure = serviceStart + serviceMinutes * MINUTE;
+
+    // Trucks loading on the failed lane when it went down never leave
+    const caughtInOutage =
+      outageAt !== null &&
+      lane === scenario.outage.lane &&
+      serviceStart < outageAt &&
+      departure > outageAt;
+    if (caughtInOutage) departure = Infinity;
+
+    laneFreeAt[lane] = departure;
+
+    // A truck that breaks down is pushed to a holding bay: it stays on site
+    // for hours but frees its lane on schedule
+    if (scenario.stuckRate && random() < scenario.stuckRate) {
+      departure += (90 + random() * 240) * MINUTE;
+    }
+
+    const onSite = departure > now;
+    const status = !onSite
+      ? "Completed"
+      : serviceStart > now
+      ? "Queued"
+      : "In Progress";
+
+    return {
+      shipment_id: `S${100000 + i}`,
+      ticket_id: `TKT${String(1000 + i).padStart(4, "0")}`,
+      lane,
+      truck_id: `T${100 + Math.floor(random() * 500)}`,
+      start_time: new Date(arrival).toISOString(),
+      end_time: new Date(Math.min(departure, now)).toISOString(),
+      load_type: loadType.name,
+      gross_quantity: quantity,
+      flow_rate: Number(flowRate.toFixed(2)),
+      load_time_minutes: Math.max(
+        0,
+        Math.round((Math.min(departure, now) - serviceStart) / MINUTE)
+      ),
+      status,
+    };
+  });
+};
+
+/**
+ * Generates a demo query result for a scenario
+ * @param {Object} options - See generateScenarioData
+ * @returns {Object} - { data, sqlQuery, userQuestion, scenario, seed }
+ */
+export const generateMockResult = (options = {}) => {
+  const settings = { ...DEFAULT_MOCK_OPTIONS, ...options };
+  const scenario = getMockScenario(settings.scenario);
+
+  console.log(
+    `🧪 Generating "${scenario.name}" demo data (seed ${settings.seed}, ${settings.size} trucks, ${settings.spanHours} h)`
+  );
+
+  return {
+    data: generateScenarioData(settings),
+    sqlQuery: `SELECT * FROM terminal_visits WHERE start_time >= NOW() - INTERVAL '${settings.spanHours} hours' ORDER BY start_time`,
+    userQuestion: `Demo data: ${scenario.name}`,
+    scenario: scenario.id,
+    seed: settings.seed,
+  };
+};
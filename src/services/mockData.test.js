@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+
+import { generateMockResult, generateScenarioData } from "./mockData.js";
+
+const OPTIONS = {
+  scenario: "morning-peak",
+  seed: 42,
+  size: 200,
+  spanHours: 24,
+  now: Date.UTC(2024, 5, 1, 12),
+};
+
+describe("generateScenarioData", () => {
+  it("gives the same rows for the same settings", () => {
+    expect(generateScenarioData(OPTIONS)).toEqual(
+      generateScenarioData(OPTIONS)
+    );
+  });
+
+  it("gives other rows for another seed", () => {
+    expect(generateScenarioData({ ...OPTIONS, seed: 43 })).not.toEqual(
+      generateScenarioData(OPTIONS)
+    );
+  });
+
+  it("does not depend on the machine's time zone", () => {
+    const utc = generateScenarioData(OPTIONS);
+    // Local hours as on a machine nine hours ahead of UTC
+    const getHours = jest
+      .spyOn(Date.prototype, "getHours")
+      .mockImplementation(function () {
+        return (this.getUTCHours() + 9) % 24;
+      });
+    try {
+      expect(generateScenarioData(OPTIONS)).toEqual(utc);
+    } finally {
+      getHours.mockRestore();
+    }
+  });
+
+  it("follows the scenario's hourly profile in UTC", () => {
+    const rows = generateScenarioData(OPTIONS);
+    const peak = rows.filter((row) => {
+      const hour = new Date(row.start_time).getUTCHours();
+      return hour >= 6 && hour < 9;
+    });
+    expect(rows).toHaveLength(200);
+    expect(peak.length / rows.length).toBeGreaterThan(0.5);
+  });
+
+  it("puts the profile's hours in the time zone asked for", () => {
+    // Tokyo is nine hours ahead of UTC, with no daylight saving time
+    const rows = generateScenarioData({ ...OPTIONS, timeZone: "Asia/Tokyo" });
+    const peak = rows.filter((row) => {
+      const hour = (new Date(row.start_time).getUTCHours() + 9) % 24;
+      return hour >= 6 && hour < 9;
+    });
+    expect(peak.length / rows.length).toBeGreaterThan(0.5);
+    expect(rows).not.toEqual(generateScenarioData(OPTIONS));
+  });
+
+  it("keeps the requested span and lanes open", () => {
+    const rows = generateScenarioData({ ...OPTIONS, scenario: "lane-outage" });
+    const outageAt = OPTIONS.now - 0.25 * 24 * 60 * 60 * 1000;
+    rows.forEach((row) => {
+      expect(Date.parse(row.start_time)).toBeGreaterThanOrEqual(
+        OPTIONS.now - 24 * 60 * 60 * 1000
+      );
+      expect(Date.parse(row.end_time)).toBeLessThanOrEqual(OPTIONS.now);
+    });
+    const lanesAfterOutage = rows
+      .filter((row) => Date.parse(row.start_time) >= outageAt)
+      .map((row) => row.lane);
+    expect(lanesAfterOutage.length).toBeGreaterThan(0);
+    expect(lanesAfterOutage).not.toContain("LANE03");
+  });
+
+  it("returns no rows for the empty terminal", () => {
+    expect(
+      generateScenarioData({ ...OPTIONS, scenario: "empty-terminal" })
+    ).toEqual([]);
+  });
+});
+
+describe("generateMockResult", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("is selectable by scenario and seed", () => {
+    const result = generateMockResult({ ...OPTIONS, scenario: "stuck-trucks" });
+    expect(result.scenario).toBe("stuck-trucks");
+    expect(result.seed).toBe(42);
+    expect(result.data).toEqual(
+      generateScenarioData({ ...OPTIONS, scenario: "stuck-trucks" })
+    );
+  });
+});
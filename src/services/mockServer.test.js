@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+
+// Starts scripts/mock-langchain-server.mjs and talks to it over HTTP, the
+// way the app does when the dev profile points at it
+import { spawn } from "child_process";
+import http from "http";
+import path from "path";
+
+const PORT = 39000 + Math.floor(Math.random() * 900);
+const SIZE = 60;
+
+let server;
+
+const request = (method, pathname, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: PORT,
+        path: pathname,
+        method,
+        headers: { "Content-Type": "application/json" },
+      },
+      (res) => {
+        let text = "";
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () => {
+          let json = null;
+          try {
+            json = JSON.parse(text);
+          } catch (error) {
+            // Failure modes may answer with HTML
+          }
+          resolve({ status: res.statusCode, text, json });
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+
+const query = (body) =>
+  request("POST", "/query", body).then((response) => response.json);
+
+beforeAll(
+  () =>
+    new Promise((resolve, reject) => {
+      server = spawn(
+        process.execPath,
+        [
+          "--disable-warning=MODULE_TYPELESS_PACKAGE_JSON",
+          path.join(__dirname, "../../scripts/mock-langchain-server.mjs"),
+        ],
+        {
+          env: {
+            ...process.env,
+            PORT: String(PORT),
+            SIZE: String(SIZE),
+            SEED: "7",
+            LATENCY_MS: "0",
+            LATENCY_JITTER_MS: "0",
+          },
+        }
+      );
+      server.stdout.on("data", (chunk) => {
+        if (String(chunk).includes("listening")) resolve();
+      });
+      server.on("exit", (code) =>
+        reject(new Error(`Mock server exited with ${code}`))
+      );
+    }),
+  30000
+);
+
+afterAll(() => {
+  server?.kill();
+});
+
+describe("mock LangChain server", () => {
+  it("reports its scenario and row count", async () => {
+    const { status, json } = await request("GET", "/health");
+    expect(status).toBe(200);
+    expect(json).toEqual({ status: "ok", scenario: "normal-day", rows: SIZE });
+  });
+
+  it("runs the SQL of the matching question rule", async () => {
+    const body = await query({
+      question: "What is the average flow rate per lane?",
+    });
+
+    expect(body.contract_version).toBe("1.1");
+    expect(body.sql_query).toMatch(/AVG\(flow_rate\)/);
+    expect(body.data.length).toBeGreaterThan(0);
+    expect(Object.keys(body.data[0])).toEqual([
+      "lane",
+      "avg_flow_rate",
+      "min_flow_rate",
+      "max_flow_rate",
+    ]);
+  });
+
+  it("runs SELECT statements as they are", async () => {
+    const body = await query({
+      question: "SELECT COUNT(*) AS shipments FROM shipments;",
+    });
+
+    expect(body.sql_query).toBe("SELECT COUNT(*) AS shipments FROM shipments");
+    expect(body.data).toEqual([{ shipments: SIZE }]);
+  });
+
+  it("returns SQL errors as backend errors", async () => {
+    const body = await query({ question: "SELECT nope FROM shipments" });
+
+    expect(body.data).toBeNull();
+    expect(body.error).toMatch(/no such column: nope/);
+  });
+
+  it("pages with a cursor when asked for a page size", async () => {
+    const first = await query({ question: "show everything", page_size: 25 });
+    const second = await query({
+      question: "show everything",
+      page_size: 25,
+      cursor: first.next_cursor,
+    });
+
+    expect(first).toMatchObject({
+      total_count: SIZE,
+      has_more: true,
+      next_cursor: "25",
+    });
+    expect(first.data).toHaveLength(25);
+    expect(second.data[0]).not.toEqual(first.data[0]);
+  });
+
+  it("refines the previous turn's SQL for a follow-up", async () => {
+    const body = await query({
+      question: "now only for lane 3",
+      conversation: {
+        turns: [
+          {
+            question: "show everything",
+            sql_query: "SELECT * FROM shipments ORDER BY start_time",
+            columns: [{ name: "lane" }, { name: "start_time" }],
+          },
+        ],
+      },
+    });
+
+    expect(body.sql_query).toContain("WHERE lane = 'LANE03'");
+    expect(body.data.every((row) => row.lane === "LANE03")).toBe(true);
+  });
+
+  it("fails a query on request", async () => {
+    const server503 = await request("POST", "/query", {
+      question: "show everything #fail:server",
+    });
+    const malformed = await request("POST", "/query?fail=malformed", {
+      question: "show everything",
+    });
+
+    expect(server503.status).toBe(503);
+    expect(malformed.status).toBe(200);
+    expect(malformed.json).toBeNull();
+  });
+});
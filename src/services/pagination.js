@@ -0,0 +1,97 @@
+/**
+ * Result Paging
+ * Page size setting and helpers for combining paged query results
+ */
+
+import { t } from "./i18n.js";
+
+const env = import.meta.env || {};
+
+const SETTINGS_KEY = "shipmentiq.paging";
+
+const DEFAULT_PAGE_SIZE = Number(env.VITE_QUERY_PAGE_SIZE) || 1000;
+export const MIN_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 10000;
+
+const clampPageSize = (size) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(MIN_PAGE_SIZE, Math.round(size) || 0));
+
+const loadPageSize = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    const saved = raw ? JSON.parse(raw).pageSize : null;
+    return saved ? clampPageSize(saved) : DEFAULT_PAGE_SIZE;
+  } catch (error) {
+    return DEFAULT_PAGE_SIZE;
+  }
+};
+
+let pageSize = loadPageSize();
+
+/**
+ * Returns the number of rows requested per page
+ * @returns {number}
+ */
+export const getPageSize = () => pageSize;
+
+/**
+ * Updates and persists the page size
+ * @param {number} size - Rows per page, clamped to MIN_PAGE_SIZE..MAX_PAGE_SIZE
+ */
+export const configurePageSize = (size) => {
+  pageSize = clampPageSize(size);
+
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify({ pageSize }));
+  } catch (error) {
+    console.warn("Could not save page size:", error);
+  }
+};
+
+/**
+ * Builds the request parameters for the page after the given one
+ * @param {Object} pagination - { nextCursor, nextPage } from a previous page
+ * @returns {Object} - { page_size, cursor } or { page_size, page }
+ */
+export const buildNextPageParams = (pagination) =>
+  pagination.nextCursor !== null
+    ? { page_size: pageSize, cursor: pagination.nextCursor }
+    : { page_size: pageSize, page: pagination.nextPage };
+
+/**
+ * Settles the paging state once rows have been loaded: a known total that has
+ * been reached means there is nothing more to fetch, whatever the backend says
+ * @param {Object|null} pagination - Paging state from the latest page
+ * @param {number} loadedCount - Rows loaded so far
+ * @returns {Object|null} - Paging state
+ */
+export const settlePagination = (pagination, loadedCount) => {
+  if (!pagination) return null;
+
+  const reachedTotal =
+    pagination.totalCount !== null && loadedCount >= pagination.totalCount;
+  const hasNext =
+    pagination.nextCursor !== null || pagination.nextPage !== null;
+
+  return {
+    ...pagination,
+    hasMore: pagination.hasMore && hasNext && !reachedTotal,
+  };
+};
+
+/**
+ * Formats the record counter, e.g. "1,000 of 25,340 records"
+ * @param {number} loadedCount - Rows loaded so far
+ * @param {Object|null} pagination - Paging state
+ * @returns {string}
+ */
+export const formatRecordCount = (loadedCount, pagination) => {
+  if (pagination?.totalCount != null) {
+    return t("records.ofTotal", {
+      loaded: loadedCount,
+      total: pagination.totalCount,
+    });
+  }
+  if (pagination?.hasMore) return t("records.more", { count: loadedCount });
+  return t("records.count", { count: loadedCount });
+};
@@ -0,0 +1,69 @@
+import {
+  MAX_PAGE_SIZE,
+  MIN_PAGE_SIZE,
+  buildNextPageParams,
+  configurePageSize,
+  formatRecordCount,
+  getPageSize,
+  settlePagination,
+} from "./pagination.js";
+
+const paging = (fields) => ({
+  totalCount: null,
+  hasMore: true,
+  nextCursor: null,
+  nextPage: null,
+  ...fields,
+});
+
+describe("configurePageSize", () => {
+  it("clamps and saves the page size", () => {
+    configurePageSize(5);
+    expect(getPageSize()).toBe(MIN_PAGE_SIZE);
+    configurePageSize(1e9);
+    expect(getPageSize()).toBe(MAX_PAGE_SIZE);
+    configurePageSize(250.4);
+    expect(getPageSize()).toBe(250);
+    expect(
+      JSON.parse(window.localStorage.getItem("shipmentiq.paging"))
+    ).toEqual({ pageSize: 250 });
+  });
+});
+
+describe("buildNextPageParams", () => {
+  it("prefers the cursor over the page number", () => {
+    configurePageSize(100);
+    expect(
+      buildNextPageParams(paging({ nextCursor: "c2", nextPage: 2 }))
+    ).toEqual({ page_size: 100, cursor: "c2" });
+    expect(buildNextPageParams(paging({ nextPage: 3 }))).toEqual({
+      page_size: 100,
+      page: 3,
+    });
+  });
+});
+
+describe("settlePagination", () => {
+  it("ends paging once the total is reached, whatever the backend says", () => {
+    const settled = settlePagination(
+      paging({ totalCount: 10, nextCursor: "c2" }),
+      10
+    );
+    expect(settled.hasMore).toBe(false);
+  });
+
+  it("ends paging when there is no way to ask for the next page", () => {
+    expect(settlePagination(paging({ totalCount: 10 }), 4).hasMore).toBe(false);
+    expect(settlePagination(paging({ nextPage: 2 }), 4).hasMore).toBe(true);
+    expect(settlePagination(null, 4)).toBeNull();
+  });
+});
+
+describe("formatRecordCount", () => {
+  it("says how many of how many records are loaded", () => {
+    expect(formatRecordCount(1000, paging({ totalCount: 25340 }))).toBe(
+      "1,000 of 25,340 records"
+    );
+    expect(formatRecordCount(1, null)).toBe("1 record");
+  });
+});
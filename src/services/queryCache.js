@@ -0,0 +1,269 @@
+/**
+ * Query Cache
+ * In-memory LRU/TTL cache of query results, optionally persisted to IndexedDB
+ */
+
+import { t } from "./i18n.js";
+
+const env = import.meta.env || {};
+
+const SETTINGS_KEY = "shipmentiq.queryCache";
+const DB_NAME = "shipmentiq-cache";
+const DB_STORE = "queries";
+const DB_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  maxEntries: 50,
+  ttlMs: 5 * 60 * 1000, // 5 minutes
+  persist: String(env.VITE_PERSIST_QUERY_CACHE).toLowerCase() === "true",
+};
+
+const loadSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+let settings = loadSettings();
+
+// Map preserves insertion order, so the first key is always the least recently used
+const memoryCache = new Map();
+
+/**
+ * Normalizes a question so trivially different phrasings share a cache entry
+ * @param {string} question - Raw user question
+ * @returns {string} - Normalized question
+ */
+export const normalizeQuestion = (question = "") =>
+  question
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/[?.!\s]+$/, "");
+
+/**
+ * Builds the cache key for a question on a given backend
+ * @param {string} backendId - Active backend profile id
+ * @param {string} question - Raw user question
+ * @param {string} contextKey - Conversation context fingerprint, if any
+ * @returns {string} - Cache key
+ */
+export const buildCacheKey = (backendId, question, contextKey = "") =>
+  `${backendId}::${normalizeQuestion(question)}${
+    contextKey ? `::${contextKey}` : ""
+  }`;
+
+// ==================== INDEXEDDB PERSISTENCE ====================
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DB_STORE, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Query cache: IndexedDB unavailable", request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    const transaction = db.transaction(DB_STORE, mode);
+    const request = operation(transaction.objectStore(DB_STORE));
+    transaction.oncomplete = () => resolve(request?.result ?? null);
+    transaction.onerror = () => resolve(null);
+  });
+};
+
+const readPersisted = (key) =>
+  runTransaction("readonly", (store) => store.get(key));
+const writePersisted = (entry) =>
+  runTransaction("readwrite", (store) => store.put(entry));
+const deletePersisted = (key) =>
+  runTransaction("readwrite", (store) => store.delete(key));
+const clearPersisted = () =>
+  runTransaction("readwrite", (store) => store.clear());
+
+// Walks every stored entry, including ones not loaded into memory yet
+const deletePersistedWhere = (matches) =>
+  runTransaction("readwrite", (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (matches(cursor.key)) cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  });
+
+// ==================== CACHE API ====================
+
+const isFresh = (entry, maxAge) => {
+  const now = Date.now();
+  if (now > entry.expiresAt) return false;
+  return maxAge == null || now - entry.cachedAt <= maxAge;
+};
+
+const touch = (entry) => {
+  memoryCache.delete(entry.key);
+  memoryCache.set(entry.key, entry);
+
+  while (memoryCache.size > settings.maxEntries) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Looks up a cached result
+ * @param {string} key - Key from buildCacheKey
+ * @param {Object} options - { maxAge } rejects entries older than maxAge ms
+ * @returns {Promise<Object|null>} - { result, cachedAt } or null
+ */
+export const getCachedResult = async (key, { maxAge } = {}) => {
+  let entry = memoryCache.get(key);
+
+  if (!entry && settings.persist) {
+    entry = await readPersisted(key);
+  }
+
+  if (!entry) return null;
+
+  if (Date.now() > entry.expiresAt) {
+    invalidateCacheKey(key);
+    return null;
+  }
+
+  if (!isFresh(entry, maxAge)) return null;
+
+  touch(entry);
+  return { result: entry.result, cachedAt: entry.cachedAt };
+};
+
+/**
+ * Stores a successful query result
+ * @param {string} key - Key from buildCacheKey
+ * @param {Object} result - { data, sqlQuery, userQuestion, ... }
+ */
+export const setCachedResult = (key, result) => {
+  const cachedAt = Date.now();
+  const entry = {
+    key,
+    result: {
+      data: result.data,
+      sqlQuery: result.sqlQuery,
+      userQuestion: result.userQuestion,
+      contractVersion: result.contractVersion ?? null,
+      pagination: result.pagination ?? null,
+      warnings: result.warnings || [],
+    },
+    cachedAt,
+    expiresAt: cachedAt + settings.ttlMs,
+  };
+
+  touch(entry);
+  if (settings.persist) writePersisted(entry);
+};
+
+/**
+ * Removes a single cache entry
+ * @param {string} key - Key from buildCacheKey
+ */
+export const invalidateCacheKey = (key) => {
+  memoryCache.delete(key);
+  if (settings.persist) deletePersisted(key);
+};
+
+// Context fingerprints from getContextKey are base-36 numbers
+const CONTEXT_KEY_PATTERN = /^[0-9a-z]+$/;
+
+// Keys are "backend::question" or "backend::question::context"
+const isKeyForQuestion = (key, normalized) => {
+  const rest = key.slice(key.indexOf("::") + 2);
+  if (rest === normalized) return true;
+  return (
+    rest.startsWith(`${normalized}::`) &&
+    CONTEXT_KEY_PATTERN.test(rest.slice(normalized.length + 2))
+  );
+};
+
+/**
+ * Removes every cached entry for a question (on any backend and in any
+ * conversation), or the whole cache when no question is given. Entries
+ * persisted to IndexedDB are removed too.
+ * @param {string} question - Optional question to invalidate
+ */
+export const invalidateQueryCache = async (question) => {
+  if (!question) {
+    memoryCache.clear();
+    await clearPersisted();
+    return;
+  }
+
+  const normalized = normalizeQuestion(question);
+  const matches = (key) => isKeyForQuestion(key, normalized);
+  [...memoryCache.keys()]
+    .filter(matches)
+    .forEach((key) => memoryCache.delete(key));
+  await deletePersistedWhere(matches);
+};
+
+/**
+ * Returns the current cache settings and size
+ * @returns {Object} - { maxEntries, ttlMs, persist, entries }
+ */
+export const getQueryCacheInfo = () => ({
+  ...settings,
+  entries: memoryCache.size,
+});
+
+/**
+ * Updates cache settings (maxEntries, ttlMs, persist)
+ * @param {Object} changes - Settings to change
+ */
+export const configureQueryCache = (changes) => {
+  settings = { ...settings, ...changes };
+
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not save query cache settings:", error);
+  }
+
+  while (memoryCache.size > settings.maxEntries) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Formats how old a cached result is, e.g. "just now", "3 min old"
+ * @param {number} cachedAt - Timestamp in ms
+ * @returns {string} - Human readable age
+ */
+export const formatCacheAge = (cachedAt) => {
+  const seconds = Math.max(0, Math.round((Date.now() - cachedAt) / 1000));
+
+  if (seconds < 10) return t("cache.justNow");
+  if (seconds < 60) return t("cache.seconds", { count: seconds });
+  if (seconds < 3600) {
+    return t("cache.minutes", { count: Math.round(seconds / 60) });
+  }
+  return t("cache.hours", { count: Math.round(seconds / 3600) });
+};
@@ -0,0 +1,63 @@
+import "fake-indexeddb/auto";
+import {
+  buildCacheKey,
+  configureQueryCache,
+  getCachedResult,
+  invalidateQueryCache,
+  setCachedResult,
+} from "./queryCache.js";
+
+const result = (question) => ({
+  data: [{ question }],
+  sqlQuery: "SELECT 1",
+  userQuestion: question,
+});
+
+// Drops the in-memory copies, as after a reload; IndexedDB keeps its own
+const forgetMemory = () => {
+  configureQueryCache({ maxEntries: 0 });
+  configureQueryCache({ maxEntries: 50 });
+};
+
+beforeAll(() => configureQueryCache({ persist: true }));
+
+beforeEach(() => invalidateQueryCache());
+
+describe("invalidateQueryCache", () => {
+  const keys = {
+    plain: buildCacheKey("dev", "How many trucks?"),
+    otherBackend: buildCacheKey("prod", "how many trucks"),
+    withContext: buildCacheKey("dev", "How many trucks", "1x9ab"),
+    otherQuestion: buildCacheKey("dev", "How many trucks per lane?"),
+  };
+
+  beforeEach(() => {
+    Object.entries(keys).forEach(([name, key]) =>
+      setCachedResult(key, result(name))
+    );
+  });
+
+  it("removes the question on every backend and in every conversation", async () => {
+    await invalidateQueryCache("how many TRUCKS ?");
+
+    expect(await getCachedResult(keys.plain)).toBeNull();
+    expect(await getCachedResult(keys.otherBackend)).toBeNull();
+    expect(await getCachedResult(keys.withContext)).toBeNull();
+    expect(await getCachedResult(keys.otherQuestion)).not.toBeNull();
+  });
+
+  it("removes persisted entries that are not in memory", async () => {
+    forgetMemory();
+    // Read back from IndexedDB, so the writes have finished
+    expect(await getCachedResult(keys.otherQuestion)).not.toBeNull();
+    forgetMemory();
+
+    await invalidateQueryCache("How many trucks?");
+
+    expect(await getCachedResult(keys.plain)).toBeNull();
+    expect(await getCachedResult(keys.withContext)).toBeNull();
+    expect(await getCachedResult(keys.otherQuestion)).toMatchObject({
+      result: { userQuestion: "otherQuestion" },
+    });
+  });
+});
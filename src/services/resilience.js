@@ -0,0 +1,269 @@
+/**
+ * Resilience Utilities
+ * Retry with exponential backoff and jitter, plus a per-backend circuit breaker
+ */
+
+import { t } from "./i18n.js";
+
+const env = import.meta.env || {};
+
+const SETTINGS_KEY = "shipmentiq.retryPolicy";
+
+const DEFAULT_POLICY = {
+  maxRetries: Number(env.VITE_API_MAX_RETRIES ?? 2),
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  failureThreshold: 3, // consecutive failed requests before the circuit opens
+  cooldownMs: 30000, // how long an open circuit rejects requests
+};
+
+const loadPolicy = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_POLICY, ...(raw ? JSON.parse(raw) : {}) };
+  } catch (error) {
+    return { ...DEFAULT_POLICY };
+  }
+};
+
+let policy = loadPolicy();
+
+/**
+ * Returns the current retry / circuit breaker policy
+ * @returns {Object} - { maxRetries, baseDelayMs, maxDelayMs, failureThreshold, cooldownMs }
+ */
+export const getRetryPolicy = () => ({ ...policy });
+
+/**
+ * Updates and persists the retry / circuit breaker policy
+ * @param {Object} changes - Policy fields to change
+ */
+export const configureRetryPolicy = (changes) => {
+  policy = { ...policy, ...changes };
+
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(policy));
+  } catch (error) {
+    console.warn("Could not save retry policy:", error);
+  }
+};
+
+// ==================== RETRY ====================
+
+const isTimeoutError = (error) =>
+  error?.type === "timeout" ||
+  error?.status === 408 ||
+  error?.code === "ECONNABORTED" ||
+  (error?.message || "").toLowerCase().includes("timeout");
+
+const isServerError = (error) => error?.status >= 500;
+
+/**
+ * Timeouts and 5xx responses are worth retrying; 4xx are not
+ * @param {Object} error - Error from a failed result
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) =>
+  isTimeoutError(error) || isServerError(error);
+
+/**
+ * Errors that suggest the backend itself is unhealthy (counted by the breaker).
+ * Errors the backend reported itself, unreadable and empty answers all prove
+ * it is alive.
+ */
+const isBackendFailure = (error) =>
+  !error?.backendReported &&
+  (isRetryableError(error) || error?.type === "network");
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of the
+ * exponential cap, so clients that failed together do not retry together
+ * @param {number} attempt - Zero-based retry number
+ * @returns {number} - Delay in ms
+ */
+export const computeBackoffDelay = (attempt) => {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+// ==================== CIRCUIT BREAKER ====================
+
+const circuits = {};
+
+const getCircuit = (backendId) => {
+  if (!circuits[backendId]) {
+    circuits[backendId] = {
+      state: "closed",
+      failures: 0,
+      openedAt: null,
+      probeInFlight: false,
+    };
+  }
+  return circuits[backendId];
+};
+
+/**
+ * Returns the breaker state for a backend
+ * @param {string} backendId - Backend profile id
+ * @returns {Object} - { state, failures, retryAt }
+ */
+export const getCircuitState = (backendId) => {
+  const circuit = getCircuit(backendId);
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    retryAt:
+      circuit.state === "open" ? circuit.openedAt + policy.cooldownMs : null,
+  };
+};
+
+/**
+ * Closes the breaker for a backend, e.g. after the user fixed its URL
+ * @param {string} backendId - Backend profile id
+ */
+export const resetCircuit = (backendId) => {
+  delete circuits[backendId];
+};
+
+const tryAcquire = (circuit) => {
+  if (circuit.state === "closed") return true;
+
+  if (
+    circuit.state === "open" &&
+    Date.now() - circuit.openedAt >= policy.cooldownMs
+  ) {
+    circuit.state = "half-open";
+  }
+
+  // Half-open: let exactly one probe request through
+  if (circuit.state === "half-open" && !circuit.probeInFlight) {
+    circuit.probeInFlight = true;
+    return true;
+  }
+
+  return false;
+};
+
+const recordSuccess = (circuit) => {
+  circuit.state = "closed";
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.probeInFlight = false;
+};
+
+const recordFailure = (circuit, backendId) => {
+  circuit.failures++;
+  circuit.probeInFlight = false;
+
+  if (
+    circuit.state === "half-open" ||
+    circuit.failures >= policy.failureThreshold
+  ) {
+    circuit.state = "open";
+    circuit.openedAt = Date.now();
+    console.warn(
+      `⛔ Circuit opened for backend "${backendId}" after ${circuit.failures} failures`
+    );
+  }
+};
+
+/**
+ * Runs a result-returning request with retries and the backend's circuit
+ * breaker. `run` resolves to { success, cancelled, error, ... } and is called
+ * once per attempt.
+ * @param {string} backendId - Backend profile id
+ * @param {Function} run - (attempt) => Promise<result>
+ * @param {Object} options - { signal, onRetry({ attempt, maxRetries, delayMs, error }), shouldRetry(result) }
+ * @returns {Promise<Object>} - Final result; errors carry `attempts` and, when
+ *   the breaker rejected the call, `circuitOpen` and `retryAt`
+ */
+export const executeWithResilience = async (
+  backendId,
+  run,
+  { signal, onRetry, shouldRetry = () => true } = {}
+) => {
+  const circuit = getCircuit(backendId);
+
+  if (!tryAcquire(circuit)) {
+    const retryAt = circuit.openedAt + policy.cooldownMs;
+    return {
+      success: false,
+      cancelled: false,
+      error: {
+        message: t("apiError.circuitPaused"),
+        circuitOpen: true,
+        retryAt,
+        attempts: 0,
+      },
+    };
+  }
+
+  let attempt = 0;
+  let result;
+
+  while (true) {
+    result = await run(attempt);
+
+    if (result.success) {
+      recordSuccess(circuit);
+      return { ...result, attempts: attempt + 1 };
+    }
+
+    if (result.cancelled) {
+      circuit.probeInFlight = false;
+      return result;
+    }
+
+    const canRetry =
+      attempt < policy.maxRetries &&
+      isRetryableError(result.error) &&
+      shouldRetry(result);
+
+    if (!canRetry) break;
+
+    const delayMs = computeBackoffDelay(attempt);
+    console.log(
+      `🔁 Retrying (${attempt + 1}/${policy.maxRetries}) in ${delayMs}ms`
+    );
+    onRetry?.({
+      attempt: attempt + 1,
+      maxRetries: policy.maxRetries,
+      delayMs,
+      error: result.error,
+    });
+
+    try {
+      await wait(delayMs, signal);
+    } catch (abortError) {
+      circuit.probeInFlight = false;
+      return { ...result, success: false, cancelled: true, error: null };
+    }
+
+    attempt++;
+  }
+
+  if (isBackendFailure(result.error)) {
+    recordFailure(circuit, backendId);
+  } else {
+    // The backend answered (e.g. 4xx); it is alive even if the query failed
+    recordSuccess(circuit);
+  }
+
+  return {
+    ...result,
+    error: result.error && { ...result.error, attempts: attempt + 1 },
+  };
+};
@@ -0,0 +1,303 @@
+/**
+ * Query Response Contract
+ * Declares the /query response format, validates payloads at runtime and
+ * records every coercion applied to them so the UI can show it
+ */
+
+import { t } from "./i18n.js";
+
+/**
+ * Contract version implemented by this app. Backends declare the version
+ * they speak in `contract_version`; only the major number has to match.
+ */
+export const CONTRACT_VERSION = "1.1";
+
+/**
+ * /query JSON response, contract 1.x
+ * @typedef {Object} QueryResponseV1
+ * @property {string} contract_version - e.g. "1.0"
+ * @property {string} sql_query - SQL generated by the pipeline
+ * @property {Object[]} data - Result rows, one flat object per row
+ * @property {string|Object} [error] - Set (as a message or { message, code })
+ *   when the pipeline failed; data may then be omitted
+ * @property {number} [total_count] - Rows in the whole result (1.1)
+ * @property {string} [next_cursor] - Cursor for the next page (1.1)
+ * @property {number} [page] - 1-based page number, for page-numbered paging (1.1)
+ * @property {boolean} [has_more] - Whether another page exists (1.1)
+ *
+ * Paged requests send `page_size` and, for later pages, either `cursor`
+ * (the previous next_cursor) or `page`. A streamed response carries the
+ * paging fields on its "done" event.
+ *
+ * Responses without `contract_version` are read as the legacy format:
+ * SQL in "sql query", sqlQuery or query, rows in data, results or a bare
+ * array. Every legacy fallback used is reported as a warning.
+ */
+
+/**
+ * Types of failed query results (error.type)
+ */
+export const QUERY_ERROR_TYPES = {
+  NETWORK: "network", // no response at all
+  TIMEOUT: "timeout", // no response in time
+  BACKEND: "backend", // the backend answered with an error
+  MALFORMED: "malformed", // the response does not follow the contract
+  EMPTY: "empty", // the query ran but returned no rows
+};
+
+/**
+ * Builds a typed error for a failed query result
+ * @param {string} type - One of QUERY_ERROR_TYPES
+ * @param {string} message - Description of what went wrong
+ * @param {Object} extra - Additional fields (status, details, code, backendReported)
+ * @returns {Object} - { type, message, ... }
+ */
+export const createQueryError = (type, message, extra = {}) => ({
+  type,
+  message,
+  ...extra,
+});
+
+const LEGACY_SQL_FIELDS = ["sql query", "sqlQuery", "query"];
+const NUMERIC_TEXT = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Warning messages live in the catalogs as warnings.<code>
+const warn = (code, values) => ({
+  code,
+  message: t(`warnings.${code}`, values),
+});
+
+const formatColumns = (columns) => [...columns].join(", ");
+
+const readErrorMessage = (error) => {
+  if (typeof error === "string") return error;
+  return error?.message || error?.detail || JSON.stringify(error);
+};
+
+/**
+ * Normalizes result rows: non-object rows are dropped, nested values are
+ * stored as text and columns holding only numbers and numeric text become
+ * numeric. Text with leading zeros (IDs such as "007") is left alone.
+ * @param {Array} rows - Raw rows
+ * @returns {Object} - { rows, warnings }
+ */
+export const normalizeRows = (rows) => {
+  const warnings = [];
+  const objects = rows.filter(isPlainObject);
+
+  if (objects.length < rows.length) {
+    const dropped = rows.length - objects.length;
+    warnings.push(warn("dropped-rows", { count: dropped }));
+  }
+
+  const nestedColumns = new Set();
+  const columnKinds = {};
+
+  const normalized = objects.map((row) => {
+    const copy = {};
+
+    Object.entries(row).forEach(([key, value]) => {
+      if (value !== null && typeof value === "object") {
+        nestedColumns.add(key);
+        copy[key] = JSON.stringify(value);
+      } else {
+        copy[key] = value;
+      }
+
+      const kind = columnKinds[key] || { numeric: true, text: false };
+      const cell = copy[key];
+      if (cell === null || cell === undefined || cell === "") {
+        // Missing values do not decide the column type
+      } else if (typeof cell === "string" && NUMERIC_TEXT.test(cell.trim())) {
+        kind.text = true;
+      } else if (typeof cell !== "number") {
+        kind.numeric = false;
+      }
+      columnKinds[key] = kind;
+    });
+
+    return copy;
+  });
+
+  if (nestedColumns.size) {
+    warnings.push(
+      warn("stringified-values", { columns: formatColumns(nestedColumns) })
+    );
+  }
+
+  const numericColumns = Object.keys(columnKinds).filter(
+    (key) => columnKinds[key].numeric && columnKinds[key].text
+  );
+
+  if (numericColumns.length) {
+    normalized.forEach((row) => {
+      numericColumns.forEach((key) => {
+        if (typeof row[key] === "string" && row[key] !== "") {
+          row[key] = Number(row[key]);
+        }
+      });
+    });
+    warnings.push(
+      warn("numeric-text", { columns: formatColumns(numericColumns) })
+    );
+  }
+
+  return { rows: normalized, warnings };
+};
+
+/**
+ * Reads the paging fields of a response or "done" stream event
+ * @param {Object} payload - Response body or done event payload
+ * @returns {Object|null} - { totalCount, hasMore, nextCursor, nextPage }, or
+ *   null when the backend returned the whole result at once
+ */
+export const readPagination = (payload) => {
+  if (!isPlainObject(payload)) return null;
+
+  const totalCount = Number.isFinite(payload.total_count)
+    ? payload.total_count
+    : null;
+  const nextCursor =
+    payload.next_cursor === undefined || payload.next_cursor === null
+      ? null
+      : String(payload.next_cursor);
+  const page = Number.isInteger(payload.page) ? payload.page : null;
+  const hasMore =
+    typeof payload.has_more === "boolean"
+      ? payload.has_more
+      : nextCursor !== null;
+
+  if (totalCount === null && nextCursor === null && page === null && !hasMore) {
+    return null;
+  }
+
+  return {
+    totalCount,
+    hasMore,
+    nextCursor,
+    nextPage: hasMore && nextCursor === null && page !== null ? page + 1 : null,
+  };
+};
+
+const invalid = (message, { details, ...partial } = {}) => ({
+  data: [],
+  sqlQuery: "",
+  contractVersion: null,
+  pagination: null,
+  warnings: [],
+  ...partial,
+  error: createQueryError(QUERY_ERROR_TYPES.MALFORMED, message, { details }),
+});
+
+/**
+ * Validates a /query JSON response against the contract
+ * @param {*} payload - Parsed response body
+ * @returns {Object} - { data, sqlQuery, contractVersion, pagination, warnings,
+ *   error }; error is a typed error (backend, malformed or empty) or null
+ */
+export const validateQueryResponse = (payload) => {
+  if (payload === null || payload === undefined || payload === "") {
+    return invalid(t("apiError.emptyBody"));
+  }
+
+  if (typeof payload === "string") {
+    return invalid(t("apiError.textBody"), {
+      details: payload.slice(0, 200),
+    });
+  }
+
+  const warnings = [];
+  let sqlQuery = "";
+  let rows;
+  let contractVersion = null;
+
+  if (Array.isArray(payload)) {
+    warnings.push(warn("legacy-array"));
+    rows = payload;
+  } else if (isPlainObject(payload)) {
+    if (payload.contract_version != null) {
+      contractVersion = String(payload.contract_version);
+      const major = contractVersion.split(".")[0];
+      if (major !== CONTRACT_VERSION.split(".")[0]) {
+        return invalid(
+          t("apiError.contractVersion", {
+            version: contractVersion,
+            supported: CONTRACT_VERSION,
+          })
+        );
+      }
+    } else {
+      warnings.push(warn("legacy-format"));
+    }
+
+    if (typeof payload.sql_query === "string") {
+      sqlQuery = payload.sql_query;
+    } else {
+      const legacyField = LEGACY_SQL_FIELDS.find(
+        (field) => typeof payload[field] === "string"
+      );
+      if (legacyField) {
+        sqlQuery = payload[legacyField];
+        warnings.push(warn("legacy-sql-field", { field: legacyField }));
+      }
+    }
+
+    const reportedError =
+      payload.error ||
+      (contractVersion === null && payload.data === undefined
+        ? payload.detail
+        : undefined);
+
+    if (reportedError) {
+      return {
+        data: [],
+        sqlQuery,
+        contractVersion,
+        pagination: null,
+        warnings,
+        error: createQueryError(
+          QUERY_ERROR_TYPES.BACKEND,
+          readErrorMessage(reportedError),
+          { code: reportedError.code, backendReported: true }
+        ),
+      };
+    }
+
+    if (Array.isArray(payload.data)) {
+      rows = payload.data;
+    } else if (payload.data !== undefined) {
+      return invalid(
+        t("apiError.dataNotArray", { type: typeof payload.data }),
+        { sqlQuery, contractVersion, warnings }
+      );
+    } else if (contractVersion === null && Array.isArray(payload.results)) {
+      warnings.push(warn("legacy-rows-field"));
+      rows = payload.results;
+    } else {
+      return invalid(t("apiError.noData"), {
+        sqlQuery,
+        contractVersion,
+        warnings,
+      });
+    }
+  } else {
+    return invalid(t("apiError.notObject", { type: typeof payload }));
+  }
+
+  const normalized = normalizeRows(rows);
+  const allWarnings = warnings.concat(normalized.warnings);
+
+  return {
+    data: normalized.rows,
+    sqlQuery,
+    contractVersion,
+    pagination: Array.isArray(payload) ? null : readPagination(payload),
+    warnings: allWarnings,
+    error: normalized.rows.length
+      ? null
+      : createQueryError(QUERY_ERROR_TYPES.EMPTY, t("apiError.noRows")),
+  };
+};
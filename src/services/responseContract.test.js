@@ -0,0 +1,155 @@
+import {
+  CONTRACT_VERSION,
+  QUERY_ERROR_TYPES,
+  normalizeRows,
+  readPagination,
+  validateQueryResponse,
+} from "./responseContract.js";
+
+const codes = (warnings) => warnings.map((warning) => warning.code);
+
+describe("validateQueryResponse", () => {
+  it("reads a contract response without warnings", () => {
+    const result = validateQueryResponse({
+      contract_version: CONTRACT_VERSION,
+      sql_query: "SELECT lane FROM shipments",
+      data: [{ lane: "A" }],
+    });
+
+    expect(result).toMatchObject({
+      data: [{ lane: "A" }],
+      sqlQuery: "SELECT lane FROM shipments",
+      contractVersion: CONTRACT_VERSION,
+      pagination: null,
+      warnings: [],
+      error: null,
+    });
+  });
+
+  it("accepts a newer minor version but not another major one", () => {
+    expect(
+      validateQueryResponse({ contract_version: "1.9", data: [{ a: 1 }] }).error
+    ).toBeNull();
+
+    const result = validateQueryResponse({ contract_version: "2.0", data: [] });
+    expect(result.error.type).toBe(QUERY_ERROR_TYPES.MALFORMED);
+    expect(result.error.message).toContain("2.0");
+  });
+
+  it("reports each legacy fallback it used", () => {
+    const result = validateQueryResponse({
+      "sql query": "SELECT 1",
+      results: [{ a: 1 }],
+    });
+
+    expect(result.sqlQuery).toBe("SELECT 1");
+    expect(result.data).toEqual([{ a: 1 }]);
+    expect(codes(result.warnings)).toEqual([
+      "legacy-format",
+      "legacy-sql-field",
+      "legacy-rows-field",
+    ]);
+    expect(result.warnings[1].message).toContain('"sql query"');
+  });
+
+  it("reads a bare array as the rows", () => {
+    const result = validateQueryResponse([{ a: 1 }]);
+    expect(result.data).toEqual([{ a: 1 }]);
+    expect(codes(result.warnings)).toEqual(["legacy-array"]);
+  });
+
+  it("turns a reported error into a backend error", () => {
+    const result = validateQueryResponse({
+      contract_version: "1.0",
+      sql_query: "SELECT nope",
+      error: { message: "no such column: nope", code: "SQL_ERROR" },
+    });
+
+    expect(result.sqlQuery).toBe("SELECT nope");
+    expect(result.error).toMatchObject({
+      type: QUERY_ERROR_TYPES.BACKEND,
+      message: "no such column: nope",
+      code: "SQL_ERROR",
+      backendReported: true,
+    });
+  });
+
+  it.each([
+    ["an empty body", ""],
+    ["text", "<html>Bad gateway</html>"],
+    ["a number", 42],
+    ["data that is not an array", { contract_version: "1.0", data: {} }],
+    ["no data", { contract_version: "1.0" }],
+  ])("rejects %s as malformed", (_, payload) => {
+    const result = validateQueryResponse(payload);
+    expect(result.error.type).toBe(QUERY_ERROR_TYPES.MALFORMED);
+    expect(result.data).toEqual([]);
+  });
+
+  it("keeps the start of a text body as details", () => {
+    const result = validateQueryResponse("x".repeat(500));
+    expect(result.error.details).toHaveLength(200);
+  });
+
+  it("reports a result without rows as empty", () => {
+    const result = validateQueryResponse({ contract_version: "1.0", data: [] });
+    expect(result.error.type).toBe(QUERY_ERROR_TYPES.EMPTY);
+  });
+});
+
+describe("normalizeRows", () => {
+  it("drops rows that are not objects", () => {
+    const { rows, warnings } = normalizeRows([{ a: 1 }, 2, null]);
+    expect(rows).toEqual([{ a: 1 }]);
+    expect(warnings).toEqual([
+      {
+        code: "dropped-rows",
+        message: "Dropped 2 rows that were not an object",
+      },
+    ]);
+  });
+
+  it("stores nested values as text", () => {
+    const { rows, warnings } = normalizeRows([{ a: { b: 1 } }]);
+    expect(rows).toEqual([{ a: '{"b":1}' }]);
+    expect(codes(warnings)).toEqual(["stringified-values"]);
+  });
+
+  it("converts numeric text when the whole column is numeric", () => {
+    const { rows, warnings } = normalizeRows([
+      { teu: "12", lane: "07" },
+      { teu: 3.5, lane: "B" },
+      { teu: null, lane: "C" },
+    ]);
+
+    expect(rows.map((row) => row.teu)).toEqual([12, 3.5, null]);
+    expect(rows.map((row) => row.lane)).toEqual(["07", "B", "C"]);
+    expect(warnings).toEqual([
+      { code: "numeric-text", message: "Converted text to numbers in: teu" },
+    ]);
+  });
+});
+
+describe("readPagination", () => {
+  it("returns null for a response that is not paged", () => {
+    expect(readPagination({ data: [] })).toBeNull();
+  });
+
+  it("reads cursor paging", () => {
+    expect(readPagination({ next_cursor: 40, total_count: 90 })).toEqual({
+      totalCount: 90,
+      hasMore: true,
+      nextCursor: "40",
+      nextPage: null,
+    });
+  });
+
+  it("reads page-numbered paging", () => {
+    expect(readPagination({ page: 2, has_more: true })).toEqual({
+      totalCount: null,
+      hasMore: true,
+      nextCursor: null,
+      nextPage: 3,
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Router
+ * Client-side routing on the History API. The URL holds the page and the
+ * state needed to reopen exactly the same view, so it can be bookmarked,
+ * shared and navigated with the back and forward buttons:
+ *   /                                  Dashboard
+ *   /chat                              AI Chat
+ *   /analytics?q=<question>&view=graphicwalker
+ *   /traffic[/congestion|/performance]?lane=<lane>
+ * Anything else is the not-found page.
+ */
+
+const env = import.meta.env || {};
+
+// Vite's base path, without the trailing slash ("" when served from /)
+const BASE = (env.BASE_URL || "/").replace(/\/$/, "");
+
+export const PAGES = {
+  DASHBOARD: "dashboard",
+  CHAT: "chat",
+  ANALYTICS: "analytics",
+  TRAFFIC: "traffic",
+  NOT_FOUND: "notFound",
+};
+
+export const ANALYTICS_VIEWS = ["charts", "graphicwalker"];
+export const TRAFFIC_TABS = ["overview", "congestion", "performance"];
+
+const DEFAULT_ANALYTICS_VIEW = ANALYTICS_VIEWS[0];
+const DEFAULT_TRAFFIC_TAB = TRAFFIC_TABS[0];
+
+const toQueryString = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      query.set(key, value);
+    }
+  });
+  const text = query.toString();
+  return text ? `?${text}` : "";
+};
+
+/**
+ * Reads a route from a URL
+ * @param {Object} location - { pathname, search }
+ * @returns {Object} - { page, params }; params hold the page's view state
+ */
+export const parseLocation = ({ pathname = "/", search = "" } = {}) => {
+  const query = new URLSearchParams(search);
+  const path = pathname.startsWith(BASE)
+    ? pathname.slice(BASE.length)
+    : pathname;
+  const segments = path.split("/").filter(Boolean);
+
+  if (segments.length === 0) return { page: PAGES.DASHBOARD, params: {} };
+
+  const [section, sub, ...rest] = segments;
+  if (section === "chat" && !sub) return { page: PAGES.CHAT, params: {} };
+
+  if (section === "analytics" && !sub) {
+    const view = query.get("view");
+    return {
+      page: PAGES.ANALYTICS,
+      params: {
+        q: query.get("q") || null,
+        view: ANALYTICS_VIEWS.includes(view) ? view : DEFAULT_ANALYTICS_VIEW,
+      },
+    };
+  }
+
+  if (section === "traffic" && !rest.length) {
+    const tab = sub ? decodeURIComponent(sub) : DEFAULT_TRAFFIC_TAB;
+    if (TRAFFIC_TABS.includes(tab)) {
+      return {
+        page: PAGES.TRAFFIC,
+        params: { tab, lane: query.get("lane") || null },
+      };
+    }
+  }
+
+  return { page: PAGES.NOT_FOUND, params: { path: pathname } };
+};
+
+/**
+ * Builds the URL of a route; defaults are left out to keep links short
+ * @param {string} page - One of PAGES
+ * @param {Object} params - The page's view state (see parseLocation)
+ * @returns {string}
+ */
+export const buildPath = (page, params = {}) => {
+  switch (page) {
+    case PAGES.CHAT:
+      return `${BASE}/chat`;
+    case PAGES.ANALYTICS:
+      return `${BASE}/analytics${toQueryString({
+        q: params.q,
+        view: params.view === DEFAULT_ANALYTICS_VIEW ? null : params.view,
+      })}`;
+    case PAGES.TRAFFIC: {
+      const tab =
+        params.tab && params.tab !== DEFAULT_TRAFFIC_TAB
+          ? `/${params.tab}`
+          : "";
+      return `${BASE}/traffic${tab}${toQueryString({ lane: params.lane })}`;
+    }
+    case PAGES.DASHBOARD:
+    default:
+      return `${BASE}/`;
+  }
+};
+
+let route = parseLocation(window.location);
+const listeners = new Set();
+
+const setRoute = () => {
+  route = parseLocation(window.location);
+  listeners.forEach((listener) => listener());
+};
+
+window.addEventListener("popstate", setRoute);
+
+/**
+ * Subscribes to route changes
+ * @param {Function} listener - Called after every navigation
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToRoute = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the current route
+ * @returns {Object} - { page, params }
+ */
+export const getRoute = () => route;
+
+/**
+ * Goes to a URL in the app
+ * @param {string} path - Path and query string, e.g. "/analytics?q=..."
+ * @param {Object} options - { replace }; replace rewrites the current
+ *   history entry instead of adding one
+ */
+export const navigate = (path, { replace = false } = {}) => {
+  const current = `${window.location.pathname}${window.location.search}`;
+  if (path === current) return;
+
+  if (replace) window.history.replaceState(null, "", path);
+  else window.history.pushState(null, "", path);
+  setRoute();
+};
+
+/**
+ * Goes to a page
+ * @param {string} page - One of PAGES
+ * @param {Object} params - The page's view state
+ * @param {Object} options - { replace }
+ */
+export const navigateTo = (page, params = {}, options = {}) =>
+  navigate(buildPath(page, params), options);
+
+/**
+ * Changes part of the current page's view state, e.g. { view: "graphicwalker" }
+ * @param {Object} params - Params to change; null removes one
+ * @param {Object} options - { replace }
+ */
+export const updateRouteParams = (params, options = {}) =>
+  navigateTo(route.page, { ...route.params, ...params }, options);
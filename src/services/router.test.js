@@ -0,0 +1,127 @@
+import {
+  PAGES,
+  buildPath,
+  getRoute,
+  navigate,
+  navigateTo,
+  parseLocation,
+  subscribeToRoute,
+  updateRouteParams,
+} from "./router.js";
+
+afterEach(() => {
+  navigate("/", { replace: true });
+});
+
+describe("parseLocation", () => {
+  it.each([
+    ["/", "", { page: PAGES.DASHBOARD, params: {} }],
+    ["/chat", "", { page: PAGES.CHAT, params: {} }],
+    [
+      "/analytics",
+      "?q=TEU%20per%20lane&view=graphicwalker",
+      {
+        page: PAGES.ANALYTICS,
+        params: { q: "TEU per lane", view: "graphicwalker" },
+      },
+    ],
+    [
+      "/traffic/congestion",
+      "?lane=LANE03",
+      { page: PAGES.TRAFFIC, params: { tab: "congestion", lane: "LANE03" } },
+    ],
+  ])("reads %s%s", (pathname, search, route) => {
+    expect(parseLocation({ pathname, search })).toEqual(route);
+  });
+
+  it("falls back to the default view for unknown ones", () => {
+    expect(
+      parseLocation({ pathname: "/analytics", search: "?view=pivot" }).params
+    ).toEqual({ q: null, view: "charts" });
+    expect(parseLocation({ pathname: "/traffic" }).params).toEqual({
+      tab: "overview",
+      lane: null,
+    });
+  });
+
+  it.each(["/settings", "/chat/old", "/traffic/unknown", "/traffic/a/b"])(
+    "sends %s to the not-found page",
+    (pathname) => {
+      expect(parseLocation({ pathname })).toEqual({
+        page: PAGES.NOT_FOUND,
+        params: { path: pathname },
+      });
+    }
+  );
+});
+
+describe("buildPath", () => {
+  it("leaves default views out of the link", () => {
+    expect(buildPath(PAGES.ANALYTICS, { q: "TEU", view: "charts" })).toBe(
+      "/analytics?q=TEU"
+    );
+    expect(buildPath(PAGES.TRAFFIC, { tab: "overview", lane: null })).toBe(
+      "/traffic"
+    );
+    expect(buildPath(PAGES.DASHBOARD)).toBe("/");
+  });
+
+  it("builds links that read back as the same route", () => {
+    const routes = [
+      { page: PAGES.CHAT, params: {} },
+      {
+        page: PAGES.ANALYTICS,
+        params: { q: "Load & wait > 30 min?", view: "graphicwalker" },
+      },
+      { page: PAGES.TRAFFIC, params: { tab: "performance", lane: "LANE01" } },
+    ];
+
+    routes.forEach(({ page, params }) => {
+      const [pathname, query = ""] = buildPath(page, params).split("?");
+      expect(parseLocation({ pathname, search: `?${query}` })).toEqual({
+        page,
+        params,
+      });
+    });
+  });
+});
+
+describe("navigation", () => {
+  it("adds a history entry and tells subscribers", () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToRoute(listener);
+    const entries = window.history.length;
+
+    navigateTo(PAGES.TRAFFIC, { tab: "congestion" });
+
+    expect(window.location.pathname).toBe("/traffic/congestion");
+    expect(window.history.length).toBe(entries + 1);
+    expect(getRoute().params.tab).toBe("congestion");
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    navigate("/traffic/congestion");
+    expect(listener).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  it("changes part of the view state in place", () => {
+    navigateTo(PAGES.ANALYTICS, { q: "TEU per lane" });
+    const entries = window.history.length;
+
+    updateRouteParams({ view: "graphicwalker" }, { replace: true });
+
+    expect(window.history.length).toBe(entries);
+    expect(getRoute().params).toEqual({
+      q: "TEU per lane",
+      view: "graphicwalker",
+    });
+    expect(window.location.search).toBe("?q=TEU+per+lane&view=graphicwalker");
+  });
+
+  it("follows the back button", () => {
+    window.history.pushState(null, "", "/chat");
+    window.dispatchEvent(new PopStateEvent("popstate"));
+
+    expect(getRoute().page).toBe(PAGES.CHAT);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * SQL Engine
+ * Runs SQL in the browser with SQLite compiled to WebAssembly (sql.js),
+ * so an analyst can edit the generated SQL and run it again without asking
+ * the backend. The current dataset is loaded as a table named after the
+ * table its SQL reads from (and as "dataset"); uploaded files are loaded as
+ * tables named after the file. The engine and its .wasm file are bundled
+ * with the app and only downloaded the first time a query runs.
+ */
+
+import { analyzeDataStructure } from "../utils/dataAnalysis.js";
+import { getDataStoreState, loadDataset } from "./dataStore.js";
+import { t } from "./i18n.js";
+
+// Uploaded files by table name; they stay until the tab is closed
+const uploadedTables = new Map();
+
+// Tables loaded into the database, by name, with the rows they were built from
+const loadedTables = new Map();
+
+let databasePromise = null;
+
+const loadDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = Promise.all([
+      import("sql.js"),
+      import("sql.js/dist/sql-wasm-browser.wasm?url"),
+    ]).then(async ([{ default: initSqlJs }, { default: wasmUrl }]) => {
+      const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+      return new SQL.Database();
+    });
+    // A failed download can be tried again with the next query
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Turns a file name or label into a table name, e.g. "Shipments March.csv"
+ * into "shipments_march"
+ * @param {string} text - File name or label
+ * @returns {string}
+ */
+export const toTableName = (text = "") => {
+  const name = text
+    .replace(/\.[a-z0-9]+$/i, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!name) return "uploaded_file";
+  return /^\d/.test(name) ? `t_${name}` : name;
+};
+
+/**
+ * Finds the table a query reads from first, e.g. "shipments" in
+ * "SELECT ... FROM warehouse.shipments s"
+ * @param {string} sql - SQL query
+ * @returns {string|null} - Table name without schema or quotes
+ */
+export const getSourceTable = (sql = "") => {
+  const match =
+    /\bfrom\s+((?:[`"[]?[\w$]+[`"\]]?\.)*[`"[]?[\w$]+[`"\]]?)/i.exec(sql);
+  if (!match) return null;
+  const name = match[1]
+    .split(".")
+    .pop()
+    .replace(/[`"[\]]/g, "");
+  return /^select$/i.test(name) ? null : name;
+};
+
+/**
+ * Makes an uploaded file available as a table
+ * @param {string} fileName - File name; the table is named after it
+ * @param {Object[]} rows - File rows
+ * @returns {string} - Table name
+ */
+export const registerUploadedTable = (fileName, rows) => {
+  const name = toTableName(fileName);
+  uploadedTables.set(name, rows);
+  return name;
+};
+
+/**
+ * Lists the tables a query on a dataset can read: the uploaded files, and
+ * the dataset's rows as "dataset" and under its SQL's source table. After a
+ * local run the dataset's original rows are used, not the last result.
+ * @param {Object} dataset - Dataset from the data store
+ * @returns {Object} - Rows by table name
+ */
+export const getDatasetTables = (dataset) => {
+  const tables = {};
+  const base = dataset?.localBase || dataset;
+  if (base?.data?.length) {
+    const source =
+      dataset.source === "upload"
+        ? toTableName(dataset.fileName)
+        : getSourceTable(base.sqlQuery);
+    if (source) tables[source] = base.data;
+    tables.dataset = base.data;
+  }
+  uploadedTables.forEach((rows, name) => {
+    if (!tables[name]) tables[name] = rows;
+  });
+  return tables;
+};
+
+const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// SQLite column types from the values; dates stay ISO text, which SQLite's
+// date functions read
+const columnType = (rows, column) => {
+  let type = null;
+  for (const row of rows) {
+    const value = row[column];
+    if (value === null || value === undefined) continue;
+    const next =
+      typeof value === "boolean"
+        ? "INTEGER"
+        : typeof value === "number"
+        ? Number.isInteger(value)
+          ? "INTEGER"
+          : "REAL"
+        : "TEXT";
+    if (next === "TEXT") return "TEXT";
+    if (type !== "REAL") type = next;
+  }
+  return type || "TEXT";
+};
+
+const toSqlValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Rows may leave out fields, so the columns are every field of every row
+const columnsOf = (rows) => [
+  ...new Set(rows.flatMap((row) => Object.keys(row))),
+];
+
+const createTable = (db, name, rows) => {
+  const columns = columnsOf(rows);
+  db.run(`DROP TABLE IF EXISTS ${quote(name)}`);
+  db.run(
+    `CREATE TABLE ${quote(name)} (${columns
+      .map((column) => `${quote(column)} ${columnType(rows, column)}`)
+      .join(", ")})`
+  );
+
+  const insert = db.prepare(
+    `INSERT INTO ${quote(name)} VALUES (${columns.map(() => "?").join(", ")})`
+  );
+  db.run("BEGIN");
+  try {
+    rows.forEach((row) =>
+      insert.run(columns.map((column) => toSqlValue(row[column])))
+    );
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  } finally {
+    insert.free();
+  }
+};
+
+// Column lists by rows array; the schema browser asks on every render
+const schemaCache = new WeakMap();
+
+const describeColumns = (rows) => {
+  if (schemaCache.has(rows)) return schemaCache.get(rows);
+  const { fieldTypes } = analyzeDataStructure(rows);
+  const columns = columnsOf(rows).map((name) => {
+    const first = rows.find(
+      (row) => row[name] !== null && row[name] !== undefined
+    );
+    const type = columnType(rows, name);
+    return {
+      name,
+      type:
+        typeof first?.[name] === "boolean"
+          ? "BOOLEAN"
+          : type === "TEXT" && fieldTypes[name] === "temporal"
+          ? "DATE"
+          : type,
+    };
+  });
+  schemaCache.set(rows, columns);
+  return columns;
+};
+
+/**
+ * Describes tables for the schema browser
+ * @param {Object} tables - Rows by table name, e.g. from getDatasetTables
+ * @returns {Object[]} - [{ name, rowCount, columns }] with columns as
+ *   [{ name, type }]; type is the SQLite column type (INTEGER, REAL, TEXT),
+ *   or BOOLEAN or DATE for flags and ISO date text
+ */
+export const getTableSchemas = (tables) =>
+  Object.entries(tables).map(([name, rows]) => ({
+    name,
+    rowCount: rows.length,
+    columns: describeColumns(rows),
+  }));
+
+// Tables are rebuilt only when their rows changed since the last query
+const syncTables = (db, tables) => {
+  loadedTables.forEach((rows, name) => {
+    if (tables[name] !== rows) {
+      db.run(`DROP TABLE IF EXISTS ${quote(name)}`);
+      loadedTables.delete(name);
+    }
+  });
+  Object.entries(tables).forEach(([name, rows]) => {
+    if (loadedTables.get(name) === rows || !rows.length) return;
+    createTable(db, name, rows);
+    loadedTables.set(name, rows);
+  });
+};
+
+const stripComments = (sql) =>
+  sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, " ").trim();
+
+/**
+ * Runs one SELECT query on the given tables; text after the first
+ * statement is ignored. Queries only read: anything a statement changes is
+ * rolled back.
+ * @param {string} sql - A single SELECT (or WITH ... SELECT) statement
+ * @param {Object} tables - Rows by table name, e.g. from getDatasetTables
+ * @returns {Promise<Object>} - { success, data, columns, elapsedMs, error };
+ *   data holds the result rows as objects
+ */
+export const runLocalQuery = async (sql, tables) => {
+  const statement = stripComments(sql).replace(/;\s*$/, "");
+  if (!statement) return { success: false, error: t("sql.error.empty") };
+  if (!/^(select|with|values)\b/i.test(statement)) {
+    return { success: false, error: t("sql.error.selectOnly") };
+  }
+
+  let db;
+  try {
+    db = await loadDatabase();
+  } catch (error) {
+    return {
+      success: false,
+      error: t("sql.error.engine", { message: error.message }),
+    };
+  }
+
+  const started = performance.now();
+  try {
+    syncTables(db, tables);
+  } catch (error) {
+    return {
+      success: false,
+      error: t("sql.error.tables", { message: error.message }),
+    };
+  }
+
+  let prepared = null;
+  db.run("SAVEPOINT local_query");
+  try {
+    prepared = db.prepare(statement);
+    const columns = prepared.getColumnNames();
+    const data = [];
+    while (prepared.step()) {
+      const values = prepared.get();
+      data.push(
+        Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+      );
+    }
+    return {
+      success: true,
+      data,
+      columns,
+      elapsedMs: Math.round(performance.now() - started),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    prepared?.free();
+    db.run("ROLLBACK TO local_query");
+    db.run("RELEASE local_query");
+  }
+};
+
+/**
+ * Runs SQL on a slot's dataset and shows the result in its place; charts,
+ * GraphicWalker and filters then use the result. The original rows are
+ * kept, so later runs start from them and resetDatasetQuery brings them
+ * back.
+ * @param {string} slot - Dataset slot
+ * @param {string} sql - SELECT statement
+ * @returns {Promise<Object>} - runLocalQuery result
+ */
+export const runDatasetQuery = async (slot, sql) => {
+  const dataset = getDataStoreState().datasets[slot];
+  // After a local run, data holds its result; queries read the original rows
+  if (!(dataset?.localBase || dataset)?.data?.length) {
+    return { success: false, error: t("sql.error.noData") };
+  }
+
+  const result = await runLocalQuery(sql, getDatasetTables(dataset));
+  if (!result.success) return result;
+  // A new question or file replaced the dataset while this ran
+  if (getDataStoreState().datasets[slot] !== dataset) {
+    return { success: false, error: t("sql.error.dataChanged") };
+  }
+
+  loadDataset(slot, {
+    ...dataset,
+    data: result.data,
+    sqlQuery: sql,
+    pagination: null,
+    localBase: dataset.localBase || {
+      data: dataset.data,
+      sqlQuery: dataset.sqlQuery,
+      pagination: dataset.pagination,
+    },
+    localRun: { elapsedMs: result.elapsedMs, ranAt: Date.now() },
+  });
+  return result;
+};
+
+/**
+ * Brings back the rows and SQL a slot's dataset had before any local run
+ * @param {string} slot - Dataset slot
+ */
+export const resetDatasetQuery = (slot) => {
+  const dataset = getDataStoreState().datasets[slot];
+  if (!dataset?.localBase) return;
+  loadDataset(slot, {
+    ...dataset,
+    ...dataset.localBase,
+    localBase: null,
+    localRun: null,
+  });
+};
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+
+import { getDataStoreState, loadDataset } from "./dataStore.js";
+import {
+  getDatasetTables,
+  resetDatasetQuery,
+  runDatasetQuery,
+} from "./sqlEngine.js";
+
+// Vite turns this import into the .wasm file's URL; Node reads the path
+jest.mock(
+  "sql.js/dist/sql-wasm-browser.wasm?url",
+  () => ({
+    __esModule: true,
+    default: require.resolve("sql.js/dist/sql-wasm.wasm"),
+  }),
+  { virtual: true }
+);
+
+const SLOT = "sql-engine-test";
+const ROWS = [
+  { lane: "A", teu: 12 },
+  { lane: "B", teu: 7 },
+  { lane: "A", teu: 3 },
+];
+
+const currentDataset = () => getDataStoreState().datasets[SLOT];
+
+beforeEach(() => {
+  loadDataset(SLOT, {
+    question: "TEU by lane",
+    data: ROWS,
+    sqlQuery: "SELECT lane, teu FROM shipments",
+    pagination: null,
+  });
+});
+
+describe("runDatasetQuery", () => {
+  it("loads the rows under the source table name and as dataset", () => {
+    expect(Object.keys(getDatasetTables(currentDataset()))).toEqual([
+      "shipments",
+      "dataset",
+    ]);
+  });
+
+  it("shows the result and keeps the original rows", async () => {
+    const result = await runDatasetQuery(
+      SLOT,
+      "SELECT lane, SUM(teu) AS teu FROM shipments GROUP BY lane ORDER BY lane"
+    );
+    expect(result.success).toBe(true);
+    expect(currentDataset().data).toEqual([
+      { lane: "A", teu: 15 },
+      { lane: "B", teu: 7 },
+    ]);
+
+    resetDatasetQuery(SLOT);
+    expect(currentDataset().data).toEqual(ROWS);
+    expect(currentDataset().sqlQuery).toBe("SELECT lane, teu FROM shipments");
+  });
+
+  it("runs again after a query that returned no rows", async () => {
+    const empty = await runDatasetQuery(
+      SLOT,
+      "SELECT * FROM dataset WHERE lane = 'Z'"
+    );
+    expect(empty.success).toBe(true);
+    expect(currentDataset().data).toEqual([]);
+
+    const next = await runDatasetQuery(
+      SLOT,
+      "SELECT COUNT(*) AS n FROM dataset"
+    );
+    expect(next.success).toBe(true);
+    expect(currentDataset().data).toEqual([{ n: 3 }]);
+  });
+
+  it("refuses statements that change data", async () => {
+    const result = await runDatasetQuery(SLOT, "DELETE FROM dataset");
+    expect(result.success).toBe(false);
+    expect(currentDataset().data).toEqual(ROWS);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * SQL History
+ * The SQL statements Analytics received from the backend or ran locally,
+ * newest first, persisted to localStorage, so earlier versions of a query
+ * can be reopened and compared.
+ */
+
+const STORAGE_KEY = "shipmentiq.sqlHistory";
+const MAX_ENTRIES = 50;
+
+export const SQL_SOURCES = ["generated", "local"];
+
+const loadHistory = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : [];
+    return Array.isArray(saved)
+      ? saved.filter((entry) => entry?.id && typeof entry.sql === "string")
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+let entries = loadHistory();
+const listeners = new Set();
+
+const setEntries = (next) => {
+  entries = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn("Could not save SQL history:", error);
+  }
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribes to history changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSqlHistory = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the SQL history, newest first
+ * @returns {Object[]} - [{ id, sql, source, question, rowCount, elapsedMs,
+ *   ranAt }]
+ */
+export const getSqlHistory = () => entries;
+
+/**
+ * Records a statement. Running the same SQL again moves it to the top.
+ * @param {Object} run - { sql, source, question, rowCount, elapsedMs };
+ *   source is "generated" for backend SQL and "local" for SQL run in the
+ *   browser
+ */
+export const recordSql = ({ sql, source, question, rowCount, elapsedMs }) => {
+  const text = sql?.trim();
+  if (!text || !SQL_SOURCES.includes(source)) return;
+
+  const entry = {
+    id: `sql-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`,
+    sql: text,
+    source,
+    question: question || "",
+    rowCount: rowCount ?? null,
+    elapsedMs: elapsedMs ?? null,
+    ranAt: new Date().toISOString(),
+  };
+  setEntries(
+    [entry, ...entries.filter((old) => old.sql !== text)].slice(0, MAX_ENTRIES)
+  );
+};
+
+/**
+ * Forgets every recorded statement
+ */
+export const clearSqlHistory = () => setEntries([]);
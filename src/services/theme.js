@@ -0,0 +1,112 @@
+/**
+ * Theme
+ * Colour theme preference: light, dark, high-contrast, or system to follow
+ * the operating system. The resolved theme is set as data-theme on <html>,
+ * where App.css switches its custom properties, and charts read it to pick
+ * their Vega-Lite config. The preference is saved to localStorage.
+ */
+
+const THEME_KEY = "shipmentiq.theme";
+
+export const THEME_PREFERENCES = ["system", "light", "dark", "high-contrast"];
+
+export const THEME_LABELS = {
+  system: { icon: "🖥️", label: "System" },
+  light: { icon: "☀️", label: "Light" },
+  dark: { icon: "🌙", label: "Dark" },
+  "high-contrast": { icon: "◐", label: "High contrast" },
+};
+
+// <meta name="theme-color"> per theme, so the browser chrome matches
+const CHROME_COLORS = {
+  light: "#ffffff",
+  dark: "#1e293b",
+  "high-contrast": "#000000",
+};
+
+const readPreference = () => {
+  try {
+    const saved = window.localStorage.getItem(THEME_KEY);
+    return THEME_PREFERENCES.includes(saved) ? saved : "system";
+  } catch (error) {
+    return "system";
+  }
+};
+
+const media = (query) =>
+  typeof window.matchMedia === "function" ? window.matchMedia(query) : null;
+
+const darkQuery = media("(prefers-color-scheme: dark)");
+const contrastQuery = media("(prefers-contrast: more)");
+
+const resolveTheme = (value) => {
+  if (value !== "system") return value;
+  if (contrastQuery?.matches) return "high-contrast";
+  return darkQuery?.matches ? "dark" : "light";
+};
+
+let preference = readPreference();
+let theme = resolveTheme(preference);
+const listeners = new Set();
+
+const applyTheme = () => {
+  const root = document.documentElement;
+  root.dataset.theme = theme;
+  root.style.colorScheme = theme === "light" ? "light" : "dark";
+  document
+    .querySelector('meta[name="theme-color"]')
+    ?.setAttribute("content", CHROME_COLORS[theme]);
+};
+
+const update = () => {
+  theme = resolveTheme(preference);
+  applyTheme();
+  listeners.forEach((listener) => listener());
+};
+
+// Follow the operating system while the preference is "system"
+[darkQuery, contrastQuery].forEach((query) =>
+  query?.addEventListener("change", () => {
+    if (preference === "system") update();
+  })
+);
+
+applyTheme();
+
+/**
+ * Subscribes to theme changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToTheme = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Returns the chosen theme preference
+ * @returns {string} - One of THEME_PREFERENCES
+ */
+export const getThemePreference = () => preference;
+
+/**
+ * Returns the theme in effect, with "system" resolved
+ * @returns {string} - "light", "dark" or "high-contrast"
+ */
+export const getTheme = () => theme;
+
+/**
+ * Changes the theme preference and saves it
+ * @param {string} value - One of THEME_PREFERENCES
+ */
+export const setThemePreference = (value) => {
+  if (!THEME_PREFERENCES.includes(value)) return;
+  preference = value;
+
+  try {
+    window.localStorage.setItem(THEME_KEY, value);
+  } catch (error) {
+    console.warn("Could not save theme:", error);
+  }
+  update();
+};
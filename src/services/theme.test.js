@@ -0,0 +1,83 @@
+const THEME_KEY = "shipmentiq.theme";
+
+// A MediaQueryList the tests can flip
+const mediaQuery = (matches) => {
+  const listeners = new Set();
+  return {
+    matches,
+    addEventListener: (type, listener) => listeners.add(listener),
+    change(next) {
+      this.matches = next;
+      listeners.forEach((listener) => listener());
+    },
+  };
+};
+
+let queries;
+
+// theme reads the saved preference and the system settings when imported
+const load = () => {
+  let theme;
+  jest.isolateModules(() => {
+    theme = require("./theme.js");
+  });
+  return theme;
+};
+
+beforeEach(() => {
+  queries = {
+    "(prefers-color-scheme: dark)": mediaQuery(false),
+    "(prefers-contrast: more)": mediaQuery(false),
+  };
+  window.matchMedia = (query) => queries[query];
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+describe("theme", () => {
+  it("follows the operating system until a theme is chosen", () => {
+    const theme = load();
+    const listener = jest.fn();
+    theme.subscribeToTheme(listener);
+
+    expect(theme.getThemePreference()).toBe("system");
+    expect(theme.getTheme()).toBe("light");
+
+    queries["(prefers-color-scheme: dark)"].change(true);
+    expect(theme.getTheme()).toBe("dark");
+    expect(document.documentElement.dataset.theme).toBe("dark");
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    queries["(prefers-contrast: more)"].change(true);
+    expect(theme.getTheme()).toBe("high-contrast");
+
+    theme.setThemePreference("light");
+    queries["(prefers-color-scheme: dark)"].change(false);
+    queries["(prefers-color-scheme: dark)"].change(true);
+    expect(theme.getTheme()).toBe("light");
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it("saves the chosen theme and applies it on the next load", () => {
+    load().setThemePreference("high-contrast");
+    expect(window.localStorage.getItem(THEME_KEY)).toBe("high-contrast");
+
+    const theme = load();
+    expect(theme.getTheme()).toBe("high-contrast");
+    expect(document.documentElement.dataset.theme).toBe("high-contrast");
+    expect(document.documentElement.style.colorScheme).toBe("dark");
+  });
+
+  it("ignores unknown themes", () => {
+    window.localStorage.setItem(THEME_KEY, "sepia");
+    const theme = load();
+    expect(theme.getThemePreference()).toBe("system");
+
+    theme.setThemePreference("sepia");
+    expect(theme.getThemePreference()).toBe("system");
+    expect(window.localStorage.getItem(THEME_KEY)).toBe("sepia");
+  });
+});
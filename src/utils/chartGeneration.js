@@ -1,6 +1,8 @@
 /**
  * Dynamic Chart Generation Utilities
- * Creates Vega-Lite specifications based on data analysis
+ * Creates Vega-Lite specifications based on data analysis. Specs carry no
+ * colours of their own; they come from the Vega-Lite config of the current
+ * theme (getChartConfig), passed to vega-embed when the chart is drawn.
  */
 
 import {
@@ -8,61 +10,154 @@ import {
   suggestBestFields,
   suggestChartType,
 } from "./dataAnalysis.js";
+import { formatNumber, t } from "../services/i18n.js";
+
+const BASE_CHART_CONFIG = {
+  title: { fontSize: 16, anchor: "start" },
+  style: {
+    "guide-label": { fontSize: 12 },
+    "guide-title": { fontSize: 14 },
+  },
+};
+
+// Colours of each theme, matching the custom properties in App.css
+const THEME_COLORS = {
+  light: {
+    background: "#ffffff",
+    text: "#1e293b",
+    muted: "#64748b",
+    grid: "#e2e8f0",
+    accent: "#3b82f6",
+    category: { scheme: "category10" },
+  },
+  dark: {
+    background: "#1e293b",
+    text: "#f1f5f9",
+    muted: "#94a3b8",
+    grid: "#334155",
+    accent: "#60a5fa",
+    category: { scheme: "category10" },
+  },
+  "high-contrast": {
+    background: "#000000",
+    text: "#ffffff",
+    muted: "#ffffff",
+    grid: "#a3a3a3",
+    accent: "#ffd400",
+    category: [
+      "#ffd400",
+      "#00e5ff",
+      "#ff5cf4",
+      "#3dff8f",
+      "#ff8c1a",
+      "#ffffff",
+      "#ff5c5c",
+      "#8fa8ff",
+    ],
+  },
+};
+
+/**
+ * Returns the Vega-Lite config of a theme, for vega-embed's config option
+ * @param {string} theme - "light", "dark" or "high-contrast"
+ * @returns {Object} - Vega-Lite config
+ */
+export const getChartConfig = (theme = "light") => {
+  const colors = THEME_COLORS[theme] || THEME_COLORS.light;
+  const guide = {
+    domainColor: colors.muted,
+    tickColor: colors.muted,
+    gridColor: colors.grid,
+    labelColor: colors.text,
+    titleColor: colors.text,
+  };
+
+  return {
+    ...BASE_CHART_CONFIG,
+    background: colors.background,
+    title: { ...BASE_CHART_CONFIG.title, color: colors.text },
+    axis: guide,
+    legend: { labelColor: colors.text, titleColor: colors.text },
+    view: { stroke: colors.grid },
+    mark: { color: colors.accent },
+    text: { color: colors.muted },
+    arc: { stroke: colors.background },
+    range: { category: colors.category },
+  };
+};
 
 /**
  * Generates a dynamic Vega-Lite chart specification
  * @param {Array} data - The data to visualize
  * @param {string} sqlQuery - The SQL query that generated the data
  * @param {string} userQuestion - The original user question
+ * @param {Object} overrides - { chartType, xField, yField, aggregate, title } chosen by the user instead of suggested
  * @returns {Object} - Vega-Lite specification
  */
 export const generateDynamicChart = (
   data,
   sqlQuery = "",
-  userQuestion = ""
+  userQuestion = "",
+  overrides = {}
 ) => {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return createEmptyChart();
   }
 
   const analysis = analyzeDataStructure(data);
-  const { xField, yField, reasoning } = suggestBestFields(analysis);
-  const { chartType } = suggestChartType(analysis);
+  const suggested = suggestBestFields(analysis);
+  const xField = overrides.xField || suggested.xField;
+  const yField = overrides.xField ? overrides.yField : suggested.yField;
+  const chartType = overrides.chartType || suggestChartType(analysis).chartType;
 
   // Generate title from user question or SQL query
-  const title = generateChartTitle(
-    userQuestion,
-    sqlQuery,
-    xField,
-    yField,
-    chartType
-  );
+  const title =
+    overrides.title ||
+    generateChartTitle(userQuestion, sqlQuery, xField, yField, chartType);
 
   const baseSpec = {
     $schema: "https://vega.github.io/schema/vega-lite/v5.json",
-    title: {
-      text: title,
-      fontSize: 16,
-      anchor: "start",
-      color: "#1e293b",
-    },
+    title: { text: title },
     data: { values: data },
     width: 600,
     height: 400,
-    background: "white",
-    config: {
-      style: {
-        "guide-label": {
-          fontSize: 12,
-        },
-        "guide-title": {
-          fontSize: 14,
-        },
-      },
-    },
   };
 
-  // Generate specific chart based on type
+  const spec = createChart(chartType, baseSpec, analysis, xField, yField);
+  const finalSpec =
+    overrides.aggregate || !yField
+      ? withAggregate(spec, xField, yField, overrides.aggregate || "count")
+      : spec;
+  return { ...finalSpec, description: describeChart(finalSpec, data.length) };
+};
+
+const MARK_NAMES = {
+  bar: "Bar chart",
+  line: "Line chart",
+  circle: "Scatter plot",
+  arc: "Pie chart",
+};
+
+/**
+ * Describes a chart in words. Vega uses the description as the chart's
+ * accessible name, so screen readers hear what the chart shows.
+ */
+const describeChart = (spec, rowCount) => {
+  const { x, y, theta, color } = spec.encoding;
+  const measure = (y || theta)?.title || "Count";
+  const category = x?.title || formatFieldName(color?.field);
+  const records = `${formatNumber(rowCount)} ${
+    rowCount === 1 ? "record" : "records"
+  }`;
+  return `${spec.title.text}. ${
+    MARK_NAMES[spec.mark.type] || "Chart"
+  } of ${measure} by ${category}, from ${records}.`;
+};
+
+/**
+ * Creates the chart specification for a chart type
+ */
+const createChart = (chartType, baseSpec, analysis, xField, yField) => {
   switch (chartType) {
     case "line":
       return createLineChart(baseSpec, analysis, xField, yField);
@@ -76,6 +171,46 @@ export const generateDynamicChart = (
   }
 };
 
+/**
+ * Aggregates the measure of a chart per x value. Tooltips are replaced too:
+ * an unaggregated tooltip field would split the groups again.
+ */
+const withAggregate = (spec, xField, yField, aggregate) => {
+  const measure =
+    aggregate === "count" || !yField
+      ? { aggregate: "count", type: "quantitative", title: t("chart.count") }
+      : {
+          field: yField,
+          aggregate,
+          type: "quantitative",
+          title: `${formatFieldName(yField)} (${aggregate})`,
+        };
+
+  if (spec.encoding.theta) {
+    return {
+      ...spec,
+      encoding: {
+        ...spec.encoding,
+        theta: measure,
+        tooltip: [{ field: xField, type: spec.encoding.color.type }, measure],
+      },
+    };
+  }
+
+  const { field, type, title } = spec.encoding.x;
+  const { color, ...encoding } = spec.encoding;
+  return {
+    ...spec,
+    encoding: {
+      ...encoding,
+      y: measure,
+      // Colouring by another field would split the groups; the mark colour is used instead
+      ...(color && color.field === xField ? { color } : {}),
+      tooltip: [{ field, type, title }, measure],
+    },
+  };
+};
+
 /**
  * Creates a bar chart specification
  */
@@ -106,7 +241,6 @@ const createBarChart = (baseSpec, analysis, xField, yField) => {
       color: {
         field: xField,
         type: xType,
-        scale: { scheme: "category10" },
         legend: analysis.analysis.nominalFields.length > 10 ? null : true,
       },
       tooltip: [
@@ -139,9 +273,6 @@ const createLineChart = (baseSpec, analysis, xField, yField) => {
         type: analysis.fieldTypes[yField] || "quantitative",
         title: formatFieldName(yField),
       },
-      color: {
-        value: "#3b82f6",
-      },
       tooltip: [
         {
           field: xField,
@@ -183,13 +314,14 @@ const createScatterChart = (baseSpec, analysis, xField, yField) => {
         type: analysis.fieldTypes[yField] || "quantitative",
         title: formatFieldName(yField),
       },
-      color: colorField
+      ...(colorField
         ? {
-            field: colorField,
-            type: analysis.fieldTypes[colorField] || "nominal",
-            scale: { scheme: "category10" },
+            color: {
+              field: colorField,
+              type: analysis.fieldTypes[colorField] || "nominal",
+            },
           }
-        : { value: "#3b82f6" },
+        : {}),
       tooltip: [
         {
           field: xField,
@@ -234,7 +366,6 @@ const createPieChart = (baseSpec, analysis, field) => {
       color: {
         field: field,
         type: analysis.fieldTypes[field] || "nominal",
-        scale: { scheme: "category10" },
       },
       tooltip: [
         {
@@ -254,14 +385,14 @@ const createPieChart = (baseSpec, analysis, field) => {
 const createEmptyChart = () => {
   return {
     $schema: "https://vega.github.io/schema/vega-lite/v5.json",
-    title: "No Data Available",
+    title: t("chart.empty.title"),
+    description: t("chart.empty.description"),
     width: 600,
     height: 400,
     mark: {
       type: "text",
-      text: "No data to display",
+      text: t("chart.empty.text"),
       fontSize: 18,
-      color: "#64748b",
     },
   };
 };
@@ -343,3 +474,30 @@ export const generateMultipleChartSuggestions = (
     ? suggestions
     : [generateDynamicChart(data, sqlQuery, userQuestion)];
 };
+
+/**
+ * Generates a chart sized to its container, for results shown inside cards
+ * and chat messages. A single row reads better as text than as a chart.
+ * @param {Array} data - The data to visualize
+ * @param {string} sqlQuery - The SQL query
+ * @param {string} userQuestion - The user question
+ * @param {number} height - Chart height in pixels
+ * @param {Object} overrides - Chart choices, as for generateDynamicChart
+ * @returns {Object|null} - Vega-Lite specification, or null for fewer than two rows
+ */
+export const generateEmbeddedChart = (
+  data,
+  sqlQuery = "",
+  userQuestion = "",
+  height = 240,
+  overrides = {}
+) => {
+  if (!Array.isArray(data) || data.length < 2) return null;
+
+  return {
+    ...generateDynamicChart(data, sqlQuery, userQuestion, overrides),
+    width: "container",
+    height,
+    autosize: { type: "fit", contains: "padding" },
+  };
+};
@@ -0,0 +1,17 @@
+import { getChartConfig } from "./chartGeneration.js";
+
+describe("getChartConfig", () => {
+  it("colours charts to match the theme", () => {
+    const dark = getChartConfig("dark");
+
+    expect(dark.background).toBe("#1e293b");
+    expect(dark.axis.labelColor).toBe("#f1f5f9");
+    expect(dark.arc.stroke).toBe(dark.background);
+    expect(getChartConfig("high-contrast").range.category).toHaveLength(8);
+  });
+
+  it("uses the light colours for unknown themes", () => {
+    expect(getChartConfig("sepia")).toEqual(getChartConfig("light"));
+    expect(getChartConfig().background).toBe("#ffffff");
+  });
+});
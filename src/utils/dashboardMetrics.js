@@ -0,0 +1,323 @@
+/**
+ * Dashboard Metrics
+ * Computes the Dashboard's metric cards from result rows. Each metric names
+ * the fields it can use in order of preference, so the same definitions work
+ * against backends that call a column flow_rate, flowRate or avg_flow_lpm.
+ */
+
+import { formatUnit, t } from "../services/i18n.js";
+
+const env = import.meta.env || {};
+
+export const METRIC_AGGREGATES = [
+  "count",
+  "distinct",
+  "sum",
+  "mean",
+  "min",
+  "max",
+];
+
+/**
+ * Default metric definitions. Override them with VITE_DASHBOARD_METRICS, a
+ * JSON array of definitions merged by id.
+ * - fields: candidate field names, most specific first
+ * - rowsIfMissing: count rows when none of the fields is present
+ * - unit: shown after the value unless the values carry their own unit
+ */
+export const DEFAULT_METRICS = [
+  {
+    id: "totalShipments",
+    label: "Total Shipments",
+    aggregate: "distinct",
+    fields: ["shipment_id", "ticket_id"],
+    rowsIfMissing: true,
+    color: "default",
+  },
+  {
+    id: "averageFlowRate",
+    label: "Average Flow Rate",
+    aggregate: "mean",
+    fields: ["flow_rate", "flow"],
+    unit: "L/min",
+    decimals: 1,
+    color: "green",
+  },
+  {
+    id: "uniqueProducts",
+    label: "Unique Products",
+    aggregate: "distinct",
+    fields: [
+      "product",
+      "product_id",
+      "product_name",
+      "material",
+      "commodity",
+      "load_type",
+    ],
+    color: "default",
+  },
+  {
+    id: "averageQuantity",
+    label: "Average Quantity",
+    aggregate: "mean",
+    fields: ["gross_quantity", "quantity", "net_quantity", "qty", "volume"],
+    unit: "units",
+    decimals: 0,
+    color: "default",
+  },
+];
+
+// "Flow Rate", "flowRate" and "flow_rate" all become "flowrate"
+const normalizeName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const isBlank = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+// "1,250.5 L/min" -> 1250.5 and "L/min"
+const MEASURE_PATTERN =
+  /^\s*([-+]?(?:\d{1,3}(?:,\d{3})+|\d*)(?:\.\d+)?)\s*([^\d\s,.].*)?$/;
+
+/**
+ * Reads a number that may carry thousands separators and a unit suffix
+ * @param {*} value - Cell value, e.g. 42, "42", "1,250 units" or "30.4 L/min"
+ * @returns {Object} - { value, unit }; value is null when it is not a number
+ */
+export const parseMeasure = (value) => {
+  if (typeof value === "number") {
+    return { value: Number.isFinite(value) ? value : null, unit: null };
+  }
+  if (typeof value !== "string") return { value: null, unit: null };
+
+  const match = value.match(MEASURE_PATTERN);
+  if (!match || !/\d/.test(match[1])) return { value: null, unit: null };
+
+  return {
+    value: Number(match[1].replace(/,/g, "")),
+    unit: match[2]?.trim() || null,
+  };
+};
+
+/**
+ * Finds the field a metric should read: an exact name match for any
+ * candidate first, then a field whose name contains a candidate
+ * @param {string[]} fields - Field names of the data
+ * @param {string[]} candidates - Candidate names, most specific first
+ * @returns {string|null}
+ */
+export const resolveMetricField = (fields, candidates = []) => {
+  const normalized = fields.map((field) => [field, normalizeName(field)]);
+  const wanted = candidates.map(normalizeName).filter(Boolean);
+
+  for (const candidate of wanted) {
+    const exact = normalized.find(([, name]) => name === candidate);
+    if (exact) return exact[0];
+  }
+  for (const candidate of wanted) {
+    const partial = normalized.find(([, name]) => name.includes(candidate));
+    if (partial) return partial[0];
+  }
+  return null;
+};
+
+const aggregateNumbers = (numbers, aggregate) => {
+  switch (aggregate) {
+    case "sum":
+      return numbers.reduce((total, number) => total + number, 0);
+    case "min":
+      return numbers.reduce((min, number) => Math.min(min, number), Infinity);
+    case "max":
+      return numbers.reduce((max, number) => Math.max(max, number), -Infinity);
+    case "mean":
+    default:
+      return (
+        numbers.reduce((total, number) => total + number, 0) / numbers.length
+      );
+  }
+};
+
+// The unit most values carry, if any do
+const dominantUnit = (units) => {
+  const counts = new Map();
+  units.filter(Boolean).forEach((unit) => {
+    counts.set(unit, (counts.get(unit) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, unit) => {
+    if (!best || count > counts.get(best)) best = unit;
+  });
+  return best;
+};
+
+/**
+ * Formats a metric value with its unit, e.g. "31.2 L/min"
+ * @param {number|null} value - Metric value
+ * @param {string|null} unit - Unit suffix
+ * @param {number} decimals - Maximum fraction digits
+ * @returns {string} - "—" when there is no value
+ */
+export const formatMetricValue = (value, unit, decimals = 0) => {
+  if (value === null || value === undefined) return "—";
+  return formatUnit(value, unit, { maximumFractionDigits: decimals });
+};
+
+// Default metrics are shown in the interface language; a label changed in
+// VITE_DASHBOARD_METRICS is shown as written
+const metricLabel = (definition) => {
+  const original = DEFAULT_METRICS.find((d) => d.id === definition.id);
+  return original && original.label === definition.label
+    ? t(`metric.${definition.id}`)
+    : definition.label;
+};
+
+/**
+ * Computes one metric from result rows
+ * @param {Array} data - Result rows
+ * @param {Object} definition - Metric definition (see DEFAULT_METRICS)
+ * @returns {Object} - { id, label, color, value, display, field, unit, note }; note explains a missing value
+ */
+export const computeMetric = (data, definition) => {
+  const { aggregate, decimals = 0 } = definition;
+  const rows = Array.isArray(data) ? data : [];
+  const fields = rows.length ? Object.keys(rows[0]) : [];
+  const field = resolveMetricField(fields, definition.fields);
+  const base = {
+    id: definition.id,
+    label: metricLabel(definition),
+    color: definition.color || "default",
+    field,
+    unit: definition.unit || null,
+    note: null,
+  };
+  const finish = (value, unit = base.unit, note = null) => ({
+    ...base,
+    value,
+    unit,
+    note,
+    display: formatMetricValue(value, unit, decimals),
+  });
+
+  if (!rows.length) return finish(null, base.unit, t("metric.noRecords"));
+
+  if (!field) {
+    if (aggregate === "count" || definition.rowsIfMissing) {
+      return finish(rows.length);
+    }
+    return finish(
+      null,
+      base.unit,
+      t("metric.noField", { fields: (definition.fields || []).join(", ") })
+    );
+  }
+
+  const present = rows.map((row) => row[field]).filter((v) => !isBlank(v));
+  if (aggregate === "count") return finish(present.length);
+  if (aggregate === "distinct") {
+    return finish(new Set(present.map((value) => String(value))).size);
+  }
+
+  const measures = present.map(parseMeasure).filter((m) => m.value !== null);
+  if (!measures.length) {
+    return finish(null, base.unit, t("metric.noNumbers", { field }));
+  }
+  const unit = dominantUnit(measures.map((m) => m.unit)) || base.unit;
+  return finish(
+    aggregateNumbers(
+      measures.map((m) => m.value),
+      aggregate
+    ),
+    unit
+  );
+};
+
+/**
+ * Computes every metric from result rows
+ * @param {Array} data - Result rows
+ * @param {Object[]} definitions - Metric definitions
+ * @returns {Object[]} - One computeMetric result per definition
+ */
+export const computeMetrics = (data, definitions = getMetricDefinitions()) =>
+  definitions.map((definition) => computeMetric(data, definition));
+
+/**
+ * Merges metric overrides into the defaults. An override with a known id
+ * changes that metric, "hidden": true removes it, and a new id adds a metric.
+ * @param {Object[]} overrides - Partial metric definitions
+ * @param {Object[]} defaults - Definitions to start from
+ * @returns {Object} - { definitions, errors }
+ */
+export const mergeMetricDefinitions = (
+  overrides,
+  defaults = DEFAULT_METRICS
+) => {
+  if (!Array.isArray(overrides)) {
+    return {
+      definitions: defaults,
+      errors: ["Metric overrides must be a JSON array"],
+    };
+  }
+
+  const errors = [];
+  const merged = defaults.map((definition) => ({ ...definition }));
+
+  overrides.forEach((override, index) => {
+    if (!override?.id) {
+      errors.push(`Metric ${index + 1} has no id`);
+      return;
+    }
+    const existing = merged.findIndex((d) => d.id === override.id);
+    const definition = { ...(merged[existing] || {}), ...override };
+
+    if (!METRIC_AGGREGATES.includes(definition.aggregate)) {
+      errors.push(
+        `${override.id}: aggregate must be one of ${METRIC_AGGREGATES.join(
+          ", "
+        )}`
+      );
+      return;
+    }
+    if (!definition.label) {
+      errors.push(`${override.id}: a new metric needs a label`);
+      return;
+    }
+
+    if (existing >= 0) merged[existing] = definition;
+    else merged.push(definition);
+  });
+
+  return {
+    definitions: merged.filter((definition) => !definition.hidden),
+    errors,
+  };
+};
+
+let configuredMetrics = null;
+
+/**
+ * Returns the metric definitions, applying VITE_DASHBOARD_METRICS once
+ * @returns {Object[]}
+ */
+export const getMetricDefinitions = () => {
+  if (configuredMetrics) return configuredMetrics;
+
+  const raw = env.VITE_DASHBOARD_METRICS;
+  if (!raw) {
+    configuredMetrics = DEFAULT_METRICS;
+    return configuredMetrics;
+  }
+
+  try {
+    const { definitions, errors } = mergeMetricDefinitions(JSON.parse(raw));
+    errors.forEach((error) =>
+      console.warn(`Ignoring VITE_DASHBOARD_METRICS entry: ${error}`)
+    );
+    configuredMetrics = definitions;
+  } catch (error) {
+    console.warn("VITE_DASHBOARD_METRICS is not valid JSON:", error.message);
+    configuredMetrics = DEFAULT_METRICS;
+  }
+  return configuredMetrics;
+};
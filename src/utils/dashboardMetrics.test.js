@@ -0,0 +1,35 @@
+import { computeMetric } from "./dashboardMetrics.js";
+
+const metric = (aggregate) => ({
+  id: `test-${aggregate}`,
+  label: `Flow ${aggregate}`,
+  aggregate,
+  fields: ["flow_rate"],
+  decimals: 1,
+});
+
+describe("computeMetric", () => {
+  it("aggregates a field, reading units from the values", () => {
+    const rows = [
+      { flow_rate: "31.5 L/min" },
+      { flow_rate: "28 L/min" },
+      { flow_rate: "" },
+      { flow_rate: "40 L/min" },
+    ];
+    expect(computeMetric(rows, metric("min"))).toMatchObject({
+      value: 28,
+      unit: "L/min",
+      field: "flow_rate",
+    });
+    expect(computeMetric(rows, metric("max")).value).toBe(40);
+    expect(computeMetric(rows, metric("count")).value).toBe(3);
+  });
+
+  it("finds the minimum and maximum of large results", () => {
+    const rows = Array.from({ length: 200000 }, (_, i) => ({
+      flow_rate: (i % 1000) + 5,
+    }));
+    expect(computeMetric(rows, metric("min")).value).toBe(5);
+    expect(computeMetric(rows, metric("max")).value).toBe(1004);
+  });
+});
@@ -3,8 +3,16 @@
  * Automatically analyzes data structure and determines field types
  */
 
+import { getHourInTimeZone } from '../services/i18n.js';
+
+// Analyses by rows array. The row count is checked too, because a streamed
+// array can grow after it was analyzed.
+const structureCache = new WeakMap();
+
 /**
- * Analyzes the structure of data and determines field types
+ * Analyzes the structure of data and determines field types. The result is
+ * memoized per array, so callers sharing a dataset share one analysis;
+ * treat it as read-only.
  * @param {Array} data - Array of data objects
  * @returns {Object} - { fields, fieldTypes, analysis }
  */
@@ -13,6 +21,15 @@ export const analyzeDataStructure = (data) => {
     return { fields: [], fieldTypes: {}, analysis: { isEmpty: true } };
   }
 
+  const cached = structureCache.get(data);
+  if (cached && cached.analysis.recordCount === data.length) return cached;
+
+  const structure = computeDataStructure(data);
+  structureCache.set(data, structure);
+  return structure;
+};
+
+const computeDataStructure = (data) => {
   const sampleSize = Math.min(10, data.length); // Sample first 10 records for analysis
   const sample = data.slice(0, sampleSize);
 
@@ -130,7 +147,8 @@ const isTemporalField = (values) => {
         !isNaN(Date.parse(value))
       );
     }
-    return !isNaN(Date.parse(value));
+    // Plain numbers parse as timestamps, so only real dates count
+    return value instanceof Date;
   });
 };
 
@@ -333,14 +351,14 @@ const analyzeCongestion = (data, laneFields, timeFields) => {
   const primaryTime = timeFields[0];
   const congestionMap = {};
 
-  // Group by hour to detect peak times
+  // Group by hour to detect peak times, in the time zone chosen for display
   data.forEach(row => {
     const lane = row[primaryLane];
     const timestamp = row[primaryTime];
     
     if (!lane || !timestamp) return;
 
-    const hour = new Date(timestamp).getHours();
+    const hour = getHourInTimeZone(timestamp);
     const key = `${lane}_${hour}`;
     
     congestionMap[key] = (congestionMap[key] || 0) + 1;
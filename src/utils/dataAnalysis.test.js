@@ -0,0 +1,46 @@
+import { analyzeDataStructure } from "./dataAnalysis.js";
+
+const typeOf = (values) =>
+  analyzeDataStructure(values.map((value) => ({ value }))).fieldTypes.value;
+
+describe("analyzeDataStructure field types", () => {
+  it("reads date strings and Date objects as temporal", () => {
+    expect(typeOf(["2024-03-01", "2024-03-02", "2024-03-03"])).toBe("temporal");
+    expect(typeOf(["2024-03-01T08:00:00Z", "2024-03-01T09:00:00Z"])).toBe(
+      "temporal"
+    );
+    expect(typeOf([new Date(2024, 2, 1), new Date(2024, 2, 2)])).toBe(
+      "temporal"
+    );
+  });
+
+  it("does not read plain numbers as timestamps", () => {
+    expect(typeOf([12, 7, 30, 4])).toBe("quantitative");
+    expect(typeOf([1709280000000, 1709366400000])).toBe("quantitative");
+  });
+
+  it("reads repeated labels as ordinal and varied ones as nominal", () => {
+    expect(typeOf(["A", "B", "A", "B", "A"])).toBe("ordinal");
+    expect(typeOf(["LANE01", "LANE02", "LANE03"])).toBe("nominal");
+  });
+});
+
+describe("analyzeDataStructure memoization", () => {
+  it("returns the same analysis for the same rows array", () => {
+    const data = [{ lane: "A", teu: 12 }];
+    const structure = analyzeDataStructure(data);
+
+    expect(analyzeDataStructure(data)).toBe(structure);
+    expect(analyzeDataStructure([...data])).not.toBe(structure);
+  });
+
+  it("analyzes the rows again once the array has grown", () => {
+    const data = [{ lane: "A", teu: 12 }];
+    const structure = analyzeDataStructure(data);
+
+    data.push({ lane: "B", teu: 7 });
+
+    expect(analyzeDataStructure(data)).not.toBe(structure);
+    expect(analyzeDataStructure(data).analysis.recordCount).toBe(2);
+  });
+});
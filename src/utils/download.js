@@ -0,0 +1,53 @@
+/**
+ * Downloads
+ * Helpers for saving query results, SQL and exports as files
+ */
+
+/**
+ * Saves text as a file through a temporary link
+ * @param {string|Blob} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Turns a title (usually a question) into a file name stem
+ * @param {string} title - Title to convert
+ * @param {string} fallback - Used when nothing printable is left
+ * @returns {string}
+ */
+export const toFilename = (title = "", fallback = "export") =>
+  title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 40) || fallback;
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes result rows as CSV (RFC 4180), using the columns of the first
+ * row plus any that only appear later
+ * @param {Array} rows - Result rows
+ * @returns {string} - CSV text with a header line
+ */
+export const toCsv = (rows = []) => {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [
+    columns.map(toCsvCell).join(","),
+    ...rows.map((row) => columns.map((c) => toCsvCell(row[c])).join(",")),
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+};
@@ -0,0 +1,27 @@
+import { toCsv, toFilename } from "./download.js";
+
+describe("toCsv", () => {
+  it("quotes cells that need it and leaves empty values blank", () => {
+    expect(
+      toCsv([
+        { lane: "A", note: 'said "hi", left', teu: 3 },
+        { lane: "B", note: null, teu: 0 },
+      ])
+    ).toBe('lane,note,teu\r\nA,"said ""hi"", left",3\r\nB,,0\r\n');
+  });
+
+  it("adds columns that only appear in later rows", () => {
+    expect(toCsv([{ a: 1 }, { a: 2, b: new Date(Date.UTC(2024, 0, 2)) }])).toBe(
+      "a,b\r\n1,\r\n2,2024-01-02T00:00:00.000Z\r\n"
+    );
+  });
+});
+
+describe("toFilename", () => {
+  it("turns a question into a short file name", () => {
+    expect(toFilename("Which lane is busiest, today?")).toBe(
+      "which-lane-is-busiest-today"
+    );
+    expect(toFilename("???", "answer")).toBe("answer");
+  });
+});
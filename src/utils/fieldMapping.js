@@ -4,6 +4,7 @@
  */
 
 import { analyzeDataStructure } from "./dataAnalysis.js";
+import { t } from "../services/i18n.js";
 
 /**
  * Dynamically generates GraphicWalker field configuration from data
@@ -172,27 +173,24 @@ export const validateDataForGraphicWalker = (data) => {
   if (!data || !Array.isArray(data)) {
     return {
       isValid: false,
-      reason: "Data must be an array",
-      suggestions: ["Ensure data is properly formatted as an array of objects"],
+      reason: t("walker.notArray"),
+      suggestions: [t("walker.notArrayHint")],
     };
   }
 
   if (data.length === 0) {
     return {
       isValid: false,
-      reason: "No data available",
-      suggestions: ["Fetch data from the API first"],
+      reason: t("walker.noData"),
+      suggestions: [t("walker.noDataHint")],
     };
   }
 
   if (data.length > 10000) {
     return {
       isValid: true,
-      reason: "Large dataset detected",
-      suggestions: [
-        "Consider filtering data for better performance",
-        "GraphicWalker may be slow with large datasets",
-      ],
+      reason: t("walker.large"),
+      suggestions: [t("walker.largeFilterHint"), t("walker.largeSlowHint")],
     };
   }
 
@@ -201,22 +199,22 @@ export const validateDataForGraphicWalker = (data) => {
   if (analysis.fields.length === 0) {
     return {
       isValid: false,
-      reason: "No fields detected in data",
-      suggestions: ["Ensure data objects have properties"],
+      reason: t("walker.noFields"),
+      suggestions: [t("walker.noFieldsHint")],
     };
   }
 
   if (analysis.fields.length === 1) {
     return {
       isValid: true,
-      reason: "Limited analysis possible with single field",
-      suggestions: ["More fields would enable richer visualizations"],
+      reason: t("walker.singleField"),
+      suggestions: [t("walker.singleFieldHint")],
     };
   }
 
   return {
     isValid: true,
-    reason: "Data is suitable for GraphicWalker",
+    reason: t("walker.suitable"),
     suggestions: [],
   };
 };
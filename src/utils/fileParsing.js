@@ -0,0 +1,557 @@
+/**
+ * File Parsing
+ * Reads uploaded CSV, TSV, JSON, NDJSON and Excel (.xlsx) files into rows
+ * shaped like a backend result: detects the format, text encoding,
+ * delimiter and header row, infers a type per column and converts the
+ * values once the types are confirmed. Runs inside the file parser worker
+ * (src/workers/fileParser.worker.js), so a large file does not block the
+ * page; fileUpload.js calls it directly where workers are unavailable.
+ */
+
+import Papa from "papaparse";
+import { readSheet } from "read-excel-file/web-worker";
+import { getLocaleSettings, setLanguage, t } from "../services/i18n.js";
+
+export const FILE_FORMATS = ["csv", "tsv", "json", "ndjson", "xlsx"];
+export const COLUMN_TYPES = ["string", "number", "date", "boolean"];
+export const DELIMITERS = [",", ";", "\t", "|"];
+export const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252"];
+
+const EXTENSION_FORMATS = {
+  csv: "csv",
+  txt: "csv",
+  tsv: "tsv",
+  tab: "tsv",
+  json: "json",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  xlsx: "xlsx",
+};
+
+// Values sampled per column when inferring its type
+const TYPE_SAMPLE_SIZE = 500;
+const PREVIEW_ROWS = 20;
+
+const NUMBER_PATTERN = /^[-+]?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?([eE][-+]?\d+)?$/;
+// 1.234,5 - how ";"-separated European exports write numbers
+const DECIMAL_COMMA_PATTERN = /^[-+]?(\d+|\d{1,3}(\.\d{3})+)(,\d+)?$/;
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+// 31.12.2024 (day first) or 12/31/2024 (month first unless that is over 12)
+const LOCAL_DATE_PATTERN =
+  /^(\d{1,2})([./])(\d{1,2})\2(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  yes: true,
+  no: false,
+};
+
+const extensionOf = (name = "") => {
+  const match = /\.([a-z0-9]+)$/i.exec(name);
+  return match ? match[1].toLowerCase() : "";
+};
+
+/**
+ * Detects the format of a file from its name, or from its first bytes when
+ * the extension says nothing
+ * @param {string} name - File name
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} - One of FILE_FORMATS, or null for old .xls
+ *   workbooks, which cannot be read
+ */
+export const detectFormat = (name, bytes) => {
+  const extension = extensionOf(name);
+  if (extension === "xls") return null;
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+
+  // .xlsx files are zip archives
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return "xlsx";
+  const start = new TextDecoder()
+    .decode(bytes.subarray(0, 1024))
+    .replace(/^\uFEFF/, "")
+    .trimStart();
+  if (start.startsWith("[")) return "json";
+  if (start.startsWith("{")) return "ndjson";
+  return "csv";
+};
+
+/**
+ * Detects the text encoding of a file: a byte order mark decides it,
+ * otherwise text that is not valid UTF-8 is taken as Windows-1252, the
+ * encoding of most Excel CSV exports
+ * @param {Uint8Array} bytes - File content
+ * @returns {string} - One of ENCODINGS
+ */
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+
+  // UTF-16 without a byte order mark: ASCII text with every other byte zero
+  const sample = bytes.subarray(0, 1000);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, i) => {
+    if (byte === 0) {
+      if (i % 2) oddZeros += 1;
+      else evenZeros += 1;
+    }
+  });
+  if (oddZeros > sample.length / 4) return "utf-16le";
+  if (evenZeros > sample.length / 4) return "utf-16be";
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return "utf-8";
+  } catch (error) {
+    return "windows-1252";
+  }
+};
+
+// Counts a delimiter per line, ignoring any inside quoted values
+const countPerLine = (lines, delimiter) =>
+  lines.map((line) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) count += 1;
+    }
+    return count;
+  });
+
+/**
+ * Detects the delimiter of delimited text: the candidate that splits the
+ * most lines into the same number of columns as the first line
+ * @param {string} text - File text
+ * @returns {string} - One of DELIMITERS; "," when nothing fits
+ */
+export const detectDelimiter = (text) => {
+  const lines = text
+    .slice(0, 64 * 1024)
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .slice(0, 20);
+  if (!lines.length) return ",";
+
+  let best = { delimiter: ",", score: 0 };
+  DELIMITERS.forEach((delimiter) => {
+    const counts = countPerLine(lines, delimiter);
+    if (!counts[0]) return;
+    const consistent = counts.filter((count) => count === counts[0]).length;
+    // Consistency first, then the number of columns
+    const score = consistent * 1000 + counts[0];
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+};
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  (typeof value === "string" && value.trim() === "");
+
+const parseNumber = (value, decimalComma) => {
+  if (typeof value === "number") return value;
+  const text = String(value).trim();
+  if (decimalComma && DECIMAL_COMMA_PATTERN.test(text)) {
+    return Number(text.replace(/\./g, "").replace(",", "."));
+  }
+  if (NUMBER_PATTERN.test(text)) return Number(text.replace(/,/g, ""));
+  return NaN;
+};
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Dates become ISO strings in local time, which is how the backend sends them
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    // Excel dates carry no time zone; read-excel-file gives their wall clock in UTC
+    return Number.isNaN(value.getTime())
+      ? null
+      : value.toISOString().slice(0, 19).replace("T00:00:00", "");
+  }
+  const text = String(value).trim();
+  if (ISO_DATE_PATTERN.test(text)) {
+    return Number.isNaN(Date.parse(text)) ? null : text.replace(" ", "T");
+  }
+  const match = LOCAL_DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, first, separator, second, year, hours, minutes, seconds] = match;
+  let day = Number(first);
+  let month = Number(second);
+  if (separator === "/" && (month > 12 || day <= 12)) {
+    [day, month] = [month, day];
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  return hours === undefined
+    ? date
+    : `${date}T${pad(hours)}:${minutes}:${seconds || "00"}`;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const parsed = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+  return parsed === undefined ? null : parsed;
+};
+
+// Codes like 00123 or +4912345 are identifiers, not numbers
+const looksLikeCode = (value) =>
+  typeof value === "string" && /^(0\d|\+)/.test(value.trim());
+
+const valueType = (value, decimalComma) => {
+  if (typeof value === "number") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (value instanceof Date) return "date";
+  if (typeof value !== "string") return "string";
+  if (parseBoolean(value) !== null) return "boolean";
+  if (
+    !looksLikeCode(value) &&
+    !Number.isNaN(parseNumber(value, decimalComma))
+  ) {
+    return "number";
+  }
+  if (parseDate(value) !== null) return "date";
+  return "string";
+};
+
+/**
+ * Infers the type of a column from a sample of its values
+ * @param {Array} values - Column values
+ * @param {boolean} decimalComma - Whether numbers use a decimal comma
+ * @returns {string} - One of COLUMN_TYPES; "string" unless every non-empty
+ *   sampled value fits another type
+ */
+export const inferColumnType = (values, decimalComma = false) => {
+  const types = new Set(
+    values
+      .filter((value) => !isEmpty(value))
+      .slice(0, TYPE_SAMPLE_SIZE)
+      .map((value) => valueType(value, decimalComma))
+  );
+  return types.size === 1 ? [...types][0] : "string";
+};
+
+/**
+ * Decides whether the first row of a table names its columns: every cell
+ * is distinct text, and some column below it holds numbers, dates or
+ * flags, or never repeats the cell
+ * @param {Array[]} rows - Table rows
+ * @param {boolean} decimalComma - Whether numbers use a decimal comma
+ * @returns {boolean}
+ */
+export const inferHeader = (rows, decimalComma = false) => {
+  const [first, ...rest] = rows;
+  if (!first?.length) return false;
+
+  const names = first.map((cell) => (isEmpty(cell) ? "" : String(cell).trim()));
+  const allText = first.every(
+    (cell) => !isEmpty(cell) && valueType(cell, decimalComma) === "string"
+  );
+  if (!allText || new Set(names).size !== names.length) return false;
+  if (!rest.length) return true;
+
+  const sample = rest.slice(0, TYPE_SAMPLE_SIZE);
+  return names.some((name, i) => {
+    const column = sample.map((row) => row[i]);
+    return (
+      inferColumnType(column, decimalComma) !== "string" ||
+      !column.some((cell) => String(cell ?? "").trim() === name)
+    );
+  });
+};
+
+// Blank names become column_N and repeated ones get a _2, _3 suffix
+const toColumnNames = (cells, width) => {
+  const seen = {};
+  return Array.from({ length: width }, (_, i) => {
+    const base = isEmpty(cells?.[i])
+      ? `column_${i + 1}`
+      : String(cells[i]).trim();
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base}_${seen[base]}` : base;
+  });
+};
+
+// Nested objects become dotted columns (origin.port); arrays stay JSON text
+const flattenRecord = (record, prefix = "", into = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenRecord(value, name, into);
+    } else {
+      into[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+  return into;
+};
+
+const recordsToTable = (records) => {
+  const flat = records.map((record) =>
+    record && typeof record === "object" && !Array.isArray(record)
+      ? flattenRecord(record)
+      : { value: record }
+  );
+  const header = [...new Set(flat.flatMap((record) => Object.keys(record)))];
+  return {
+    header,
+    rows: flat.map((record) => header.map((name) => record[name] ?? null)),
+  };
+};
+
+// Accepts an array of records, or an object holding one (e.g. { data: [...] })
+const readJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return {
+      success: false,
+      error: t("upload.error.invalidJson", { message: error.message }),
+    };
+  }
+  const records = Array.isArray(parsed)
+    ? parsed
+    : Object.values(parsed || {}).find(Array.isArray);
+  if (!records) {
+    return { success: false, error: t("upload.error.noRecords") };
+  }
+  return { success: true, ...recordsToTable(records), hasHeader: true };
+};
+
+const readNdjson = (text) => {
+  const records = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i += 1) {
+    if (!lines[i].trim()) continue;
+    try {
+      records.push(JSON.parse(lines[i]));
+    } catch (error) {
+      return {
+        success: false,
+        error: t("upload.error.invalidJsonLine", {
+          line: i + 1,
+          message: error.message,
+        }),
+      };
+    }
+  }
+  return { success: true, ...recordsToTable(records), hasHeader: true };
+};
+
+const readDelimited = (text, delimiter) => {
+  const parsed = Papa.parse(text, { delimiter, skipEmptyLines: "greedy" });
+  const rows = parsed.data;
+  // Papa reports rows with too few or too many fields; those still load
+  const broken = parsed.errors.filter(
+    (error) => error.type !== "FieldMismatch"
+  );
+  if (!rows.length && broken.length) {
+    return { success: false, error: broken[0].message };
+  }
+  return {
+    success: true,
+    rows,
+    warnings: broken.length
+      ? [
+          t("upload.warning.unclean", {
+            count: broken.length,
+            message: broken[0].message,
+          }),
+        ]
+      : [],
+  };
+};
+
+/**
+ * Reads a file into a table of raw values, detecting whatever the options
+ * leave out
+ * @param {ArrayBuffer} buffer - File content
+ * @param {Object} options - { name, format, encoding, delimiter,
+ *   hasHeader }; a null or missing option is detected
+ * @returns {Promise<Object>} - { success, table, error }; table is
+ *   { format, encoding, delimiter, hasHeader, decimalComma, columns,
+ *   rows, warnings } with columns as [{ name, type }]
+ */
+export const readTable = async (
+  buffer,
+  { name = "", format, encoding, delimiter, hasHeader } = {}
+) => {
+  const bytes = new Uint8Array(buffer);
+  const fileFormat = format || detectFormat(name, bytes);
+  if (!fileFormat) {
+    return {
+      success: false,
+      error: t("upload.error.xls"),
+    };
+  }
+
+  let result;
+  let textEncoding = null;
+  let fileDelimiter = null;
+  try {
+    if (fileFormat === "xlsx") {
+      result = { success: true, rows: await readSheet(buffer) };
+    } else {
+      textEncoding = encoding || detectEncoding(bytes);
+      const text = new TextDecoder(textEncoding).decode(bytes);
+      if (fileFormat === "json") result = readJson(text);
+      else if (fileFormat === "ndjson") result = readNdjson(text);
+      else {
+        fileDelimiter =
+          delimiter || (fileFormat === "tsv" ? "\t" : detectDelimiter(text));
+        result = readDelimited(text, fileDelimiter);
+      }
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: t("upload.error.readFailed", { message: error.message }),
+    };
+  }
+  if (!result.success) return result;
+
+  const decimalComma = fileDelimiter === ";";
+  let { header, rows } = result;
+  let firstRowIsHeader = true;
+  if (!header) {
+    firstRowIsHeader = hasHeader ?? inferHeader(rows, decimalComma);
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    header = toColumnNames(firstRowIsHeader ? rows[0] : null, width);
+    if (firstRowIsHeader) rows = rows.slice(1);
+  }
+  if (!rows.length) {
+    return { success: false, error: t("upload.error.noRows") };
+  }
+
+  const sample = rows.slice(0, TYPE_SAMPLE_SIZE);
+  return {
+    success: true,
+    table: {
+      format: fileFormat,
+      encoding: textEncoding,
+      delimiter: fileDelimiter,
+      hasHeader: firstRowIsHeader,
+      decimalComma,
+      columns: header.map((column, i) => ({
+        name: column,
+        type: inferColumnType(
+          sample.map((row) => row[i]),
+          decimalComma
+        ),
+      })),
+      rows,
+      warnings: result.warnings || [],
+    },
+  };
+};
+
+const CONVERTERS = {
+  number: (value, decimalComma) => {
+    const number = parseNumber(value, decimalComma);
+    return Number.isNaN(number) ? undefined : number;
+  },
+  date: (value) => parseDate(value) ?? undefined,
+  boolean: (value) => parseBoolean(value) ?? undefined,
+  string: (value) =>
+    value instanceof Date ? parseDate(value) : String(value).trim(),
+};
+
+/**
+ * Converts table rows into records with the given column types
+ * @param {Object} table - Table from readTable
+ * @param {Object[]} columns - [{ name, type }]; defaults to the inferred types
+ * @param {number} limit - Rows to convert; all by default
+ * @returns {Object} - { data, warnings }; values that do not fit their
+ *   column's type become null and are counted in warnings
+ */
+export const toRecords = (table, columns = table.columns, limit = Infinity) => {
+  const rows = Number.isFinite(limit) ? table.rows.slice(0, limit) : table.rows;
+  const invalid = {};
+
+  const data = rows.map((row) => {
+    const record = {};
+    columns.forEach(({ name, type }, i) => {
+      const value = row[i];
+      if (isEmpty(value)) {
+        record[name] = null;
+        return;
+      }
+      const converted = CONVERTERS[type](value, table.decimalComma);
+      if (converted === undefined) invalid[name] = (invalid[name] || 0) + 1;
+      record[name] = converted ?? null;
+    });
+    return record;
+  });
+
+  const warnings = Object.entries(invalid).map(([name, count]) =>
+    t("upload.warning.typeMismatch", { count, column: name })
+  );
+  return { data, warnings };
+};
+
+// Preview cells are shown as text, before any type is applied
+const displayValue = (value) => {
+  if (isEmpty(value)) return "";
+  return value instanceof Date ? parseDate(value) : String(value);
+};
+
+const tables = new Map();
+
+/**
+ * Handles one request from fileUpload.js. Tables are kept by id until
+ * discarded, so converting with other column types does not read the file
+ * again.
+ * @param {Object} message - { type: "parse", id, buffer, options },
+ *   { type: "convert", id, columns } or { type: "discard", id }, each with
+ *   the language for errors and warnings
+ * @returns {Promise<Object>} - { id, success, error, ... }; a parse answers
+ *   with the table's settings, columns, rowCount and preview rows, a
+ *   convert with data and warnings
+ */
+export const handleParserMessage = async (message) => {
+  const { type, id, language } = message;
+  if (language && language !== getLocaleSettings().language) {
+    setLanguage(language);
+  }
+
+  if (type === "parse") {
+    const result = await readTable(message.buffer, message.options);
+    if (!result.success) return { id, success: false, error: result.error };
+
+    const { rows, ...table } = result.table;
+    tables.set(id, result.table);
+    return {
+      id,
+      success: true,
+      ...table,
+      rowCount: rows.length,
+      preview: rows
+        .slice(0, PREVIEW_ROWS)
+        .map((row) => table.columns.map((_, i) => displayValue(row[i]))),
+    };
+  }
+
+  if (type === "convert") {
+    const table = tables.get(id);
+    if (!table) {
+      return { id, success: false, error: t("upload.error.closed") };
+    }
+    const { data, warnings } = toRecords(table, message.columns);
+    return {
+      id,
+      success: true,
+      data,
+      warnings: [...table.warnings, ...warnings],
+    };
+  }
+
+  if (type === "discard") tables.delete(id);
+  return { id, success: true };
+};
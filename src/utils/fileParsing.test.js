@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+
+import { readTable } from "./fileParsing.js";
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+describe("readTable", () => {
+  it("reads a CSV with a header row", async () => {
+    const result = await readTable(encode("lane,teu\nA,12\nB,7\n"), {
+      name: "lanes.csv",
+    });
+    expect(result.success).toBe(true);
+    expect(result.table.columns.map((column) => column.name)).toEqual([
+      "lane",
+      "teu",
+    ]);
+    expect(result.table.rows).toHaveLength(2);
+  });
+
+  it("reads a headerless file with more rows than fit in one call", async () => {
+    const lines = Array.from(
+      { length: 200000 },
+      (_, i) => `${i}\tLane ${i % 40}\t${(i % 97) * 1.5}`
+    );
+    const result = await readTable(encode(lines.join("\n")), {
+      name: "export.tsv",
+      hasHeader: false,
+    });
+    expect(result.success).toBe(true);
+    expect(result.table.columns).toHaveLength(3);
+    expect(result.table.rows).toHaveLength(200000);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Query Suggestions
+ * Example questions and word completion for natural-language queries, built
+ * from the fields and values of the loaded data
+ */
+
+import { analyzeDataStructure } from "./dataAnalysis.js";
+
+// Fields with more distinct values than this read as ids, not categories
+const MAX_CATEGORIES = 20;
+const VALUE_SCAN_ROWS = 500;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_COMPLETIONS = 8;
+
+// Shown until a schema is loaded
+export const FALLBACK_SUGGESTIONS = [
+  "Show me a general overview of my shipment data",
+  "How many shipments are there per day?",
+  "Which trucks have been waiting the longest?",
+];
+
+/**
+ * Lists the distinct values of a field in the first rows, in natural order
+ * @param {Array} data - Result rows
+ * @param {string} field - Field name
+ * @returns {string[]}
+ */
+export const distinctValues = (data, field) => {
+  const values = new Set();
+  data.slice(0, VALUE_SCAN_ROWS).forEach((row) => {
+    const value = row[field];
+    if (value !== null && value !== undefined && value !== "") {
+      values.add(String(value));
+    }
+  });
+  return [...values].sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true })
+  );
+};
+
+/**
+ * Groups the fields of a result by the role they can play in a question
+ * @param {Array} data - Result rows
+ * @returns {Object} - { fieldTypes, measures, categories, times, values }; values maps each category to its distinct values
+ */
+export const describeSchema = (data = []) => {
+  const structure = analyzeDataStructure(data);
+  if (structure.analysis.isEmpty) {
+    return {
+      fieldTypes: {},
+      measures: [],
+      categories: [],
+      times: [],
+      values: {},
+    };
+  }
+
+  const { quantitativeFields, nominalFields, ordinalFields, temporalFields } =
+    structure.analysis;
+  const values = {};
+  [...nominalFields, ...ordinalFields].forEach((field) => {
+    const distinct = distinctValues(data, field);
+    if (distinct.length >= 2 && distinct.length <= MAX_CATEGORIES) {
+      values[field] = distinct;
+    }
+  });
+
+  return {
+    fieldTypes: structure.fieldTypes,
+    measures: quantitativeFields,
+    categories: Object.keys(values),
+    times: temporalFields,
+    values,
+  };
+};
+
+/**
+ * Suggests example questions that use the real field names of the data:
+ * measures by category, trends over time fields and distributions
+ * @param {Array} data - Result rows
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {string[]}
+ */
+export const generateQuerySuggestions = (data, limit = 6) => {
+  if (!data?.length) return FALLBACK_SUGGESTIONS;
+
+  const { measures, categories, times } = describeSchema(data);
+  const [measure, otherMeasure = measure] = measures;
+  const [category, otherCategory = category] = categories;
+  const [time] = times;
+
+  const suggestions = [
+    category && measure && `Bar chart of total ${measure} by ${category}`,
+    time && measure && `Show ${measure} trends over ${time}`,
+    category && `Pie chart of ${category} distribution`,
+    otherCategory &&
+      otherMeasure &&
+      `Average ${otherMeasure} by ${otherCategory}`,
+    measure && `Which records have the highest ${measure}?`,
+    time && `How many records are there per day of ${time}?`,
+    otherCategory && `Count of records by ${otherCategory}`,
+    category && otherMeasure && `Average ${otherMeasure} by ${category}`,
+  ].filter(Boolean);
+
+  const unique = [...new Set(suggestions)];
+  return unique.length ? unique.slice(0, limit) : FALLBACK_SUGGESTIONS;
+};
+
+// "rate" and "flow" both find flow_rate
+const matchesField = (field, word) => {
+  const parts = field.toLowerCase().split("_");
+  return (
+    field.toLowerCase() !== word &&
+    parts.some((_, index) => parts.slice(index).join("_").startsWith(word))
+  );
+};
+
+/**
+ * Completes the word being typed at the end of a question with a field name
+ * or a category value
+ * @param {string} input - Question typed so far
+ * @param {Object} schema - Result of describeSchema
+ * @returns {Object[]} - [{ value, label, detail, input }]; input is the full
+ * text after accepting the completion
+ */
+export const getQueryCompletions = (input = "", schema) => {
+  const match = input.match(/(\S+)$/);
+  if (!match || !schema || match[1].length < MIN_PREFIX_LENGTH) return [];
+
+  const word = match[1].toLowerCase();
+  const before = input.slice(0, match.index);
+  const { fieldTypes, values } = schema;
+
+  const fieldMatches = Object.keys(fieldTypes)
+    .filter((field) => matchesField(field, word))
+    .map((field) => ({ value: field, detail: fieldTypes[field] }));
+
+  const valueMatches = Object.entries(values).flatMap(([field, options]) =>
+    options
+      .filter(
+        (value) =>
+          value.toLowerCase().startsWith(word) && value.toLowerCase() !== word
+      )
+      .map((value) => ({ value, detail: field }))
+  );
+
+  return [...fieldMatches, ...valueMatches]
+    .slice(0, MAX_COMPLETIONS)
+    .map((option) => ({
+      ...option,
+      label: option.value,
+      input: `${before}${option.value} `,
+    }));
+};
@@ -0,0 +1,93 @@
+import {
+  FALLBACK_SUGGESTIONS,
+  describeSchema,
+  distinctValues,
+  generateQuerySuggestions,
+  getQueryCompletions,
+} from "./querySuggestions.js";
+
+const ROWS = Array.from({ length: 12 }, (_, i) => ({
+  lane: `LANE${String((i % 3) + 1).padStart(2, "0")}`,
+  load_type: i % 2 ? "Export" : "Import",
+  flow_rate: 10 + i * 2.5,
+  start_time: new Date(Date.UTC(2024, 2, 1 + i, 8)),
+}));
+
+describe("distinctValues", () => {
+  it("sorts numbered values naturally and skips empty ones", () => {
+    const data = [{ berth: "B10" }, { berth: "B2" }, { berth: "" }, {}];
+    expect(distinctValues(data, "berth")).toEqual(["B2", "B10"]);
+  });
+});
+
+describe("describeSchema", () => {
+  it("sorts the fields into measures, categories and times", () => {
+    const schema = describeSchema(ROWS);
+
+    expect(schema.measures).toEqual(["flow_rate"]);
+    expect(schema.categories).toEqual(["lane", "load_type"]);
+    expect(schema.times).toEqual(["start_time"]);
+    expect(schema.values.lane).toEqual(["LANE01", "LANE02", "LANE03"]);
+  });
+
+  it("describes no data as an empty schema", () => {
+    expect(describeSchema([])).toEqual({
+      fieldTypes: {},
+      measures: [],
+      categories: [],
+      times: [],
+      values: {},
+    });
+  });
+});
+
+describe("generateQuerySuggestions", () => {
+  it("asks about the real field names", () => {
+    const suggestions = generateQuerySuggestions(ROWS);
+
+    expect(suggestions).toContain("Bar chart of total flow_rate by lane");
+    expect(suggestions).toContain("Show flow_rate trends over start_time");
+    expect(suggestions).toContain("Average flow_rate by load_type");
+    expect(new Set(suggestions).size).toBe(suggestions.length);
+    expect(generateQuerySuggestions(ROWS, 2)).toHaveLength(2);
+  });
+
+  it("falls back to the generic questions without data", () => {
+    expect(generateQuerySuggestions([])).toBe(FALLBACK_SUGGESTIONS);
+    expect(generateQuerySuggestions(null)).toBe(FALLBACK_SUGGESTIONS);
+  });
+});
+
+describe("getQueryCompletions", () => {
+  const schema = describeSchema(ROWS);
+
+  it("completes any part of a field name", () => {
+    const [completion] = getQueryCompletions("average rate", schema);
+
+    expect(completion).toMatchObject({
+      value: "flow_rate",
+      label: "flow_rate",
+      input: "average flow_rate ",
+    });
+  });
+
+  it("completes category values", () => {
+    const values = getQueryCompletions("only la", schema).map(
+      (completion) => completion.value
+    );
+    expect(values).toContain("lane");
+
+    expect(getQueryCompletions("only LANE0", schema)).toEqual([
+      expect.objectContaining({ value: "LANE01", detail: "lane" }),
+      expect.objectContaining({ value: "LANE02", detail: "lane" }),
+      expect.objectContaining({ value: "LANE03", detail: "lane" }),
+    ]);
+  });
+
+  it("waits for two letters and skips words already complete", () => {
+    expect(getQueryCompletions("show l", schema)).toEqual([]);
+    expect(getQueryCompletions("by flow", schema).length).toBe(1);
+    expect(getQueryCompletions("by lane ", schema)).toEqual([]);
+    expect(getQueryCompletions("by la", null)).toEqual([]);
+  });
+});
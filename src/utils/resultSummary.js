@@ -0,0 +1,152 @@
+/**
+ * Result Summaries
+ * One-sentence, plain-language descriptions of query results for chat replies
+ */
+
+import { analyzeDataStructure } from "./dataAnalysis.js";
+import { formatRecordCount } from "../services/pagination.js";
+import { formatNumber, t } from "../services/i18n.js";
+
+const humanize = (field) => field.replace(/_/g, " ");
+
+const formatValue = (value) =>
+  typeof value === "number"
+    ? formatNumber(value, { maximumFractionDigits: 2 })
+    : String(value);
+
+/**
+ * Summarizes a result: how much came back and, where the shape allows, the
+ * headline figure (the values of a single row, or the top category)
+ * @param {Array} data - Result rows
+ * @param {Object|null} pagination - Paging state, for the total record count
+ * @returns {string} - Summary sentence
+ */
+export const summarizeResult = (data, pagination = null) => {
+  if (!data?.length) return t("result.none");
+
+  const structure = analyzeDataStructure(data);
+  const { quantitativeFields, nominalFields, ordinalFields, temporalFields } =
+    structure.analysis;
+  const columnCount = structure.fields.length;
+  // "2 of 2 records" says nothing "2 records" does not
+  const partial = pagination?.hasMore || pagination?.totalCount > data.length;
+  const found = t("result.found", {
+    records: formatRecordCount(data.length, partial ? pagination : null),
+    columns: t("result.columns", { count: columnCount }),
+  });
+
+  if (data.length === 1 && quantitativeFields.length) {
+    const figures = quantitativeFields
+      .slice(0, 3)
+      .map((field) => `${humanize(field)} ${formatValue(data[0][field])}`);
+    return t("result.figures", { found, figures: figures.join(", ") });
+  }
+
+  const measure = quantitativeFields[0];
+  const category = nominalFields[0] || ordinalFields[0] || temporalFields[0];
+  if (!measure || !category) return t("result.foundOnly", { found });
+
+  const top = data.reduce((best, row) =>
+    Number(row[measure]) > Number(best[measure]) ? row : best
+  );
+  return t("result.highest", {
+    found,
+    measure: humanize(measure),
+    category: formatValue(top[category]),
+    value: formatValue(top[measure]),
+  });
+};
+
+const MAX_LISTED_CHANGES = 5;
+
+// Grouped results have one row per category, so rows can be matched up
+const groupBy = (rows, category, measure) => {
+  const groups = new Map(rows.map((row) => [String(row[category]), row]));
+  return groups.size === rows.length
+    ? new Map([...groups].map(([key, row]) => [key, Number(row[measure])]))
+    : null;
+};
+
+/**
+ * Compares a rerun with the previous run of the same question: the record
+ * count and, for grouped results, the categories whose figure changed
+ * @param {Array} previous - Rows of the previous run
+ * @param {Array} current - Rows of the rerun
+ * @param {number} previousCount - Records of the previous run, when only a
+ * snapshot of its rows was kept
+ * @returns {Object} - { previousCount, count, measure, changes: [{ category, before, after }], unlistedChanges }
+ */
+export const diffResults = (
+  previous = [],
+  current = [],
+  previousCount = previous.length
+) => {
+  const diff = {
+    previousCount,
+    count: current.length,
+    measure: null,
+    changes: [],
+    unlistedChanges: 0,
+  };
+  // Categories missing from a partial snapshot would show up as new
+  if (!previous.length || !current.length || previous.length < previousCount) {
+    return diff;
+  }
+
+  const { quantitativeFields, nominalFields, ordinalFields } =
+    analyzeDataStructure(current).analysis;
+  const measure = quantitativeFields[0];
+  const category = nominalFields[0] || ordinalFields[0];
+  if (!measure || !category || !(category in previous[0])) return diff;
+
+  const before = groupBy(previous, category, measure);
+  const after = groupBy(current, category, measure);
+  if (!before || !after) return diff;
+
+  const changes = [...new Set([...before.keys(), ...after.keys()])]
+    .map((key) => ({
+      category: key,
+      before: before.has(key) ? before.get(key) : null,
+      after: after.has(key) ? after.get(key) : null,
+    }))
+    .filter((change) => change.before !== change.after)
+    .sort(
+      (a, b) =>
+        Math.abs((b.after ?? 0) - (b.before ?? 0)) -
+        Math.abs((a.after ?? 0) - (a.before ?? 0))
+    );
+
+  return {
+    ...diff,
+    measure: humanize(measure),
+    changes: changes.slice(0, MAX_LISTED_CHANGES),
+    unlistedChanges: Math.max(0, changes.length - MAX_LISTED_CHANGES),
+  };
+};
+
+/**
+ * Describes the change in record count between two runs
+ * @param {Object} diff - Result of diffResults
+ * @returns {string} - e.g. "45 records, 3 more than the previous run"
+ */
+export const describeCountChange = ({ previousCount, count }) => {
+  const records = t("records.count", { count });
+  const delta = count - previousCount;
+  if (delta === 0) return t("result.sameCount", { records });
+  return t(delta > 0 ? "result.moreCount" : "result.fewerCount", {
+    records,
+    count: Math.abs(delta),
+  });
+};
+
+/**
+ * Formats one changed category of a rerun
+ * @param {Object} change - { category, before, after }
+ * @returns {string} - e.g. "Lane 3: 12 → 15"
+ */
+export const formatChange = ({ category, before, after }) =>
+  t("result.change", {
+    category,
+    before: before === null ? t("result.changeNew") : formatValue(before),
+    after: after === null ? t("result.changeGone") : formatValue(after),
+  });
@@ -0,0 +1,89 @@
+import {
+  describeCountChange,
+  diffResults,
+  formatChange,
+  summarizeResult,
+} from "./resultSummary.js";
+
+describe("summarizeResult", () => {
+  it("says when nothing came back", () => {
+    expect(summarizeResult([])).toBe("The query returned no records.");
+  });
+
+  it("lists the figures of a single-row result", () => {
+    expect(
+      summarizeResult([{ shipments: 1204, avg_load_minutes: 41.256 }])
+    ).toBe(
+      "Found 1 record with 2 columns: shipments 1,204, avg load minutes 41.26."
+    );
+  });
+
+  it("names the top category of a grouped result", () => {
+    const rows = [
+      { lane: "LANE01", shipments: 12 },
+      { lane: "LANE02", shipments: 31 },
+      { lane: "LANE03", shipments: 8 },
+    ];
+    expect(summarizeResult(rows)).toBe(
+      "Found 3 records with 2 columns. Highest shipments: LANE02 (31)."
+    );
+  });
+
+  it("mentions the total when more rows can be loaded", () => {
+    const rows = [{ lane: "LANE01" }, { lane: "LANE02" }];
+    expect(
+      summarizeResult(rows, {
+        totalCount: 40,
+        hasMore: true,
+        nextCursor: "2",
+        nextPage: null,
+      })
+    ).toBe("Found 2 of 40 records with 1 column.");
+  });
+});
+
+describe("diffResults", () => {
+  const before = [
+    { lane: "LANE01", shipments: 12 },
+    { lane: "LANE02", shipments: 31 },
+    { lane: "LANE03", shipments: 8 },
+  ];
+
+  it("lists the categories whose figure changed, largest change first", () => {
+    const after = [
+      { lane: "LANE01", shipments: 14 },
+      { lane: "LANE02", shipments: 20 },
+      { lane: "LANE04", shipments: 5 },
+    ];
+
+    const diff = diffResults(before, after);
+
+    expect(diff.measure).toBe("shipments");
+    expect(diff.changes).toEqual([
+      { category: "LANE02", before: 31, after: 20 },
+      { category: "LANE03", before: 8, after: null },
+      { category: "LANE04", before: null, after: 5 },
+      { category: "LANE01", before: 12, after: 14 },
+    ]);
+    expect(diff.changes.map(formatChange)).toEqual([
+      "LANE02: 31 → 20",
+      "LANE03: 8 → gone",
+      "LANE04: new → 5",
+      "LANE01: 12 → 14",
+    ]);
+  });
+
+  it("only compares counts against a partial snapshot", () => {
+    const diff = diffResults(before, before, 40);
+    expect(diff).toMatchObject({ previousCount: 40, count: 3, changes: [] });
+    expect(describeCountChange(diff)).toBe(
+      "3 records, 37 fewer than the previous run"
+    );
+  });
+
+  it("describes an unchanged count", () => {
+    expect(describeCountChange(diffResults(before, before))).toBe(
+      "3 records, same count as the previous run"
+    );
+  });
+});
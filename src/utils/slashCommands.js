@@ -0,0 +1,757 @@
+/**
+ * Slash Commands
+ * Deterministic operations on the current result that skip the language
+ * model (/chart, /filter, /top, /describe, /export, /sql, /help): parsing,
+ * inline validation, autocomplete and execution
+ */
+
+import { analyzeDataStructure } from "./dataAnalysis.js";
+import { toCsv } from "./download.js";
+import { distinctValues } from "./querySuggestions.js";
+import { formatNumber as formatLocaleNumber, t } from "../services/i18n.js";
+import { getDatasetTables, runLocalQuery } from "../services/sqlEngine.js";
+
+export const CHART_TYPES = ["bar", "line", "scatter", "pie"];
+export const AGGREGATES = ["sum", "mean", "median", "min", "max", "count"];
+
+// Result kinds whose rows become the data later commands work on
+export const DATASET_KINDS = ["rows", "chart"];
+
+const CHART_TYPE_ALIASES = { point: "scatter", arc: "pie" };
+const AGGREGATE_ALIASES = { avg: "mean", average: "mean" };
+const EXPORT_FORMATS = ["csv", "json"];
+const FILTER_PATTERN = /^([^\s=!<>~]+)(!=|>=|<=|=|>|<|~)(.*)$/;
+const MAX_TOP = 10000;
+const MAX_SUGGESTIONS = 8;
+
+// ==================== PARSING ====================
+
+// Whitespace-separated tokens; double quotes keep spaces inside a value
+const tokenize = (text) =>
+  [...text.matchAll(/(?:[^\s"]+|"[^"]*"?)+/g)].map((match) => ({
+    text: match[0],
+    value: match[0].replace(/"/g, ""),
+    start: match.index,
+  }));
+
+const quote = (value) => (/[\s"]/.test(value) ? `"${value}"` : value);
+
+/**
+ * Splits a command into its name and arguments
+ * @param {string} input - Input text
+ * @returns {Object|null} - { name, args, rest }, or null when the input is not a command
+ */
+export const parseCommand = (input = "") => {
+  const text = input.trim();
+  if (!text.startsWith("/")) return null;
+
+  const [head, ...args] = tokenize(text.slice(1));
+  return {
+    name: head?.value.toLowerCase() || "",
+    args: args.map((token) => token.value),
+    // Everything after the name, as typed (for /sql)
+    rest: head ? text.slice(1 + head.start + head.text.length).trim() : "",
+  };
+};
+
+// ==================== VALIDATION HELPERS ====================
+
+const missing = (message) => ({ error: message, incomplete: true });
+const invalid = (message) => ({ error: message, incomplete: false });
+
+const listFields = (fields) =>
+  fields.length ? fields.join(", ") : t("slash.noFields");
+
+// role names what the field is for, e.g. "xAxis" ("slash.role.xAxis")
+const checkField = (field, ctx, role) => {
+  if (!field) {
+    return missing(t("slash.chooseField", { role: t(`slash.role.${role}`) }));
+  }
+  if (!ctx.structure.fields.includes(field)) {
+    return invalid(
+      t("slash.unknownField", {
+        field,
+        fields: listFields(ctx.structure.fields),
+      })
+    );
+  }
+  return null;
+};
+
+const tooManyArguments = (command) =>
+  invalid(t("slash.tooManyArguments", { usage: command.usage }));
+
+const fieldType = (ctx, field) => ctx.structure.fieldTypes[field];
+
+const numericFields = (ctx) => ctx.structure.analysis.quantitativeFields || [];
+
+const isNumber = (value) => value !== "" && !Number.isNaN(Number(value));
+
+const compareValues = (a, b, type) => {
+  if (type === "quantitative") return Number(a) - Number(b);
+  if (type === "temporal") return new Date(a) - new Date(b);
+  return String(a).localeCompare(String(b), undefined, {
+    sensitivity: "base",
+    numeric: true,
+  });
+};
+
+const matchesCondition = (row, { field, operator, value }, type) => {
+  const cell = row[field];
+  if (cell === null || cell === undefined || cell === "") {
+    return operator === "!=" && value !== "";
+  }
+  if (operator === "~") {
+    return String(cell).toLowerCase().includes(value.toLowerCase());
+  }
+
+  const order = compareValues(cell, value, type);
+  switch (operator) {
+    case "=":
+      return order === 0;
+    case "!=":
+      return order !== 0;
+    case ">":
+      return order > 0;
+    case ">=":
+      return order >= 0;
+    case "<":
+      return order < 0;
+    default:
+      return order <= 0;
+  }
+};
+
+const formatNumber = (value) =>
+  Number.isFinite(value)
+    ? formatLocaleNumber(value, { maximumFractionDigits: 2 })
+    : null;
+
+const countRecords = (count) => t("records.count", { count });
+
+// ==================== COMMANDS ====================
+
+const chartCommand = {
+  name: "chart",
+  usage: "/chart <bar|line|scatter|pie> <x field> [y field] [aggregate]",
+  example: "/chart bar bay_code flow_rate sum",
+  needsData: true,
+  check: (args, ctx) => {
+    const [typeArg, xField, yField, aggregateArg, ...extra] = args;
+    if (!typeArg) {
+      return missing(t("slash.chart.chooseType"));
+    }
+
+    const chartType =
+      CHART_TYPE_ALIASES[typeArg.toLowerCase()] || typeArg.toLowerCase();
+    if (!CHART_TYPES.includes(chartType)) {
+      return invalid(t("slash.chart.unknownType", { type: typeArg }));
+    }
+
+    const xProblem = checkField(xField, ctx, "xAxis");
+    if (xProblem) return xProblem;
+    if (yField) {
+      const yProblem = checkField(yField, ctx, "yAxis");
+      if (yProblem) return yProblem;
+    }
+
+    const yNumeric = yField && fieldType(ctx, yField) === "quantitative";
+    const aggregate = aggregateArg
+      ? AGGREGATE_ALIASES[aggregateArg.toLowerCase()] ||
+        aggregateArg.toLowerCase()
+      : yNumeric
+      ? "sum"
+      : "count";
+    if (!AGGREGATES.includes(aggregate)) {
+      return invalid(
+        t("slash.chart.unknownAggregate", {
+          aggregate: aggregateArg,
+          aggregates: AGGREGATES.join(", "),
+        })
+      );
+    }
+    if (yField && !yNumeric && aggregate !== "count") {
+      return invalid(
+        t("slash.chart.countOnly", {
+          field: yField,
+          fields: listFields(numericFields(ctx)),
+        })
+      );
+    }
+    if (extra.length) return tooManyArguments(chartCommand);
+
+    return { args: { chartType, xField, yField, aggregate } };
+  },
+  run: ({ chartType, xField, yField, aggregate }, data) => {
+    const measure =
+      aggregate === "count" || !yField
+        ? t("slash.chart.count")
+        : t("slash.chart.measure", { aggregate, field: yField });
+    const title = t("slash.chart.title", { measure, field: xField }).replace(
+      /_/g,
+      " "
+    );
+    return {
+      kind: "chart",
+      data,
+      chart: {
+        chartType,
+        xField,
+        yField,
+        aggregate,
+        title: title.charAt(0).toUpperCase() + title.slice(1),
+      },
+      text: t("slash.chart.done", {
+        title,
+        records: countRecords(data.length),
+      }),
+    };
+  },
+  complete: (argIndex, prefix, ctx) => {
+    if (argIndex === 0) {
+      return CHART_TYPES.map((type) => ({
+        value: type,
+        detail: t("slash.detail.chartType"),
+      }));
+    }
+    if (argIndex === 1) return fieldOptions(ctx, ctx.structure.fields);
+    if (argIndex === 2) {
+      const numeric = numericFields(ctx);
+      return fieldOptions(ctx, [
+        ...numeric,
+        ...ctx.structure.fields.filter((field) => !numeric.includes(field)),
+      ]);
+    }
+    if (argIndex === 3) {
+      return AGGREGATES.map((aggregate) => ({
+        value: aggregate,
+        detail: t("slash.detail.aggregate"),
+      }));
+    }
+    return [];
+  },
+};
+
+const parseCondition = (arg, ctx) => {
+  const match = arg.match(FILTER_PATTERN);
+  if (!match) {
+    return ctx.structure.fields.includes(arg)
+      ? missing(t("slash.filter.addComparison", { field: arg }))
+      : invalid(t("slash.filter.notCondition", { condition: arg }));
+  }
+
+  const [, field, operator, value] = match;
+  const problem = checkField(field, ctx, "condition");
+  if (problem) return problem;
+  if (value === "") {
+    return missing(t("slash.filter.addValue", { condition: field + operator }));
+  }
+
+  const type = fieldType(ctx, field);
+  const ordered = [">", ">=", "<", "<="].includes(operator);
+  if (type === "quantitative" && operator !== "~" && !isNumber(value)) {
+    return invalid(t("slash.filter.notNumber", { value, field }));
+  }
+  if (type === "temporal" && ordered && Number.isNaN(Date.parse(value))) {
+    return invalid(t("slash.filter.notDate", { value, field }));
+  }
+  return { condition: { field, operator, value } };
+};
+
+const applyConditions = (data, conditions, ctx) =>
+  data.filter((row) =>
+    conditions.every((condition) =>
+      matchesCondition(row, condition, fieldType(ctx, condition.field))
+    )
+  );
+
+const filterCommand = {
+  name: "filter",
+  usage: "/filter <field><=|!=|>|>=|<|<=|~><value> ...",
+  example: "/filter status=Completed",
+  needsData: true,
+  check: (args, ctx) => {
+    if (!args.length) return missing(t("slash.filter.addCondition"));
+
+    const conditions = [];
+    for (const arg of args) {
+      const parsed = parseCondition(arg, ctx);
+      if (parsed.error) return parsed;
+      conditions.push(parsed.condition);
+    }
+    return { args: { conditions } };
+  },
+  run: ({ conditions }, data, ctx) => {
+    const rows = applyConditions(data, conditions, ctx);
+    const where = conditions
+      .map(({ field, operator, value }) => `${field} ${operator} ${value}`)
+      .join(t("slash.filter.and"));
+    return {
+      kind: "rows",
+      data: rows,
+      text: rows.length
+        ? t("slash.filter.kept", {
+            records: countRecords(rows.length),
+            total: data.length,
+            where,
+          })
+        : t("slash.filter.none", { where }),
+    };
+  },
+  complete: (argIndex, prefix, ctx, token) => {
+    const match = token.match(FILTER_PATTERN);
+    if (!match) {
+      return fieldOptions(ctx, ctx.structure.fields).map((option) => ({
+        ...option,
+        value: `${option.value}=`,
+        keepOpen: true,
+      }));
+    }
+
+    const [, field, operator, partial] = match;
+    if (!ctx.structure.fields.includes(field)) return [];
+    return distinctValues(ctx.data, field)
+      .filter((value) => matchesPrefix(value, partial.replace(/"/g, "")))
+      .map((value) => ({
+        value: `${field}${operator}${quote(value)}`,
+        label: value,
+        detail: field,
+        matchAll: true,
+      }));
+  },
+};
+
+const topCommand = {
+  name: "top",
+  usage: "/top <n> <field>",
+  example: "/top 10 gross_quantity",
+  needsData: true,
+  check: (args, ctx) => {
+    const [countArg, field, ...extra] = args;
+    if (!countArg) return missing(t("slash.top.chooseCount"));
+
+    const count = Number(countArg);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TOP) {
+      return invalid(t("slash.top.badCount", { max: MAX_TOP }));
+    }
+
+    const problem = checkField(field, ctx, "ranking");
+    if (problem) return problem;
+    if (!["quantitative", "temporal"].includes(fieldType(ctx, field))) {
+      return invalid(
+        t("slash.top.notNumeric", {
+          field,
+          fields: listFields(numericFields(ctx)),
+        })
+      );
+    }
+    if (extra.length) return tooManyArguments(topCommand);
+
+    return { args: { count, field } };
+  },
+  run: ({ count, field }, data, ctx) => {
+    const type = fieldType(ctx, field);
+    const hasValue = (row) => row[field] !== null && row[field] !== undefined;
+    const rows = [
+      ...data
+        .filter(hasValue)
+        .sort((a, b) => compareValues(b[field], a[field], type)),
+      ...data.filter((row) => !hasValue(row)),
+    ].slice(0, count);
+
+    return {
+      kind: "rows",
+      data: rows,
+      text: t("slash.top.done", { records: countRecords(rows.length), field }),
+    };
+  },
+  complete: (argIndex, prefix, ctx) => {
+    if (argIndex === 0) {
+      return ["5", "10", "20", "50"].map((value) => ({
+        value,
+        detail: t("slash.detail.rows"),
+      }));
+    }
+    if (argIndex === 1) {
+      return fieldOptions(ctx, [
+        ...numericFields(ctx),
+        ...(ctx.structure.analysis.temporalFields || []),
+      ]);
+    }
+    return [];
+  },
+};
+
+// One pass over the values, so large results fit
+const summarizeNumbers = (numbers) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  for (const n of numbers) {
+    if (n < min) min = n;
+    if (n > max) max = n;
+    sum += n;
+  }
+  return { min, max, mean: sum / numbers.length };
+};
+
+const describeField = (data, field, type) => {
+  const values = data
+    .map((row) => row[field])
+    .filter((value) => value !== null && value !== undefined && value !== "");
+  const numbers =
+    type === "quantitative" ? values.map(Number).filter(Number.isFinite) : [];
+  const stats = numbers.length ? summarizeNumbers(numbers) : null;
+
+  return {
+    field,
+    type,
+    distinct_values: new Set(values.map(String)).size,
+    missing: data.length - values.length,
+    min: stats ? formatNumber(stats.min) : null,
+    max: stats ? formatNumber(stats.max) : null,
+    mean: stats ? formatNumber(stats.mean) : null,
+    examples: [...new Set(values.map(String))].slice(0, 3).join(", "),
+  };
+};
+
+const describeCommand = {
+  name: "describe",
+  usage: "/describe",
+  example: "/describe",
+  needsData: true,
+  check: (args) =>
+    args.length ? invalid(t("slash.describe.noArguments")) : { args: {} },
+  run: (args, data, ctx) => ({
+    kind: "describe",
+    data: ctx.structure.fields.map((field) =>
+      describeField(data, field, fieldType(ctx, field))
+    ),
+    chart: false,
+    text: t("slash.describe.done", {
+      records: countRecords(data.length),
+      fields: t("slash.describe.fields", {
+        count: ctx.structure.fields.length,
+      }),
+    }),
+  }),
+};
+
+const exportCommand = {
+  name: "export",
+  usage: "/export [csv|json]",
+  example: "/export csv",
+  needsData: true,
+  check: (args) => {
+    const [format = "csv", ...extra] = args;
+    if (!EXPORT_FORMATS.includes(format.toLowerCase())) {
+      return invalid(t("slash.export.unknownFormat", { format }));
+    }
+    if (extra.length) return tooManyArguments(exportCommand);
+    return { args: { format: format.toLowerCase() } };
+  },
+  run: ({ format }, data) => {
+    const filename = `shipmentiq-result-${new Date()
+      .toISOString()
+      .slice(0, 10)}.${format}`;
+    return {
+      kind: "export",
+      file:
+        format === "json"
+          ? {
+              content: JSON.stringify(data, null, 2),
+              filename,
+              type: "application/json",
+            }
+          : { content: toCsv(data), filename, type: "text/csv" },
+      text: t("slash.export.done", {
+        records: countRecords(data.length),
+        filename,
+      }),
+    };
+  },
+  complete: (argIndex) =>
+    argIndex === 0
+      ? EXPORT_FORMATS.map((format) => ({
+          value: format,
+          detail: t("slash.detail.format"),
+        }))
+      : [],
+};
+
+const sqlCommand = {
+  name: "sql",
+  usage: "/sql <query>",
+  example: "/sql SELECT lane, COUNT(*) FROM shipments GROUP BY lane",
+  needsData: true,
+  check: (args, ctx) => {
+    if (!ctx.rest) return missing(t("slash.sql.typeQuery"));
+    if (!/^(select|with)\b/i.test(ctx.rest)) {
+      return invalid(t("slash.sql.selectOnly"));
+    }
+    return { args: { sql: ctx.rest } };
+  },
+  // The query itself runs in runSlashCommand, as it needs the SQL engine
+  run: ({ sql }) => ({ kind: "sql", sql }),
+};
+
+const helpCommand = {
+  name: "help",
+  usage: "/help [command]",
+  example: "/help chart",
+  needsData: false,
+  check: (args) => {
+    const [name, ...extra] = args;
+    const wanted = name?.replace(/^\//, "").toLowerCase();
+    if (wanted && !findCommand(wanted)) {
+      return invalid(t("slash.help.unknownCommand", { name: wanted }));
+    }
+    if (extra.length) return tooManyArguments(helpCommand);
+    return { args: { name: wanted } };
+  },
+  run: ({ name }) => {
+    const commands = name ? [findCommand(name)] : SLASH_COMMANDS;
+    return {
+      kind: "help",
+      chart: false,
+      data: commands.map((command) => ({
+        command: command.usage,
+        description: describeSlashCommand(command),
+        example: command.example,
+      })),
+      text: name
+        ? `${findCommand(name).usage}: ${describeSlashCommand(
+            findCommand(name)
+          )}`
+        : t("slash.help.intro"),
+    };
+  },
+  complete: (argIndex) =>
+    argIndex === 0
+      ? SLASH_COMMANDS.map((command) => ({
+          value: command.name,
+          detail: describeSlashCommand(command),
+        }))
+      : [],
+};
+
+export const SLASH_COMMANDS = [
+  chartCommand,
+  filterCommand,
+  topCommand,
+  describeCommand,
+  exportCommand,
+  sqlCommand,
+  helpCommand,
+];
+
+const findCommand = (name) =>
+  SLASH_COMMANDS.find((command) => command.name === name) || null;
+
+/**
+ * Describes what a command does, in the interface language
+ * @param {Object} command - One of SLASH_COMMANDS
+ * @returns {string}
+ */
+export const describeSlashCommand = (command) =>
+  t(`slash.${command.name}.description`);
+
+// ==================== AUTOCOMPLETE HELPERS ====================
+
+const matchesPrefix = (value, prefix) =>
+  String(value).toLowerCase().startsWith(prefix.toLowerCase());
+
+const fieldOptions = (ctx, fields) =>
+  fields.map((field) => ({ value: field, detail: fieldType(ctx, field) }));
+
+// ==================== PUBLIC API ====================
+
+const createContext = (data, rest = "") => ({
+  data,
+  rest,
+  structure: analyzeDataStructure(data),
+});
+
+/**
+ * Checks a command as it is typed
+ * @param {string} input - Input text
+ * @param {Array} data - Current result rows
+ * @returns {Object|null} - { command, error, incomplete, args }, or null when the input is not a command
+ */
+export const validateCommand = (input, data = []) => {
+  const parsed = parseCommand(input);
+  if (!parsed) return null;
+
+  const command = findCommand(parsed.name);
+  if (!command) {
+    const partOf = SLASH_COMMANDS.find((c) => c.name.startsWith(parsed.name));
+    const typing = partOf && !/\s$/.test(input);
+    return {
+      command: null,
+      incomplete: !parsed.name || Boolean(typing),
+      error: !parsed.name
+        ? t("slash.typeName")
+        : typing
+        ? t("slash.pressTab", { name: partOf.name })
+        : t("slash.unknownCommand", { name: parsed.name }),
+      args: null,
+    };
+  }
+  if (command.needsData && !data.length) {
+    return {
+      command,
+      incomplete: false,
+      error: t("slash.noData"),
+      args: null,
+    };
+  }
+
+  const checked = command.check(parsed.args, createContext(data, parsed.rest));
+  return {
+    command,
+    incomplete: Boolean(checked.incomplete),
+    error: checked.error || null,
+    args: checked.args || null,
+  };
+};
+
+/**
+ * Runs a command on the current result
+ * @param {string} input - Input text
+ * @param {Array} data - Current result rows
+ * @returns {Object} - { success, command, kind, data, chart, file, sql, text, error };
+ * chart is false for results that read better as a table
+ */
+export const executeCommand = (input, data = []) => {
+  const validation = validateCommand(input, data);
+  if (!validation) {
+    return { success: false, command: null, error: t("slash.notCommand") };
+  }
+  if (validation.error) {
+    return {
+      success: false,
+      command: validation.command?.name || null,
+      error: validation.error,
+    };
+  }
+
+  const { command, args } = validation;
+  const parsed = parseCommand(input);
+  return {
+    success: true,
+    command: command.name,
+    error: null,
+    ...command.run(args, data, createContext(data, parsed.rest)),
+  };
+};
+
+/**
+ * Runs a command on the current result, including /sql: its query runs in
+ * the browser on the result's rows, never on the backend or the language
+ * model. The rows are the table "dataset" and the table their SQL reads from.
+ * @param {string} input - Input text
+ * @param {Object|null} dataset - Current result, { data, sqlQuery }
+ * @returns {Promise<Object>} - executeCommand result; /sql gives rows with
+ * the query as sql
+ */
+export const runSlashCommand = async (input, dataset) => {
+  const outcome = executeCommand(input, dataset?.data || []);
+  if (!outcome.success || outcome.kind !== "sql") return outcome;
+
+  const result = await runLocalQuery(
+    outcome.sql,
+    getDatasetTables({ data: dataset.data, sqlQuery: dataset.sqlQuery })
+  );
+  if (!result.success) {
+    return { success: false, command: outcome.command, error: result.error };
+  }
+  return {
+    ...outcome,
+    kind: "rows",
+    data: result.data,
+    text: t("slash.sql.done", {
+      records: countRecords(result.data.length),
+      ms: result.elapsedMs,
+    }),
+  };
+};
+
+/**
+ * Keeps the rows matching every condition, written as in /filter
+ * @param {Array} data - Result rows
+ * @param {string[]} conditions - e.g. ["status=Completed", "flow_rate>30"]
+ * @returns {Object} - { success, data, error }; error names the first
+ * condition that does not fit the data
+ */
+export const filterRows = (data = [], conditions = []) => {
+  if (!conditions.length || !data.length) {
+    return { success: true, data, error: null };
+  }
+
+  const ctx = createContext(data);
+  const parsed = [];
+  for (const condition of conditions) {
+    const result = parseCondition(condition, ctx);
+    if (result.error) return { success: false, data, error: result.error };
+    parsed.push(result.condition);
+  }
+
+  return {
+    success: true,
+    data: applyConditions(data, parsed, ctx),
+    error: null,
+  };
+};
+
+/**
+ * Suggests completions for the word being typed at the end of the input
+ * @param {string} input - Input text
+ * @param {Array} data - Current result rows, for field names and values
+ * @returns {Object[]} - [{ value, label, detail, input, keepOpen }]; input is
+ * the full text after accepting the suggestion
+ */
+export const getCompletions = (input = "", data = []) => {
+  if (!input.trimStart().startsWith("/")) return [];
+
+  const tokens = tokenize(input);
+  const startsNewWord = /\s$/.test(input);
+  const current = startsNewWord
+    ? { text: "", value: "", start: input.length }
+    : tokens[tokens.length - 1];
+  const index = startsNewWord ? tokens.length : tokens.length - 1;
+  const before = input.slice(0, current.start);
+
+  const finish = (options, prefix) => {
+    const matching = options.filter(
+      (option) =>
+        option.value !== current.text &&
+        (option.matchAll || matchesPrefix(option.value, prefix))
+    );
+    return matching.slice(0, MAX_SUGGESTIONS).map((option) => ({
+      label: option.value,
+      ...option,
+      input: `${before}${option.value}${option.keepOpen ? "" : " "}`,
+    }));
+  };
+
+  if (index === 0) {
+    return finish(
+      SLASH_COMMANDS.map((command) => ({
+        value: `/${command.name}`,
+        detail: describeSlashCommand(command),
+      })),
+      current.value
+    );
+  }
+
+  const command = findCommand(tokens[0].value.slice(1).toLowerCase());
+  if (!command?.complete || (command.needsData && !data.length)) return [];
+
+  const options = command.complete(
+    index - 1,
+    current.value,
+    createContext(data),
+    current.text
+  );
+  return finish(options, current.value);
+};
@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+
+import { executeCommand, runSlashCommand } from "./slashCommands.js";
+
+// Vite turns this import into the .wasm file's URL; Node reads the path
+jest.mock(
+  "sql.js/dist/sql-wasm-browser.wasm?url",
+  () => ({
+    __esModule: true,
+    default: require.resolve("sql.js/dist/sql-wasm.wasm"),
+  }),
+  { virtual: true }
+);
+
+describe("/describe", () => {
+  it("lists each field with its range", () => {
+    const result = executeCommand("/describe", [
+      { lane: "A", teu: 12 },
+      { lane: "B", teu: 7 },
+      { lane: "A", teu: 2 },
+    ]);
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual([
+      expect.objectContaining({ field: "lane", distinct_values: 2, min: null }),
+      expect.objectContaining({
+        field: "teu",
+        type: "quantitative",
+        min: "2",
+        max: "12",
+        mean: "7",
+      }),
+    ]);
+  });
+
+  it("describes results too large to spread into one call", () => {
+    const rows = Array.from({ length: 200000 }, (_, i) => ({
+      lane: `LANE0${i % 5}`,
+      teu: (i % 1000) + 1,
+    }));
+    const result = executeCommand("/describe", rows);
+    expect(result.success).toBe(true);
+    expect(result.data[1]).toMatchObject({ min: "1", max: "1,000" });
+  });
+});
+
+describe("/sql", () => {
+  const answer = {
+    data: [
+      { lane: "A", teu: 12 },
+      { lane: "B", teu: 7 },
+      { lane: "A", teu: 3 },
+    ],
+    sqlQuery: "SELECT lane, teu FROM shipments",
+  };
+
+  it("runs the query on the current rows instead of asking it as a question", async () => {
+    const sql =
+      "SELECT lane, SUM(teu) AS teu FROM shipments GROUP BY lane ORDER BY lane";
+    const result = await runSlashCommand(`/sql ${sql}`, answer);
+    expect(result).toMatchObject({
+      success: true,
+      command: "sql",
+      kind: "rows",
+      sql,
+      data: [
+        { lane: "A", teu: 15 },
+        { lane: "B", teu: 7 },
+      ],
+    });
+  });
+
+  it("reports an error from the engine rather than sending the query on", async () => {
+    const result = await runSlashCommand("/sql SELECT * FROM berths", answer);
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/no such table: berths/);
+  });
+
+  it("needs a result to run on", async () => {
+    const result = await runSlashCommand("/sql SELECT 1", null);
+    expect(result.success).toBe(false);
+  });
+});
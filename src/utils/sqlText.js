@@ -0,0 +1,147 @@
+/**
+ * SQL Text Utilities
+ * Highlighting tokens, pretty-printing and line diffs for the SQL panel.
+ * The tokenizer only colors text; it does not check that the SQL is valid.
+ */
+
+import { formatDialect, postgresql, sqlite } from "sql-formatter";
+import { t } from "../services/i18n.js";
+
+const KEYWORDS = new Set(
+  `select from where group by order having limit offset join inner left right
+  full outer cross on using as and or not in is null like ilike between case
+  when then else end distinct union all except intersect with insert into
+  values update set delete create table view drop alter asc desc nulls first
+  last over partition window rows range preceding following current row
+  exists any filter cast true false interval recursive natural`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+// A function name is a word directly followed by "("
+const TOKEN_PATTERN =
+  /(--[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?|`[^`]*`?|\[[^\]]*\]?)|(\b\d+(?:\.\d+)?(?:e[-+]?\d+)?\b)|([A-Za-z_][\w$]*)(?=\s*\()|([A-Za-z_][\w$]*)|(\s+)|(<=|>=|<>|!=|\|\||::|[-+*/%=<>])|([^\s])/gi;
+
+/**
+ * Splits SQL into tokens for highlighting
+ * @param {string} sql - SQL text
+ * @returns {Object[]} - [{ type, text }]; type is keyword, function,
+ *   identifier, quoted, string, number, comment, operator, punctuation or
+ *   space. Joining the texts gives back the SQL.
+ */
+export const tokenizeSql = (sql = "") => {
+  const tokens = [];
+  for (const match of sql.matchAll(TOKEN_PATTERN)) {
+    const [text, comment, string, quoted, number, call, word, space, operator] =
+      match;
+    let type = "punctuation";
+    if (comment) type = "comment";
+    else if (string) type = "string";
+    else if (quoted) type = "quoted";
+    else if (number) type = "number";
+    else if (call)
+      type = KEYWORDS.has(call.toLowerCase()) ? "keyword" : "function";
+    else if (word) {
+      type = KEYWORDS.has(word.toLowerCase()) ? "keyword" : "identifier";
+    } else if (space) type = "space";
+    else if (operator) type = "operator";
+    tokens.push({ type, text });
+  }
+  return tokens;
+};
+
+/**
+ * Writes a table or column name so SQL can use it, quoting names that are
+ * keywords or hold spaces, dots or other characters, e.g. "origin.port"
+ * @param {string} name - Table or column name
+ * @returns {string}
+ */
+export const toIdentifier = (name) =>
+  /^[A-Za-z_][\w$]*$/.test(name) && !KEYWORDS.has(name.toLowerCase())
+    ? name
+    : `"${name.replace(/"/g, '""')}"`;
+
+// SQLite runs the edited SQL; backends often generate PostgreSQL
+const FORMAT_DIALECTS = [sqlite, postgresql];
+
+/**
+ * Pretty-prints SQL: one clause per line, indented, keywords in capitals
+ * @param {string} sql - SQL text
+ * @returns {Object} - { success, sql, error }; sql is unchanged when it
+ *   could not be parsed
+ */
+export const formatSql = (sql) => {
+  let lastError = null;
+  for (const dialect of FORMAT_DIALECTS) {
+    try {
+      return {
+        success: true,
+        sql: formatDialect(sql, { dialect, keywordCase: "upper", tabWidth: 2 }),
+        error: null,
+      };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return {
+    success: false,
+    sql,
+    error: t("sql.error.format", { message: lastError.message.split("\n")[0] }),
+  };
+};
+
+// Longer texts are shown as wholly replaced rather than compared
+const MAX_DIFF_LINES = 400;
+
+/**
+ * Compares two SQL texts line by line
+ * @param {string} before - Earlier SQL
+ * @param {string} after - Later SQL
+ * @returns {Object[]} - [{ type, text }] in reading order; type is "same",
+ *   "removed" (only in before) or "added" (only in after)
+ */
+export const diffLines = (before = "", after = "") => {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (
+      i < a.length &&
+      (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      lines.push({ type: "removed", text: a[i] });
+      i += 1;
+    } else {
+      lines.push({ type: "added", text: b[j] });
+      j += 1;
+    }
+  }
+  return lines;
+};
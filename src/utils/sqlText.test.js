@@ -0,0 +1,69 @@
+import { diffLines, formatSql, toIdentifier, tokenizeSql } from "./sqlText.js";
+
+describe("tokenizeSql", () => {
+  it("labels each token and keeps the text intact", () => {
+    const sql = 'SELECT lane, COUNT(*) FROM "ship data" WHERE x > 2.5 -- note';
+    const tokens = tokenizeSql(sql);
+    const typeOf = (text) => tokens.find((token) => token.text === text)?.type;
+
+    expect(tokens.map((token) => token.text).join("")).toBe(sql);
+    expect(typeOf("SELECT")).toBe("keyword");
+    expect(typeOf("COUNT")).toBe("function");
+    expect(typeOf("lane")).toBe("identifier");
+    expect(typeOf('"ship data"')).toBe("quoted");
+    expect(typeOf("2.5")).toBe("number");
+    expect(typeOf(">")).toBe("operator");
+    expect(typeOf("-- note")).toBe("comment");
+  });
+
+  it("reads an unclosed string to the end", () => {
+    expect(tokenizeSql("WHERE lane = 'LA").pop()).toEqual({
+      type: "string",
+      text: "'LA",
+    });
+  });
+});
+
+describe("toIdentifier", () => {
+  it("quotes names SQL could not read bare", () => {
+    expect(toIdentifier("flow_rate")).toBe("flow_rate");
+    expect(toIdentifier("origin.port")).toBe('"origin.port"');
+    expect(toIdentifier("order")).toBe('"order"');
+    expect(toIdentifier('say "hi"')).toBe('"say ""hi"""');
+  });
+});
+
+describe("formatSql", () => {
+  it("puts each clause on its own line", () => {
+    expect(formatSql("select lane from shipments where teu>10")).toEqual({
+      success: true,
+      sql: "SELECT\n  lane\nFROM\n  shipments\nWHERE\n  teu > 10",
+      error: null,
+    });
+  });
+
+  it("falls back to PostgreSQL syntax", () => {
+    expect(formatSql("SELECT teu::int FROM shipments").success).toBe(true);
+  });
+
+  it("returns the SQL unchanged when it cannot be parsed", () => {
+    const result = formatSql("SELECT (lane FROM shipments");
+    expect(result.success).toBe(false);
+    expect(result.sql).toBe("SELECT (lane FROM shipments");
+  });
+});
+
+describe("diffLines", () => {
+  it("marks lines removed and added between two statements", () => {
+    expect(
+      diffLines(
+        "SELECT lane\nFROM shipments",
+        "SELECT lane, teu\nFROM shipments"
+      )
+    ).toEqual([
+      { type: "removed", text: "SELECT lane" },
+      { type: "added", text: "SELECT lane, teu" },
+      { type: "same", text: "FROM shipments" },
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Stream Parsing Utilities
+ * Incremental parsers for SSE and NDJSON query responses
+ */
+
+import { t } from "../services/i18n.js";
+
+/**
+ * Detects the stream format from a response content type
+ * @param {string} contentType - Value of the Content-Type header
+ * @returns {string} - "sse", "ndjson" or "json"
+ */
+export const detectStreamFormat = (contentType = "") => {
+  const type = contentType.toLowerCase();
+
+  if (type.includes("text/event-stream")) return "sse";
+  if (type.includes("ndjson") || type.includes("jsonlines")) return "ndjson";
+  return "json";
+};
+
+/**
+ * Parses one SSE block ("event: rows\ndata: {...}") into a stream event
+ */
+const parseSSEBlock = (block) => {
+  let eventName = null;
+  const dataLines = [];
+
+  block.split("\n").forEach((line) => {
+    if (line.startsWith(":")) return; // comment / keep-alive
+    if (line.startsWith("event:")) eventName = line.slice(6).trim();
+    if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+  });
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join("\n");
+  const payload = parseJSONSafely(raw);
+
+  // Plain-text SSE data, e.g. "event: sql\ndata: SELECT ..."
+  if (payload === undefined) {
+    return eventName === "sql"
+      ? { type: "sql", sql: raw }
+      : { type: "progress", stage: eventName || "processing", message: raw };
+  }
+
+  return normalizeStreamEvent(payload, eventName);
+};
+
+/**
+ * Parses one NDJSON line into a stream event
+ */
+const parseNDJSONLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  const payload = parseJSONSafely(trimmed);
+  return payload === undefined
+    ? { type: "error", message: `Unparseable stream chunk: ${trimmed}` }
+    : normalizeStreamEvent(payload);
+};
+
+const parseJSONSafely = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Maps a raw stream payload onto the { type, ... } event shape
+ * Accepted types: sql, progress, rows, done, error
+ * @param {Object} payload - Parsed JSON chunk
+ * @param {string} eventName - SSE event name, if any
+ * @returns {Object} - Normalized stream event
+ */
+export const normalizeStreamEvent = (payload, eventName = null) => {
+  if (Array.isArray(payload)) {
+    return { type: "rows", rows: payload };
+  }
+
+  if (!payload || typeof payload !== "object") {
+    return { type: "error", message: "Empty stream chunk" };
+  }
+
+  const type = payload.type || eventName;
+
+  switch (type) {
+    case "sql":
+      return {
+        type: "sql",
+        sql: payload.sql || payload["sql query"] || payload.query || "",
+      };
+    case "progress":
+      return {
+        type: "progress",
+        stage: payload.stage || "processing",
+        message: payload.message || "",
+      };
+    case "rows":
+      return { type: "rows", rows: payload.rows || payload.data || [] };
+    case "done":
+      // The raw payload keeps contract fields such as total_count / next_cursor
+      return { type: "done", rowCount: payload.rowCount ?? null, payload };
+    case "error":
+      return { type: "error", message: payload.message || "Stream error" };
+    default:
+      // Plain rows in NDJSON ("one record per line")
+      return { type: "rows", rows: [payload] };
+  }
+};
+
+/**
+ * Creates an incremental parser for a streamed response body
+ * @param {string} format - "sse" or "ndjson"
+ * @returns {Object} - { push(text) => events[], flush() => events[] }
+ */
+export const createStreamParser = (format) => {
+  let buffer = "";
+  const separator = format === "sse" ? /\r?\n\r?\n/ : /\r?\n/;
+  const parseUnit = format === "sse" ? parseSSEBlock : parseNDJSONLine;
+
+  const drain = (isFinal) => {
+    const parts = buffer.split(separator);
+    buffer = isFinal ? "" : parts.pop();
+
+    return parts
+      .map((part) => parseUnit(part.replace(/\r/g, "")))
+      .filter(Boolean);
+  };
+
+  return {
+    push: (text) => {
+      buffer += text;
+      return drain(false);
+    },
+    flush: () => drain(true),
+  };
+};
+
+// Stages with a translated label ("stream.stage.<stage>")
+const KNOWN_STAGES = [
+  "connecting",
+  "generating-sql",
+  "sql-generated",
+  "executing",
+  "receiving-rows",
+  "retrying",
+  "complete",
+  "error",
+];
+
+/**
+ * Returns a human readable label for a stream stage
+ * @param {string} stage - Stage id reported by the backend
+ * @returns {string} - Display label
+ */
+export const describeStreamStage = (stage) => {
+  if (KNOWN_STAGES.includes(stage)) return t(`stream.stage.${stage}`);
+  return stage
+    ? stage.charAt(0).toUpperCase() + stage.slice(1)
+    : t("stream.stage.processing");
+};
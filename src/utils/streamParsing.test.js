@@ -0,0 +1,121 @@
+import {
+  createStreamParser,
+  detectStreamFormat,
+  normalizeStreamEvent,
+} from "./streamParsing.js";
+
+// Feeds the body in pieces of the given size, as a network stream might
+const parseInChunks = (format, body, size) => {
+  const parser = createStreamParser(format);
+  const events = [];
+  for (let i = 0; i < body.length; i += size) {
+    events.push(...parser.push(body.slice(i, i + size)));
+  }
+  return [...events, ...parser.flush()];
+};
+
+describe("detectStreamFormat", () => {
+  it("reads the format from the content type", () => {
+    expect(detectStreamFormat("text/event-stream; charset=utf-8")).toBe("sse");
+    expect(detectStreamFormat("application/x-ndjson")).toBe("ndjson");
+    expect(detectStreamFormat("application/jsonlines")).toBe("ndjson");
+    expect(detectStreamFormat("application/json")).toBe("json");
+    expect(detectStreamFormat()).toBe("json");
+  });
+});
+
+describe("SSE parsing", () => {
+  const body = [
+    ": keep-alive",
+    "",
+    "event: sql",
+    "data: SELECT lane, teu",
+    "data: FROM shipments",
+    "",
+    'event: progress\r\ndata: {"stage":"executing"}',
+    "",
+    'event: rows\ndata: {"rows":[{"lane":"A","teu":12}]}',
+    "",
+    'data: {"type":"rows","rows":[{"lane":"B","teu":7}]}',
+    "",
+    'event: done\ndata: {"rowCount":2,"total_count":2}',
+    "",
+  ].join("\n");
+
+  const expected = [
+    { type: "sql", sql: "SELECT lane, teu\nFROM shipments" },
+    { type: "progress", stage: "executing", message: "" },
+    { type: "rows", rows: [{ lane: "A", teu: 12 }] },
+    { type: "rows", rows: [{ lane: "B", teu: 7 }] },
+    {
+      type: "done",
+      rowCount: 2,
+      payload: { rowCount: 2, total_count: 2 },
+    },
+  ];
+
+  it("parses events, skipping comments and joining data lines", () => {
+    expect(parseInChunks("sse", body, body.length)).toEqual(expected);
+  });
+
+  it("gives the same events however the body is split", () => {
+    [1, 3, 7, 64].forEach((size) => {
+      expect(parseInChunks("sse", body, size)).toEqual(expected);
+    });
+  });
+
+  it("parses a last event that has no blank line after it", () => {
+    expect(
+      parseInChunks("sse", 'event: error\ndata: {"message":"x"}', 5)
+    ).toEqual([{ type: "error", message: "x" }]);
+  });
+});
+
+describe("NDJSON parsing", () => {
+  const body = [
+    '{"type":"sql","sql":"SELECT * FROM shipments"}',
+    '{"lane":"A","teu":12}',
+    "",
+    '[{"lane":"B","teu":7},{"lane":"C","teu":1}]',
+    '{"type":"done","rowCount":3}',
+  ].join("\r\n");
+
+  it("parses one event per line, in any chunk size", () => {
+    [1, 5, body.length].forEach((size) => {
+      expect(parseInChunks("ndjson", body, size)).toEqual([
+        { type: "sql", sql: "SELECT * FROM shipments" },
+        { type: "rows", rows: [{ lane: "A", teu: 12 }] },
+        {
+          type: "rows",
+          rows: [
+            { lane: "B", teu: 7 },
+            { lane: "C", teu: 1 },
+          ],
+        },
+        { type: "done", rowCount: 3, payload: { type: "done", rowCount: 3 } },
+      ]);
+    });
+  });
+
+  it("reports a line that is not JSON as an error", () => {
+    expect(parseInChunks("ndjson", "{oops\n", 100)).toEqual([
+      { type: "error", message: "Unparseable stream chunk: {oops" },
+    ]);
+  });
+});
+
+describe("normalizeStreamEvent", () => {
+  it("accepts the field names older backends use", () => {
+    expect(
+      normalizeStreamEvent({ type: "sql", "sql query": "SELECT 1" })
+    ).toEqual({ type: "sql", sql: "SELECT 1" });
+    expect(normalizeStreamEvent({ data: [{ a: 1 }] }, "rows")).toEqual({
+      type: "rows",
+      rows: [{ a: 1 }],
+    });
+    expect(normalizeStreamEvent(null)).toEqual({
+      type: "error",
+      message: "Empty stream chunk",
+    });
+  });
+});
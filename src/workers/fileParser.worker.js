@@ -0,0 +1,20 @@
+/**
+ * File parser worker. Reads uploaded files off the main thread; the
+ * parsing itself lives in utils/fileParsing.js.
+ */
+
+import { handleParserMessage } from "../utils/fileParsing.js";
+import { t } from "../services/i18n.js";
+
+// onmessage and postMessage are the worker's own globals
+onmessage = async (event) => {
+  try {
+    postMessage(await handleParserMessage(event.data));
+  } catch (error) {
+    postMessage({
+      id: event.data?.id,
+      success: false,
+      error: t("upload.error.readFailed", { message: error.message }),
+    });
+  }
+};